@@ -0,0 +1,397 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+import classNames from 'classnames';
+
+/**
+ * WordPress dependencies
+ */
+import { serialize } from '@wordpress/blocks';
+import { useSelect } from '@wordpress/data';
+import { dateI18n, getDate } from '@wordpress/date';
+import { safeHTML } from '@wordpress/dom';
+import { RawHTML } from '@wordpress/element';
+import { applyFilters } from '@wordpress/hooks';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getCodeMarkup, getEntityIds, getLinkMarkup, getPostProperty, selectPosts, selectRecords } from '../helpers';
+import { DATE_CONTROLS, POST_PROPERTIES } from '../../common/constants';
+import {
+	castValue,
+	castValueToString,
+	getColorValue,
+	getCssScopeClass,
+	getIconSvg,
+	getIsoDateTime,
+	getLink,
+	getScopedCss,
+	renderTemplateMarkup,
+} from '../../common/helpers';
+
+/**
+ * The controls that store a media ID, but output the media URL.
+ *
+ * @type {string[]}
+ */
+const MEDIA_CONTROLS = [ 'file', 'image' ];
+
+/**
+ * @typedef {Object} ClientSideRenderProps The component props.
+ * @property {import('../../edit-block/hooks/useBlock').Block} block         The block.
+ * @property {Object}                                          attributes    The block attributes.
+ * @property {Object[]}                                        [innerBlocks] The InnerBlocks, if any.
+ * @property {string}                                          [className]   The class name of the wrapper.
+ */
+
+/**
+ * Renders the Template Editor markup and CSS in the browser.
+ *
+ * This is the equivalent of TemplateEditor::render_markup() and TemplateEditor::render_css(),
+ * without a request to the server.
+ *
+ * @param {ClientSideRenderProps} props The component props.
+ * @return {React.ReactElement} The rendered block.
+ */
+const ClientSideRender = ( { block, attributes, innerBlocks, className } ) => {
+	const fields = block.fields || {};
+
+	/** @type {Object.<number, Object|undefined>} The media of the media fields, keyed by media ID. */
+	const media = useSelect(
+		( select ) => {
+			const mediaIds = [];
+			Object.keys( block.fields || {} ).forEach( ( fieldName ) => {
+				const field = block.fields[ fieldName ];
+
+				if ( MEDIA_CONTROLS.includes( field.control ) ) {
+					mediaIds.push( parseInt( attributes[ fieldName ] ) );
+				}
+
+				if ( 'gallery' === field.control ) {
+					mediaIds.push( ...getEntityIds( attributes[ fieldName ] ) );
+				}
+
+				if ( 'repeater' === field.control && field.sub_fields ) {
+					( attributes[ fieldName ]?.rows || [] ).forEach( ( row ) => {
+						Object.keys( field.sub_fields ).forEach( ( subFieldName ) => {
+							if ( MEDIA_CONTROLS.includes( field.sub_fields[ subFieldName ].control ) ) {
+								mediaIds.push( parseInt( row?.[ subFieldName ] ) );
+							}
+
+							if ( 'gallery' === field.sub_fields[ subFieldName ].control ) {
+								mediaIds.push( ...getEntityIds( row?.[ subFieldName ] ) );
+							}
+						} );
+					} );
+				}
+			} );
+
+			return mediaIds.filter( Boolean ).reduce( ( accumulator, mediaId ) => {
+				// @ts-ignore The function isn't in the declaration file.
+				accumulator[ mediaId ] = select( 'core' ).getMedia( mediaId );
+				return accumulator;
+			}, {} );
+		},
+		[ block.fields, attributes ]
+	);
+
+	/** @type {Object.<string, Object.<number, Object>>} The posts, terms, and users of the fields, keyed by control, then ID. */
+	const entities = useSelect(
+		( select ) => {
+			const postIds = [];
+			const postTypes = [];
+			const termIds = {};
+			const userIds = [];
+
+			/**
+			 * Adds the IDs of the entities that a field stores, like post IDs.
+			 *
+			 * @param {Object} field The field.
+			 * @param {*}      value The value of the field.
+			 */
+			const addEntityIds = ( field, value ) => {
+				const ids = getEntityIds( value );
+
+				if ( 'post' === field.control ) {
+					postIds.push( ...ids );
+					postTypes.push( ...( field.post_types?.length ? field.post_types : [ 'post' ] ) );
+				}
+
+				if ( 'taxonomy' === field.control ) {
+					const taxonomy = field.taxonomy || 'category';
+					termIds[ taxonomy ] = [ ...( termIds[ taxonomy ] || [] ), ...ids ];
+				}
+
+				if ( 'user' === field.control ) {
+					userIds.push( ...ids );
+				}
+			};
+
+			Object.keys( block.fields || {} ).forEach( ( fieldName ) => {
+				const field = block.fields[ fieldName ];
+				addEntityIds( field, attributes[ fieldName ] );
+
+				if ( 'repeater' === field.control && field.sub_fields ) {
+					( attributes[ fieldName ]?.rows || [] ).forEach( ( row ) => {
+						Object.keys( field.sub_fields ).forEach( ( subFieldName ) => {
+							addEntityIds( field.sub_fields[ subFieldName ], row?.[ subFieldName ] );
+						} );
+					} );
+				}
+			} );
+
+			/**
+			 * Gets a query for entities by their IDs.
+			 *
+			 * @param {number[]} ids The IDs, which can repeat.
+			 * @return {Object} The query.
+			 */
+			const getQuery = ( ids ) => {
+				const include = [ ...new Set( ids ) ];
+				return { include, per_page: include.length };
+			};
+
+			/**
+			 * Gets entities keyed by their IDs.
+			 *
+			 * @param {Object[]} records The entities.
+			 * @return {Object.<number, Object>} The entities, keyed by ID.
+			 */
+			const getById = ( records ) => records.reduce( ( accumulator, record ) => {
+				accumulator[ record.id ] = record;
+				return accumulator;
+			}, {} );
+
+			return {
+				post: getById( selectPosts( select, [ ...new Set( postTypes ) ], getQuery( postIds ) ) ),
+				taxonomy: getById(
+					Object.keys( termIds ).reduce( ( accumulator, taxonomy ) => [
+						...accumulator,
+						...selectRecords( select, 'taxonomy', taxonomy, { ...getQuery( termIds[ taxonomy ] ), context: 'view' } ),
+					], [] )
+				),
+				user: getById( selectRecords( select, 'root', 'user', { ...getQuery( userIds ), context: 'view' } ) ),
+			};
+		},
+		[ block.fields, attributes ]
+	);
+
+	/**
+	 * Gets the entities that a field stores, like the posts of a post field.
+	 *
+	 * @param {string} control The control of the field, like 'post'.
+	 * @param {*}      value   The value of the field, the IDs.
+	 * @return {Object[]} The entities that exist.
+	 */
+	const getEntities = ( control, value ) => getEntityIds( value )
+		.map( ( id ) => entities[ control ]?.[ id ] )
+		.filter( Boolean );
+
+	/**
+	 * Gets the URL of a field, for the url filter, like {{example-image|url:large}}.
+	 *
+	 * @param {Object} field    The field.
+	 * @param {*}      rawValue The value of the field.
+	 * @param {string} size     The image size, like 'large'.
+	 * @return {string|undefined} The URL, or undefined if the field doesn't have one.
+	 */
+	const getUrl = ( field, rawValue, size ) => {
+		/**
+		 * Gets the URL of media at an image size, or of the full media if there's no such size.
+		 *
+		 * @param {number} mediaId The media ID.
+		 * @return {string} The URL, or '' if the media doesn't exist.
+		 */
+		const getMediaUrl = ( mediaId ) => media[ mediaId ]?.media_details?.sizes?.[ size ]?.source_url ||
+			media[ mediaId ]?.source_url ||
+			'';
+
+		if ( MEDIA_CONTROLS.includes( field.control ) ) {
+			// Backwards compatibility, as the image value used to be its URL instead of its post ID.
+			return 'string' === typeof rawValue && ! parseInt( rawValue )
+				? rawValue
+				: getMediaUrl( parseInt( rawValue ) );
+		}
+
+		if ( 'gallery' === field.control ) {
+			return castValueToString( getEntityIds( rawValue ).map( getMediaUrl ).filter( Boolean ) );
+		}
+
+		if ( 'link' === field.control ) {
+			return getLink( rawValue )?.url ?? '';
+		}
+
+		if ( 'post' === field.control ) {
+			return castValueToString(
+				getEntities( 'post', rawValue ).map( ( post ) => getPostProperty( post, 'permalink' ) ).filter( Boolean )
+			);
+		}
+
+		return undefined;
+	};
+
+	/**
+	 * Gets the value to output for a field, like block_field() does.
+	 *
+	 * @param {Object}                                                          field    The field.
+	 * @param {*}                                                               rawValue The value of the field.
+	 * @param {import('../../common/helpers/getTemplateTokens').TemplateFilter} [filter] A filter that needs the field, like url:large.
+	 * @return {string} The field value as a string.
+	 */
+	const getValue = ( field, rawValue, filter ) => {
+		if ( 'url' === filter?.name ) {
+			const url = getUrl( field, rawValue, filter.args[ 0 ] || 'full' );
+			if ( undefined !== url ) {
+				return url;
+			}
+		}
+
+		let value = castValue( rawValue, field );
+
+		if ( MEDIA_CONTROLS.includes( field.control ) ) {
+			// Backwards compatibility, as the image value used to be its URL instead of its post ID.
+			const legacySrc = 'string' === typeof rawValue && ! parseInt( rawValue )
+				? rawValue
+				: '';
+
+			value = media[ parseInt( rawValue ) ]?.source_url || legacySrc;
+		}
+
+		if ( 'gallery' === field.control ) {
+			value = getEntityIds( rawValue ).map( ( mediaId ) => media[ mediaId ]?.source_url ).filter( Boolean );
+		}
+
+		if ( 'post' === field.control ) {
+			value = getEntities( 'post', rawValue ).map( ( post ) => getPostProperty( post, 'title' ) ).filter( Boolean );
+		}
+
+		if ( [ 'taxonomy', 'user' ].includes( field.control ) ) {
+			value = getEntities( field.control, rawValue ).map( ( entity ) => entity.name ).filter( Boolean );
+		}
+
+		if ( DATE_CONTROLS.includes( field.control ) && field.display_format ) {
+			const isoDateTime = getIsoDateTime( rawValue );
+			value = isoDateTime ? dateI18n( field.display_format, getDate( isoDateTime ), undefined ) : '';
+		}
+
+		if ( 'link' === field.control ) {
+			value = getLinkMarkup( rawValue );
+		}
+
+		if ( 'color' === field.control ) {
+			value = getColorValue( rawValue );
+		}
+
+		if ( 'icon' === field.control ) {
+			value = getIconSvg( rawValue );
+		}
+
+		if ( 'code' === field.control ) {
+			value = getCodeMarkup( rawValue, field );
+		}
+
+		if ( 'inner_blocks' === field.control ) {
+			value = innerBlocks?.length ? serialize( innerBlocks ) : '';
+		}
+
+		/**
+		 * Filters the value to be output in the Template Editor markup.
+		 *
+		 * This is the equivalent of the PHP filter genesis_custom_blocks_field_value.
+		 *
+		 * @param {*}      value   The value.
+		 * @param {string} control The type of the control, like 'text'.
+		 */
+		return castValueToString(
+			applyFilters( 'genesisCustomBlocks.templateFieldValue', value, field.control )
+		);
+	};
+
+	/**
+	 * Gets the values of the block that the template can output.
+	 *
+	 * @type {import('../../common/helpers/renderTemplateMarkup').TemplateScope}
+	 */
+	const scope = {
+		getValue: ( fieldName, filter ) => {
+			if ( 'className' === fieldName ) {
+				return castValueToString( castValue( attributes.className, { type: 'string' } ) );
+			}
+
+			const [ postFieldName, property ] = fieldName.split( '.' );
+			if ( property ) {
+				return 'post' === fields[ postFieldName ]?.control && POST_PROPERTIES.includes( property )
+					? getEntities( 'post', attributes[ postFieldName ] )
+						.map( ( post ) => getPostProperty( post, property ) )
+						.filter( Boolean )
+						.join( ', ' )
+					: '';
+			}
+
+			return fields[ fieldName ]
+				? getValue( fields[ fieldName ], attributes[ fieldName ], filter )
+				: '';
+		},
+		getRawValue: ( fieldName ) => {
+			if ( 'className' === fieldName || fieldName.includes( '.' ) ) {
+				return scope.getValue( fieldName );
+			}
+
+			return fields[ fieldName ]
+				? castValue( attributes[ fieldName ], fields[ fieldName ] )
+				: undefined;
+		},
+		getRows: ( repeaterName ) => {
+			if ( 'post' === fields[ repeaterName ]?.control ) {
+				return getEntities( 'post', attributes[ repeaterName ] ).map( ( post ) => ( {
+					getValue: ( fieldName, filter ) => POST_PROPERTIES.includes( fieldName )
+						? getPostProperty( post, fieldName )
+						: scope.getValue( fieldName, filter ),
+					getRawValue: ( fieldName ) => POST_PROPERTIES.includes( fieldName )
+						? getPostProperty( post, fieldName )
+						: scope.getRawValue( fieldName ),
+					getRows: scope.getRows,
+				} ) );
+			}
+
+			if ( 'repeater' !== fields[ repeaterName ]?.control ) {
+				return [];
+			}
+
+			const subFields = fields[ repeaterName ].sub_fields || {};
+			return ( attributes[ repeaterName ]?.rows || [] ).map( ( row ) => ( {
+				getValue: ( fieldName, filter ) => subFields[ fieldName ]
+					? getValue( subFields[ fieldName ], row?.[ fieldName ], filter )
+					: scope.getValue( fieldName, filter ),
+				getRawValue: ( fieldName ) => subFields[ fieldName ]
+					? castValue( row?.[ fieldName ], subFields[ fieldName ] )
+					: scope.getRawValue( fieldName ),
+				getRows: scope.getRows,
+			} ) );
+		},
+	};
+
+	return (
+		<div className={ classNames( className, { [ getCssScopeClass( block.name ) ]: block.scopeCss } ) }>
+			{ block.templateCss
+				? <style>{ block.scopeCss ? getScopedCss( block.templateCss, getCssScopeClass( block.name ) ) : block.templateCss }</style>
+				: null
+			}
+			{ block.templateMarkup
+				? <RawHTML>{ safeHTML( renderTemplateMarkup( block.templateMarkup, scope ) ) }</RawHTML>
+				: (
+					<div className="notice notice-warning">
+						{ __( 'No Template Editor markup or template file was found:', 'genesis-custom-blocks' ) }
+						&nbsp;
+						<code>{ `blocks/${ block.name }/block.php` }</code>
+					</div>
+				)
+			}
+		</div>
+	);
+};
+
+export default ClientSideRender;
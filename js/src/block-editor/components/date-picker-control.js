@@ -0,0 +1,91 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { BaseControl, Button, DatePicker, DateTimePicker } from '@wordpress/components';
+import { format, getSettings } from '@wordpress/date';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getIsoDateTime, getStoredDateTime } from '../../common/helpers';
+
+/**
+ * Gets whether the site's time format uses a 12-hour clock, like 'g:i a'.
+ *
+ * @return {boolean} Whether the time format has am or pm.
+ */
+const is12HourTime = () => /[aA]/.test( getSettings().formats.time.replace( /\\./g, '' ) );
+
+/**
+ * @typedef {Object} DatePickerControlProps The component props.
+ * @property {Object}                field    The date or date and time field.
+ * @property {string}                id       The id attribute.
+ * @property {*}                     value    The field value, either ISO 8601 or a Unix timestamp.
+ * @property {function(string):void} onChange Handles the value changing, with the value to store.
+ */
+
+/**
+ * A date picker for a date field, or a date and time picker for a date and time field.
+ *
+ * Days before the earliest date or after the latest date can't be chosen.
+ *
+ * @param {DatePickerControlProps} props The component props.
+ * @return {React.ReactElement} The date picker.
+ */
+const DatePickerControl = ( { field, id, value, onChange } ) => {
+	const isoDateTime = getIsoDateTime( value );
+	const minDay = getIsoDateTime( field.min ).substring( 0, 10 );
+	const maxDay = getIsoDateTime( field.max ).substring( 0, 10 );
+
+	/**
+	 * Gets whether a day in the picker is outside of the field's range.
+	 *
+	 * @param {Date} day The day.
+	 * @return {boolean} Whether the day can't be chosen.
+	 */
+	const isInvalidDate = ( day ) => {
+		const formattedDay = format( 'Y-m-d', day );
+		return ( !! minDay && formattedDay < minDay ) || ( !! maxDay && formattedDay > maxDay );
+	};
+
+	/** @param {string|null} newDate The new date, like '2024-05-01T13:30:00'. */
+	const handleChange = ( newDate ) => onChange( newDate ? getStoredDateTime( newDate, field ) : '' );
+
+	return (
+		<BaseControl className="gcb-date-picker" label={ field.label } help={ field.help } id={ id }>
+			{ 'datetime' === field.control
+				? (
+					<DateTimePicker
+						currentDate={ isoDateTime || null }
+						is12Hour={ is12HourTime() }
+						isInvalidDate={ isInvalidDate }
+						onChange={ handleChange }
+					/>
+				)
+				: (
+					<DatePicker
+						currentDate={ isoDateTime || null }
+						isInvalidDate={ isInvalidDate }
+						onChange={ handleChange }
+					/>
+				)
+			}
+			{ isoDateTime
+				? (
+					<Button id={ id } className="gcb-date-picker__clear" variant="secondary" isSmall onClick={ () => onChange( '' ) }>
+						{ __( 'Clear', 'genesis-custom-blocks' ) }
+					</Button>
+				)
+				: null
+			}
+		</BaseControl>
+	);
+};
+
+export default DatePickerControl;
@@ -10,8 +10,8 @@ import { serialize } from '@wordpress/blocks';
 // @ts-ignore Declaration file is outdated.
 import { store as blockEditorStore } from '@wordpress/block-editor';
 import { Modal } from '@wordpress/components';
-import { useSelect } from '@wordpress/data';
-import { useState } from '@wordpress/element';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { useEffect, useState } from '@wordpress/element';
 import { __ } from '@wordpress/i18n';
 import { ENTER } from '@wordpress/keycodes';
 import ServerSideRender from '@wordpress/server-side-render';
@@ -19,8 +19,9 @@ import ServerSideRender from '@wordpress/server-side-render';
 /**
  * Internal dependencies
  */
-import { EditorForm, GcbInspector } from './';
+import { ClientSideRender, EditorForm, GcbInspector, ValidationSummary } from './';
 import { MEDIA_LIBRARY_BUTTON_CLASS } from '../constants';
+import { getValidationErrors } from '../helpers';
 import { getFieldsAsArray } from '../../common/helpers';
 import { EDITOR_LOCATION } from '../../common/constants';
 
@@ -47,6 +48,26 @@ const Edit = ( { block, blockProps } ) => {
 		[ blockProps.clientId ]
 	);
 
+	const validationErrors = getValidationErrors( block, blockProps.attributes );
+	const hasValidationErrors = validationErrors.length > 0;
+	const { lockPostSaving, unlockPostSaving } = useDispatch( 'core/editor' ) || {};
+
+	// Prevents saving the post while a field is invalid, like if a required field is empty.
+	useEffect( () => {
+		if ( ! lockPostSaving || ! unlockPostSaving ) {
+			return; // This isn't in the post editor, like in the widgets editor.
+		}
+
+		const lockName = `genesis-custom-blocks-validation-${ blockProps.clientId }`;
+		if ( hasValidationErrors ) {
+			lockPostSaving( lockName );
+		} else {
+			unlockPostSaving( lockName );
+		}
+
+		return () => unlockPostSaving( lockName );
+	}, [ blockProps.clientId, hasValidationErrors, lockPostSaving, unlockPostSaving ] );
+
 	/**
 	 * Gets whether the passed block has a selected InnerBlock.
 	 *
@@ -78,6 +99,7 @@ const Edit = ( { block, blockProps } ) => {
 		<>
 			<GcbInspector blockProps={ blockProps } block={ block } />
 			<div className={ blockProps.className } key={ `form-controls-${ block.name }` }>
+				<ValidationSummary errors={ validationErrors } />
 				{ ( blockProps.isSelected || isInnerBlockSelected ) && hasEditorField && ! block.displayModal
 					? <EditorForm block={ block } blockProps={ blockProps } />
 					: (
@@ -120,16 +142,27 @@ const Edit = ( { block, blockProps } ) => {
 										</Modal>
 									) : null
 								}
-								<ServerSideRender
-									block={ `genesis-custom-blocks/${ block.name }` }
-									attributes={ blockProps.attributes }
-									className="genesis-custom-blocks-editor__ssr"
-									httpMethod="POST"
-									urlQueryArgs={ { inner_blocks: innerBlocks
-										? encodeURIComponent( serialize( innerBlocks ) )
-										: '',
-									} }
-								/>
+								{ block.hasTemplateFile
+									? (
+										<ServerSideRender
+											block={ `genesis-custom-blocks/${ block.name }` }
+											attributes={ blockProps.attributes }
+											className="genesis-custom-blocks-editor__ssr"
+											httpMethod="POST"
+											urlQueryArgs={ { inner_blocks: innerBlocks
+												? encodeURIComponent( serialize( innerBlocks ) )
+												: '',
+											} }
+										/>
+									) : (
+										<ClientSideRender
+											block={ block }
+											attributes={ blockProps.attributes }
+											innerBlocks={ innerBlocks }
+											className="genesis-custom-blocks-editor__ssr"
+										/>
+									)
+								}
 							</div>
 						</>
 					)
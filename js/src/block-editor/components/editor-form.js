@@ -12,7 +12,8 @@ import { __ } from '@wordpress/i18n';
 /**
  * Internal dependencies
  */
-import { Fields } from './';
+import { Fields, GroupedFields } from './';
+import { EDITOR_LOCATION } from '../../common/constants';
 import { getFieldsAsArray, getIconComponent } from '../../common/helpers';
 
 /**
@@ -32,11 +33,18 @@ const EditorForm = ( { block, blockProps } ) => (
 			<Icon size={ 24 } icon={ getIconComponent( block.icon ) } />
 			{ block.title }
 		</h3>
-		<Fields
-			key={ `${ block.name }-fields` }
+		<GroupedFields
 			fields={ getFieldsAsArray( block.fields ) }
-			parentBlockProps={ blockProps }
-			parentBlock={ blockProps }
+			location={ EDITOR_LOCATION }
+			attributes={ blockProps.attributes }
+			renderFields={ ( fields ) => (
+				<Fields
+					key={ `${ block.name }-fields` }
+					fields={ fields }
+					parentBlockProps={ blockProps }
+					parentBlock={ blockProps }
+				/>
+			) }
 		/>
 	</div>
 );
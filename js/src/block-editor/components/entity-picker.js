@@ -0,0 +1,105 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { BaseControl, Button, ComboboxControl } from '@wordpress/components';
+import { useDebounce } from '@wordpress/compose';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * @typedef {Object} EntityOption An entity to choose, like a post.
+ * @property {string} value The ID of the entity, as a string.
+ * @property {string} label The label to display, like the post title.
+ */
+
+/**
+ * @typedef {Object} EntityPickerProps The component props.
+ * @property {Object}                  field    The field, which has the label, help, and whether it allows multiple entities.
+ * @property {string}                  id       The id attribute.
+ * @property {number[]}                value    The IDs of the chosen entities.
+ * @property {EntityOption[]}          selected The chosen entities, in order.
+ * @property {EntityOption[]}          results  The search results.
+ * @property {function(string):void}   onSearch Handles the search text changing.
+ * @property {function(number[]):void} onChange Handles the chosen entities changing.
+ */
+
+/**
+ * A searchable picker for entities like posts, terms, or users, which stores their IDs.
+ *
+ * @param {EntityPickerProps} props The component props.
+ * @return {React.ReactElement} The entity picker.
+ */
+const EntityPicker = ( { field, id, value, selected, results, onSearch, onChange } ) => {
+	const debouncedOnSearch = useDebounce( onSearch, 300 );
+	const unselectedResults = results.filter( ( result ) => ! value.includes( parseInt( result.value ) ) );
+
+	if ( ! field.multiple ) {
+		return (
+			<ComboboxControl
+				className="gcb-entity-picker"
+				label={ field.label }
+				help={ field.help }
+				value={ value.length ? String( value[ 0 ] ) : null }
+				options={ [ ...selected, ...unselectedResults ] }
+				onFilterValueChange={ debouncedOnSearch }
+				onChange={ ( newId ) => {
+					onChange( newId ? [ parseInt( newId ) ] : [] );
+				} }
+			/>
+		);
+	}
+
+	return (
+		<BaseControl className="gcb-entity-picker" label={ field.label } help={ field.help } id={ id }>
+			{ selected.length
+				? (
+					<ul className="gcb-entity-picker__selected">
+						{ selected.map( ( option ) => (
+							<li className="gcb-entity-picker__item" key={ `gcb-entity-${ option.value }` }>
+								<span>{ option.label }</span>
+								<Button
+									isSmall
+									isDestructive
+									variant="link"
+									label={ sprintf(
+										/* translators: %1$s: the label, like a post title */
+										__( 'Remove %1$s', 'genesis-custom-blocks' ),
+										option.label
+									) }
+									onClick={ () => {
+										onChange( value.filter( ( entityId ) => parseInt( option.value ) !== entityId ) );
+									} }
+								>
+									{ __( 'Remove', 'genesis-custom-blocks' ) }
+								</Button>
+							</li>
+						) ) }
+					</ul>
+				)
+				: null
+			}
+			<ComboboxControl
+				label={ sprintf(
+					/* translators: %1$s: the field label */
+					__( 'Add to %1$s', 'genesis-custom-blocks' ),
+					field.label
+				) }
+				hideLabelFromVision
+				value={ null }
+				options={ unselectedResults }
+				onFilterValueChange={ debouncedOnSearch }
+				onChange={ ( newId ) => {
+					if ( newId ) {
+						onChange( [ ...value, parseInt( newId ) ] );
+					}
+				} }
+			/>
+		</BaseControl>
+	);
+};
+
+export default EntityPicker;
@@ -9,6 +9,11 @@ import * as React from 'react';
 import { applyFilters } from '@wordpress/hooks';
 import { select } from '@wordpress/data';
 
+/**
+ * Internal dependencies
+ */
+import { meetsConditions, validateField } from '../../common/helpers';
+
 /**
  * Gets the control function for the field.
  *
@@ -51,10 +56,25 @@ const Fields = ( { fields, parentBlock, parentBlockProps, rowIndex, context } )
 	<>
 		{
 			fields.map( ( field ) => {
-				if ( field.location && ! field.location.includes( 'editor' ) ) {
+				// Sub-fields in repeater rows display wherever their repeater is, so their location doesn't matter.
+				if ( undefined === rowIndex && field.location && ! field.location.includes( 'editor' ) ) {
 					return null; // This is not meant for the editor.
 				}
 
+				/**
+				 * Gets the value of a sibling field, which is in the same repeater row if this is in one.
+				 *
+				 * @param {string} fieldName The name of the sibling field.
+				 * @return {*} The value of the sibling field.
+				 */
+				const getSiblingValue = ( fieldName ) => undefined === rowIndex
+					? parentBlockProps.attributes?.[ fieldName ]
+					: parentBlockProps.attributes?.[ field.parent ]?.rows?.[ rowIndex ]?.[ fieldName ];
+
+				if ( ! meetsConditions( field.conditions, getSiblingValue ) ) {
+					return null;
+				}
+
 				/**
 				 * Handles a single control value changing.
 				 *
@@ -69,7 +89,9 @@ const Fields = ( { fields, parentBlock, parentBlockProps, rowIndex, context } )
 				 */
 				const onChange = ( newValue ) => {
 					const { clientId, setAttributes } = parentBlockProps;
-					const parentAttributes = select( 'core/block-editor' ).getBlockAttributes( clientId );
+					// Outside of the block editor, like in the GCB Editor Preview, there's no block to get the attributes from.
+					const parentAttributes = select( 'core/block-editor' ).getBlockAttributes( clientId ) ||
+						parentBlockProps.attributes;
 					const attr = { ...parentAttributes };
 
 					if ( undefined === rowIndex ) {
@@ -80,12 +102,17 @@ const Fields = ( { fields, parentBlock, parentBlockProps, rowIndex, context } )
 						// This is in a repeater row.
 						const attribute = attr[ field.parent ];
 						const defaultRows = [ {} ];
-						const rows = ( attribute && attribute.rows ) ? attribute.rows : defaultRows;
+						const rows = ( attribute && attribute.rows ) ? [ ...attribute.rows ] : defaultRows;
 
-						if ( ! rows[ rowIndex ] ) {
-							rows[ rowIndex ] = {};
+						// The repeater can display rows that aren't saved yet, like for its minimum rows.
+						while ( rows.length < rowIndex ) {
+							rows.push( {} );
 						}
-						rows[ rowIndex ][ field.name ] = newValue;
+
+						rows[ rowIndex ] = {
+							...rows[ rowIndex ],
+							[ field.name ]: newValue,
+						};
 						attr[ field.parent ] = { rows };
 						parentBlockProps.setAttributes( attr );
 					}
@@ -110,13 +137,14 @@ const Fields = ( { fields, parentBlock, parentBlockProps, rowIndex, context } )
 
 					if ( ownField.parent && attr[ ownField.parent ] && attr[ ownField.parent ].rows ) {
 						// The ownField is probably in a repeater row, as it has a parent.
-						return attr[ ownField.parent ].rows[ ownRowIndex ][ ownField.name ];
+						return attr[ ownField.parent ].rows[ ownRowIndex ]?.[ ownField.name ];
 					}
 					// The ownField is not in a repeater row.
 					return attr[ ownField.name ];
 				};
 
 				const Control = getControl( field );
+				const validationError = validateField( field, getValue( { field, parentBlockProps, rowIndex } ) );
 
 				return Control
 					? <div className={ getClassName( field ) } key={ `${ field.name }-control-${ rowIndex }` }>
@@ -129,6 +157,10 @@ const Fields = ( { fields, parentBlock, parentBlockProps, rowIndex, context } )
 							parentBlockProps={ parentBlockProps }
 							context={ context }
 						/>
+						{ validationError
+							? <p className="genesis-custom-blocks-control__error">{ validationError }</p>
+							: null
+						}
 					</div>
 					: null;
 			} )
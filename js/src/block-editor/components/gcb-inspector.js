@@ -13,7 +13,9 @@ import { applyFilters } from '@wordpress/hooks';
 /**
  * Internal dependencies
  */
-import { getFieldsAsArray } from '../../common/helpers';
+import { GroupedFields } from './';
+import { INSPECTOR_LOCATION } from '../../common/constants';
+import { getFieldsAsArray, meetsConditions, validateField } from '../../common/helpers';
 
 /**
  * Gets the rendered controls for the Inspector Controls, based on the field values.
@@ -23,40 +25,72 @@ import { getFieldsAsArray } from '../../common/helpers';
  * @param {Object} props.block      The block.
  * @return {React.ReactElement} The inspector controls.
  */
-const GcbInspector = ( { blockProps, block } ) => (
-	<InspectorControls>
-		{ getFieldsAsArray( block.fields ).map( ( field ) => {
-			// If it's not meant for the inspector, continue (return null).
-			if ( ! field.location || ! field.location.includes( 'inspector' ) ) {
-				return null;
-			}
-
-			const loadedControls = applyFilters( 'genesisCustomBlocks.controls', {} );
-			const Control = loadedControls[ field.control ];
-			if ( ! Control ) {
-				return null;
-			}
-
-			return (
-				<PanelBody
-					className="gcb-inspector-form"
-					key={ `inspector-controls-panel-${ field.name }` }
-				>
-					<Control
-						field={ field }
-						getValue={ () => blockProps.attributes[ field.name ] }
-						onChange={ ( newValue ) => {
-							blockProps.setAttributes( {
-								[ field.name ]: newValue,
-							} );
-						} }
-						parentBlock={ block }
-						parentBlockProps={ blockProps }
-					/>
-				</PanelBody>
-			);
-		} ) }
-	</InspectorControls>
-);
+const GcbInspector = ( { blockProps, block } ) => {
+	/**
+	 * Renders the control of a field, if it meets its conditions.
+	 *
+	 * @param {Object} field The field to render.
+	 * @return {React.ReactElement|null} The control.
+	 */
+	const renderControl = ( field ) => {
+		if ( ! meetsConditions( field.conditions, ( fieldName ) => blockProps.attributes[ fieldName ] ) ) {
+			return null;
+		}
+
+		const loadedControls = applyFilters( 'genesisCustomBlocks.controls', {} );
+		const Control = loadedControls[ field.control ];
+		if ( ! Control ) {
+			return null;
+		}
+
+		const validationError = validateField( field, blockProps.attributes[ field.name ] );
+
+		return (
+			<React.Fragment key={ `inspector-controls-${ field.name }` }>
+				<Control
+					field={ field }
+					getValue={ () => blockProps.attributes[ field.name ] }
+					onChange={ ( newValue ) => {
+						blockProps.setAttributes( {
+							[ field.name ]: newValue,
+						} );
+					} }
+					parentBlock={ block }
+					parentBlockProps={ blockProps }
+				/>
+				{ validationError
+					? <p className="genesis-custom-blocks-control__error">{ validationError }</p>
+					: null
+				}
+			</React.Fragment>
+		);
+	};
+
+	return (
+		<InspectorControls>
+			<GroupedFields
+				fields={ getFieldsAsArray( block.fields ) }
+				location={ INSPECTOR_LOCATION }
+				attributes={ blockProps.attributes }
+				renderFields={ ( fields ) => fields.map( renderControl ) }
+				renderUngroupedFields={ ( fields ) => fields.map( ( field ) => {
+					const control = renderControl( field );
+
+					// Each field that isn't in a group has its own panel.
+					return control
+						? (
+							<PanelBody
+								className="gcb-inspector-form"
+								key={ `inspector-controls-panel-${ field.name }` }
+							>
+								{ control }
+							</PanelBody>
+						)
+						: null;
+				} ) }
+			/>
+		</InspectorControls>
+	);
+};
 
 export default GcbInspector;
@@ -0,0 +1,133 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { PanelBody, TabPanel } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import { INSPECTOR_LOCATION } from '../../common/constants';
+import { getGroupedFields, meetsConditions } from '../../common/helpers';
+
+/**
+ * @callback RenderFields Renders fields.
+ * @param {Object[]} fields The fields to render.
+ * @return {React.ReactNode} The rendered fields.
+ */
+
+/**
+ * @typedef {Object} AccordionProps The component props.
+ * @property {import('../../common/helpers/getGroupedFields').FieldGroup[]} groups       The groups, which are the sections.
+ * @property {RenderFields}                                                 renderFields Renders the fields in a section.
+ */
+
+/**
+ * Groups as accordion sections, where only one section is open at a time.
+ *
+ * @param {AccordionProps} props The component props.
+ * @return {React.ReactElement} The accordion.
+ */
+const Accordion = ( { groups, renderFields } ) => {
+	const [ openGroup, setOpenGroup ] = useState(
+		groups.find( ( { group } ) => ! group.collapsed )?.group.name || null
+	);
+
+	return (
+		<div className="gcb-field-group gcb-field-group--accordion">
+			{ groups.map( ( { group, fields } ) => (
+				<PanelBody
+					key={ `gcb-accordion-${ group.name }` }
+					title={ group.label }
+					opened={ group.name === openGroup }
+					onToggle={ () => setOpenGroup( group.name === openGroup ? null : group.name ) }
+				>
+					{ group.help ? <p className="gcb-field-group__help">{ group.help }</p> : null }
+					{ renderFields( fields ) }
+				</PanelBody>
+			) ) }
+		</div>
+	);
+};
+
+/**
+ * @typedef {Object} GroupedFieldsProps The component props.
+ * @property {Object[]}     fields                  The fields, in order.
+ * @property {string}       location                The location to render, like 'editor'.
+ * @property {Object}       attributes              The block attributes, which decide whether groups meet their conditions.
+ * @property {RenderFields} renderFields            Renders the fields in a group.
+ * @property {RenderFields} [renderUngroupedFields] Renders the fields that aren't in a group, if that's different.
+ */
+
+/**
+ * Renders fields in their groups, as tabs, accordion sections or panels.
+ *
+ * @param {GroupedFieldsProps} props The component props.
+ * @return {React.ReactElement} The fields in their groups.
+ */
+const GroupedFields = ( { fields, location, attributes, renderFields, renderUngroupedFields = renderFields } ) => (
+	<>
+		{ getGroupedFields( fields, location ).map( ( item, index ) => {
+			const key = `gcb-field-group-${ location }-${ index }`;
+			if ( ! item.layout ) {
+				return <React.Fragment key={ key }>{ renderUngroupedFields( item.fields ) }</React.Fragment>;
+			}
+
+			const groups = item.groups.filter(
+				( { group } ) => meetsConditions( group.conditions, ( fieldName ) => attributes?.[ fieldName ] )
+			);
+			if ( ! groups.length ) {
+				return null;
+			}
+
+			if ( 'accordion' === item.layout ) {
+				return <Accordion key={ key } groups={ groups } renderFields={ renderFields } />;
+			}
+
+			if ( 'tabs' === item.layout ) {
+				const tabPanel = (
+					<TabPanel
+						className="gcb-field-group gcb-field-group--tabs"
+						tabs={ groups.map( ( { group } ) => ( { name: group.name, title: group.label } ) ) }
+					>
+						{ ( tab ) => {
+							const { group, fields: groupFields } = groups.find( ( fieldGroup ) => tab.name === fieldGroup.group.name );
+
+							return (
+								<>
+									{ group.help ? <p className="gcb-field-group__help">{ group.help }</p> : null }
+									{ renderFields( groupFields ) }
+								</>
+							);
+						} }
+					</TabPanel>
+				);
+
+				// In the inspector, everything is in a panel.
+				return INSPECTOR_LOCATION === location
+					? <PanelBody key={ key }>{ tabPanel }</PanelBody>
+					: <React.Fragment key={ key }>{ tabPanel }</React.Fragment>;
+			}
+
+			const { group, fields: groupFields } = groups[ 0 ];
+			return (
+				<PanelBody
+					className="gcb-field-group gcb-field-group--panel"
+					key={ key }
+					title={ group.label }
+					initialOpen={ ! group.collapsed }
+				>
+					{ group.help ? <p className="gcb-field-group__help">{ group.help }</p> : null }
+					{ renderFields( groupFields ) }
+				</PanelBody>
+			);
+		} ) }
+	</>
+);
+
+export default GroupedFields;
@@ -1,5 +1,10 @@
+export { default as ClientSideRender } from './client-side-render';
+export { default as DatePickerControl } from './date-picker-control';
 export { default as Edit } from './edit';
+export { default as EntityPicker } from './entity-picker';
 export { default as EditorForm } from './editor-form';
 export { default as Fields } from './fields';
 export { default as GcbInspector } from './gcb-inspector';
+export { default as GroupedFields } from './grouped-fields';
 export { default as RepeaterRows } from './repeater-rows';
+export { default as ValidationSummary } from './validation-summary';
@@ -2,14 +2,15 @@
  * External dependencies
  */
 import * as React from 'react';
+import classNames from 'classnames';
 
 /**
  * WordPress dependencies
  */
 import { BaseControl, Button } from '@wordpress/components';
 import { Component, createRef } from '@wordpress/element';
-import { __ } from '@wordpress/i18n';
 import { getScrollContainer } from '@wordpress/dom';
+import { __, sprintf } from '@wordpress/i18n';
 
 /**
  * Internal dependencies
@@ -35,11 +36,14 @@ class RepeaterRows extends Component {
 		this.removeRow = this.removeRow.bind( this );
 		this.move = this.move.bind( this );
 		this.getRows = this.getRows.bind( this );
+		this.toggleRow = this.toggleRow.bind( this );
+		this.getRowSummary = this.getRowSummary.bind( this );
 
 		this.repeaterRows = createRef();
 
 		this.state = {
 			activeRow: 0,
+			collapsedRows: [],
 		};
 		this.timeouts = [];
 	}
@@ -62,8 +66,8 @@ class RepeaterRows extends Component {
 	 * @return {string|null} parent The parent of the fields.
 	 */
 	getParent() {
-		const { subFields } = this.props;
-		let parent = null;
+		const { field: repeaterField, subFields } = this.props;
+		let parent = subFields.length ? null : repeaterField.name;
 		for ( const field in subFields ) {
 			if ( subFields.hasOwnProperty( field ) ) {
 				if ( parent && parent !== subFields[ field ].parent ) {
@@ -102,6 +106,13 @@ class RepeaterRows extends Component {
 
 			attr[ parentName ] = { rows };
 			parentBlockProps.setAttributes( attr );
+
+			// The rows after the removed row move up by 1, so their collapsed state should too.
+			this.setState( ( { collapsedRows } ) => ( {
+				collapsedRows: collapsedRows
+					.filter( ( rowIndex ) => rowIndex !== index )
+					.map( ( rowIndex ) => rowIndex > index ? rowIndex - 1 : rowIndex ),
+			} ) );
 		};
 	}
 
@@ -142,16 +153,71 @@ class RepeaterRows extends Component {
 
 			// Calling slice() essentially creates a copy of repeaterRows.
 			// Without this, it looks like setAttributes() doesn't recognize a change to the array, and the component doesn't re-render.
+			if ( to < 0 || to >= repeaterRows.length ) {
+				return;
+			}
+
 			const rows = repeaterRows.slice();
 			[ rows[ from ], rows[ to ] ] = [ rows[ to ], rows[ from ] ];
 
 			attr[ parentName ] = { rows };
 			parentBlockProps.setAttributes( attr );
 
+			// The collapsed state should move with the rows.
+			this.setState( ( { collapsedRows } ) => ( {
+				collapsedRows: collapsedRows.map( ( rowIndex ) => {
+					if ( rowIndex === from ) {
+						return to;
+					}
+
+					return rowIndex === to ? from : rowIndex;
+				} ),
+			} ) );
+
 			scrollView();
 		};
 	}
 
+	/**
+	 * On clicking the 'collapse' or 'expand' button in a repeater row, this toggles whether its fields display.
+	 *
+	 * @param {number} index The index of the row to toggle, 0 being the first.
+	 */
+	toggleRow( index ) {
+		return () => {
+			this.setState( ( { collapsedRows } ) => ( {
+				collapsedRows: collapsedRows.includes( index )
+					? collapsedRows.filter( ( rowIndex ) => rowIndex !== index )
+					: [ ...collapsedRows, index ],
+			} ) );
+		};
+	}
+
+	/**
+	 * Gets a summary of a row, to display when it's collapsed.
+	 *
+	 * This is the value of the first sub-field that has a text value.
+	 *
+	 * @param {Object} row      The repeater row.
+	 * @param {number} rowIndex The index of the row, 0 being the first.
+	 * @return {string} The summary of the row.
+	 */
+	getRowSummary( row, rowIndex ) {
+		const { subFields } = this.props;
+		const summaryField = subFields.find( ( subField ) => {
+			const value = row?.[ subField.name ];
+			return ( 'string' === typeof value || 'number' === typeof value ) && '' !== String( value ).trim();
+		} );
+
+		return summaryField
+			? String( row[ summaryField.name ] )
+			: sprintf(
+				/* translators: %1$d: the row number */
+				__( 'Row %1$d', 'genesis-custom-blocks' ),
+				rowIndex + 1
+			);
+	}
+
 	/**
 	 * Gets the rows or a default.
 	 *
@@ -175,8 +241,31 @@ class RepeaterRows extends Component {
 						rows.map( ( row, rowIndex ) => {
 							const activeClass = this.state.activeRow === parseInt( rowIndex ) ? 'active' : ''; // @todo: Make this dynamic.
 
+							const isCollapsed = this.state.collapsedRows.includes( rowIndex );
+
 							return (
-								<BaseControl className={ `genesis-custom-blocks-repeater--row ${ activeClass }` } key={ `gcb-row-${ rowIndex }` }>
+								<BaseControl
+									className={ classNames(
+										'genesis-custom-blocks-repeater--row',
+										activeClass,
+										{ 'is-collapsed': isCollapsed }
+									) }
+									key={ `gcb-row-${ rowIndex }` }
+								>
+									<div className="genesis-custom-blocks-repeater--row-toggle">
+										<Button
+											icon={ isCollapsed ? 'arrow-right-alt2' : 'arrow-down-alt2' }
+											key={ `${ rowIndex }-toggle` }
+											className="button-toggle"
+											label={ isCollapsed
+												? __( 'Expand', 'genesis-custom-blocks' )
+												: __( 'Collapse', 'genesis-custom-blocks' )
+											}
+											aria-expanded={ ! isCollapsed }
+											onClick={ this.toggleRow( rowIndex ) }
+											isSmall
+										/>
+									</div>
 									<div className="genesis-custom-blocks-repeater--row-delete">
 										<Button
 											icon="no"
@@ -188,12 +277,23 @@ class RepeaterRows extends Component {
 											isSmall
 										/>
 									</div>
-									<Fields
-										fields={ subFields }
-										parentBlockProps={ parentBlockProps }
-										parentBlock={ parentBlock }
-										rowIndex={ rowIndex }
-									/>
+									{ isCollapsed
+										? (
+											<button
+												className="genesis-custom-blocks-repeater--row-summary"
+												onClick={ this.toggleRow( rowIndex ) }
+											>
+												{ this.getRowSummary( row, rowIndex ) }
+											</button>
+										) : (
+											<Fields
+												fields={ subFields }
+												parentBlockProps={ parentBlockProps }
+												parentBlock={ parentBlock }
+												rowIndex={ rowIndex }
+											/>
+										)
+									}
 									<div className="genesis-custom-blocks-repeater--row-actions">
 										<Button
 											icon="arrow-up-alt2"
@@ -201,6 +301,7 @@ class RepeaterRows extends Component {
 											className="button-move-up"
 											label={ __( 'Move up', 'genesis-custom-blocks' ) }
 											onClick={ this.move( rowIndex, rowIndex - 1 ) }
+											disabled={ 0 === rowIndex }
 											isSmall
 										/>
 										<Button
@@ -209,6 +310,7 @@ class RepeaterRows extends Component {
 											className="button-move-down"
 											label={ __( 'Move down', 'genesis-custom-blocks' ) }
 											onClick={ this.move( rowIndex, rowIndex + 1 ) }
+											disabled={ rowIndex >= rows.length - 1 }
 											isSmall
 										/>
 									</div>
@@ -0,0 +1,48 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { Notice } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * @typedef {Object} ValidationSummaryProps The component props.
+ * @property {import('../helpers/getValidationErrors').ValidationError[]} errors The validation errors.
+ */
+
+/**
+ * Lists the fields that have validation errors, which prevent saving the post.
+ *
+ * @param {ValidationSummaryProps} props The component props.
+ * @return {React.ReactElement|null} The summary, if there are errors.
+ */
+const ValidationSummary = ( { errors } ) => {
+	if ( ! errors.length ) {
+		return null;
+	}
+
+	return (
+		<Notice
+			className="genesis-custom-blocks-validation-summary"
+			status="error"
+			isDismissible={ false }
+		>
+			<p>{ __( 'Please fix these fields before saving:', 'genesis-custom-blocks' ) }</p>
+			<ul>
+				{ errors.map( ( error, index ) => (
+					<li key={ `validation-error-${ error.fieldName }-${ index }` }>
+						<strong>{ error.label }</strong>
+						{ ': ' }
+						{ error.message }
+					</li>
+				) ) }
+			</ul>
+		</Notice>
+	);
+};
+
+export default ValidationSummary;
@@ -1 +1,7 @@
 export const MEDIA_LIBRARY_BUTTON_CLASS = 'editor-media-placeholder__button';
+
+/**
+ * The maximum number of search results in a picker for posts, terms, or users.
+ * For posts, it's the maximum for each post type.
+ */
+export const ENTITY_SEARCH_RESULTS = 20;
@@ -0,0 +1,62 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+import AceEditor from 'react-ace';
+import 'ace-builds/src-noconflict/mode-css';
+import 'ace-builds/src-noconflict/mode-html';
+import 'ace-builds/src-noconflict/mode-javascript';
+import 'ace-builds/src-noconflict/mode-json';
+import 'ace-builds/src-noconflict/mode-markdown';
+import 'ace-builds/src-noconflict/mode-php';
+import 'ace-builds/src-noconflict/mode-python';
+import 'ace-builds/src-noconflict/mode-ruby';
+import 'ace-builds/src-noconflict/mode-sh';
+import 'ace-builds/src-noconflict/mode-sql';
+import 'ace-builds/src-noconflict/mode-text';
+import 'ace-builds/src-noconflict/mode-xml';
+import 'ace-builds/src-noconflict/mode-yaml';
+import 'ace-builds/src-noconflict/theme-github';
+import 'ace-builds/src-noconflict/theme-monokai';
+import 'ace-builds/src-noconflict/theme-solarized_dark';
+import 'ace-builds/src-noconflict/theme-solarized_light';
+import 'ace-builds/src-noconflict/theme-textmate';
+import 'ace-builds/src-noconflict/theme-tomorrow_night';
+
+/**
+ * WordPress dependencies
+ */
+import { BaseControl } from '@wordpress/components';
+
+const GcbCodeControl = ( props ) => {
+	const { field, getValue, onChange, parentBlockProps } = props;
+	const initialValue = getValue( props );
+	const value = 'undefined' !== typeof initialValue ? initialValue : field.default;
+	const id = `gcb-code-${ parentBlockProps?.clientId }-${ field.name }`;
+
+	return (
+		<BaseControl label={ field.label } help={ field.help } id={ id } className="gcb-code">
+			<AceEditor
+				name={ id }
+				value={ value || '' }
+				mode={ field.language || 'text' }
+				theme={ field.theme || 'textmate' }
+				width="100%"
+				minLines={ 5 }
+				maxLines={ 30 }
+				showGutter={ false !== field.line_numbers }
+				showPrintMargin={ false }
+				onChange={ onChange }
+				editorProps={ {
+					$blockScrolling: true,
+				} }
+				setOptions={ {
+					useWorker: false,
+					tabSize: 2,
+				} }
+			/>
+		</BaseControl>
+	);
+};
+
+export default GcbCodeControl;
@@ -6,60 +6,115 @@ import * as React from 'react';
 /**
  * WordPress dependencies
  */
-import { BaseControl, ColorIndicator, ColorPicker, Popover, TextControl } from '@wordpress/components';
+import { store as blockEditorStore } from '@wordpress/block-editor';
+import { BaseControl, Button, ButtonGroup, ColorPalette, GradientPicker } from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
 import { useState } from '@wordpress/element';
 import { __ } from '@wordpress/i18n';
 
+/**
+ * Internal dependencies
+ */
+import { COLOR_PRESET_REGEX } from '../../common/constants';
+
+/**
+ * Gets the color or gradient of a preset value, like '#ff0000' for 'var:preset|color|red'.
+ *
+ * @param {string}   value   The field value.
+ * @param {string}   type    The type of preset, 'color' or 'gradient'.
+ * @param {Object[]} presets The colors or gradients of the palette.
+ * @return {string|undefined} The color or gradient, or undefined if it's not that type.
+ */
+const getPaletteValue = ( value, type, presets ) => {
+	if ( ! value || 'string' !== typeof value ) {
+		return undefined;
+	}
+
+	const preset = value.match( COLOR_PRESET_REGEX );
+	if ( ! preset ) {
+		return ( 'gradient' === type ) === value.includes( 'gradient(' ) ? value : undefined;
+	}
+
+	return type === preset[ 1 ]
+		? presets.find( ( { slug } ) => slug === preset[ 2 ] )?.[ type ]
+		: undefined;
+};
+
+/**
+ * Gets the value to store for a color or gradient, which is a preset if it's in the palette.
+ *
+ * @param {string|undefined} newValue The color or gradient, like '#ff0000'.
+ * @param {string}           type     The type of preset, 'color' or 'gradient'.
+ * @param {Object[]}         presets  The colors or gradients of the palette.
+ * @return {string} The value to store, like 'var:preset|color|red'.
+ */
+const getStoredValue = ( newValue, type, presets ) => {
+	if ( ! newValue ) {
+		return '';
+	}
+
+	const preset = presets.find( ( { [ type ]: presetValue } ) => presetValue === newValue );
+	return preset ? `var:preset|${ type }|${ preset.slug }` : newValue;
+};
+
 const GcbColorControl = ( props ) => {
-	const { field, getValue, onChange } = props;
+	const { field, getValue, onChange, parentBlockProps } = props;
 	const initialValue = getValue( props );
-	const [ isVisible, setIsVisible ] = useState( false );
-	const handleColorChange = ( newValue ) => {
-		let newColor = newValue.hex;
-		if ( newValue.rgb.a < 1 ) {
-			newColor = 'rgba(' + newValue.rgb.r + ', ' + newValue.rgb.g + ', ' + newValue.rgb.b + ', ' + newValue.rgb.a + ')';
-		}
+	const value = 'undefined' !== typeof initialValue ? initialValue : field.default;
+	const id = `gcb-color-${ parentBlockProps?.clientId }-${ field.name }`;
 
-		onChange( newColor );
-	};
+	const { colors, gradients } = useSelect(
+		( select ) => {
+			// @ts-ignore The function isn't in the declaration file.
+			const settings = select( blockEditorStore ).getSettings();
+			return {
+				colors: settings.colors || [],
+				gradients: settings.gradients || [],
+			};
+		},
+		[]
+	);
+	const [ isGradient, setIsGradient ] = useState(
+		Boolean( field.gradients ) && undefined !== getPaletteValue( value, 'gradient', gradients )
+	);
 
-	const value = 'undefined' !== typeof initialValue ? initialValue : field.default;
-	const id = `gcb-color-${ field ? field.name : '' }`;
+	// Without a theme palette, only allowing the palette would leave nothing to choose.
+	const disableCustomColors = Boolean( field.palette_only ) && colors.length > 0;
+	const disableCustomGradients = Boolean( field.palette_only ) && gradients.length > 0;
 
 	return (
 		<BaseControl label={ field.label } id={ id } className="genesis-custom-blocks-color-control" help={ field.help }>
-			<TextControl
-				id={ id }
-				value={ value }
-				onChange={ onChange }
-			/>
-			<BaseControl
-				className="genesis-custom-blocks-color-popover"
-				id={ __( 'Color control picker', 'genesis-custom-blocks' ) }
-			>
-				<ColorIndicator
-					colorValue={ value }
-					onMouseDown={ ( event ) => {
-						event.preventDefault(); // Prevent the popover blur.
-					} }
-					onClick={ () => setIsVisible( true ) }
-				/>
-			</BaseControl>
-			{ isVisible
+			{ field.gradients
 				? (
-					<Popover
-						onClick={ ( event ) => event.stopPropagation() }
-						onClose={ () => setIsVisible( false ) }
-					>
-						<ColorPicker
-							color={ value }
-							onChangeComplete={ ( newValue ) => {
-								handleColorChange( newValue );
-							} }
-						/>
-					</Popover>
+					<ButtonGroup className="gcb-color__type">
+						<Button isPressed={ ! isGradient } onClick={ () => setIsGradient( false ) }>
+							{ __( 'Solid', 'genesis-custom-blocks' ) }
+						</Button>
+						<Button isPressed={ isGradient } onClick={ () => setIsGradient( true ) }>
+							{ __( 'Gradient', 'genesis-custom-blocks' ) }
+						</Button>
+					</ButtonGroup>
 				) : null
 			}
+			{ isGradient
+				? (
+					<GradientPicker
+						__nextHasNoMargin
+						value={ getPaletteValue( value, 'gradient', gradients ) || null }
+						gradients={ gradients }
+						disableCustomGradients={ disableCustomGradients }
+						onChange={ ( newGradient ) => onChange( getStoredValue( newGradient, 'gradient', gradients ) ) }
+					/>
+				) : (
+					<ColorPalette
+						value={ getPaletteValue( value, 'color', colors ) }
+						colors={ colors }
+						disableCustomColors={ disableCustomColors }
+						enableAlpha
+						onChange={ ( newColor ) => onChange( getStoredValue( newColor, 'color', colors ) ) }
+					/>
+				)
+			}
 		</BaseControl>
 	);
 };
@@ -0,0 +1,24 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { DatePickerControl } from '../components';
+
+const GcbDateControl = ( props ) => {
+	const { field, getValue, onChange, parentBlockProps } = props;
+
+	return (
+		<DatePickerControl
+			field={ field }
+			id={ `gcb-date-${ parentBlockProps?.clientId }-${ field.name }` }
+			value={ getValue( props ) }
+			onChange={ onChange }
+		/>
+	);
+};
+
+export default GcbDateControl;
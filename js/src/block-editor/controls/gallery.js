@@ -0,0 +1,192 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+import classNames from 'classnames';
+
+/**
+ * WordPress dependencies
+ */
+import { MediaUpload, MediaUploadCheck } from '@wordpress/block-editor';
+import {
+	BaseControl,
+	Button,
+	DropZone,
+	FormFileUpload,
+	Spinner,
+} from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { MEDIA_LIBRARY_BUTTON_CLASS } from '../constants';
+import { getEntityIds } from '../helpers';
+import { useGallery } from '../hooks';
+
+const allowedTypes = [ 'image' ];
+
+const GcbGalleryControl = ( props ) => {
+	const { field, getValue, onChange, parentBlockProps } = props;
+	const imageIds = getEntityIds( getValue( props ) );
+	const max = parseInt( field.max ) || 0;
+	const {
+		images,
+		isUploading,
+		onSelect,
+		moveImage,
+		removeImage,
+		uploadFiles,
+	} = useGallery( imageIds, onChange, max );
+	const [ draggedIndex, setDraggedIndex ] = useState( null );
+	const [ dropIndex, setDropIndex ] = useState( null );
+	const id = `gcb-gallery-${ parentBlockProps?.clientId }-${ field.name }`;
+	const isFull = !! max && imageIds.length >= max;
+
+	return (
+		<BaseControl className="genesis-custom-blocks-media-controls gcb-gallery" label={ field.label } id={ id }>
+			{ !! field.help
+				? <p className="components-base-control__help">{ field.help }</p>
+				: null
+			}
+			{ images.length
+				? (
+					<ul className="gcb-gallery__images">
+						{ images.map( ( image, index ) => (
+							<li
+								className={ classNames( 'gcb-gallery__image', {
+									'is-dragging': index === draggedIndex,
+									'is-drop-target': index === dropIndex && index !== draggedIndex,
+								} ) }
+								key={ `gcb-gallery-image-${ image.id }` }
+								draggable
+								onDragStart={ ( event ) => {
+									event.stopPropagation();
+									event.dataTransfer.effectAllowed = 'move';
+									setDraggedIndex( index );
+								} }
+								onDragOver={ ( event ) => {
+									if ( null === draggedIndex ) {
+										return;
+									}
+
+									event.preventDefault();
+									event.stopPropagation();
+									setDropIndex( index );
+								} }
+								onDragLeave={ () => setDropIndex( null ) }
+								onDrop={ ( event ) => {
+									if ( null === draggedIndex ) {
+										return;
+									}
+
+									event.preventDefault();
+									event.stopPropagation();
+									moveImage( draggedIndex, index );
+									setDraggedIndex( null );
+									setDropIndex( null );
+								} }
+								onDragEnd={ () => {
+									setDraggedIndex( null );
+									setDropIndex( null );
+								} }
+							>
+								{ image.src
+									? <img className="gcb-gallery__img" src={ image.src } alt={ image.alt } draggable={ false } />
+									// @ts-ignore The declaration requires all of the SVG props.
+									: <Spinner />
+								}
+								<Button
+									className="gcb-gallery__remove"
+									icon="no-alt"
+									isSmall
+									disabled={ isUploading }
+									label={ sprintf(
+										/* translators: %d: the position of the image in the gallery */
+										__( 'Remove image %d', 'genesis-custom-blocks' ),
+										index + 1
+									) }
+									onClick={ () => removeImage( index ) }
+								/>
+							</li>
+						) ) }
+					</ul>
+				)
+				: null
+			}
+			<div className="gcb-gallery__actions">
+				{ isFull
+					? null
+					: (
+						<DropZone
+							label={ __( 'Drop images to add them to the gallery', 'genesis-custom-blocks' ) }
+							onFilesDrop={ ( files ) => {
+								if ( files.length ) {
+									uploadFiles( files );
+								}
+							} }
+						/>
+					)
+				}
+				{ isUploading
+					// @ts-ignore The declaration requires all of the SVG props.
+					? <Spinner />
+					: (
+						<>
+							<FormFileUpload
+								disabled={ isFull }
+								multiple
+								onChange={ ( event ) => {
+									if ( event.target.files?.length ) {
+										uploadFiles( event.target.files );
+									}
+								} }
+								accept="image/*"
+							>
+								{ __( 'Upload', 'genesis-custom-blocks' ) }
+							</FormFileUpload>
+							<MediaUploadCheck>
+								<MediaUpload
+									onSelect={ onSelect }
+									allowedTypes={ allowedTypes }
+									gallery
+									multiple
+									value={ imageIds }
+									render={ ( { open } ) => (
+										<div className="components-media-library-button">
+											<Button
+												id={ id }
+												className={ MEDIA_LIBRARY_BUTTON_CLASS }
+												onClick={ open }
+											>
+												{ images.length
+													? __( 'Edit Gallery', 'genesis-custom-blocks' )
+													: __( 'Media Library', 'genesis-custom-blocks' )
+												}
+											</Button>
+										</div>
+									) }
+								/>
+							</MediaUploadCheck>
+						</>
+					)
+				}
+			</div>
+			{ isFull
+				? (
+					<p className="components-base-control__help">
+						{ sprintf(
+							/* translators: %d: the maximum number of images */
+							_n( 'The gallery has the maximum of %d image.', 'The gallery has the maximum of %d images.', max, 'genesis-custom-blocks' ),
+							max
+						) }
+					</p>
+				)
+				: null
+			}
+		</BaseControl>
+	);
+};
+
+export default GcbGalleryControl;
@@ -0,0 +1,42 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { BaseControl, Button, Icon } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { IconPicker } from '../../common/components';
+import { getIconComponent } from '../../common/helpers';
+
+const GcbIconControl = ( props ) => {
+	const { field, getValue, onChange, parentBlockProps } = props;
+	const initialValue = getValue( props );
+	const value = 'undefined' !== typeof initialValue ? initialValue : field.default;
+	const iconComponent = getIconComponent( value );
+	const id = `gcb-icon-${ parentBlockProps?.clientId }-${ field.name }`;
+
+	return (
+		<BaseControl label={ field.label } help={ field.help } id={ id } className="gcb-icon">
+			{ iconComponent
+				? (
+					<div className="gcb-icon__selected">
+						<Icon size={ 24 } icon={ iconComponent } />
+						<Button variant="secondary" isSmall onClick={ () => onChange( '' ) }>
+							{ __( 'Clear', 'genesis-custom-blocks' ) }
+						</Button>
+					</div>
+				) : null
+			}
+			<IconPicker value={ value } onChange={ onChange } label={ field.label } />
+		</BaseControl>
+	);
+};
+
+export default GcbIconControl;
@@ -16,6 +16,18 @@ import GcbRangeControl from './range';
 import GcbSelectControl from './select';
 import GcbMultiselectControl from './multiselect';
 import GcbToggleControl from './toggle';
+import GcbRepeaterControl from './repeater';
+import GcbPostControl from './post';
+import GcbTaxonomyControl from './taxonomy';
+import GcbUserControl from './user';
+import GcbGalleryControl from './gallery';
+import GcbRichTextControl from './rich-text';
+import GcbDateControl from './date';
+import GcbTimeControl from './time';
+import GcbDatetimeControl from './datetime';
+import GcbLinkControl from './link';
+import GcbIconControl from './icon';
+import GcbCodeControl from './code';
 
 export default {
 	text: GcbTextControl,
@@ -33,4 +45,16 @@ export default {
 	select: GcbSelectControl,
 	multiselect: GcbMultiselectControl,
 	toggle: GcbToggleControl,
+	repeater: GcbRepeaterControl,
+	post: GcbPostControl,
+	taxonomy: GcbTaxonomyControl,
+	user: GcbUserControl,
+	gallery: GcbGalleryControl,
+	rich_text: GcbRichTextControl,
+	date: GcbDateControl,
+	time: GcbTimeControl,
+	datetime: GcbDatetimeControl,
+	link: GcbLinkControl,
+	icon: GcbIconControl,
+	code: GcbCodeControl,
 };
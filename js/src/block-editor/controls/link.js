@@ -0,0 +1,69 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { URLInput } from '@wordpress/block-editor';
+import { TextControl, ToggleControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getLink } from '../../common/helpers';
+
+const GcbLinkControl = ( props ) => {
+	const { field, getValue, onChange } = props;
+	const value = getValue( props );
+	const link = getLink( value ) || { url: '', title: value?.title || '', opensInNewTab: Boolean( value?.opensInNewTab ), postId: 0 };
+
+	/**
+	 * Changes properties of the link.
+	 *
+	 * @param {Object} newProperties The properties to change, like { title: 'Example' }.
+	 */
+	const changeLink = ( newProperties ) => {
+		const newLink = { ...link, ...newProperties };
+		onChange( newLink.url || newLink.title ? newLink : undefined );
+	};
+
+	return (
+		<div className="gcb-link">
+			<URLInput
+				className="gcb-link__url"
+				label={ field.label }
+				value={ link.url }
+				placeholder={ __( 'Search or type a URL', 'genesis-custom-blocks' ) }
+				onChange={ ( url, post ) => {
+					// Only suggestions of posts, pages, and other post types have a post ID.
+					const isPost = !! post?.id && 'post-type' === post.kind;
+					changeLink( {
+						url,
+						postId: isPost ? parseInt( post.id ) : 0,
+						title: link.title || ( isPost ? post.title : '' ),
+					} );
+				} }
+			/>
+			{ !! field.help
+				? <p className="components-base-control__help">{ field.help }</p>
+				: null
+			}
+			<TextControl
+				label={ __( 'Link Text', 'genesis-custom-blocks' ) }
+				help={ __( 'Without link text, the link displays its URL.', 'genesis-custom-blocks' ) }
+				value={ link.title }
+				onChange={ ( title ) => changeLink( { title } ) }
+			/>
+			<ToggleControl
+				label={ __( 'Open in new tab', 'genesis-custom-blocks' ) }
+				checked={ link.opensInNewTab }
+				onChange={ ( opensInNewTab ) => changeLink( { opensInNewTab } ) }
+			/>
+		</div>
+	);
+};
+
+export default GcbLinkControl;
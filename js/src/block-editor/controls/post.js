@@ -0,0 +1,67 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { useSelect } from '@wordpress/data';
+import { useState } from '@wordpress/element';
+import { decodeEntities } from '@wordpress/html-entities';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { EntityPicker } from '../components';
+import { getEntityIds, getPostProperty, selectPosts } from '../helpers';
+import { ENTITY_SEARCH_RESULTS } from '../constants';
+
+/**
+ * Gets the option for a post, for the entity picker.
+ *
+ * @param {Object} post The post from the REST API.
+ * @return {import('../components/entity-picker').EntityOption} The option.
+ */
+const getOption = ( post ) => ( {
+	value: String( post.id ),
+	label: decodeEntities( getPostProperty( post, 'title' ) ) || __( '(no title)', 'genesis-custom-blocks' ),
+} );
+
+const GcbPostControl = ( props ) => {
+	const { field, getValue, onChange, parentBlockProps } = props;
+	const value = getValue( props );
+	const [ search, setSearch ] = useState( '' );
+
+	const { posts, results } = useSelect(
+		( select ) => {
+			const postTypes = field.post_types?.length ? field.post_types : [ 'post' ];
+			const include = getEntityIds( value );
+
+			return {
+				posts: selectPosts( select, postTypes, { include, per_page: include.length } ),
+				results: selectPosts(
+					select,
+					postTypes,
+					{ search, orderby: field.orderby, per_page: ENTITY_SEARCH_RESULTS }
+				),
+			};
+		},
+		[ value, field.post_types, field.orderby, search ]
+	);
+
+	return (
+		<EntityPicker
+			field={ field }
+			id={ `gcb-post-${ field.name }-${ parentBlockProps?.clientId }` }
+			value={ getEntityIds( value ) }
+			selected={ posts.map( getOption ) }
+			results={ results.map( getOption ) }
+			onSearch={ setSearch }
+			onChange={ onChange }
+		/>
+	);
+};
+
+export default GcbPostControl;
@@ -0,0 +1,55 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { BaseControl, Button } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { RepeaterRows } from '../components';
+import { getRepeaterRows } from '../helpers';
+import { getFieldsAsArray } from '../../common/helpers';
+
+const GcbRepeaterControl = ( props ) => {
+	const { field, getValue, onChange, parentBlock, parentBlockProps } = props;
+	const rows = getRepeaterRows( field, getValue( props ) );
+	const isAddRowDisabled = !! field.max && rows.length >= parseInt( field.max );
+
+	return (
+		<BaseControl
+			className="genesis-custom-blocks-repeater"
+			help={ field.help }
+			id={ `gcb-repeater-${ field.name }` }
+		>
+			<BaseControl.VisualLabel>{ field.label }</BaseControl.VisualLabel>
+			<RepeaterRows
+				rows={ rows }
+				field={ field }
+				subFields={ getFieldsAsArray( field.sub_fields || {} ) }
+				parentBlockProps={ parentBlockProps }
+				parentBlock={ parentBlock }
+			/>
+			<div className="genesis-custom-blocks-repeater__add-row">
+				<Button
+					icon="insert"
+					label={ __( 'Add row', 'genesis-custom-blocks' ) }
+					onClick={ () => {
+						onChange( { rows: [ ...rows, {} ] } );
+					} }
+					disabled={ isAddRowDisabled }
+					variant="secondary"
+				>
+					{ __( 'Add row', 'genesis-custom-blocks' ) }
+				</Button>
+			</div>
+		</BaseControl>
+	);
+};
+
+export default GcbRepeaterControl;
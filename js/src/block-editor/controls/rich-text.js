@@ -0,0 +1,38 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { RichText } from '@wordpress/block-editor';
+import { BaseControl } from '@wordpress/components';
+
+const defaultFormats = [ 'bold', 'italic', 'link' ];
+
+const GcbRichTextControl = ( props ) => {
+	const { field, getValue, onChange, parentBlockProps } = props;
+	const initialValue = getValue( props );
+	const value = 'undefined' !== typeof initialValue ? initialValue : field.default;
+	const formats = Array.isArray( field.formats ) ? field.formats : defaultFormats;
+	const id = `gcb-rich-text-${ parentBlockProps?.clientId }-${ field.name }`;
+
+	return (
+		<BaseControl className="gcb-rich-text" label={ field.label } help={ field.help } id={ id }>
+			<RichText
+				id={ id }
+				className="gcb-rich-text__input"
+				tagName="div"
+				aria-label={ field.label }
+				placeholder={ field.placeholder || '' }
+				allowedFormats={ formats.map( ( format ) => `core/${ format }` ) }
+				disableLineBreaks={ ! field.multiline }
+				value={ value || '' }
+				onChange={ onChange }
+			/>
+		</BaseControl>
+	);
+};
+
+export default GcbRichTextControl;
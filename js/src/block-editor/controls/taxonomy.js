@@ -0,0 +1,69 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { useSelect } from '@wordpress/data';
+import { useState } from '@wordpress/element';
+import { decodeEntities } from '@wordpress/html-entities';
+
+/**
+ * Internal dependencies
+ */
+import { EntityPicker } from '../components';
+import { getEntityIds, selectRecords } from '../helpers';
+import { ENTITY_SEARCH_RESULTS } from '../constants';
+
+/**
+ * Gets the option for a term, for the entity picker.
+ *
+ * @param {Object} term The term from the REST API.
+ * @return {import('../components/entity-picker').EntityOption} The option.
+ */
+const getOption = ( term ) => ( {
+	value: String( term.id ),
+	label: decodeEntities( term.name || '' ),
+} );
+
+const GcbTaxonomyControl = ( props ) => {
+	const { field, getValue, onChange, parentBlockProps } = props;
+	const value = getValue( props );
+	const [ search, setSearch ] = useState( '' );
+
+	const { terms, results } = useSelect(
+		( select ) => {
+			const taxonomy = field.taxonomy || 'category';
+			const include = getEntityIds( value );
+			// The view context doesn't need permission to manage terms, unlike the default edit context.
+			const query = { context: 'view' };
+
+			return {
+				terms: selectRecords( select, 'taxonomy', taxonomy, { ...query, include, per_page: include.length } ),
+				results: selectRecords(
+					select,
+					'taxonomy',
+					taxonomy,
+					{ ...query, search, orderby: 'name', order: 'asc', per_page: ENTITY_SEARCH_RESULTS }
+				),
+			};
+		},
+		[ value, field.taxonomy, search ]
+	);
+
+	return (
+		<EntityPicker
+			field={ field }
+			id={ `gcb-taxonomy-${ field.name }-${ parentBlockProps?.clientId }` }
+			value={ getEntityIds( value ) }
+			selected={ terms.map( getOption ) }
+			results={ results.map( getOption ) }
+			onSearch={ setSearch }
+			onChange={ onChange }
+		/>
+	);
+};
+
+export default GcbTaxonomyControl;
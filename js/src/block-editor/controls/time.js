@@ -0,0 +1,36 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { BaseControl } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import { getIsoDateTime, getStoredDateTime } from '../../common/helpers';
+
+const GcbTimeControl = ( props ) => {
+	const { field, getValue, onChange, parentBlockProps } = props;
+	const isoDateTime = getIsoDateTime( getValue( props ) );
+	const id = `gcb-time-${ parentBlockProps?.clientId }-${ field.name }`;
+
+	return (
+		<BaseControl label={ field.label } help={ field.help } id={ id }>
+			<input
+				className="components-text-control__input"
+				type="time"
+				id={ id }
+				min={ field.min || undefined }
+				max={ field.max || undefined }
+				value={ isoDateTime ? isoDateTime.substring( 11, 16 ) : '' }
+				onChange={ ( event ) => onChange( getStoredDateTime( event.target.value, field ) ) }
+			/>
+		</BaseControl>
+	);
+};
+
+export default GcbTimeControl;
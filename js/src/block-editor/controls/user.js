@@ -0,0 +1,75 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { useSelect } from '@wordpress/data';
+import { useState } from '@wordpress/element';
+import { decodeEntities } from '@wordpress/html-entities';
+
+/**
+ * Internal dependencies
+ */
+import { EntityPicker } from '../components';
+import { getEntityIds, selectRecords } from '../helpers';
+import { ENTITY_SEARCH_RESULTS } from '../constants';
+
+/**
+ * Gets the option for a user, for the entity picker.
+ *
+ * @param {Object} user The user from the REST API.
+ * @return {import('../components/entity-picker').EntityOption} The option.
+ */
+const getOption = ( user ) => ( {
+	value: String( user.id ),
+	label: decodeEntities( user.name || user.slug || '' ),
+} );
+
+const GcbUserControl = ( props ) => {
+	const { field, getValue, onChange, parentBlockProps } = props;
+	const value = getValue( props );
+	const [ search, setSearch ] = useState( '' );
+
+	const { users, results } = useSelect(
+		( select ) => {
+			const include = getEntityIds( value );
+			// The view context doesn't need permission to list users, unlike the default edit context.
+			const query = { context: 'view' };
+
+			return {
+				users: selectRecords( select, 'root', 'user', { ...query, include, per_page: include.length } ),
+				results: selectRecords(
+					select,
+					'root',
+					'user',
+					{
+						...query,
+						search,
+						orderby: 'name',
+						order: 'asc',
+						per_page: ENTITY_SEARCH_RESULTS,
+						...( field.role ? { roles: field.role } : {} ),
+					}
+				),
+			};
+		},
+		[ value, field.role, search ]
+	);
+
+	return (
+		<EntityPicker
+			field={ field }
+			id={ `gcb-user-${ field.name }-${ parentBlockProps?.clientId }` }
+			value={ getEntityIds( value ) }
+			selected={ users.map( getOption ) }
+			results={ results.map( getOption ) }
+			onSearch={ setSearch }
+			onChange={ onChange }
+		/>
+	);
+};
+
+export default GcbUserControl;
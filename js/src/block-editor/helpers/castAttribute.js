@@ -0,0 +1,57 @@
+/**
+ * Internal dependencies
+ */
+import { isValidAttributeType } from './';
+import { getLink } from '../../common/helpers';
+
+/**
+ * Casts an attribute value to another type, like when a field's control changed.
+ *
+ * @param {*}      value     The attribute value.
+ * @param {string} type      The type to cast to, like 'string'.
+ * @param {string} [control] The control of the field, like 'link'.
+ * @return {*} The cast value, or undefined if it can't be cast.
+ */
+const castAttribute = ( value, type, control ) => {
+	if ( isValidAttributeType( value, type ) ) {
+		return value;
+	}
+
+	switch ( type ) {
+		case 'string':
+			if ( Array.isArray( value ) ) {
+				return value.join( ', ' );
+			}
+
+			return [ 'number', 'boolean' ].includes( typeof value ) ? String( value ) : undefined;
+		case 'boolean':
+			if ( 'string' === typeof value ) {
+				return ! [ '', '0', 'false' ].includes( value.trim().toLowerCase() );
+			}
+
+			return 'number' === typeof value ? Boolean( value ) : undefined;
+		case 'integer':
+		case 'number': {
+			const number = 'integer' === type
+				? parseInt( value, 10 )
+				: parseFloat( value );
+
+			return [ 'string', 'number' ].includes( typeof value ) && ! isNaN( number ) ? number : undefined;
+		}
+		case 'array':
+			if ( 'string' === typeof value ) {
+				return value ? [ value ] : [];
+			}
+
+			return 'number' === typeof value ? [ String( value ) ] : undefined;
+		case 'object':
+			// A URL field that became a link field.
+			return 'link' === control && 'string' === typeof value
+				? getLink( value ) || undefined
+				: undefined;
+		default:
+			return undefined;
+	}
+};
+
+export default castAttribute;
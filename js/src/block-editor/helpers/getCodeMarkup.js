@@ -0,0 +1,27 @@
+/**
+ * WordPress dependencies
+ */
+import { escapeHTML } from '@wordpress/escape-html';
+
+/**
+ * Gets the <pre><code> of a code field value.
+ *
+ * Mirrors Code::get_markup() in PHP, which outputs the same <pre><code>.
+ *
+ * @param {*}      value The field value, the code as it was entered.
+ * @param {Object} field The code field.
+ * @return {string} The <pre><code>, or '' if there's no code.
+ */
+const getCodeMarkup = ( value, field ) => {
+	if ( ! value || 'string' !== typeof value ) {
+		return '';
+	}
+
+	// Like sanitize_key() in PHP.
+	const language = String( field.language || 'text' ).toLowerCase().replace( /[^a-z0-9_\-]/g, '' );
+	const lineNumbers = false === field.line_numbers ? '' : ' class="line-numbers"';
+
+	return `<pre${ lineNumbers }><code class="language-${ language }">${ escapeHTML( value ) }</code></pre>`;
+};
+
+export default getCodeMarkup;
@@ -0,0 +1,65 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { InnerBlocks } from '@wordpress/block-editor';
+
+/**
+ * Internal dependencies
+ */
+import { getGcbBlockAttributes, isValidAttributeType, migrateAttributes } from './';
+
+/**
+ * Gets the deprecated versions of the block, to migrate content from previous versions.
+ *
+ * GCB blocks are dynamic, so their content is always valid.
+ * So a deprecation only applies if isEligible() is true, and the last eligible deprecation wins.
+ * This is why the versions are in order from oldest to newest.
+ *
+ * @param {import('../../edit-block/hooks/useBlock').Block} block The block to get the deprecated versions of.
+ * @return {Object[]} The deprecated versions, for the 'deprecated' argument of registerBlockType().
+ */
+const getDeprecatedVersions = ( block ) => {
+	const versions = block.versions || [];
+	const fields = block.fields || {};
+	const fieldNames = versions.reduce(
+		( accumulator, version ) => [ ...accumulator, ...Object.keys( version.fields ) ],
+		Object.keys( fields )
+	);
+
+	return versions.map( ( version, index ) => ( {
+		attributes: getGcbBlockAttributes( version.fields ),
+		/**
+		 * Gets whether the attributes are from this version, and need to be migrated.
+		 *
+		 * @param {Object} attributes The attributes in the block comment.
+		 * @return {boolean} Whether to migrate the attributes.
+		 */
+		isEligible( attributes ) {
+			const names = Object.keys( attributes || {} );
+			const isFromVersion = names.every(
+				( name ) => version.fields.hasOwnProperty( name ) || ! fieldNames.includes( name )
+			);
+
+			return isFromVersion && names.some(
+				( name ) => version.renamed?.hasOwnProperty( name ) ||
+					( fields.hasOwnProperty( name ) && ! isValidAttributeType( attributes[ name ], fields[ name ].type ) )
+			);
+		},
+		migrate( attributes, innerBlocks ) {
+			return [
+				migrateAttributes( attributes, versions.slice( index ), fields ),
+				innerBlocks,
+			];
+		},
+		save() {
+			return <InnerBlocks.Content />;
+		},
+	} ) );
+};
+
+export default getDeprecatedVersions;
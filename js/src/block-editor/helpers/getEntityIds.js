@@ -0,0 +1,12 @@
+/**
+ * Gets the IDs from the value of a field that stores entity IDs, like a post field.
+ *
+ * @param {*} value The field value.
+ * @return {number[]} The IDs.
+ */
+const getEntityIds = ( value ) => ( Array.isArray( value )
+	? value.map( ( entityId ) => parseInt( entityId ) ).filter( Boolean )
+	: []
+);
+
+export default getEntityIds;
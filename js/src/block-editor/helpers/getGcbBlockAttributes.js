@@ -13,10 +13,17 @@ const getGcbBlockAttributes = ( fields ) => {
 		}
 
 		const field = fields[ fieldName ];
+
+		// A group only holds other fields, so it doesn't store a value.
+		if ( 'group' === field.control ) {
+			continue;
+		}
+
 		attributes[ fieldName ] = {};
 
 		if ( field.type ) {
-			attributes[ fieldName ].type = field.type;
+			// A URL field that became a link field still has a URL, which getLink() handles.
+			attributes[ fieldName ].type = 'link' === field.control ? [ 'object', 'string' ] : field.type;
 		}
 
 		if ( field.default ) {
@@ -0,0 +1,29 @@
+/**
+ * WordPress dependencies
+ */
+import { escapeAttribute, escapeHTML } from '@wordpress/escape-html';
+
+/**
+ * Internal dependencies
+ */
+import { getLink } from '../../common/helpers';
+
+/**
+ * Gets the <a> of a link field value.
+ *
+ * Mirrors Link::validate() in PHP, which outputs the same <a>.
+ *
+ * @param {*} value The field value, a link or a URL from before the field was a link field.
+ * @return {string} The <a>, or '' if there's no URL.
+ */
+const getLinkMarkup = ( value ) => {
+	const link = getLink( value );
+	if ( ! link ) {
+		return '';
+	}
+
+	const newTab = link.opensInNewTab ? ' target="_blank" rel="noreferrer noopener"' : '';
+	return `<a href="${ escapeAttribute( link.url ) }"${ newTab }>${ escapeHTML( link.title || link.url ) }</a>`;
+};
+
+export default getLinkMarkup;
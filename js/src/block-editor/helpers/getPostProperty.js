@@ -0,0 +1,23 @@
+/**
+ * Gets a property of a post from the REST API, like its title.
+ *
+ * Mirrors Post::get_post_property() in PHP, so the title and excerpt are HTML.
+ *
+ * @param {Object|undefined} post     The post from the REST API.
+ * @param {string}           property The property, like 'title'.
+ * @return {string} The value of the property, or '' if there's none.
+ */
+const getPostProperty = ( post, property ) => {
+	switch ( property ) {
+		case 'title':
+			return post?.title?.rendered ?? '';
+		case 'permalink':
+			return post?.link ?? '';
+		case 'excerpt':
+			return ( post?.excerpt?.rendered ?? '' ).replace( /<[^>]*>/g, '' ).trim();
+	}
+
+	return '';
+};
+
+export default getPostProperty;
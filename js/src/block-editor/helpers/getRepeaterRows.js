@@ -0,0 +1,17 @@
+/**
+ * Gets the rows that a repeater displays, which are at least its minimum rows, even if they're not saved yet.
+ *
+ * @param {import('../../edit-block/components/editor').Field} field The repeater field.
+ * @param {Object|undefined}                                   value The repeater value, with its rows.
+ * @return {Object[]} The rows to display.
+ */
+const getRepeaterRows = ( field, value ) => {
+	const minimumRows = Math.max( parseInt( field.min ) || 0, 1 );
+	const savedRows = value?.rows || [];
+
+	return savedRows.length >= minimumRows
+		? savedRows
+		: [ ...savedRows, ...Array.from( { length: minimumRows - savedRows.length }, () => ( {} ) ) ];
+};
+
+export default getRepeaterRows;
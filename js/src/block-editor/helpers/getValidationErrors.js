@@ -0,0 +1,75 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getRepeaterRows } from './';
+import { getFieldsAsArray, meetsConditions, validateField } from '../../common/helpers';
+
+/**
+ * @typedef {Object} ValidationError A field value that violates the field's validation rules.
+ * @property {string} fieldName  The name of the field, or of its repeater if it's in a row.
+ * @property {string} label      The label to display, including the repeater row if it's in one.
+ * @property {string} message    The message for the violation.
+ * @property {number} [rowIndex] The index of the repeater row, if the field is in one.
+ */
+
+/**
+ * Gets the validation errors of all of the block's fields, including those in the repeater rows that display.
+ *
+ * Fields that don't display because of their conditions aren't validated.
+ *
+ * @param {import('../../edit-block/hooks/useBlock').Block} block      The block.
+ * @param {Object}                                          attributes The block attributes.
+ * @return {ValidationError[]} The validation errors.
+ */
+const getValidationErrors = ( block, attributes ) => {
+	const errors = [];
+
+	getFieldsAsArray( block.fields ).forEach( ( field ) => {
+		if ( ! meetsConditions( field.conditions, ( fieldName ) => attributes[ fieldName ] ) ) {
+			return;
+		}
+
+		const message = validateField( field, attributes[ field.name ] );
+		if ( message ) {
+			errors.push( { fieldName: field.name, label: field.label || field.name, message } );
+		}
+
+		if ( 'repeater' !== field.control || ! field.sub_fields ) {
+			return;
+		}
+
+		// The rows that aren't saved yet display, so their sub-fields are validated too.
+		getRepeaterRows( field, attributes[ field.name ] ).forEach( ( row, rowIndex ) => {
+			getFieldsAsArray( field.sub_fields ).forEach( ( subField ) => {
+				if ( ! meetsConditions( subField.conditions, ( fieldName ) => row?.[ fieldName ] ) ) {
+					return;
+				}
+
+				const subFieldMessage = validateField( subField, row?.[ subField.name ] );
+				if ( subFieldMessage ) {
+					errors.push( {
+						fieldName: field.name,
+						label: sprintf(
+							/* translators: %1$s: the repeater label, %2$d: the row number, %3$s: the sub-field label */
+							__( '%1$s, row %2$d, %3$s', 'genesis-custom-blocks' ),
+							field.label || field.name,
+							rowIndex + 1,
+							subField.label || subField.name
+						),
+						message: subFieldMessage,
+						rowIndex,
+					} );
+				}
+			} );
+		} );
+	} );
+
+	return errors;
+};
+
+export default getValidationErrors;
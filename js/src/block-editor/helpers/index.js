@@ -1,3 +1,15 @@
 export { default as addControls } from './addControls';
+export { default as castAttribute } from './castAttribute';
+export { default as getCodeMarkup } from './getCodeMarkup';
+export { default as getDeprecatedVersions } from './getDeprecatedVersions';
+export { default as getEntityIds } from './getEntityIds';
 export { default as getGcbBlockAttributes } from './getGcbBlockAttributes';
+export { default as getLinkMarkup } from './getLinkMarkup';
+export { default as getPostProperty } from './getPostProperty';
+export { default as getRepeaterRows } from './getRepeaterRows';
+export { default as getValidationErrors } from './getValidationErrors';
+export { default as isValidAttributeType } from './isValidAttributeType';
+export { default as migrateAttributes } from './migrateAttributes';
 export { default as registerBlocks } from './registerBlocks';
+export { default as selectPosts } from './selectPosts';
+export { default as selectRecords } from './selectRecords';
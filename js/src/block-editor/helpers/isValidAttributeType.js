@@ -0,0 +1,27 @@
+/**
+ * Gets whether the value is valid for the attribute type, like the block parser checks.
+ *
+ * @param {*}      value The attribute value.
+ * @param {string} type  The attribute type, like 'string'.
+ * @return {boolean} Whether the value is valid for the type.
+ */
+const isValidAttributeType = ( value, type ) => {
+	switch ( type ) {
+		case 'string':
+			return 'string' === typeof value;
+		case 'boolean':
+			return 'boolean' === typeof value;
+		case 'integer':
+			return Number.isInteger( value );
+		case 'number':
+			return 'number' === typeof value;
+		case 'array':
+			return Array.isArray( value );
+		case 'object':
+			return null !== value && 'object' === typeof value && ! Array.isArray( value );
+		default:
+			return true;
+	}
+};
+
+export default isValidAttributeType;
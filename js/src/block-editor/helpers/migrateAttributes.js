@@ -0,0 +1,59 @@
+/**
+ * Internal dependencies
+ */
+import { castAttribute } from './';
+
+/**
+ * Renames the attributes that a version renamed.
+ *
+ * @param {Object}                                                 attributes The attributes to rename.
+ * @param {import('../../edit-block/hooks/useBlock').BlockVersion} version    The version that has the renames.
+ * @return {Object} The renamed attributes.
+ */
+const renameAttributes = ( attributes, version ) => {
+	const renamed = version.renamed || {};
+	const newNames = Object.values( renamed );
+
+	return Object.keys( attributes ).reduce( ( accumulator, name ) => {
+		if ( renamed.hasOwnProperty( name ) ) {
+			accumulator[ renamed[ name ] ] = attributes[ name ];
+		} else if ( ! newNames.includes( name ) ) {
+			// If a field was renamed to this name, the value from before is from another field.
+			accumulator[ name ] = attributes[ name ];
+		}
+
+		return accumulator;
+	}, {} );
+};
+
+/**
+ * Migrates attributes from a previous block version to the current fields.
+ *
+ * @param {Object}                                                   attributes The attributes, from the first version.
+ * @param {import('../../edit-block/hooks/useBlock').BlockVersion[]} versions   The versions from the one the attributes are from to the newest, oldest first.
+ * @param {Object}                                                   fields     The current fields, keyed by name.
+ * @return {Object} The migrated attributes.
+ */
+const migrateAttributes = ( attributes, versions, fields ) => {
+	const renamedAttributes = versions.reduce( renameAttributes, attributes );
+	const previousFieldNames = versions.reduce(
+		( accumulator, version ) => [ ...accumulator, ...Object.keys( version.fields ) ],
+		[]
+	);
+
+	return Object.keys( renamedAttributes ).reduce( ( accumulator, name ) => {
+		if ( fields.hasOwnProperty( name ) ) {
+			const value = castAttribute( renamedAttributes[ name ], fields[ name ].type, fields[ name ].control );
+			if ( undefined !== value ) {
+				accumulator[ name ] = value;
+			}
+		} else if ( ! previousFieldNames.includes( name ) ) {
+			// This isn't from a field, like the className attribute.
+			accumulator[ name ] = renamedAttributes[ name ];
+		}
+
+		return accumulator;
+	}, {} );
+};
+
+export default migrateAttributes;
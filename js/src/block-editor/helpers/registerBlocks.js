@@ -12,7 +12,7 @@ import { InnerBlocks } from '@wordpress/block-editor';
 /**
  * Internal dependencies
  */
-import { getGcbBlockAttributes } from './';
+import { getDeprecatedVersions, getGcbBlockAttributes } from './';
 import { getIconComponent } from '../../common/helpers';
 
 /**
@@ -51,6 +51,7 @@ const registerBlocks = ( genesisCustomBlocks, gcbBlocks, EditComponent ) => {
 			save() {
 				return <InnerBlocks.Content />;
 			},
+			deprecated: getDeprecatedVersions( block ),
 		} );
 	}
 };
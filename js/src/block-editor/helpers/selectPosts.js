@@ -0,0 +1,61 @@
+/**
+ * Internal dependencies
+ */
+import { selectRecords } from './';
+
+/**
+ * @typedef {Object} PostsQuery The REST API query for posts.
+ * @property {number[]} [include]  The IDs of the posts to get.
+ * @property {string}   [search]   The text to search for.
+ * @property {string}   [orderby]  The order, like 'date' or 'title'.
+ * @property {number}   [per_page] The maximum number of posts of each post type.
+ */
+
+/**
+ * Gets the order for an orderby value, so titles are A to Z and dates are newest first.
+ *
+ * @param {string} orderby The orderby value, like 'date'.
+ * @return {string} The order, 'asc' or 'desc'.
+ */
+const getOrder = ( orderby ) => ( 'date' === orderby ? 'desc' : 'asc' );
+
+/**
+ * Gets the posts of several post types from the core-data store.
+ *
+ * If the query has IDs to include, the posts are in the order of those IDs.
+ * Otherwise, they're in the order of query.orderby.
+ *
+ * @param {Function}   select    The select function from useSelect().
+ * @param {string[]}   postTypes The slugs of the post types, like 'post'.
+ * @param {PostsQuery} query     The query.
+ * @return {Object[]} The posts, or [] while they're resolving.
+ */
+const selectPosts = ( select, postTypes, query ) => {
+	if ( query.include && ! query.include.length ) {
+		return [];
+	}
+
+	const orderby = query.orderby || 'date';
+	const posts = postTypes.reduce( ( accumulator, postType ) => [
+		...accumulator,
+		...selectRecords( select, 'postType', postType, { ...query, orderby, order: getOrder( orderby ) } ),
+	], [] );
+
+	if ( query.include ) {
+		return query.include.map( ( postId ) => posts.find( ( post ) => postId === post.id ) ).filter( Boolean );
+	}
+
+	return [ ...posts ].sort( ( first, second ) => {
+		if ( 'title' === orderby ) {
+			return String( first.title?.rendered ).localeCompare( String( second.title?.rendered ) );
+		}
+
+		if ( 'menu_order' === orderby ) {
+			return ( first.menu_order || 0 ) - ( second.menu_order || 0 );
+		}
+
+		return String( second.date ).localeCompare( String( first.date ) );
+	} );
+};
+
+export default selectPosts;
@@ -0,0 +1,25 @@
+/**
+ * Gets entity records from the core-data store, like terms or users.
+ *
+ * If the query has IDs to include, the records are in the order of those IDs.
+ *
+ * @param {Function} select The select function from useSelect().
+ * @param {string}   kind   The entity kind, like 'taxonomy'.
+ * @param {string}   name   The entity name, like 'category'.
+ * @param {Object}   query  The REST API query.
+ * @return {Object[]} The records, or [] while they're resolving.
+ */
+const selectRecords = ( select, kind, name, query ) => {
+	if ( query.include && ! query.include.length ) {
+		return [];
+	}
+
+	// @ts-ignore The function isn't in the declaration file.
+	const records = select( 'core' ).getEntityRecords( kind, name, query ) || [];
+
+	return query.include
+		? query.include.map( ( id ) => records.find( ( record ) => id === record.id ) ).filter( Boolean )
+		: records;
+};
+
+export default selectRecords;
@@ -15,20 +15,32 @@ test( 'addControls', () => {
 			apple: mockControl,
 			banana: mockControl,
 			checkbox: expect.anything(),
+			code: expect.anything(),
 			color: expect.anything(),
+			date: expect.anything(),
+			datetime: expect.anything(),
 			email: expect.anything(),
 			file: expect.anything(),
+			gallery: expect.anything(),
+			icon: expect.anything(),
 			image: expect.anything(),
 			inner_blocks: expect.anything(),
+			link: expect.anything(),
 			multiselect: expect.anything(),
 			number: expect.anything(),
+			post: expect.anything(),
 			radio: expect.anything(),
 			range: expect.anything(),
+			repeater: expect.anything(),
+			rich_text: expect.anything(),
 			select: expect.anything(),
+			taxonomy: expect.anything(),
 			text: expect.anything(),
 			textarea: expect.anything(),
+			time: expect.anything(),
 			toggle: expect.anything(),
 			url: expect.anything(),
+			user: expect.anything(),
 		}
 	);
 } );
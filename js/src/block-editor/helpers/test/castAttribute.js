@@ -0,0 +1,45 @@
+/**
+ * Internal dependencies
+ */
+import { castAttribute } from '../';
+
+describe( 'castAttribute', () => {
+	it.each( [
+		[ 'Example text', 'string', 'Example text' ],
+		[ 5, 'string', '5' ],
+		[ true, 'string', 'true' ],
+		[ [ 'first', 'second' ], 'string', 'first, second' ],
+		[ { example: 'value' }, 'string', undefined ],
+		[ 'false', 'boolean', false ],
+		[ '0', 'boolean', false ],
+		[ '', 'boolean', false ],
+		[ 'Example text', 'boolean', true ],
+		[ 1, 'boolean', true ],
+		[ '42', 'integer', 42 ],
+		[ '4.2', 'integer', 4 ],
+		[ '4.2', 'number', 4.2 ],
+		[ 'Not a number', 'integer', undefined ],
+		[ 'first', 'array', [ 'first' ] ],
+		[ '', 'array', [] ],
+		[ 'Example text', 'object', undefined ],
+	] )( 'should cast %p to the type %p',
+		( value, type, expected ) => {
+			expect( castAttribute( value, type ) ).toStrictEqual( expected );
+		}
+	);
+
+	it( 'should cast a URL to a link', () => {
+		expect( castAttribute( 'https://example.com', 'object', 'link' ) ).toStrictEqual( {
+			url: 'https://example.com',
+			title: '',
+			opensInNewTab: false,
+			postId: 0,
+		} );
+		expect( castAttribute( '', 'object', 'link' ) ).toStrictEqual( undefined );
+	} );
+
+	it( 'should return a value that already has the type', () => {
+		const rows = { rows: [ { example: 'Example text' } ] };
+		expect( castAttribute( rows, 'object' ) ).toStrictEqual( rows );
+	} );
+} );
@@ -0,0 +1,31 @@
+/**
+ * Internal dependencies
+ */
+import { getCodeMarkup } from '../';
+
+describe( 'getCodeMarkup', () => {
+	it.each( [
+		[
+			'<?php echo "Hello"; ?>',
+			{ language: 'php', line_numbers: false },
+			'<pre><code class="language-php">&lt;?php echo "Hello"; ?></code></pre>',
+		],
+		[
+			'.example > p { color: red; }',
+			{ language: 'css', line_numbers: true },
+			'<pre class="line-numbers"><code class="language-css">.example > p { color: red; }</code></pre>',
+		],
+		[
+			'example',
+			{ language: '"><script>alert(1)</script>', line_numbers: false },
+			'<pre><code class="language-scriptalert1script">example</code></pre>',
+		],
+		[ '<div></div>', {}, '<pre class="line-numbers"><code class="language-text">&lt;div>&lt;/div></code></pre>' ],
+		[ '', { language: 'php' }, '' ],
+		[ undefined, { language: 'php' }, '' ],
+	] )( 'should get the markup of %p',
+		( value, field, expected ) => {
+			expect( getCodeMarkup( value, field ) ).toStrictEqual( expected );
+		}
+	);
+} );
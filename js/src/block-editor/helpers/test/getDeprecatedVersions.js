@@ -0,0 +1,66 @@
+/**
+ * Internal dependencies
+ */
+import { getDeprecatedVersions } from '../';
+
+describe( 'getDeprecatedVersions', () => {
+	const block = {
+		name: 'example-block',
+		fields: {
+			new_text: { name: 'new_text', type: 'string', control: 'text' },
+			example_number: { name: 'example_number', type: 'integer', control: 'number' },
+		},
+		versions: [
+			{
+				fields: {
+					example_text: { type: 'string', control: 'text' },
+					example_number: { type: 'string', control: 'text' },
+				},
+				renamed: {},
+			},
+			{
+				fields: {
+					example_text: { type: 'string', control: 'text' },
+					example_number: { type: 'integer', control: 'number' },
+				},
+				renamed: { example_text: 'new_text' },
+			},
+		],
+	};
+
+	it( 'should return an empty array when there are no versions', () => {
+		expect( getDeprecatedVersions( { name: 'example-block', fields: {} } ) ).toStrictEqual( [] );
+	} );
+
+	it( 'should return a deprecation for each version, oldest first', () => {
+		const deprecated = getDeprecatedVersions( block );
+
+		expect( deprecated ).toHaveLength( 2 );
+		expect( deprecated[ 0 ].attributes ).toStrictEqual( {
+			example_text: { type: 'string' },
+			example_number: { type: 'string' },
+		} );
+		expect( deprecated[ 0 ].save() ).toBeTruthy();
+	} );
+
+	it( 'should only be eligible for attributes from that version that are stale', () => {
+		const [ firstVersion, secondVersion ] = getDeprecatedVersions( block );
+
+		expect( firstVersion.isEligible( { example_text: 'Example', example_number: '5' } ) ).toStrictEqual( true );
+		expect( secondVersion.isEligible( { example_text: 'Example', example_number: '5' } ) ).toStrictEqual( true );
+		expect( firstVersion.isEligible( { example_number: 5 } ) ).toStrictEqual( false );
+		expect( secondVersion.isEligible( { example_text: 'Example', example_number: 5 } ) ).toStrictEqual( true );
+		expect( secondVersion.isEligible( { new_text: 'Example', example_number: 5 } ) ).toStrictEqual( false );
+		expect( secondVersion.isEligible( { className: 'is-style-example' } ) ).toStrictEqual( false );
+	} );
+
+	it( 'should migrate the attributes through every later version', () => {
+		const [ firstVersion ] = getDeprecatedVersions( block );
+		const innerBlocks = [ { name: 'core/paragraph' } ];
+
+		expect( firstVersion.migrate( { example_text: 'Example', example_number: '5' }, innerBlocks ) ).toStrictEqual( [
+			{ new_text: 'Example', example_number: 5 },
+			innerBlocks,
+		] );
+	} );
+} );
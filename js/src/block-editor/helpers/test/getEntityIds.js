@@ -0,0 +1,17 @@
+/**
+ * Internal dependencies
+ */
+import { getEntityIds } from '../';
+
+describe( 'getEntityIds', () => {
+	it.each( [
+		[ [ 4, '2', 0, 'not-an-id' ], [ 4, 2 ] ],
+		[ [], [] ],
+		[ undefined, [] ],
+		[ '4', [] ],
+	] )( 'should get the IDs from %p',
+		( value, expected ) => {
+			expect( getEntityIds( value ) ).toStrictEqual( expected );
+		}
+	);
+} );
@@ -46,4 +46,36 @@ describe( 'getBlockFromContent', () => {
 			},
 		} );
 	} );
+
+	it( 'should allow a URL in a link field, from before it was a link field', () => {
+		expect( getGcbBlockAttributes( {
+			website: {
+				control: 'link',
+				type: 'object',
+			},
+		} ) ).toStrictEqual( {
+			website: {
+				type: [ 'object', 'string' ],
+			},
+		} );
+	} );
+
+	it( 'should not have an attribute for a group', () => {
+		expect( getGcbBlockAttributes( {
+			details: {
+				control: 'group',
+				type: 'string',
+				layout: 'tabs',
+			},
+			subtitle: {
+				control: 'text',
+				type: 'string',
+				group: 'details',
+			},
+		} ) ).toStrictEqual( {
+			subtitle: {
+				type: 'string',
+			},
+		} );
+	} );
 } );
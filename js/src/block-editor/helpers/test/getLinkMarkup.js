@@ -0,0 +1,24 @@
+/**
+ * Internal dependencies
+ */
+import { getLinkMarkup } from '../';
+
+describe( 'getLinkMarkup', () => {
+	it.each( [
+		[
+			{ url: 'https://example.com/about', title: 'About & Contact', opensInNewTab: true, postId: 42 },
+			'<a href="https://example.com/about" target="_blank" rel="noreferrer noopener">About &amp; Contact</a>',
+		],
+		[
+			{ url: 'https://example.com/?a=1&b="2"', title: '', opensInNewTab: false, postId: 0 },
+			'<a href="https://example.com/?a=1&amp;b=&quot;2&quot;">https://example.com/?a=1&amp;b="2"</a>',
+		],
+		[ 'https://example.com', '<a href="https://example.com">https://example.com</a>' ],
+		[ { url: '', title: 'No URL' }, '' ],
+		[ undefined, '' ],
+	] )( 'should get the markup of %p',
+		( value, expected ) => {
+			expect( getLinkMarkup( value ) ).toStrictEqual( expected );
+		}
+	);
+} );
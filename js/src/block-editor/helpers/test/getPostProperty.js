@@ -0,0 +1,28 @@
+/**
+ * Internal dependencies
+ */
+import { getPostProperty } from '../';
+
+describe( 'getPostProperty', () => {
+	const post = {
+		id: 4,
+		link: 'https://example.com/example-post/',
+		title: { rendered: 'Example &#8220;Post&#8221;' },
+		excerpt: { rendered: '<p>Here is an excerpt</p>\n' },
+	};
+
+	it.each( [
+		[ 'title', 'Example &#8220;Post&#8221;' ],
+		[ 'permalink', 'https://example.com/example-post/' ],
+		[ 'excerpt', 'Here is an excerpt' ],
+		[ 'unknown', '' ],
+	] )( 'should get the property %p',
+		( property, expected ) => {
+			expect( getPostProperty( post, property ) ).toStrictEqual( expected );
+		}
+	);
+
+	it( 'should return an empty string if there is no post', () => {
+		expect( getPostProperty( undefined, 'title' ) ).toStrictEqual( '' );
+	} );
+} );
@@ -0,0 +1,17 @@
+/**
+ * Internal dependencies
+ */
+import { getRepeaterRows } from '../';
+
+describe( 'getRepeaterRows', () => {
+	it.each( [
+		[ {}, undefined, [ {} ] ],
+		[ { min: '' }, { rows: [] }, [ {} ] ],
+		[ { min: '3' }, { rows: [ { title: 'First' } ] }, [ { title: 'First' }, {}, {} ] ],
+		[ { min: '2' }, { rows: [ { title: 'First' }, { title: 'Second' }, { title: 'Third' } ] }, [ { title: 'First' }, { title: 'Second' }, { title: 'Third' } ] ],
+	] )( 'should get the rows to display with the settings %p and the value %p',
+		( settings, value, expected ) => {
+			expect( getRepeaterRows( { name: 'example-repeater', control: 'repeater', ...settings }, value ) ).toStrictEqual( expected );
+		}
+	);
+} );
@@ -0,0 +1,109 @@
+/**
+ * Internal dependencies
+ */
+import { getValidationErrors } from '../';
+
+describe( 'getValidationErrors', () => {
+	const block = {
+		name: 'example-block',
+		fields: {
+			'has-button': {
+				name: 'has-button',
+				label: 'Has Button',
+				control: 'toggle',
+				order: 0,
+			},
+			'button-url': {
+				name: 'button-url',
+				label: 'Button URL',
+				control: 'url',
+				order: 1,
+				conditions: [ { field: 'has-button', operator: 'not_empty' } ],
+				validation: { required: true },
+			},
+			'example-repeater': {
+				name: 'example-repeater',
+				label: 'Example Repeater',
+				control: 'repeater',
+				order: 2,
+				sub_fields: {
+					'example-text': {
+						name: 'example-text',
+						label: 'Example Text',
+						control: 'text',
+						parent: 'example-repeater',
+						order: 0,
+						validation: { minLength: '3' },
+					},
+				},
+			},
+		},
+	};
+
+	it( 'should return no errors if the fields are valid', () => {
+		expect( getValidationErrors( block, {
+			'has-button': false,
+			'example-repeater': { rows: [ { 'example-text': 'Example' } ] },
+		} ) ).toStrictEqual( [] );
+	} );
+
+	it( 'should validate fields that meet their conditions', () => {
+		expect( getValidationErrors( block, { 'has-button': true } ) ).toStrictEqual( [
+			{ fieldName: 'button-url', label: 'Button URL', message: 'This field is required.' },
+		] );
+	} );
+
+	it( 'should validate the fields in repeater rows', () => {
+		expect( getValidationErrors( block, {
+			'example-repeater': { rows: [ { 'example-text': 'Example' }, { 'example-text': 'Ex' } ] },
+		} ) ).toStrictEqual( [
+			{
+				fieldName: 'example-repeater',
+				label: 'Example Repeater, row 2, Example Text',
+				message: 'This must be at least 3 characters.',
+				rowIndex: 1,
+			},
+		] );
+	} );
+
+	it( 'should validate the rows that display before they are saved, up to the minimum rows', () => {
+		const repeater = block.fields[ 'example-repeater' ];
+		const blockWithMinimumRows = {
+			...block,
+			fields: {
+				'example-repeater': {
+					...repeater,
+					min: '2',
+					sub_fields: {
+						'example-text': {
+							...repeater.sub_fields[ 'example-text' ],
+							validation: { required: true },
+						},
+					},
+				},
+			},
+		};
+
+		expect( getValidationErrors( blockWithMinimumRows, {
+			'example-repeater': { rows: [ { 'example-text': 'Example' } ] },
+		} ) ).toStrictEqual( [
+			{
+				fieldName: 'example-repeater',
+				label: 'Example Repeater, row 2, Example Text',
+				message: 'This field is required.',
+				rowIndex: 1,
+			},
+		] );
+	} );
+
+	it( 'should not have errors for a repeater with a minimum that was just inserted', () => {
+		const blockWithMinimumRows = {
+			...block,
+			fields: {
+				'example-repeater': { ...block.fields[ 'example-repeater' ], min: '3', max: '4' },
+			},
+		};
+
+		expect( getValidationErrors( blockWithMinimumRows, {} ) ).toStrictEqual( [] );
+	} );
+} );
@@ -0,0 +1,116 @@
+/**
+ * Internal dependencies
+ */
+import { migrateAttributes } from '../';
+
+describe( 'migrateAttributes', () => {
+	it( 'should rename the attributes of renamed fields', () => {
+		expect( migrateAttributes(
+			{ example_text: 'Example text', className: 'is-style-example' },
+			[
+				{
+					fields: { example_text: { type: 'string', control: 'text' } },
+					renamed: { example_text: 'new_text' },
+				},
+			],
+			{ new_text: { type: 'string', control: 'text' } }
+		) ).toStrictEqual( { new_text: 'Example text', className: 'is-style-example' } );
+	} );
+
+	it( 'should apply the renames of every version, in order', () => {
+		expect( migrateAttributes(
+			{ first_name: 'Example text' },
+			[
+				{
+					fields: { first_name: { type: 'string', control: 'text' } },
+					renamed: { first_name: 'second_name' },
+				},
+				{
+					fields: { second_name: { type: 'string', control: 'text' } },
+					renamed: { second_name: 'third_name' },
+				},
+			],
+			{ third_name: { type: 'string', control: 'text' } }
+		) ).toStrictEqual( { third_name: 'Example text' } );
+	} );
+
+	it( 'should swap the attributes of fields that swapped names', () => {
+		expect( migrateAttributes(
+			{ first: 'First text', second: 'Second text' },
+			[
+				{
+					fields: {
+						first: { type: 'string', control: 'text' },
+						second: { type: 'string', control: 'text' },
+					},
+					renamed: { first: 'second', second: 'first' },
+				},
+			],
+			{
+				first: { type: 'string', control: 'text' },
+				second: { type: 'string', control: 'text' },
+			}
+		) ).toStrictEqual( { first: 'Second text', second: 'First text' } );
+	} );
+
+	it( 'should not keep the value of a field that another field was renamed to', () => {
+		expect( migrateAttributes(
+			{ first: 'First text', second: 'Second text' },
+			[
+				{
+					fields: {
+						first: { type: 'string', control: 'text' },
+						second: { type: 'string', control: 'text' },
+					},
+					renamed: { first: 'second' },
+				},
+			],
+			{ second: { type: 'string', control: 'text' } }
+		) ).toStrictEqual( { second: 'First text' } );
+	} );
+
+	it( 'should cast the attributes of fields that changed type', () => {
+		expect( migrateAttributes(
+			{ example_number: '42', example_toggle: 'Example text' },
+			[
+				{
+					fields: {
+						example_number: { type: 'string', control: 'text' },
+						example_toggle: { type: 'string', control: 'text' },
+					},
+					renamed: {},
+				},
+			],
+			{
+				example_number: { type: 'integer', control: 'number' },
+				example_toggle: { type: 'boolean', control: 'toggle' },
+			}
+		) ).toStrictEqual( { example_number: 42, example_toggle: true } );
+	} );
+
+	it( 'should drop the attributes of fields that were deleted or that cannot be cast', () => {
+		expect( migrateAttributes(
+			{ deleted_field: 'Example text', example_number: 'Not a number' },
+			[
+				{
+					fields: {
+						deleted_field: { type: 'string', control: 'text' },
+						example_number: { type: 'string', control: 'text' },
+					},
+					renamed: {},
+				},
+			],
+			{ example_number: { type: 'integer', control: 'number' } }
+		) ).toStrictEqual( {} );
+	} );
+
+	it( 'should convert the URL of a URL field that became a link field', () => {
+		expect( migrateAttributes(
+			{ website: 'https://example.com' },
+			[ { fields: { website: { type: 'string', control: 'url' } } } ],
+			{ website: { type: 'object', control: 'link' } }
+		) ).toStrictEqual( {
+			website: { url: 'https://example.com', title: '', opensInNewTab: false, postId: 0 },
+		} );
+	} );
+} );
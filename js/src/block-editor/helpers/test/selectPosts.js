@@ -0,0 +1,52 @@
+/**
+ * Internal dependencies
+ */
+import { selectPosts } from '../';
+
+describe( 'selectPosts', () => {
+	const posts = {
+		post: [
+			{ id: 1, title: { rendered: 'Banana' }, date: '2022-01-01T00:00:00', menu_order: 2 },
+			{ id: 2, title: { rendered: 'Cherry' }, date: '2022-03-01T00:00:00', menu_order: 0 },
+		],
+		page: [
+			{ id: 3, title: { rendered: 'Apple' }, date: '2022-02-01T00:00:00', menu_order: 1 },
+		],
+	};
+	const getEntityRecords = jest.fn( ( kind, postType ) => posts[ postType ] );
+	const select = () => ( { getEntityRecords } );
+	const getIds = ( selectedPosts ) => selectedPosts.map( ( post ) => post.id );
+
+	it( 'should get the posts in the order of the IDs to include', () => {
+		expect( getIds( selectPosts( select, [ 'post', 'page' ], { include: [ 3, 1 ] } ) ) ).toStrictEqual( [ 3, 1 ] );
+	} );
+
+	it( 'should not query for posts if there are no IDs to include', () => {
+		getEntityRecords.mockClear();
+
+		expect( selectPosts( select, [ 'post' ], { include: [] } ) ).toStrictEqual( [] );
+		expect( getEntityRecords ).not.toHaveBeenCalled();
+	} );
+
+	it.each( [
+		[ 'date', [ 2, 3, 1 ] ],
+		[ 'title', [ 3, 1, 2 ] ],
+		[ 'menu_order', [ 2, 3, 1 ] ],
+	] )( 'should order the posts of all of the post types by %p',
+		( orderby, expected ) => {
+			expect( getIds( selectPosts( select, [ 'post', 'page' ], { search: 'a', orderby } ) ) ).toStrictEqual( expected );
+		}
+	);
+
+	it( 'should query each post type with the order', () => {
+		getEntityRecords.mockClear();
+		selectPosts( select, [ 'post', 'page' ], { search: 'a', orderby: 'title' } );
+
+		expect( getEntityRecords ).toHaveBeenCalledWith( 'postType', 'post', { search: 'a', orderby: 'title', order: 'asc' } );
+		expect( getEntityRecords ).toHaveBeenCalledWith( 'postType', 'page', { search: 'a', orderby: 'title', order: 'asc' } );
+	} );
+
+	it( 'should return an empty array while the posts are resolving', () => {
+		expect( selectPosts( () => ( { getEntityRecords: () => null } ), [ 'post' ], { search: 'a' } ) ).toStrictEqual( [] );
+	} );
+} );
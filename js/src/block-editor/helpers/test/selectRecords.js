@@ -0,0 +1,34 @@
+/**
+ * Internal dependencies
+ */
+import { selectRecords } from '../';
+
+describe( 'selectRecords', () => {
+	const terms = [
+		{ id: 1, name: 'First' },
+		{ id: 2, name: 'Second' },
+		{ id: 3, name: 'Third' },
+	];
+	const getEntityRecords = jest.fn( () => terms );
+	const select = () => ( { getEntityRecords } );
+
+	it( 'should get the records in the order of the IDs to include', () => {
+		expect( selectRecords( select, 'taxonomy', 'category', { include: [ 3, 1 ] } ) ).toStrictEqual( [ terms[ 2 ], terms[ 0 ] ] );
+		expect( getEntityRecords ).toHaveBeenCalledWith( 'taxonomy', 'category', { include: [ 3, 1 ] } );
+	} );
+
+	it( 'should not query for records if there are no IDs to include', () => {
+		getEntityRecords.mockClear();
+
+		expect( selectRecords( select, 'root', 'user', { include: [] } ) ).toStrictEqual( [] );
+		expect( getEntityRecords ).not.toHaveBeenCalled();
+	} );
+
+	it( 'should get the records of a search in their order', () => {
+		expect( selectRecords( select, 'taxonomy', 'category', { search: 'example' } ) ).toStrictEqual( terms );
+	} );
+
+	it( 'should return an empty array while the records are resolving', () => {
+		expect( selectRecords( () => ( { getEntityRecords: () => null } ), 'root', 'user', { search: 'a' } ) ).toStrictEqual( [] );
+	} );
+} );
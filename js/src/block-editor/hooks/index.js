@@ -1 +1,2 @@
 export { default as useMedia } from './useMedia';
+export { default as useGallery } from './useGallery';
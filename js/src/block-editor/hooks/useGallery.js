@@ -0,0 +1,119 @@
+/**
+ * WordPress dependencies
+ */
+// @ts-ignore Declaration is outdated.
+import { store as blockEditorStore } from '@wordpress/block-editor';
+import { useSelect } from '@wordpress/data';
+import { mediaUpload as legacyMediaUpload } from '@wordpress/editor';
+import { useState } from '@wordpress/element';
+
+/**
+ * @typedef {Object} GalleryImage An image in the gallery.
+ * @property {number} id  The attachment ID.
+ * @property {string} src The src of the thumbnail, or '' if the image hasn't loaded.
+ * @property {string} alt The alt attribute of the thumbnail.
+ */
+
+/**
+ * @typedef {Object} UseGalleryReturn The return value of the hook.
+ * @property {GalleryImage[]}                 images      The images, in order.
+ * @property {boolean}                        isUploading Whether images are uploading.
+ * @property {function(Object[]):void}        onSelect    Handler for selecting images in the media library, which replaces the gallery.
+ * @property {function(number, number):void}  moveImage   Moves an image from one index to another.
+ * @property {function(number):void}          removeImage Removes the image at an index.
+ * @property {function(ArrayLike<File>):void} uploadFiles Uploads files, adding them to the end of the gallery.
+ */
+
+/**
+ * Gets the gallery images and functions to change them.
+ *
+ * @param {number[]}                imageIds The attachment IDs, in order.
+ * @param {function(number[]):void} onChange Handles changing the field value.
+ * @param {number}                  [max]    The maximum number of images, if any.
+ * @return {UseGalleryReturn} The return value of this hook.
+ */
+const useGallery = ( imageIds, onChange, max ) => {
+	const [ isUploading, setIsUploading ] = useState( false );
+
+	/** @type {Array<Object|undefined>} */
+	const media = useSelect(
+		// @ts-ignore The function isn't in the declaration file.
+		( select ) => imageIds.map( ( imageId ) => select( 'core' ).getMedia( imageId ) ),
+		[ imageIds ]
+	);
+
+	/* @type {function|undefined} */
+	const mediaUpload = useSelect( ( select ) => {
+		// @ts-ignore The function isn't in the declaration file.
+		const { getSettings } = select( blockEditorStore );
+		return getSettings()?.mediaUpload || legacyMediaUpload;
+	}, [] );
+
+	/**
+	 * Changes the gallery, without duplicates or more images than the maximum.
+	 *
+	 * @param {number[]} newImageIds The new attachment IDs.
+	 */
+	const changeImageIds = ( newImageIds ) => {
+		const uniqueIds = [ ...new Set( newImageIds.filter( Boolean ) ) ];
+		onChange( max ? uniqueIds.slice( 0, max ) : uniqueIds );
+	};
+
+	/** @param {Object[]} selectedMedia The media selected in the media library. */
+	const onSelect = ( selectedMedia ) => {
+		changeImageIds( selectedMedia.map( ( ownMedia ) => parseInt( ownMedia?.id ) ) );
+	};
+
+	/**
+	 * @param {number} fromIndex The index of the image to move.
+	 * @param {number} toIndex   The index to move it to.
+	 */
+	const moveImage = ( fromIndex, toIndex ) => {
+		if ( fromIndex === toIndex || ! imageIds.hasOwnProperty( fromIndex ) ) {
+			return;
+		}
+
+		const newImageIds = [ ...imageIds ];
+		const [ movedId ] = newImageIds.splice( fromIndex, 1 );
+		newImageIds.splice( toIndex, 0, movedId );
+		changeImageIds( newImageIds );
+	};
+
+	/** @param {number} index The index of the image to remove. */
+	const removeImage = ( index ) => {
+		changeImageIds( imageIds.filter( ( imageId, imageIndex ) => index !== imageIndex ) );
+	};
+
+	/** @param {ArrayLike<File>} files The files to upload. */
+	const uploadFiles = ( files ) => {
+		setIsUploading( true );
+		mediaUpload( {
+			allowedTypes: [ 'image' ],
+			filesList: files,
+			onFileChange: ( uploaded ) => {
+				// This is first called with blob URLs and no IDs, while the files are still uploading.
+				if ( uploaded.every( ( ownMedia ) => ownMedia?.id && 'blob' !== ownMedia.url?.substr( 0, 4 ) ) ) {
+					changeImageIds( [ ...imageIds, ...uploaded.map( ( ownMedia ) => parseInt( ownMedia.id ) ) ] );
+					setIsUploading( false );
+				}
+			},
+			maxUploadFileSize: 0,
+			onError: () => setIsUploading( false ),
+		} );
+	};
+
+	return {
+		images: imageIds.map( ( imageId, index ) => ( {
+			id: imageId,
+			src: media[ index ]?.media_details?.sizes?.thumbnail?.source_url || media[ index ]?.source_url || '',
+			alt: media[ index ]?.alt_text || '',
+		} ) ),
+		isUploading,
+		onSelect,
+		moveImage,
+		removeImage,
+		uploadFiles,
+	};
+};
+
+export default useGallery;
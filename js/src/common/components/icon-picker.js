@@ -0,0 +1,145 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+import classNames from 'classnames';
+
+/**
+ * WordPress dependencies
+ */
+import { Icon, SearchControl, TabPanel } from '@wordpress/components';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+import { store as preferencesStore } from '@wordpress/preferences';
+
+/**
+ * Internal dependencies
+ */
+import { ICON_CATEGORIES, MAX_RECENT_ICONS } from '../constants';
+import { getIconComponent, getIconComponents, pascalCaseToSnakeCase, searchIcons } from '../helpers';
+
+/**
+ * @typedef {Object} IconPickerProps The component props.
+ * @property {string}                     value    The snake_case name of the selected icon, like 'account_balance'.
+ * @property {(iconName: string) => void} onChange Selects an icon.
+ * @property {string}                     [label]  The label of the icons.
+ */
+
+/**
+ * A grid of icons to choose from, with a search, category tabs, and the recently used icons.
+ *
+ * This is for the block icon and for icon fields, so both have the same icons.
+ *
+ * @param {IconPickerProps} props The component props.
+ * @return {React.ReactElement} The icon picker.
+ */
+const IconPicker = ( { value, onChange, label = __( 'Icons', 'genesis-custom-blocks' ) } ) => {
+	const [ search, setSearch ] = useState( '' );
+	const iconNames = Object.keys( getIconComponents() ).map( pascalCaseToSnakeCase );
+
+	/** @type {string[]} The snake_case names of the recently used icons, most recent first. */
+	const recentIcons = useSelect(
+		// @ts-ignore The function isn't in the declaration file.
+		( select ) => select( preferencesStore ).get( 'genesis-custom-blocks', 'recentIcons' ) || [],
+		[]
+	).filter( ( iconName ) => iconNames.includes( iconName ) );
+	const { set: setPreference } = useDispatch( preferencesStore );
+
+	/**
+	 * Selects an icon, and makes it the most recently used.
+	 *
+	 * @param {string} iconName The snake_case icon name.
+	 */
+	const selectIcon = ( iconName ) => {
+		setPreference(
+			'genesis-custom-blocks',
+			'recentIcons',
+			[ iconName, ...recentIcons.filter( ( recentIcon ) => recentIcon !== iconName ) ].slice( 0, MAX_RECENT_ICONS )
+		);
+		onChange( iconName );
+	};
+
+	/**
+	 * Renders a grid of icons.
+	 *
+	 * @param {string[]} gridIconNames The snake_case names of the icons.
+	 * @param {string}   gridLabel     The label of the grid.
+	 * @return {React.ReactElement} The grid of icons.
+	 */
+	const renderIcons = ( gridIconNames, gridLabel ) => (
+		gridIconNames.length
+			? (
+				<div role="listbox" className="gcb-icon-picker__icons" aria-label={ gridLabel }>
+					{ gridIconNames.map( ( iconName ) => {
+						const isSelected = value === iconName;
+
+						return (
+							<button
+								key={ `gcb-icon-picker-item-${ iconName }` }
+								className={ classNames( 'gcb-icon-picker__icon', { 'is-selected': isSelected } ) }
+								type="button"
+								role="option"
+								title={ iconName.replace( /_/g, ' ' ) }
+								aria-selected={ isSelected }
+								onClick={ () => {
+									selectIcon( iconName );
+								} }
+							>
+								<Icon size={ 24 } icon={ getIconComponent( iconName ) } />
+							</button>
+						);
+					} ) }
+				</div>
+			) : (
+				<p className="gcb-icon-picker__no-results">
+					{ __( 'No icons found.', 'genesis-custom-blocks' ) }
+				</p>
+			)
+	);
+
+	return (
+		<div className="gcb-icon-picker">
+			<SearchControl
+				className="gcb-icon-picker__search"
+				label={ __( 'Search icons', 'genesis-custom-blocks' ) }
+				placeholder={ __( 'Search icons', 'genesis-custom-blocks' ) }
+				value={ search }
+				onChange={ setSearch }
+			/>
+			{ search.trim()
+				? renderIcons( searchIcons( iconNames, search ), label )
+				: (
+					<>
+						{ recentIcons.length
+							? (
+								<>
+									<p className="gcb-icon-picker__heading">{ __( 'Recently Used', 'genesis-custom-blocks' ) }</p>
+									{ renderIcons( recentIcons, __( 'Recently used icons', 'genesis-custom-blocks' ) ) }
+								</>
+							) : null
+						}
+						<TabPanel
+							className="gcb-icon-picker__categories"
+							tabs={ [
+								{ name: 'all', title: __( 'All', 'genesis-custom-blocks' ) },
+								...ICON_CATEGORIES.map( ( category ) => ( { name: category.name, title: category.label } ) ),
+							] }
+						>
+							{ ( tab ) => {
+								const category = ICON_CATEGORIES.find( ( { name } ) => tab.name === name );
+
+								return renderIcons(
+									category ? category.icons.filter( ( iconName ) => iconNames.includes( iconName ) ) : iconNames,
+									category ? category.label : label
+								);
+							} }
+						</TabPanel>
+					</>
+				)
+			}
+		</div>
+	);
+};
+
+export default IconPicker;
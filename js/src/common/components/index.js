@@ -1,2 +1,3 @@
+export { default as IconPicker } from './icon-picker';
 export { default as Notice } from './notice';
 export { default as SvgContainer } from './svg-container';
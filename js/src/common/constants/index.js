@@ -19,3 +19,462 @@ export const LOCATIONS_WITH_LABEL = [
 		label: __( 'Inspector', 'genesis-custom-blocks' ),
 	},
 ];
+
+export const CONDITION_OPERATORS_WITH_LABEL = [
+	{
+		value: 'equals',
+		label: __( 'Equals', 'genesis-custom-blocks' ),
+	},
+	{
+		value: 'not_equals',
+		label: __( 'Does not equal', 'genesis-custom-blocks' ),
+	},
+	{
+		value: 'contains',
+		label: __( 'Contains', 'genesis-custom-blocks' ),
+	},
+	{
+		value: 'empty',
+		label: __( 'Is empty', 'genesis-custom-blocks' ),
+	},
+	{
+		value: 'not_empty',
+		label: __( 'Is not empty', 'genesis-custom-blocks' ),
+	},
+];
+export const CONDITION_OPERATORS_WITHOUT_VALUE = [ 'empty', 'not_empty' ];
+
+export const GROUP_CONTROL = 'group';
+export const GROUP_LAYOUTS_WITH_LABEL = [
+	{
+		value: 'panel',
+		label: __( 'Panel', 'genesis-custom-blocks' ),
+	},
+	{
+		value: 'accordion',
+		label: __( 'Accordion', 'genesis-custom-blocks' ),
+	},
+	{
+		value: 'tabs',
+		label: __( 'Tabs', 'genesis-custom-blocks' ),
+	},
+];
+
+/**
+ * Matches a tag in the template markup.
+ *
+ * In order, the groups are for an escaped tag like \{\{example-field\}\}, which should output literally,
+ * a block tag like {{#if example-field}} or {{#each example-repeater}}, its closing tag like {{/if}},
+ * and a field like {{example-field}} or {{example-field|upper}}.
+ *
+ * @type {RegExp}
+ */
+export const TEMPLATE_TAG_REGEX = /\\{\\{(\S+?)\\}\\}|{{#(if|each) (\S+?)}}|{{\/(if|each)}}|{{(\S+?)}}/g;
+
+/**
+ * @typedef {Object} TemplateFilterConfig A filter for a template field, like {{example-field|upper}}.
+ * @property {string} name        The name of the filter.
+ * @property {string} [argument]  An example of the argument, if it has one, like {{example-field|truncate:20}}.
+ * @property {string} description What the filter does.
+ */
+
+/**
+ * The filters that the template markup can apply to fields, like {{example-field|upper}}.
+ *
+ * @type {TemplateFilterConfig[]}
+ */
+export const TEMPLATE_FILTERS = [
+	{ name: 'upper', description: __( 'Uppercase', 'genesis-custom-blocks' ) },
+	{ name: 'lower', description: __( 'Lowercase', 'genesis-custom-blocks' ) },
+	{ name: 'capitalize', description: __( 'Uppercase first letter', 'genesis-custom-blocks' ) },
+	{ name: 'trim', description: __( 'Remove surrounding whitespace', 'genesis-custom-blocks' ) },
+	{ name: 'truncate', argument: '20', description: __( 'Shorten to a number of characters', 'genesis-custom-blocks' ) },
+	{ name: 'default', argument: 'text', description: __( 'Text to output if the field is empty', 'genesis-custom-blocks' ) },
+	{ name: 'url', argument: 'large', description: __( 'URL of an image, file, link or post, with an optional image size', 'genesis-custom-blocks' ) },
+];
+
+/**
+ * The template filters that need the field itself, not only the value to output.
+ *
+ * Like {{example-image|url:large}}, which outputs the URL of another image size.
+ *
+ * @type {string[]}
+ */
+export const TEMPLATE_FIELD_FILTERS = [ 'url' ];
+
+/**
+ * The properties of the posts in a post field that the template editor can output, like {{example-post.title}}.
+ * In a loop like {{#each example-post}}…{{/each}}, they're like {{title}}.
+ *
+ * @type {string[]}
+ */
+export const POST_PROPERTIES = [ 'title', 'permalink', 'excerpt' ];
+
+/**
+ * The CSS at-rules that have rules inside them, like @media.
+ * Other at-rules, like @keyframes and @font-face, have their own kind of contents.
+ *
+ * @type {string[]}
+ */
+export const CSS_CONDITIONAL_AT_RULES = [ 'container', 'document', 'layer', 'media', 'supports' ];
+
+/**
+ * The controls whose value is a date, a time, or both.
+ *
+ * @type {string[]}
+ */
+export const DATE_CONTROLS = [ 'date', 'time', 'datetime' ];
+
+/**
+ * Matches a color or gradient from the theme palette, like var:preset|color|primary.
+ * This is how the block editor stores presets in block styles.
+ *
+ * @type {RegExp}
+ */
+export const COLOR_PRESET_REGEX = /^var:preset\|(color|gradient)\|(.+)$/;
+
+/**
+ * The categories of the icons, in the order of their tabs in the icon picker.
+ * Icons added with the filter genesisCustomBlocks.iconComponents are only in 'All'.
+ *
+ * @type {{name: string, label: string, icons: string[]}[]}
+ */
+export const ICON_CATEGORIES = [
+	{
+		name: 'general',
+		label: __( 'General', 'genesis-custom-blocks' ),
+		icons: [
+			'add_circle_outline',
+			'alarm',
+			'attach_file',
+			'battery_charging_full',
+			'book',
+			'bookmark_border',
+			'brightness_2',
+			'brightness_low',
+			'brush',
+			'build',
+			'check_circle',
+			'cloud',
+			'code',
+			'color_lens',
+			'create',
+			'description',
+			'desktop_mac',
+			'devices',
+			'favorite_border',
+			'folder',
+			'help_outline',
+			'home',
+			'hourglass_empty',
+			'info',
+			'link',
+			'lock',
+			'note_add',
+			'save',
+			'schedule',
+			'search',
+			'settings',
+			'star_border',
+			'today',
+			'toys',
+			'vpn_key',
+			'watch',
+			'whatshot',
+		],
+	},
+	{
+		name: 'interface',
+		label: __( 'Interface', 'genesis-custom-blocks' ),
+		icons: [
+			'genesis_custom_blocks',
+			'check_box',
+			'extension',
+			'font_download',
+			'label',
+			'list',
+			'notes',
+			'radio_button_checked',
+			'space_bar',
+			'text_fields',
+			'title',
+			'toggle_on',
+			'view_carousel',
+			'view_column',
+			'view_day',
+			'view_module',
+			'view_quilt',
+			'widgets',
+		],
+	},
+	{
+		name: 'media',
+		label: __( 'Media', 'genesis-custom-blocks' ),
+		icons: [
+			'add_aphoto',
+			'audiotrack',
+			'camera',
+			'camera_alt',
+			'gamepad',
+			'insert_photo',
+			'mic_none',
+			'movie',
+			'panorama_horizontal',
+			'play_circle_outline',
+			'theaters',
+			'tv',
+			'videogame_asset',
+			'wallpaper',
+		],
+	},
+	{
+		name: 'communication',
+		label: __( 'Communication', 'genesis-custom-blocks' ),
+		icons: [
+			'announcement',
+			'chat_bubble_outline',
+			'email',
+			'format_quote',
+			'forum',
+			'inbox',
+			'notifications',
+			'translate',
+		],
+	},
+	{
+		name: 'people',
+		label: __( 'People', 'genesis-custom-blocks' ),
+		icons: [
+			'account_circle',
+			'assignment_ind',
+			'face',
+			'fingerprint',
+			'group',
+			'perm_identity',
+			'sentiment_satisfied_alt',
+		],
+	},
+	{
+		name: 'travel',
+		label: __( 'Travel', 'genesis-custom-blocks' ),
+		icons: [
+			'directions_bike',
+			'directions_boat',
+			'directions_bus',
+			'directions_car',
+			'directions_railway',
+			'directions_run',
+			'explore',
+			'fastfood',
+			'flight',
+			'hotel',
+			'language',
+			'local_activity',
+			'local_bar',
+			'local_cafe',
+			'local_dining',
+			'local_florist',
+			'location_searching',
+			'map',
+			'pets',
+			'place',
+			'public',
+			'waves',
+		],
+	},
+	{
+		name: 'commerce',
+		label: __( 'Commerce', 'genesis-custom-blocks' ),
+		icons: [
+			'account_balance',
+			'attach_money',
+			'card_giftcard',
+			'credit_card',
+			'shopping_cart',
+			'work_outline',
+		],
+	},
+	{
+		name: 'data',
+		label: __( 'Data', 'genesis-custom-blocks' ),
+		icons: [
+			'assessment',
+			'dashboard',
+			'donut_small',
+			'insert_chart',
+			'linear_scale',
+			'pie_chart',
+			'scatter_plot',
+		],
+	},
+];
+
+/**
+ * More words to find icons by in the icon picker, in addition to their names.
+ *
+ * @type {Object.<string, string[]>}
+ */
+export const ICON_KEYWORDS = {
+	account_balance: [ 'bank', 'finance', 'museum' ],
+	account_circle: [ 'avatar', 'profile', 'user' ],
+	add_aphoto: [ 'camera', 'image', 'upload' ],
+	add_circle_outline: [ 'new', 'plus' ],
+	alarm: [ 'clock', 'reminder', 'time' ],
+	announcement: [ 'alert', 'message', 'news' ],
+	assessment: [ 'chart', 'graph', 'report', 'statistics' ],
+	assignment_ind: [ 'badge', 'clipboard', 'person' ],
+	attach_file: [ 'attachment', 'clip', 'paperclip' ],
+	attach_money: [ 'cash', 'currency', 'dollar', 'price' ],
+	audiotrack: [ 'music', 'note', 'sound' ],
+	battery_charging_full: [ 'energy', 'power' ],
+	book: [ 'read', 'library' ],
+	bookmark_border: [ 'favorite', 'save' ],
+	brightness_2: [ 'dark', 'moon', 'night' ],
+	brightness_low: [ 'light', 'sun' ],
+	brush: [ 'art', 'paint' ],
+	build: [ 'repair', 'tool', 'wrench' ],
+	camera: [ 'lens', 'photography' ],
+	camera_alt: [ 'photo', 'photography', 'picture' ],
+	card_giftcard: [ 'gift', 'present' ],
+	chat_bubble_outline: [ 'comment', 'message', 'speech' ],
+	check_box: [ 'checkbox', 'done', 'selected' ],
+	check_circle: [ 'approve', 'done', 'success' ],
+	cloud: [ 'weather', 'storage' ],
+	code: [ 'developer', 'html', 'programming' ],
+	color_lens: [ 'art', 'colour', 'palette' ],
+	create: [ 'edit', 'pencil', 'write' ],
+	credit_card: [ 'checkout', 'payment' ],
+	dashboard: [ 'admin', 'overview' ],
+	description: [ 'document', 'file', 'page' ],
+	desktop_mac: [ 'computer', 'monitor', 'screen' ],
+	devices: [ 'computer', 'phone', 'responsive' ],
+	directions_bike: [ 'bicycle', 'cycling' ],
+	directions_boat: [ 'ferry', 'ship' ],
+	directions_bus: [ 'transit', 'transport' ],
+	directions_car: [ 'drive', 'vehicle' ],
+	directions_railway: [ 'train', 'transit' ],
+	directions_run: [ 'exercise', 'fitness', 'running' ],
+	donut_small: [ 'chart', 'graph' ],
+	email: [ 'envelope', 'letter', 'mail' ],
+	explore: [ 'compass', 'navigation' ],
+	extension: [ 'add-on', 'plugin', 'puzzle' ],
+	face: [ 'person', 'smile' ],
+	fastfood: [ 'burger', 'food', 'restaurant' ],
+	favorite_border: [ 'heart', 'like', 'love' ],
+	fingerprint: [ 'identity', 'security' ],
+	flight: [ 'airplane', 'plane', 'travel' ],
+	folder: [ 'directory', 'files' ],
+	font_download: [ 'letter', 'typography' ],
+	format_quote: [ 'citation', 'quotation', 'testimonial' ],
+	forum: [ 'chat', 'community', 'conversation' ],
+	gamepad: [ 'controller', 'game' ],
+	genesis_custom_blocks: [ 'block', 'plugin' ],
+	group: [ 'people', 'team', 'users' ],
+	help_outline: [ 'faq', 'question', 'support' ],
+	home: [ 'house' ],
+	hotel: [ 'bed', 'sleep' ],
+	hourglass_empty: [ 'loading', 'time', 'wait' ],
+	inbox: [ 'mail', 'tray' ],
+	info: [ 'about', 'details' ],
+	insert_chart: [ 'bar', 'graph', 'statistics' ],
+	insert_photo: [ 'image', 'picture' ],
+	label: [ 'tag' ],
+	language: [ 'globe', 'international', 'website' ],
+	linear_scale: [ 'slider', 'steps' ],
+	link: [ 'chain', 'url' ],
+	list: [ 'bullets', 'items' ],
+	local_activity: [ 'event', 'ticket' ],
+	local_bar: [ 'cocktail', 'drink' ],
+	local_cafe: [ 'coffee', 'cup', 'tea' ],
+	local_dining: [ 'fork', 'knife', 'restaurant' ],
+	local_florist: [ 'flower', 'garden' ],
+	location_searching: [ 'gps', 'target' ],
+	lock: [ 'password', 'private', 'security' ],
+	map: [ 'directions', 'location' ],
+	mic_none: [ 'microphone', 'podcast', 'record' ],
+	movie: [ 'film', 'video' ],
+	note_add: [ 'document', 'new' ],
+	notes: [ 'paragraph', 'text' ],
+	notifications: [ 'alert', 'bell' ],
+	panorama_horizontal: [ 'image', 'landscape', 'wide' ],
+	perm_identity: [ 'account', 'person', 'user' ],
+	pets: [ 'animal', 'dog', 'paw' ],
+	pie_chart: [ 'graph', 'statistics' ],
+	place: [ 'location', 'map', 'marker', 'pin' ],
+	play_circle_outline: [ 'start', 'video' ],
+	public: [ 'earth', 'globe', 'world' ],
+	radio_button_checked: [ 'option', 'selected' ],
+	save: [ 'disk', 'floppy' ],
+	scatter_plot: [ 'chart', 'dots', 'graph' ],
+	schedule: [ 'clock', 'time' ],
+	search: [ 'find', 'magnifying glass' ],
+	sentiment_satisfied_alt: [ 'emoji', 'happy', 'smile' ],
+	settings: [ 'cog', 'gear', 'options' ],
+	shopping_cart: [ 'basket', 'checkout', 'store' ],
+	space_bar: [ 'keyboard', 'spacer' ],
+	star_border: [ 'favorite', 'rating' ],
+	text_fields: [ 'font', 'typography' ],
+	theaters: [ 'cinema', 'film' ],
+	title: [ 'heading', 'text' ],
+	today: [ 'calendar', 'date', 'event' ],
+	toggle_on: [ 'switch' ],
+	toys: [ 'fan', 'windmill' ],
+	translate: [ 'language', 'localization' ],
+	tv: [ 'screen', 'television' ],
+	videogame_asset: [ 'controller', 'game' ],
+	view_carousel: [ 'gallery', 'slider' ],
+	view_column: [ 'columns', 'layout' ],
+	view_day: [ 'layout', 'rows' ],
+	view_module: [ 'grid', 'layout' ],
+	view_quilt: [ 'grid', 'layout', 'masonry' ],
+	vpn_key: [ 'key', 'password' ],
+	wallpaper: [ 'background', 'image' ],
+	watch: [ 'smartwatch', 'time' ],
+	waves: [ 'beach', 'ocean', 'sea', 'water' ],
+	whatshot: [ 'fire', 'hot', 'popular', 'trending' ],
+	widgets: [ 'blocks', 'components' ],
+	work_outline: [ 'briefcase', 'business', 'job' ],
+};
+
+/**
+ * The most icons in the recently used row of the icon picker.
+ *
+ * @type {number}
+ */
+export const MAX_RECENT_ICONS = 6;
+
+/**
+ * The languages of a code field, which are also the modes of its editor.
+ * The template outputs the code with a class for the language, like language-php.
+ *
+ * @type {{value: string, label: string}[]}
+ */
+export const CODE_LANGUAGES = [
+	{ value: 'html', label: 'HTML' },
+	{ value: 'css', label: 'CSS' },
+	{ value: 'javascript', label: 'JavaScript' },
+	{ value: 'php', label: 'PHP' },
+	{ value: 'json', label: 'JSON' },
+	{ value: 'sql', label: 'SQL' },
+	{ value: 'markdown', label: 'Markdown' },
+	{ value: 'python', label: 'Python' },
+	{ value: 'ruby', label: 'Ruby' },
+	{ value: 'sh', label: __( 'Shell', 'genesis-custom-blocks' ) },
+	{ value: 'xml', label: 'XML' },
+	{ value: 'yaml', label: 'YAML' },
+	{ value: 'text', label: __( 'Plain Text', 'genesis-custom-blocks' ) },
+];
+
+/**
+ * The themes of the editor of a code field.
+ *
+ * @type {{value: string, label: string}[]}
+ */
+export const CODE_THEMES = [
+	{ value: 'textmate', label: 'TextMate' },
+	{ value: 'github', label: 'GitHub' },
+	{ value: 'monokai', label: 'Monokai' },
+	{ value: 'tomorrow_night', label: 'Tomorrow Night' },
+	{ value: 'solarized_light', label: 'Solarized Light' },
+	{ value: 'solarized_dark', label: 'Solarized Dark' },
+];
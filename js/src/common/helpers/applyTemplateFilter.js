@@ -0,0 +1,39 @@
+/**
+ * Applies a filter to a value in the template markup, like upper in {{example-field|upper}}.
+ *
+ * Mirrors TemplateEditor::apply_filter() in PHP.
+ * The url filter needs the field, so it's applied where the value is read.
+ *
+ * @param {string}                                       value  The value to output.
+ * @param {import('./getTemplateTokens').TemplateFilter} filter The filter.
+ * @return {string} The filtered value, or the value as it was if the filter doesn't exist.
+ */
+const applyTemplateFilter = ( value, filter ) => {
+	switch ( filter.name ) {
+		case 'upper':
+			return value.toUpperCase();
+		case 'lower':
+			return value.toLowerCase();
+		case 'capitalize':
+			return value.charAt( 0 ).toUpperCase() + value.slice( 1 );
+		case 'trim':
+			return value.trim();
+		case 'truncate': {
+			// Like mb_substr() in PHP, this counts characters, not UTF-16 code units.
+			const characters = Array.from( value );
+			const length = filter.args[ 0 ];
+			if ( ! /^\d+$/.test( length ?? '' ) || characters.length <= parseInt( length ) ) {
+				return value;
+			}
+
+			return `${ characters.slice( 0, parseInt( length ) ).join( '' ).trimEnd() }…`;
+		}
+		case 'default':
+			// The argument can have a colon, like {{example-time|default:12:00}}.
+			return '' === value.trim() ? filter.args.join( ':' ) : value;
+	}
+
+	return value;
+};
+
+export default applyTemplateFilter;
@@ -0,0 +1,55 @@
+/**
+ * WordPress dependencies
+ */
+import { autop } from '@wordpress/autop';
+
+/**
+ * Casts a field value to the field's type.
+ *
+ * Mirrors Field::cast_value() in PHP, so templates render the same in the editor and on the front-end.
+ *
+ * @param {*}      value The value to cast.
+ * @param {Object} field The field the value is for.
+ * @return {*} The cast value.
+ */
+const castValue = ( value, field ) => {
+	// Like in block_field(), a missing value is false, so unchecked checkboxes render as 'No'.
+	let castedValue = undefined === value || null === value ? false : value;
+
+	switch ( field.type ) {
+		case 'string':
+			castedValue = false === castedValue ? '' : String( castedValue );
+			break;
+		case 'boolean':
+			if ( 1 === castedValue ) {
+				castedValue = true;
+			}
+			break;
+		case 'integer':
+			castedValue = parseInt( castedValue, 10 ) || 0;
+			break;
+		case 'array':
+			if ( ! castedValue ) {
+				castedValue = [];
+			} else if ( ! Array.isArray( castedValue ) ) {
+				castedValue = 'object' === typeof castedValue ? Object.values( castedValue ) : [ castedValue ];
+			}
+			break;
+	}
+
+	if ( 'textarea' === field.control ) {
+		castedValue = false === castedValue ? '' : String( castedValue );
+
+		if ( 'autop' === field.new_lines ) {
+			castedValue = autop( castedValue );
+		}
+
+		if ( 'autobr' === field.new_lines ) {
+			castedValue = castedValue.replace( /(\r\n|\n|\r)/g, '<br />$1' );
+		}
+	}
+
+	return castedValue;
+};
+
+export default castValue;
@@ -0,0 +1,32 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Gets the field value as a string, like Field::cast_value_to_string() in PHP.
+ *
+ * @param {*} value The field value.
+ * @return {string} The value to output.
+ */
+const castValueToString = ( value ) => {
+	if ( Array.isArray( value ) ) {
+		return value.join( ', ' );
+	}
+
+	if ( true === value ) {
+		return __( 'Yes', 'genesis-custom-blocks' );
+	}
+
+	if ( false === value ) {
+		return __( 'No', 'genesis-custom-blocks' );
+	}
+
+	if ( undefined === value || null === value ) {
+		return '';
+	}
+
+	return String( value );
+};
+
+export default castValueToString;
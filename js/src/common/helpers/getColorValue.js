@@ -0,0 +1,26 @@
+/**
+ * Internal dependencies
+ */
+import { COLOR_PRESET_REGEX } from '../constants';
+
+/**
+ * Gets the CSS value of a color field, like Color::get_css_value() does in PHP.
+ *
+ * A color from the theme palette is stored as a preset like 'var:preset|color|primary',
+ * so it outputs the CSS variable of the preset. That way, it changes with the palette.
+ *
+ * @param {*} value The field value, like '#ff0000' or 'var:preset|gradient|cool-to-warm'.
+ * @return {string} The CSS value, like 'var(--wp--preset--color--primary)'.
+ */
+const getColorValue = ( value ) => {
+	if ( 'string' !== typeof value ) {
+		return '';
+	}
+
+	const preset = value.match( COLOR_PRESET_REGEX );
+	return preset
+		? `var(--wp--preset--${ preset[ 1 ] }--${ preset[ 2 ] })`
+		: value;
+};
+
+export default getColorValue;
@@ -0,0 +1,11 @@
+/**
+ * Gets the class of the wrapper that scoped template CSS applies to.
+ *
+ * Mirrors TemplateEditor::get_scope_class() in PHP.
+ *
+ * @param {string} blockName The name of the block, without the namespace.
+ * @return {string} The class of the wrapper.
+ */
+const getCssScopeClass = ( blockName ) => `genesis-custom-blocks-${ blockName }`;
+
+export default getCssScopeClass;
@@ -0,0 +1,79 @@
+/**
+ * Internal dependencies
+ */
+import { DEFAULT_LOCATION, GROUP_CONTROL } from '../constants';
+
+/**
+ * @typedef {Object} FieldGroup A group field and the fields in it.
+ * @property {Object}   group  The group field, which has the title and layout.
+ * @property {Object[]} fields The fields in the group, in order.
+ */
+
+/**
+ * @typedef {Object} GroupedFieldsItem Fields to render together.
+ * @property {string|null}  layout The layout, like 'tabs', or null for fields that aren't in a group.
+ * @property {Object[]}     fields The fields that aren't in a group, if the layout is null.
+ * @property {FieldGroup[]} groups The groups, if there's a layout. Consecutive tabs or accordion sections render together.
+ */
+
+/**
+ * Gets the fields of a location, arranged in their groups.
+ *
+ * A field is in a group if its 'group' setting is the name of a group in the same location.
+ * Otherwise, like if the group was deleted, the field renders on its own.
+ * Groups render where the group field is, and groups with no fields don't render.
+ *
+ * @param {Object[]} fields   The fields, in order, like from getFieldsAsArray().
+ * @param {string}   location The location, like 'editor'.
+ * @return {GroupedFieldsItem[]} The fields, arranged to render.
+ */
+const getGroupedFields = ( fields, location ) => {
+	const fieldsInLocation = fields.filter(
+		( field ) => location === ( field.location || DEFAULT_LOCATION )
+	);
+	const groups = fieldsInLocation.filter( ( field ) => GROUP_CONTROL === field.control );
+
+	/**
+	 * Gets the group that a field is in, if any.
+	 *
+	 * @param {Object} field The field.
+	 * @return {Object|undefined} The group field, if any.
+	 */
+	const getGroup = ( field ) => groups.find( ( group ) => group.name === field.group );
+
+	return fieldsInLocation.reduce( ( accumulator, field ) => {
+		const previousItem = accumulator[ accumulator.length - 1 ];
+
+		if ( GROUP_CONTROL === field.control ) {
+			const groupFields = fieldsInLocation.filter( ( groupField ) => field === getGroup( groupField ) );
+			if ( ! groupFields.length ) {
+				return accumulator;
+			}
+
+			const layout = field.layout || 'panel';
+			const fieldGroup = { group: field, fields: groupFields };
+
+			if ( 'panel' !== layout && previousItem?.layout === layout ) {
+				previousItem.groups.push( fieldGroup );
+			} else {
+				accumulator.push( { layout, fields: [], groups: [ fieldGroup ] } );
+			}
+
+			return accumulator;
+		}
+
+		if ( getGroup( field ) ) {
+			return accumulator;
+		}
+
+		if ( previousItem && null === previousItem.layout ) {
+			previousItem.fields.push( field );
+		} else {
+			accumulator.push( { layout: null, fields: [ field ], groups: [] } );
+		}
+
+		return accumulator;
+	}, [] );
+};
+
+export default getGroupedFields;
@@ -6,13 +6,12 @@ import * as React from 'react';
 /**
  * WordPress dependencies
  */
-import { applyFilters } from '@wordpress/hooks';
+import { RawHTML } from '@wordpress/element';
 
 /**
  * Internal dependencies
  */
-import * as iconComponents from '../icons';
-import { snakeCaseToPascalCase } from '.';
+import { getIconComponents, getSanitizedSvg, snakeCaseToPascalCase } from '.';
 
 /**
  * Gets the icon component, if it exists.
@@ -22,18 +21,30 @@ import { snakeCaseToPascalCase } from '.';
  * For example, passing 'genesis_custom_blocks' will return
  * a <GenesisCustomBlocks> icon component.
  *
- * @param {string} iconName The type of setting, like 'text'
- * @return {React.FunctionComponent|null} The settings component, if it exists.
+ * A custom icon is the markup of its <svg>, so this gets a component with that <svg>.
+ *
+ * @param {string} iconName The snake_case icon name, like 'account_balance', or the <svg> of a custom icon.
+ * @return {React.FunctionComponent|null} The icon component, if it exists.
  */
 const getIconComponent = ( iconName ) => {
 	if ( ! iconName || 'string' !== typeof iconName ) {
 		return null;
 	}
 
+	if ( iconName.trim().startsWith( '<svg' ) ) {
+		const svg = getSanitizedSvg( iconName );
+		if ( ! svg ) {
+			return null;
+		}
+
+		const CustomIcon = () => <RawHTML className="gcb-custom-icon">{ svg }</RawHTML>;
+		return CustomIcon;
+	}
+
 	const componentName = snakeCaseToPascalCase( iconName );
 
-	const filteredComponents = applyFilters( 'genesisCustomBlocks.iconComponents', iconComponents );
-	return filteredComponents[ componentName ] ? filteredComponents[ componentName ] : null; /* eslint-disable-line import/namespace */
+	const filteredComponents = getIconComponents();
+	return filteredComponents[ componentName ] ? filteredComponents[ componentName ] : null;
 };
 
 export default getIconComponent;
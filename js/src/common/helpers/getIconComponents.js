@@ -0,0 +1,31 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { applyFilters } from '@wordpress/hooks';
+
+/**
+ * Internal dependencies
+ */
+import * as iconComponents from '../icons';
+
+/**
+ * Gets all of the icon components, including those added with a filter.
+ *
+ * @return {Object.<string, React.FunctionComponent>} The icon components, keyed by their PascalCase name.
+ */
+const getIconComponents = () => {
+	/**
+	 * Filters the icons for the block icon and for icon fields.
+	 *
+	 * @param {Object.<string, React.FunctionComponent>} iconComponents The icon components, keyed by their PascalCase name.
+	 */
+	// @ts-ignore
+	return applyFilters( 'genesisCustomBlocks.iconComponents', iconComponents );
+};
+
+export default getIconComponents;
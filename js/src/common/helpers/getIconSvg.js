@@ -0,0 +1,22 @@
+/**
+ * WordPress dependencies
+ */
+import { createElement, renderToString } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import { getIconComponent } from '.';
+
+/**
+ * Gets the <svg> of an icon, like Icon::get_svg() does in PHP.
+ *
+ * @param {string} iconName The snake_case name of the icon, like 'account_balance'.
+ * @return {string} The <svg>, or '' if the icon doesn't exist.
+ */
+const getIconSvg = ( iconName ) => {
+	const IconComponent = getIconComponent( iconName );
+	return IconComponent ? renderToString( createElement( IconComponent ) ) : '';
+};
+
+export default getIconSvg;
@@ -0,0 +1,36 @@
+/**
+ * WordPress dependencies
+ */
+import { date } from '@wordpress/date';
+
+/**
+ * Matches an ISO 8601 date, time, or date and time, like '2024-05-01', '13:30', or '2024-05-01T13:30:00'.
+ *
+ * @type {RegExp}
+ */
+const ISO_REGEX = /^(?:(\d{4}-\d{2}-\d{2}))?(?:(?:^|[T ])(\d{2}:\d{2})(:\d{2})?)?$/;
+
+/**
+ * Gets the ISO 8601 date and time of a date, time, or date and time field value.
+ *
+ * The value is either ISO 8601 in the site's timezone, or a Unix timestamp.
+ * A time without a date is today, and a date without a time is midnight.
+ *
+ * @param {*} value The field value.
+ * @return {string} The date and time in the site's timezone, like '2024-05-01T13:30:00', or '' if the value isn't a date or time.
+ */
+const getIsoDateTime = ( value ) => {
+	if ( 'number' === typeof value || /^-?\d+$/.test( String( value ?? '' ) ) ) {
+		return date( 'Y-m-d\\TH:i:s', new Date( parseInt( value ) * 1000 ), undefined );
+	}
+
+	const match = 'string' === typeof value && value ? value.match( ISO_REGEX ) : null;
+	if ( ! match || ( ! match[ 1 ] && ! match[ 2 ] ) ) {
+		return '';
+	}
+
+	const [ , day, time, seconds ] = match;
+	return `${ day || date( 'Y-m-d', new Date(), undefined ) }T${ time || '00:00' }${ seconds || ':00' }`;
+};
+
+export default getIsoDateTime;
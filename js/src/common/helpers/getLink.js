@@ -0,0 +1,31 @@
+/**
+ * @typedef {Object} Link The value of a link field.
+ * @property {string}  url           The URL.
+ * @property {string}  title         The link text, or '' to use the URL.
+ * @property {boolean} opensInNewTab Whether the link opens in a new tab.
+ * @property {number}  postId        The ID of the post it links to, or 0 if it's not to a post.
+ */
+
+/**
+ * Gets a link from the value of a link field, like Link::get_link() does in PHP.
+ *
+ * The value can also be a URL, from before the field was a link field.
+ *
+ * @param {*} value The field value.
+ * @return {Link|null} The link, or null if there's no URL.
+ */
+const getLink = ( value ) => {
+	const link = 'string' === typeof value ? { url: value } : value;
+	if ( ! link || 'object' !== typeof link || Array.isArray( link ) || ! link.url ) {
+		return null;
+	}
+
+	return {
+		url: String( link.url ),
+		title: link.title ? String( link.title ) : '',
+		opensInNewTab: Boolean( link.opensInNewTab ),
+		postId: parseInt( link.postId ) || 0,
+	};
+};
+
+export default getLink;
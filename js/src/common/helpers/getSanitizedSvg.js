@@ -0,0 +1,77 @@
+/**
+ * The elements that a custom <svg> icon can have, with the attributes that each allows.
+ *
+ * @type {Object.<string, string[]>}
+ */
+const ALLOWED_SVG_ELEMENTS = ( () => {
+	const presentation = [ 'fill', 'fill-rule', 'clip-rule', 'opacity', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'transform' ];
+
+	return {
+		svg: [ 'xmlns', 'viewBox', 'fill' ],
+		g: presentation,
+		title: [],
+		path: [ 'd', ...presentation ],
+		circle: [ 'cx', 'cy', 'r', ...presentation ],
+		ellipse: [ 'cx', 'cy', 'rx', 'ry', ...presentation ],
+		rect: [ 'x', 'y', 'width', 'height', 'rx', 'ry', ...presentation ],
+		line: [ 'x1', 'y1', 'x2', 'y2', ...presentation ],
+		polyline: [ 'points', ...presentation ],
+		polygon: [ 'points', ...presentation ],
+	};
+} )();
+
+/**
+ * Gets a custom <svg> icon without anything that isn't part of the icon, like scripts.
+ *
+ * The icon is 24 by 24, like the other icons.
+ *
+ * @param {string} markup The markup of the <svg>, like from an uploaded .svg file.
+ * @return {string} The sanitized <svg>, or '' if it isn't an <svg>.
+ */
+const getSanitizedSvg = ( markup ) => {
+	if ( ! markup || 'string' !== typeof markup ) {
+		return '';
+	}
+
+	const svgDocument = new window.DOMParser().parseFromString( markup.trim(), 'image/svg+xml' );
+	const svg = svgDocument.documentElement;
+	if ( ! svg || 'svg' !== svg.nodeName || svgDocument.getElementsByTagName( 'parsererror' ).length ) {
+		return '';
+	}
+
+	// Without a viewBox, the width and height are its size before scaling it to 24 by 24.
+	if ( ! svg.getAttribute( 'viewBox' ) && parseFloat( svg.getAttribute( 'width' ) ) && parseFloat( svg.getAttribute( 'height' ) ) ) {
+		svg.setAttribute( 'viewBox', `0 0 ${ parseFloat( svg.getAttribute( 'width' ) ) } ${ parseFloat( svg.getAttribute( 'height' ) ) }` );
+	}
+
+	/**
+	 * Removes the elements and attributes that aren't allowed, including in the children.
+	 *
+	 * @param {Element} element The element to sanitize.
+	 */
+	const sanitize = ( element ) => {
+		Array.from( element.attributes ).forEach( ( { name } ) => {
+			if ( ! ALLOWED_SVG_ELEMENTS[ element.nodeName ].includes( name ) ) {
+				element.removeAttribute( name );
+			}
+		} );
+
+		Array.from( element.childNodes ).forEach( ( child ) => {
+			if ( 1 === child.nodeType && ALLOWED_SVG_ELEMENTS.hasOwnProperty( child.nodeName ) && 'svg' !== child.nodeName ) {
+				// @ts-ignore An element node is an Element.
+				sanitize( child );
+			} else if ( 3 !== child.nodeType || 'title' !== element.nodeName ) {
+				element.removeChild( child );
+			}
+		} );
+	};
+
+	sanitize( svg );
+	svg.setAttribute( 'xmlns', 'http://www.w3.org/2000/svg' );
+	svg.setAttribute( 'width', '24' );
+	svg.setAttribute( 'height', '24' );
+
+	return new window.XMLSerializer().serializeToString( svg );
+};
+
+export default getSanitizedSvg;
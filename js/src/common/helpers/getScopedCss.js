@@ -0,0 +1,106 @@
+/**
+ * Internal dependencies
+ */
+import { splitCssList } from './';
+import { CSS_CONDITIONAL_AT_RULES } from '../constants';
+
+/**
+ * Matches the placeholders for the wrapper itself, like :block:hover or & > p.
+ *
+ * @type {RegExp}
+ */
+const ROOT_PLACEHOLDER_REGEX = /:block(?![\w-])|&/g;
+
+/**
+ * Scopes the selectors of a rule to the wrapper.
+ *
+ * @param {string} selectorList  The selectors of the rule.
+ * @param {string} scopeSelector The selector of the wrapper, like .genesis-custom-blocks-example.
+ * @return {string} The scoped selectors.
+ */
+const getScopedSelectors = ( selectorList, scopeSelector ) => {
+	const [ , leading, selectors, trailing ] = selectorList.match( /^(\s*)([\s\S]*?)(\s*)$/ );
+
+	return leading + splitCssList( selectors ).map( ( selector ) => {
+		const trimmedSelector = selector.trim();
+		const rootSelector = trimmedSelector.replace( ROOT_PLACEHOLDER_REGEX, scopeSelector );
+
+		return rootSelector === trimmedSelector
+			? `${ scopeSelector } ${ trimmedSelector }`
+			: rootSelector;
+	} ).join( ', ' ) + trailing;
+};
+
+/**
+ * Scopes template CSS to the wrapper of the block, so it doesn't apply to the rest of the page.
+ *
+ * Mirrors TemplateEditor::scope_css() in PHP.
+ * A selector like .title becomes .genesis-custom-blocks-example .title,
+ * and :block or & is the wrapper itself, like :block:hover or & > p.
+ * Rules nested in other rules aren't changed, as their & already refers to the parent.
+ * Rules in at-rules like @media are scoped, but the contents of other at-rules like @keyframes aren't.
+ *
+ * @param {string} css        The template CSS.
+ * @param {string} scopeClass The class of the wrapper, from getCssScopeClass().
+ * @return {string} The scoped CSS.
+ */
+const getScopedCss = ( css, scopeClass ) => {
+	const scopeSelector = `.${ scopeClass }`;
+	const text = ( css || '' ).replace( /\/\*[\s\S]*?\*\//g, '' );
+
+	/** @type {Array<'scope'|'rule'|'keep'>} Whether each open block has rules to scope, is a rule, or isn't changed. */
+	const openBlocks = [];
+	let scopedCss = '';
+	let statement = '';
+
+	for ( let index = 0; index < text.length; index++ ) {
+		const character = text[ index ];
+
+		if ( '"' === character || "'" === character ) {
+			let stringEnd = index + 1;
+			while ( stringEnd < text.length && character !== text[ stringEnd ] ) {
+				stringEnd += '\\' === text[ stringEnd ] ? 2 : 1;
+			}
+
+			statement += text.slice( index, stringEnd + 1 );
+			index = stringEnd;
+			continue;
+		}
+
+		if ( ';' === character || '}' === character ) {
+			scopedCss += statement + character;
+			statement = '';
+
+			if ( '}' === character ) {
+				openBlocks.pop();
+			}
+			continue;
+		}
+
+		if ( '{' !== character ) {
+			statement += character;
+			continue;
+		}
+
+		const parent = openBlocks[ openBlocks.length - 1 ];
+		const atRule = statement.trim().match( /^@([\w-]+)/ );
+
+		if ( parent && 'scope' !== parent ) {
+			openBlocks.push( parent );
+			scopedCss += statement;
+		} else if ( atRule ) {
+			openBlocks.push( CSS_CONDITIONAL_AT_RULES.includes( atRule[ 1 ].toLowerCase() ) ? 'scope' : 'keep' );
+			scopedCss += statement;
+		} else {
+			openBlocks.push( 'rule' );
+			scopedCss += getScopedSelectors( statement, scopeSelector );
+		}
+
+		scopedCss += character;
+		statement = '';
+	}
+
+	return scopedCss + statement;
+};
+
+export default getScopedCss;
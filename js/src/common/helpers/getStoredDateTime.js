@@ -0,0 +1,43 @@
+/**
+ * WordPress dependencies
+ */
+import { getDate } from '@wordpress/date';
+
+/**
+ * Internal dependencies
+ */
+import { getIsoDateTime } from './';
+
+/**
+ * Gets the value to store for a date, time, or date and time field.
+ *
+ * A time is stored like '13:30'.
+ * A date or a date and time is stored as ISO 8601 in the site's timezone,
+ * like '2024-05-01' or '2024-05-01T13:30:00', or as a Unix timestamp if the field stores timestamps.
+ *
+ * @param {string} value The date and time, like '2024-05-01T13:30:00' from a date picker.
+ * @param {Object} field The field, which has the control and the stored format.
+ * @return {string} The value to store, or '' if the value isn't a date or time.
+ */
+const getStoredDateTime = ( value, field ) => {
+	const isoDateTime = getIsoDateTime( value );
+	if ( ! isoDateTime ) {
+		return '';
+	}
+
+	if ( 'time' === field.control ) {
+		return isoDateTime.substring( 11, 16 );
+	}
+
+	const storedDateTime = 'date' === field.control
+		? `${ isoDateTime.substring( 0, 10 ) }T00:00:00`
+		: isoDateTime;
+
+	if ( 'timestamp' === field.storage_format ) {
+		return String( Math.floor( getDate( storedDateTime ).getTime() / 1000 ) );
+	}
+
+	return 'date' === field.control ? storedDateTime.substring( 0, 10 ) : storedDateTime;
+};
+
+export default getStoredDateTime;
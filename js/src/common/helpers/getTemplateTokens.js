@@ -0,0 +1,89 @@
+/**
+ * Internal dependencies
+ */
+import { TEMPLATE_TAG_REGEX } from '../constants';
+
+/**
+ * @typedef {Object} TemplateFilter A filter of a field, like upper in {{example-field|upper}}.
+ * @property {string}   name The name of the filter, like 'truncate'.
+ * @property {string[]} args The arguments, like [ '20' ] in {{example-field|truncate:20}}.
+ */
+
+/**
+ * @typedef {Object} TemplateToken A part of the template markup.
+ * @property {'text'|'field'|'open'|'else'|'close'} type      The type of token.
+ * @property {string}                               raw       The markup of the token.
+ * @property {number}                               index     The position of the token in the markup.
+ * @property {string}                               [value]   For text, the text to output.
+ * @property {string}                               [name]    For a field or an opening tag, the name of the field.
+ * @property {TemplateFilter[]}                     [filters] For a field, its filters.
+ * @property {'if'|'each'}                          [block]   For an opening or closing tag, the block, like 'if'.
+ */
+
+/**
+ * Splits template markup into tokens, like text and {{example-field}} tags.
+ *
+ * Mirrors TemplateEditor::get_tokens() in PHP.
+ *
+ * @param {string} markup The template markup.
+ * @return {TemplateToken[]} The tokens, in order.
+ */
+const getTemplateTokens = ( markup ) => {
+	/** @type {TemplateToken[]} */
+	const tokens = [];
+	let textIndex = 0;
+
+	/**
+	 * Gets a token for the text in part of the markup.
+	 *
+	 * @param {number} start The start of the text.
+	 * @param {number} [end] The end of the text, or the end of the markup.
+	 * @return {TemplateToken} The text token.
+	 */
+	const getTextToken = ( start, end ) => {
+		const text = markup.slice( start, end );
+		return { type: 'text', raw: text, index: start, value: text };
+	};
+
+	for ( const match of ( markup || '' ).matchAll( TEMPLATE_TAG_REGEX ) ) {
+		const [ raw, escapedName, openBlock, openName, closeBlock, expression ] = match;
+		const index = match.index;
+
+		if ( index > textIndex ) {
+			tokens.push( getTextToken( textIndex, index ) );
+		}
+		textIndex = index + raw.length;
+
+		if ( escapedName ) {
+			// Escape characters before { are stripped, like \{\{example\}\}.
+			// Like if they have a tutorial on Mustache and need the template to render {{example}}.
+			tokens.push( { type: 'text', raw, index, value: `{{${ escapedName }}}` } );
+		} else if ( openBlock ) {
+			tokens.push( { type: 'open', raw, index, block: /** @type {'if'|'each'} */ ( openBlock ), name: openName } );
+		} else if ( closeBlock ) {
+			tokens.push( { type: 'close', raw, index, block: /** @type {'if'|'each'} */ ( closeBlock ) } );
+		} else if ( 'else' === expression ) {
+			tokens.push( { type: 'else', raw, index } );
+		} else {
+			const [ name, ...filters ] = expression.split( '|' );
+			tokens.push( {
+				type: 'field',
+				raw,
+				index,
+				name,
+				filters: filters.map( ( filter ) => {
+					const [ filterName, ...args ] = filter.split( ':' );
+					return { name: filterName, args };
+				} ),
+			} );
+		}
+	}
+
+	if ( markup && markup.length > textIndex ) {
+		tokens.push( getTextToken( textIndex ) );
+	}
+
+	return tokens;
+};
+
+export default getTemplateTokens;
@@ -1,6 +1,27 @@
+export { default as applyTemplateFilter } from './applyTemplateFilter';
+export { default as castValue } from './castValue';
+export { default as castValueToString } from './castValueToString';
 export { default as debounce } from './debounce';
+export { default as getColorValue } from './getColorValue';
+export { default as getCssScopeClass } from './getCssScopeClass';
 export { default as getFieldsAsArray } from './getFieldsAsArray';
 export { default as getFieldsAsObject } from './getFieldsAsObject';
+export { default as getGroupedFields } from './getGroupedFields';
 export { default as getIconComponent } from './getIconComponent';
+export { default as getIconComponents } from './getIconComponents';
+export { default as getIconSvg } from './getIconSvg';
+export { default as getIsoDateTime } from './getIsoDateTime';
+export { default as getLink } from './getLink';
+export { default as getSanitizedSvg } from './getSanitizedSvg';
+export { default as getScopedCss } from './getScopedCss';
+export { default as getStoredDateTime } from './getStoredDateTime';
+export { default as getTemplateTokens } from './getTemplateTokens';
+export { default as isEmptyValue } from './isEmptyValue';
+export { default as meetsConditions } from './meetsConditions';
+export { default as parseTemplate } from './parseTemplate';
 export { default as pascalCaseToSnakeCase } from './pascalCaseToSnakeCase';
+export { default as renderTemplateMarkup } from './renderTemplateMarkup';
+export { default as searchIcons } from './searchIcons';
 export { default as snakeCaseToPascalCase } from './snakeCaseToPascalCase';
+export { default as splitCssList } from './splitCssList';
+export { default as validateField } from './validateField';
@@ -0,0 +1,21 @@
+/**
+ * Gets whether a field value is empty, like an unchecked toggle or a repeater with no rows.
+ *
+ * @param {*} value The field value.
+ * @return {boolean} Whether the value is empty.
+ */
+const isEmptyValue = ( value ) => {
+	if ( Array.isArray( value ) ) {
+		return ! value.length;
+	}
+
+	if ( value && 'object' === typeof value ) {
+		return Array.isArray( value.rows )
+			? ! value.rows.length
+			: ! Object.keys( value ).length;
+	}
+
+	return undefined === value || null === value || false === value || '' === value;
+};
+
+export default isEmptyValue;
@@ -0,0 +1,81 @@
+/**
+ * Internal dependencies
+ */
+import { isEmptyValue } from './';
+
+/**
+ * @typedef {Object} Condition A rule for whether a field displays, based on another field's value.
+ * @property {string} field    The name of the sibling field to check, like 'has-button'.
+ * @property {string} operator The operator, like 'equals' or 'empty'.
+ * @property {string} [value]  The value to compare to, if the operator needs one.
+ */
+
+/**
+ * @callback GetSiblingValue Gets the value of a sibling field.
+ * @param {string} fieldName The name of the sibling field.
+ * @return {*} The value of the field.
+ */
+
+/**
+ * Gets the field value as a string to compare, so 'true' can match a checked toggle.
+ *
+ * @param {*} value The field value.
+ * @return {string} The value to compare.
+ */
+const getComparableValue = ( value ) => {
+	if ( Array.isArray( value ) ) {
+		return value.join( ', ' );
+	}
+
+	return undefined === value || null === value ? '' : String( value );
+};
+
+/**
+ * Gets whether a field value meets a single condition.
+ *
+ * @param {Condition} condition The condition.
+ * @param {*}         value     The value of the field the condition checks.
+ * @return {boolean} Whether the value meets the condition.
+ */
+const meetsCondition = ( condition, value ) => {
+	const conditionValue = getComparableValue( condition.value );
+
+	switch ( condition.operator ) {
+		case 'equals':
+			return getComparableValue( value ) === conditionValue;
+		case 'not_equals':
+			return getComparableValue( value ) !== conditionValue;
+		case 'contains':
+			return Array.isArray( value )
+				? value.map( getComparableValue ).includes( conditionValue )
+				: getComparableValue( value ).includes( conditionValue );
+		case 'empty':
+			return isEmptyValue( value );
+		case 'not_empty':
+			return ! isEmptyValue( value );
+		default:
+			return true;
+	}
+};
+
+/**
+ * Gets whether a field should display, based on its conditions.
+ *
+ * The field displays if it meets all of its conditions.
+ * Conditions that don't have a field yet, like while they're being entered, are ignored.
+ *
+ * @param {Condition[]|undefined} conditions      The conditions of the field.
+ * @param {GetSiblingValue}       getSiblingValue Gets the value of a sibling field.
+ * @return {boolean} Whether the field meets its conditions.
+ */
+const meetsConditions = ( conditions, getSiblingValue ) => {
+	if ( ! Array.isArray( conditions ) ) {
+		return true;
+	}
+
+	return conditions.every(
+		( condition ) => ! condition?.field || meetsCondition( condition, getSiblingValue( condition.field ) )
+	);
+};
+
+export default meetsConditions;
@@ -0,0 +1,64 @@
+/**
+ * Internal dependencies
+ */
+import { getTemplateTokens } from './';
+
+/**
+ * @typedef {Object} TemplateNode A node of the parsed template markup.
+ * @property {'text'|'field'|'if'|'each'}                     type        The type of node.
+ * @property {string}                                         [value]     For text, the text to output.
+ * @property {string}                                         [name]      For a field or block, the name of the field.
+ * @property {import('./getTemplateTokens').TemplateFilter[]} [filters]   For a field, its filters.
+ * @property {TemplateNode[]}                                 [children]  For a block, the nodes inside it.
+ * @property {TemplateNode[]}                                 [alternate] For a block, the nodes after {{else}}.
+ */
+
+/**
+ * Parses template markup into a tree of nodes, like {{#if}} blocks with the nodes inside them.
+ *
+ * Mirrors TemplateEditor::parse_markup() in PHP.
+ * A closing tag that doesn't match the open block is output as text,
+ * and a block that isn't closed ends at the end of the markup.
+ *
+ * @param {string} markup The template markup.
+ * @return {TemplateNode[]} The nodes.
+ */
+const parseTemplate = ( markup ) => {
+	/** @type {TemplateNode[]} */
+	const nodes = [];
+
+	/** @type {Array<{node: TemplateNode|null, branch: TemplateNode[]}>} The open blocks, and where their nodes go. */
+	const stack = [ { node: null, branch: nodes } ];
+
+	getTemplateTokens( markup ).forEach( ( token ) => {
+		const current = stack[ stack.length - 1 ];
+
+		if ( 'open' === token.type ) {
+			const node = { type: token.block, name: token.name, children: [], alternate: [] };
+			current.branch.push( node );
+			stack.push( { node, branch: node.children } );
+			return;
+		}
+
+		if ( 'else' === token.type && current.node && current.branch === current.node.children ) {
+			current.branch = current.node.alternate;
+			return;
+		}
+
+		if ( 'close' === token.type && current.node?.type === token.block ) {
+			stack.pop();
+			return;
+		}
+
+		if ( 'field' === token.type ) {
+			current.branch.push( { type: 'field', name: token.name, filters: token.filters } );
+			return;
+		}
+
+		current.branch.push( { type: 'text', value: 'text' === token.type ? token.value : token.raw } );
+	} );
+
+	return nodes;
+};
+
+export default parseTemplate;
@@ -0,0 +1,86 @@
+/**
+ * WordPress dependencies
+ */
+import { escapeHTML } from '@wordpress/escape-html';
+
+/**
+ * Internal dependencies
+ */
+import { applyTemplateFilter, isEmptyValue, parseTemplate } from './';
+import { TEMPLATE_FIELD_FILTERS } from '../constants';
+
+/**
+ * @typedef {Object} TemplateScope The values that the template markup can output, like the fields of a repeater row.
+ * @property {(fieldName: string, filter?: import('./getTemplateTokens').TemplateFilter) => string} getValue    Gets the value to output for a field name. The filter is for one that needs the field, like url:large.
+ * @property {(fieldName: string) => *}                                                             getRawValue Gets the value of a field, to decide whether {{#if}} renders.
+ * @property {(fieldName: string) => TemplateScope[]}                                               getRows     Gets a scope for each row of a repeater, or each post of a post field.
+ */
+
+/**
+ * Gets the text of a value, without its tags.
+ *
+ * Like html_entity_decode( wp_strip_all_tags( $value ) ) in PHP.
+ *
+ * @param {string} value The value, which can have markup.
+ * @return {string} The text.
+ */
+const getText = ( value ) => {
+	const htmlDocument = new window.DOMParser().parseFromString( value, 'text/html' );
+	htmlDocument.querySelectorAll( 'script, style' ).forEach( ( element ) => element.remove() );
+
+	return ( htmlDocument.body.textContent || '' ).trim();
+};
+
+/**
+ * Renders template nodes.
+ *
+ * @param {import('./parseTemplate').TemplateNode[]} nodes The nodes to render.
+ * @param {TemplateScope}                            scope The values the nodes can output.
+ * @return {string} The rendered nodes.
+ */
+const renderNodes = ( nodes, scope ) => nodes.map( ( node ) => {
+	if ( 'field' === node.type ) {
+		const [ firstFilter, ...otherFilters ] = node.filters;
+		const isFieldFilter = TEMPLATE_FIELD_FILTERS.includes( firstFilter?.name );
+		const filters = isFieldFilter ? otherFilters : node.filters;
+		const value = scope.getValue( node.name, isFieldFilter ? firstFilter : undefined );
+
+		// The filters apply to the text, so they can't change the markup or break an entity.
+		return filters.length
+			? escapeHTML( filters.reduce( applyTemplateFilter, getText( value ) ) )
+			: value;
+	}
+
+	if ( 'if' === node.type ) {
+		return renderNodes( isEmptyValue( scope.getRawValue( node.name ) ) ? node.alternate : node.children, scope );
+	}
+
+	if ( 'each' === node.type ) {
+		const rows = scope.getRows( node.name );
+		return rows.length
+			? rows.map( ( row ) => renderNodes( node.children, row ) ).join( '' )
+			: renderNodes( node.alternate, scope );
+	}
+
+	return node.value;
+} ).join( '' );
+
+/**
+ * Renders markup that was entered in the template editor.
+ *
+ * Mirrors TemplateEditor::render_markup() in PHP, except for escaping the markup.
+ * That should happen where this markup is output.
+ *
+ * @param {string}        markup The markup to render.
+ * @param {TemplateScope} scope  The values that the markup can output.
+ * @return {string} The rendered markup.
+ */
+const renderTemplateMarkup = ( markup, scope ) => {
+	if ( ! markup ) {
+		return '';
+	}
+
+	return renderNodes( parseTemplate( markup ), scope );
+};
+
+export default renderTemplateMarkup;
@@ -0,0 +1,27 @@
+/**
+ * Internal dependencies
+ */
+import { ICON_KEYWORDS } from '../constants';
+
+/**
+ * Gets the icons that match a search, by their names and keywords.
+ *
+ * Every word of the search has to match, so 'red car' doesn't match 'directions_car'.
+ *
+ * @param {string[]} iconNames The snake_case names of the icons, like 'account_balance'.
+ * @param {string}   search    The search, like 'bank'.
+ * @return {string[]} The names of the icons that match, in the same order.
+ */
+const searchIcons = ( iconNames, search ) => {
+	const searchWords = search.trim().toLowerCase().split( /\s+/ ).filter( Boolean );
+	if ( ! searchWords.length ) {
+		return iconNames;
+	}
+
+	return iconNames.filter( ( iconName ) => {
+		const terms = [ iconName.replace( /_/g, ' ' ), ...( ICON_KEYWORDS[ iconName ] || [] ) ].join( ' ' );
+		return searchWords.every( ( word ) => terms.includes( word ) );
+	} );
+};
+
+export default searchIcons;
@@ -0,0 +1,34 @@
+/**
+ * Splits a comma-separated CSS list, but not on the commas in strings or parentheses.
+ *
+ * Like a selector list with :is(h2, h3).
+ *
+ * @param {string} list The comma-separated list.
+ * @return {string[]} The items of the list, not trimmed.
+ */
+const splitCssList = ( list ) => {
+	const items = [ '' ];
+	let depth = 0;
+	let quote = '';
+
+	Array.from( list ).forEach( ( character ) => {
+		if ( quote ) {
+			quote = character === quote ? '' : quote;
+		} else if ( '"' === character || "'" === character ) {
+			quote = character;
+		} else if ( '(' === character || '[' === character ) {
+			depth++;
+		} else if ( ')' === character || ']' === character ) {
+			depth = Math.max( depth - 1, 0 );
+		} else if ( ',' === character && ! depth ) {
+			items.push( '' );
+			return;
+		}
+
+		items[ items.length - 1 ] += character;
+	} );
+
+	return items;
+};
+
+export default splitCssList;
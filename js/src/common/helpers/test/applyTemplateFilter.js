@@ -0,0 +1,27 @@
+/**
+ * Internal dependencies
+ */
+import { applyTemplateFilter } from '../';
+
+describe( 'applyTemplateFilter', () => {
+	it.each( [
+		[ 'Example', 'upper', [], 'EXAMPLE' ],
+		[ 'Example', 'lower', [], 'example' ],
+		[ 'élan vital', 'capitalize', [], 'Élan vital' ],
+		[ '  Example  ', 'trim', [], 'Example' ],
+		[ 'Here is an example', 'truncate', [ '7' ], 'Here is…' ],
+		[ 'Example', 'truncate', [ '7' ], 'Example' ],
+		[ 'Ünïcödé', 'truncate', [ '3' ], 'Ünï…' ],
+		[ 'Example', 'truncate', [ 'abc' ], 'Example' ],
+		[ 'Example', 'truncate', [], 'Example' ],
+		[ '', 'default', [ 'None' ], 'None' ],
+		[ ' ', 'default', [ '12', '00' ], '12:00' ],
+		[ 'Example', 'default', [ 'None' ], 'Example' ],
+		[ 'Example', 'url', [ 'large' ], 'Example' ],
+		[ 'Example', 'not-a-filter', [], 'Example' ],
+	] )( 'should filter %p with %p and the arguments %p as %p',
+		( value, name, args, expected ) => {
+			expect( applyTemplateFilter( value, { name, args } ) ).toStrictEqual( expected );
+		}
+	);
+} );
@@ -0,0 +1,36 @@
+/**
+ * Internal dependencies
+ */
+import { castValue } from '../';
+
+describe( 'castValue', () => {
+	it.each( [
+		[ undefined, 'string', '' ],
+		[ 'Example text', 'string', 'Example text' ],
+		[ 42, 'string', '42' ],
+		[ undefined, 'boolean', false ],
+		[ 1, 'boolean', true ],
+		[ true, 'boolean', true ],
+		[ '21', 'integer', 21 ],
+		[ undefined, 'integer', 0 ],
+		[ undefined, 'array', [] ],
+		[ 'foo', 'array', [ 'foo' ] ],
+		[ [ 'foo', 'bar' ], 'array', [ 'foo', 'bar' ] ],
+	] )( 'should cast %p to the type %p',
+		( value, type, expected ) => {
+			expect( castValue( value, { type } ) ).toStrictEqual( expected );
+		}
+	);
+
+	it( 'should add <br /> tags to a textarea that has autobr', () => {
+		expect(
+			castValue( 'First line\nSecond line', { type: 'textarea', control: 'textarea', new_lines: 'autobr' } )
+		).toStrictEqual( 'First line<br />\nSecond line' );
+	} );
+
+	it( 'should add <p> tags to a textarea that has autop', () => {
+		expect(
+			castValue( 'First paragraph', { type: 'textarea', control: 'textarea', new_lines: 'autop' } )
+		).toStrictEqual( '<p>First paragraph</p>\n' );
+	} );
+} );
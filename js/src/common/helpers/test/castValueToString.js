@@ -0,0 +1,19 @@
+/**
+ * Internal dependencies
+ */
+import { castValueToString } from '../';
+
+describe( 'castValueToString', () => {
+	it.each( [
+		[ [ 'foo', 'bar', 'baz' ], 'foo, bar, baz' ],
+		[ true, 'Yes' ],
+		[ false, 'No' ],
+		[ undefined, '' ],
+		[ 43, '43' ],
+		[ 'Example text', 'Example text' ],
+	] )( 'should cast %p to a string',
+		( value, expected ) => {
+			expect( castValueToString( value ) ).toStrictEqual( expected );
+		}
+	);
+} );
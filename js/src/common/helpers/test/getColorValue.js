@@ -0,0 +1,23 @@
+/**
+ * Internal dependencies
+ */
+import { getColorValue } from '../';
+
+describe( 'getColorValue', () => {
+	it.each( [
+		[ 'var:preset|color|primary', 'var(--wp--preset--color--primary)' ],
+		[ 'var:preset|color|vivid-red', 'var(--wp--preset--color--vivid-red)' ],
+		[ 'var:preset|gradient|cool-to-warm', 'var(--wp--preset--gradient--cool-to-warm)' ],
+		[ '#ff0000', '#ff0000' ],
+		[ 'rgba(255, 0, 0, 0.5)', 'rgba(255, 0, 0, 0.5)' ],
+		[ 'linear-gradient(135deg,#000 0%,#fff 100%)', 'linear-gradient(135deg,#000 0%,#fff 100%)' ],
+		[ 'var:preset|font-size|large', 'var:preset|font-size|large' ],
+		[ '', '' ],
+		[ undefined, '' ],
+		[ 42, '' ],
+	] )( 'should get the CSS value of %p',
+		( value, expected ) => {
+			expect( getColorValue( value ) ).toStrictEqual( expected );
+		}
+	);
+} );
@@ -0,0 +1,10 @@
+/**
+ * Internal dependencies
+ */
+import { getCssScopeClass } from '../';
+
+describe( 'getCssScopeClass', () => {
+	it( 'should get the class of the wrapper', () => {
+		expect( getCssScopeClass( 'testimonial' ) ).toStrictEqual( 'genesis-custom-blocks-testimonial' );
+	} );
+} );
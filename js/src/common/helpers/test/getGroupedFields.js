@@ -0,0 +1,64 @@
+/**
+ * Internal dependencies
+ */
+import { getGroupedFields } from '../';
+
+describe( 'getGroupedFields', () => {
+	const intro = { name: 'intro', control: 'text', location: 'editor' };
+	const details = { name: 'details', control: 'group', location: 'editor', layout: 'tabs' };
+	const subtitle = { name: 'subtitle', control: 'text', location: 'editor', group: 'details' };
+	const media = { name: 'media', control: 'group', location: 'editor', layout: 'tabs' };
+	const image = { name: 'image', control: 'image', location: 'editor', group: 'media' };
+	const advanced = { name: 'advanced', control: 'group', location: 'inspector', collapsed: true };
+	const color = { name: 'color', control: 'color', location: 'inspector', group: 'advanced' };
+	const size = { name: 'size', control: 'number', location: 'inspector' };
+
+	const fields = [ intro, details, media, subtitle, image, advanced, color, size ];
+
+	it( 'should put consecutive tabs together', () => {
+		expect( getGroupedFields( fields, 'editor' ) ).toStrictEqual( [
+			{ layout: null, fields: [ intro ], groups: [] },
+			{
+				layout: 'tabs',
+				fields: [],
+				groups: [
+					{ group: details, fields: [ subtitle ] },
+					{ group: media, fields: [ image ] },
+				],
+			},
+		] );
+	} );
+
+	it( 'should default to the panel layout', () => {
+		expect( getGroupedFields( fields, 'inspector' ) ).toStrictEqual( [
+			{ layout: 'panel', fields: [], groups: [ { group: advanced, fields: [ color ] } ] },
+			{ layout: null, fields: [ size ], groups: [] },
+		] );
+	} );
+
+	it( 'should render a field on its own if its group is not in the location', () => {
+		const inspectorSubtitle = { ...subtitle, location: 'inspector' };
+
+		expect( getGroupedFields( [ details, inspectorSubtitle ], 'inspector' ) ).toStrictEqual( [
+			{ layout: null, fields: [ inspectorSubtitle ], groups: [] },
+		] );
+	} );
+
+	it( 'should not render a group with no fields', () => {
+		expect( getGroupedFields( [ details, intro ], 'editor' ) ).toStrictEqual( [
+			{ layout: null, fields: [ intro ], groups: [] },
+		] );
+	} );
+
+	it( 'should not put panels together', () => {
+		const first = { name: 'first', control: 'group', location: 'editor' };
+		const second = { name: 'second', control: 'group', location: 'editor' };
+		const firstField = { ...intro, group: 'first' };
+		const secondField = { ...subtitle, group: 'second' };
+
+		expect( getGroupedFields( [ first, second, firstField, secondField ], 'editor' ) ).toStrictEqual( [
+			{ layout: 'panel', fields: [], groups: [ { group: first, fields: [ firstField ] } ] },
+			{ layout: 'panel', fields: [], groups: [ { group: second, fields: [ secondField ] } ] },
+		] );
+	} );
+} );
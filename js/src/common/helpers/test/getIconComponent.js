@@ -18,6 +18,11 @@ describe( 'getIconComponent', () => {
 		}
 	);
 
+	it( 'should have a component for a custom <svg>', () => {
+		expect( getIconComponent( '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M0 0h24v24H0z"/></svg>' ).name ).toEqual( 'CustomIcon' );
+		expect( getIconComponent( '<svg><path d="M0 0"></svg>' ) ).toEqual( null );
+	} );
+
 	it( 'should not have an icon that does not exist', () => {
 		expect( getIconComponent( 'does_not_exist' ) ).toEqual( null );
 	} );
@@ -0,0 +1,24 @@
+/**
+ * Internal dependencies
+ */
+import { getIconSvg } from '../';
+import icons from '../../../../../assets/icons.json';
+
+describe( 'getIconSvg', () => {
+	it( 'should get the <svg> of an icon', () => {
+		expect( getIconSvg( 'alarm' ) ).toMatch( /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="24" height="24" viewBox="0 0 24 24"><path/ );
+	} );
+
+	it.each( [ 'does_not_exist', '', undefined ] )( 'should get an empty string for %p',
+		( iconName ) => {
+			expect( getIconSvg( iconName ) ).toStrictEqual( '' );
+		}
+	);
+
+	// PHP outputs the icons from assets/icons.json, so it should have the same <svg> as the components.
+	it.each( Object.keys( icons ) )( 'should match the <svg> of %s in icons.json',
+		( iconName ) => {
+			expect( getIconSvg( iconName ) ).toStrictEqual( icons[ iconName ] );
+		}
+	);
+} );
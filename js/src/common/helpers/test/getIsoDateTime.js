@@ -0,0 +1,27 @@
+/**
+ * Internal dependencies
+ */
+import { getIsoDateTime } from '../';
+
+describe( 'getIsoDateTime', () => {
+	it.each( [
+		[ '2024-05-01T13:30:00', '2024-05-01T13:30:00' ],
+		[ '2024-05-01T13:30', '2024-05-01T13:30:00' ],
+		[ '2024-05-01 13:30:15', '2024-05-01T13:30:15' ],
+		[ '2024-05-01', '2024-05-01T00:00:00' ],
+		[ 1714570200, '2024-05-01T13:30:00' ],
+		[ '1714570200', '2024-05-01T13:30:00' ],
+		[ '', '' ],
+		[ undefined, '' ],
+		[ 'Not a date', '' ],
+		[ '2024-05-0113:30', '' ],
+	] )( 'should get the ISO date and time of %p',
+		( value, expected ) => {
+			expect( getIsoDateTime( value ) ).toStrictEqual( expected );
+		}
+	);
+
+	it( 'should get today for a time', () => {
+		expect( getIsoDateTime( '09:05' ) ).toMatch( /^\d{4}-\d{2}-\d{2}T09:05:00$/ );
+	} );
+} );
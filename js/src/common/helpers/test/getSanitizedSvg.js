@@ -0,0 +1,42 @@
+/**
+ * Internal dependencies
+ */
+import { getSanitizedSvg } from '../';
+
+describe( 'getSanitizedSvg', () => {
+	it( 'should keep the icon, at 24 by 24', () => {
+		expect(
+			getSanitizedSvg( '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 48 48"><title>Example</title><path d="M0 0h48v48H0z" fill="none"/><circle cx="24" cy="24" r="12"/></svg>' )
+		).toStrictEqual(
+			'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 48 48" width="24" height="24"><title>Example</title><path d="M0 0h48v48H0z" fill="none"/><circle cx="24" cy="24" r="12"/></svg>'
+		);
+	} );
+
+	it( 'should get the viewBox from the width and height', () => {
+		expect(
+			getSanitizedSvg( '<svg width="32px" height="16"><rect x="0" y="0" width="32" height="16"/></svg>' )
+		).toStrictEqual(
+			'<svg viewBox="0 0 32 16" xmlns="http://www.w3.org/2000/svg" width="24" height="24"><rect x="0" y="0" width="32" height="16"/></svg>'
+		);
+	} );
+
+	it( 'should remove scripts, event handlers, and links', () => {
+		expect(
+			getSanitizedSvg( '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" onload="alert(1)"><script>alert(1)</script><a href="javascript:alert(1)"><path d="M0 0h24v24H0z"/></a><path d="M1 1h2" onclick="alert(1)" style="fill: red"/>Text</svg>' )
+		).toStrictEqual(
+			'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24"><path d="M1 1h2"/></svg>'
+		);
+	} );
+
+	it.each( [
+		'',
+		undefined,
+		'<div>Not an icon</div>',
+		'<svg><path d="M0 0"></svg>',
+		'Not markup',
+	] )( 'should get an empty string for %p',
+		( markup ) => {
+			expect( getSanitizedSvg( markup ) ).toStrictEqual( '' );
+		}
+	);
+} );
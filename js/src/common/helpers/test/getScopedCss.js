@@ -0,0 +1,36 @@
+/**
+ * Internal dependencies
+ */
+import { getScopedCss } from '../';
+
+describe( 'getScopedCss', () => {
+	it.each( [
+		[ '', '' ],
+		[ '.title { color: red; }', '.gcb .title { color: red; }' ],
+		[ 'h2, h3 { margin: 0 }', '.gcb h2, .gcb h3 { margin: 0 }' ],
+		[ ':is(h2, h3) > a { color: red; }', '.gcb :is(h2, h3) > a { color: red; }' ],
+		[ ':block { padding: 1rem; }', '.gcb { padding: 1rem; }' ],
+		[ ':block:hover, & > p { color: red; }', '.gcb:hover, .gcb > p { color: red; }' ],
+		[ ':block-size { color: red; }', '.gcb :block-size { color: red; }' ],
+		[ '[data-x="a, b"] { color: red; }', '.gcb [data-x="a, b"] { color: red; }' ],
+		[ '.a::before { content: "}{"; }', '.gcb .a::before { content: "}{"; }' ],
+		[ '/* .a { } */\n.b { color: red; }', '\n.gcb .b { color: red; }' ],
+		[
+			'@media (min-width: 600px) { .a { color: red; } }',
+			'@media (min-width: 600px) { .gcb .a { color: red; } }',
+		],
+		[
+			'@keyframes fade { from { opacity: 0; } to { opacity: 1; } }',
+			'@keyframes fade { from { opacity: 0; } to { opacity: 1; } }',
+		],
+		[
+			'@import url("a.css");\n.a { background: url(data:image/png;base64,iVBOR); }',
+			'@import url("a.css");\n.gcb .a { background: url(data:image/png;base64,iVBOR); }',
+		],
+		[ '.a { color: red; & .b { color: blue; } }', '.gcb .a { color: red; & .b { color: blue; } }' ],
+	] )( 'should scope %p',
+		( css, expected ) => {
+			expect( getScopedCss( css, 'gcb' ) ).toStrictEqual( expected );
+		}
+	);
+} );
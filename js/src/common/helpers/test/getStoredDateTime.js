@@ -0,0 +1,20 @@
+/**
+ * Internal dependencies
+ */
+import { getStoredDateTime } from '../';
+
+describe( 'getStoredDateTime', () => {
+	it.each( [
+		[ { control: 'date' }, '2024-05-01T13:30:00', '2024-05-01' ],
+		[ { control: 'date', storage_format: 'timestamp' }, '2024-05-01T13:30:00', '1714521600' ],
+		[ { control: 'datetime' }, '2024-05-01T13:30:00', '2024-05-01T13:30:00' ],
+		[ { control: 'datetime', storage_format: 'timestamp' }, '2024-05-01T13:30:00', '1714570200' ],
+		[ { control: 'time' }, '2024-05-01T13:30:00', '13:30' ],
+		[ { control: 'time', storage_format: 'timestamp' }, '2024-05-01T13:30:00', '13:30' ],
+		[ { control: 'datetime' }, 'Not a date', '' ],
+	] )( 'should get the value to store for the field %p and the value %p',
+		( field, value, expected ) => {
+			expect( getStoredDateTime( value, field ) ).toStrictEqual( expected );
+		}
+	);
+} );
@@ -0,0 +1,33 @@
+/**
+ * Internal dependencies
+ */
+import { getTemplateTokens } from '../';
+
+describe( 'getTemplateTokens', () => {
+	it( 'should return no tokens when there is no markup', () => {
+		expect( getTemplateTokens( '' ) ).toStrictEqual( [] );
+	} );
+
+	it( 'should split the markup into tokens', () => {
+		expect(
+			getTemplateTokens( '<p>{{#if cta}}{{cta|truncate:20|upper}}{{else}}\\{\\{cta\\}\\}{{/if}}</p>' )
+		).toStrictEqual( [
+			{ type: 'text', raw: '<p>', index: 0, value: '<p>' },
+			{ type: 'open', raw: '{{#if cta}}', index: 3, block: 'if', name: 'cta' },
+			{
+				type: 'field',
+				raw: '{{cta|truncate:20|upper}}',
+				index: 14,
+				name: 'cta',
+				filters: [
+					{ name: 'truncate', args: [ '20' ] },
+					{ name: 'upper', args: [] },
+				],
+			},
+			{ type: 'else', raw: '{{else}}', index: 39 },
+			{ type: 'text', raw: '\\{\\{cta\\}\\}', index: 47, value: '{{cta}}' },
+			{ type: 'close', raw: '{{/if}}', index: 58, block: 'if' },
+			{ type: 'text', raw: '</p>', index: 65, value: '</p>' },
+		] );
+	} );
+} );
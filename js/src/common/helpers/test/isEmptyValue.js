@@ -0,0 +1,25 @@
+/**
+ * Internal dependencies
+ */
+import { isEmptyValue } from '../';
+
+describe( 'isEmptyValue', () => {
+	it.each( [
+		[ undefined, true ],
+		[ null, true ],
+		[ '', true ],
+		[ false, true ],
+		[ [], true ],
+		[ {}, true ],
+		[ { rows: [] }, true ],
+		[ 'Example text', false ],
+		[ 0, false ],
+		[ true, false ],
+		[ [ 'first' ], false ],
+		[ { rows: [ {} ] }, false ],
+	] )( 'should get whether %p is empty',
+		( value, expected ) => {
+			expect( isEmptyValue( value ) ).toStrictEqual( expected );
+		}
+	);
+} );
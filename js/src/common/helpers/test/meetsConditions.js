@@ -0,0 +1,58 @@
+/**
+ * Internal dependencies
+ */
+import { meetsConditions } from '../';
+
+describe( 'meetsConditions', () => {
+	const values = {
+		'has-button': true,
+		'button-text': 'Learn more',
+		'empty-text': '',
+		'example-multiselect': [ 'first', 'second' ],
+		'example-number': 5,
+		'example-repeater': { rows: [] },
+	};
+	const getSiblingValue = ( fieldName ) => values[ fieldName ];
+
+	it( 'should be true when there are no conditions', () => {
+		expect( meetsConditions( undefined, getSiblingValue ) ).toStrictEqual( true );
+		expect( meetsConditions( [], getSiblingValue ) ).toStrictEqual( true );
+	} );
+
+	it.each( [
+		[ 'has-button', 'equals', 'true', true ],
+		[ 'has-button', 'not_equals', 'true', false ],
+		[ 'has-button', 'not_empty', undefined, true ],
+		[ 'button-text', 'equals', 'Learn more', true ],
+		[ 'button-text', 'equals', 'Learn', false ],
+		[ 'button-text', 'contains', 'Learn', true ],
+		[ 'empty-text', 'empty', undefined, true ],
+		[ 'missing-field', 'empty', undefined, true ],
+		[ 'missing-field', 'equals', 'Example', false ],
+		[ 'example-multiselect', 'contains', 'second', true ],
+		[ 'example-multiselect', 'contains', 'sec', false ],
+		[ 'example-number', 'equals', '5', true ],
+		[ 'example-repeater', 'empty', undefined, true ],
+	] )( 'should check whether %p %p %p',
+		( field, operator, value, expected ) => {
+			expect( meetsConditions( [ { field, operator, value } ], getSiblingValue ) ).toStrictEqual( expected );
+		}
+	);
+
+	it( 'should only be true when every condition is met', () => {
+		expect( meetsConditions(
+			[
+				{ field: 'has-button', operator: 'not_empty' },
+				{ field: 'button-text', operator: 'empty' },
+			],
+			getSiblingValue
+		) ).toStrictEqual( false );
+	} );
+
+	it( 'should ignore conditions without a field', () => {
+		expect( meetsConditions(
+			[ { field: '', operator: 'equals', value: 'Example' } ],
+			getSiblingValue
+		) ).toStrictEqual( true );
+	} );
+} );
@@ -0,0 +1,39 @@
+/**
+ * Internal dependencies
+ */
+import { parseTemplate } from '../';
+
+describe( 'parseTemplate', () => {
+	it( 'should parse blocks with the nodes inside them', () => {
+		expect(
+			parseTemplate( '{{#each slides}}{{#if title}}{{title}}{{else}}Untitled{{/if}}{{/each}}' )
+		).toStrictEqual( [
+			{
+				type: 'each',
+				name: 'slides',
+				children: [
+					{
+						type: 'if',
+						name: 'title',
+						children: [ { type: 'field', name: 'title', filters: [] } ],
+						alternate: [ { type: 'text', value: 'Untitled' } ],
+					},
+				],
+				alternate: [],
+			},
+		] );
+	} );
+
+	it( 'should output closing tags and {{else}} without an open block as text', () => {
+		expect( parseTemplate( '{{/if}}{{else}}{{#each slides}}{{/if}}' ) ).toStrictEqual( [
+			{ type: 'text', value: '{{/if}}' },
+			{ type: 'text', value: '{{else}}' },
+			{
+				type: 'each',
+				name: 'slides',
+				children: [ { type: 'text', value: '{{/if}}' } ],
+				alternate: [],
+			},
+		] );
+	} );
+} );
@@ -0,0 +1,137 @@
+/**
+ * Internal dependencies
+ */
+import { renderTemplateMarkup } from '../';
+
+describe( 'renderTemplateMarkup', () => {
+	const values = {
+		heading: 'Here is a heading',
+		cta: 'Click here',
+		image: '/wp-content/uploads/example.jpg',
+		'show-cta': true,
+		'hide-cta': false,
+		title: 'Tom & Jerry',
+		link: '<a href="https://example.com/page">Example &amp; more</a>',
+	};
+
+	/**
+	 * Gets a scope for values, like the fields of a repeater row.
+	 *
+	 * @param {Object}   scopeValues   The values, keyed by field name.
+	 * @param {Function} [parentScope] The scope to get other fields from.
+	 * @return {import('../renderTemplateMarkup').TemplateScope} The scope.
+	 */
+	const getScope = ( scopeValues, parentScope ) => ( {
+		getValue: ( fieldName, filter ) => {
+			if ( ! scopeValues.hasOwnProperty( fieldName ) ) {
+				return parentScope ? parentScope.getValue( fieldName, filter ) : '';
+			}
+
+			if ( 'url' === filter?.name ) {
+				return `${ scopeValues[ fieldName ] }?size=${ filter.args[ 0 ] }`;
+			}
+
+			return String( scopeValues[ fieldName ] );
+		},
+		getRawValue: ( fieldName ) => scopeValues.hasOwnProperty( fieldName )
+			? scopeValues[ fieldName ]
+			: parentScope?.getRawValue( fieldName ),
+		getRows: ( fieldName ) => Array.isArray( scopeValues[ fieldName ] )
+			? scopeValues[ fieldName ].map( ( row ) => getScope( row, scope ) )
+			: [],
+	} );
+	const scope = getScope( values );
+
+	it( 'should return an empty string when there is no markup', () => {
+		expect( renderTemplateMarkup( '', scope ) ).toStrictEqual( '' );
+	} );
+
+	it( 'should replace the field names with their values', () => {
+		expect(
+			renderTemplateMarkup( '<h2>{{heading}}</h2><a href="#">{{cta}}</a>', scope )
+		).toStrictEqual( '<h2>Here is a heading</h2><a href="#">Click here</a>' );
+	} );
+
+	it( 'should render an empty string for unknown fields', () => {
+		expect( renderTemplateMarkup( '<p>{{not-a-field}}</p>', scope ) ).toStrictEqual( '<p></p>' );
+	} );
+
+	it( 'should not replace tokens with whitespace', () => {
+		expect( renderTemplateMarkup( '<p>{{ heading }}</p>', scope ) ).toStrictEqual( '<p>{{ heading }}</p>' );
+	} );
+
+	it( 'should strip the escape characters from escaped tokens', () => {
+		expect( renderTemplateMarkup( '<p>\\{\\{heading\\}\\}</p>', scope ) ).toStrictEqual( '<p>{{heading}}</p>' );
+	} );
+
+	it( 'should render a repeater loop once for every row', () => {
+		const scopeWithRows = getScope( {
+			...values,
+			slides: [
+				{ title: 'First slide' },
+				{ title: 'Second slide' },
+			],
+		} );
+
+		expect(
+			renderTemplateMarkup( '<ul>{{#each slides}}<li>{{title}}: {{cta}}</li>{{/each}}</ul>', scopeWithRows )
+		).toStrictEqual( '<ul><li>First slide: Click here</li><li>Second slide: Click here</li></ul>' );
+	} );
+
+	it( 'should render nothing for a loop of a field without rows', () => {
+		expect(
+			renderTemplateMarkup( '<ul>{{#each heading}}<li>{{title}}</li>{{/each}}</ul>', scope )
+		).toStrictEqual( '<ul></ul>' );
+	} );
+
+	it( 'should render the {{else}} of a loop without rows', () => {
+		expect(
+			renderTemplateMarkup( '<ul>{{#each heading}}<li>{{title}}</li>{{else}}<li>None</li>{{/each}}</ul>', scope )
+		).toStrictEqual( '<ul><li>None</li></ul>' );
+	} );
+
+	it( 'should render nested loops', () => {
+		const scopeWithRows = getScope( {
+			...values,
+			slides: [
+				{ title: 'First slide', tags: [ { tag: 'a' }, { tag: 'b' } ] },
+				{ title: 'Second slide', tags: [] },
+			],
+		} );
+
+		expect(
+			renderTemplateMarkup( '{{#each slides}}{{title}}:{{#each tags}} {{tag}}{{else}} none{{/each}};{{/each}}', scopeWithRows )
+		).toStrictEqual( 'First slide: a b;Second slide: none;' );
+	} );
+
+	it.each( [
+		[ '{{#if show-cta}}<a>{{cta}}</a>{{/if}}', '<a>Click here</a>' ],
+		[ '{{#if hide-cta}}<a>{{cta}}</a>{{/if}}', '' ],
+		[ '{{#if hide-cta}}<a>{{cta}}</a>{{else}}<p>{{heading}}</p>{{/if}}', '<p>Here is a heading</p>' ],
+		[ '{{#if not-a-field}}Yes{{else}}No{{/if}}', 'No' ],
+		[ '{{#if heading}}{{#if hide-cta}}Both{{else}}One{{/if}}{{/if}}', 'One' ],
+	] )( 'should render the conditional %p as %p',
+		( markup, expected ) => {
+			expect( renderTemplateMarkup( markup, scope ) ).toStrictEqual( expected );
+		}
+	);
+
+	it.each( [
+		[ '{{heading|upper}}', 'HERE IS A HEADING' ],
+		[ '{{heading|lower|capitalize}}', 'Here is a heading' ],
+		[ '{{heading|truncate:7}}', 'Here is…' ],
+		[ '{{not-a-field|default:None}}', 'None' ],
+		[ '{{heading|not-a-filter}}', 'Here is a heading' ],
+		[ '{{image|url:large}}', '/wp-content/uploads/example.jpg?size=large' ],
+		[ '{{image|url:thumbnail|upper}}', '/WP-CONTENT/UPLOADS/EXAMPLE.JPG?SIZE=THUMBNAIL' ],
+		[ '{{title|upper}}', 'TOM &amp; JERRY' ],
+		[ '{{title|truncate:5}}', 'Tom &amp;…' ],
+		[ '{{link|upper}}', 'EXAMPLE &amp; MORE' ],
+		[ '{{link|truncate:9}}', 'Example &amp;…' ],
+		[ '{{link}}', '<a href="https://example.com/page">Example &amp; more</a>' ],
+	] )( 'should apply the filters in %p',
+		( markup, expected ) => {
+			expect( renderTemplateMarkup( markup, scope ) ).toStrictEqual( expected );
+		}
+	);
+} );
@@ -0,0 +1,25 @@
+/**
+ * Internal dependencies
+ */
+import { searchIcons } from '../';
+
+const iconNames = [ 'account_balance', 'attach_money', 'directions_car', 'favorite_border', 'custom_icon' ];
+
+describe( 'searchIcons', () => {
+	it.each( [
+		[ '', iconNames ],
+		[ '  ', iconNames ],
+		[ 'car', [ 'directions_car' ] ],
+		[ 'Directions Car', [ 'directions_car' ] ],
+		[ 'bank', [ 'account_balance' ] ],
+		[ 'heart', [ 'favorite_border' ] ],
+		[ 'money dollar', [ 'attach_money' ] ],
+		[ 'red car', [] ],
+		[ 'custom', [ 'custom_icon' ] ],
+		[ 'does not exist', [] ],
+	] )( 'should get the icons that match %p',
+		( search, expected ) => {
+			expect( searchIcons( iconNames, search ) ).toStrictEqual( expected );
+		}
+	);
+} );
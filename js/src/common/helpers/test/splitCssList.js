@@ -0,0 +1,18 @@
+/**
+ * Internal dependencies
+ */
+import { splitCssList } from '../';
+
+describe( 'splitCssList', () => {
+	it.each( [
+		[ '', [ '' ] ],
+		[ 'h2, h3', [ 'h2', ' h3' ] ],
+		[ ':is(h2, h3) > a, p', [ ':is(h2, h3) > a', ' p' ] ],
+		[ '[data-x="a, b"], p', [ '[data-x="a, b"]', ' p' ] ],
+		[ "rgba(0, 0, 0, 0.5), 'a, b'", [ 'rgba(0, 0, 0, 0.5)', " 'a, b'" ] ],
+	] )( 'should split %p',
+		( list, expected ) => {
+			expect( splitCssList( list ) ).toStrictEqual( expected );
+		}
+	);
+} );
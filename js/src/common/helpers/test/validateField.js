@@ -0,0 +1,88 @@
+/**
+ * Internal dependencies
+ */
+import { validateField } from '../';
+
+describe( 'validateField', () => {
+	it( 'should be valid if the field has no validation', () => {
+		expect( validateField( { name: 'example-text' }, '' ) ).toStrictEqual( '' );
+	} );
+
+	it.each( [
+		[ { required: true }, '', 'This field is required.' ],
+		[ { required: true }, '   ', 'This field is required.' ],
+		[ { required: true }, false, 'This field is required.' ],
+		[ { required: true }, [], 'This field is required.' ],
+		[ { required: true }, { rows: [] }, 'This field is required.' ],
+		[ { required: true }, 'Example text', '' ],
+		[ { minLength: '5' }, '', '' ],
+		[ { minLength: '5' }, 'Test', 'This must be at least 5 characters.' ],
+		[ { maxLength: 3 }, 'Test', 'This must be at most 3 characters.' ],
+		[ { pattern: '[A-Z]{3}' }, 'ABC', '' ],
+		[ { pattern: '[A-Z]{3}' }, 'ABCD', 'This does not match the required format.' ],
+		[ { pattern: '[' }, 'ABCD', '' ],
+		[ { min: '2', max: '10' }, 5, '' ],
+		[ { min: '2', max: '10' }, 1, 'This must be at least 2.' ],
+		[ { min: '2', max: '10' }, '11', 'This must be at most 10.' ],
+		[ { min: '2' }, 'Not a number', 'This must be a number.' ],
+		[ { required: true, message: 'Please enter a title' }, '', 'Please enter a title' ],
+	] )( 'should validate with the rules %p and the value %p',
+		( validation, value, expected ) => {
+			expect( validateField( { name: 'example-field', validation }, value ) ).toStrictEqual( expected );
+		}
+	);
+
+	it.each( [
+		[ { min: '2', max: '3' }, [], '' ],
+		[ { min: '2', max: '3' }, [ 4 ], 'This must have at least 2 images.' ],
+		[ { min: '2', max: '3' }, [ 4, 5 ], '' ],
+		[ { min: '2', max: '3' }, [ 4, 5, 6, 7 ], 'This must have at most 3 images.' ],
+		[ { min: '', max: '' }, [ 4, 5, 6, 7 ], '' ],
+		[ { max: '1', validation: { message: 'Only one photo' } }, [ 4, 5 ], 'Only one photo' ],
+	] )( 'should validate the number of images in a gallery with the settings %p and the value %p',
+		( settings, value, expected ) => {
+			expect( validateField( { name: 'example-gallery', control: 'gallery', ...settings }, value ) ).toStrictEqual( expected );
+		}
+	);
+
+	it.each( [
+		[ { min: '2', max: '3' }, { rows: [ {}, {} ] }, '' ],
+		[ { min: '2', max: '3' }, { rows: [ {} ] }, '' ],
+		[ { min: '2' }, undefined, '' ],
+		[ { min: '2', max: '3' }, { rows: [ {}, {}, {}, {} ] }, 'This must have at most 3 rows.' ],
+		[ { min: '', max: '' }, { rows: [] }, '' ],
+	] )( 'should validate the number of rows in a repeater with the settings %p and the value %p',
+		( settings, value, expected ) => {
+			expect( validateField( { name: 'example-repeater', control: 'repeater', ...settings }, value ) ).toStrictEqual( expected );
+		}
+	);
+
+	it.each( [
+		[ { control: 'date', min: '2024-05-01', max: '2024-05-31' }, '', '' ],
+		[ { control: 'date', min: '2024-05-01', max: '2024-05-31' }, '2024-05-15', '' ],
+		[ { control: 'date', min: '2024-05-01', max: '2024-05-31' }, '2024-04-30', 'This must be 2024-05-01 or later.' ],
+		[ { control: 'date', min: '2024-05-01', max: '2024-05-31' }, '2024-06-01', 'This must be 2024-05-31 or earlier.' ],
+		[ { control: 'date', min: '2024-05-01' }, '1714521600', '' ],
+		[ { control: 'date' }, 'May first', 'This must be a valid date.' ],
+		[ { control: 'datetime', min: '2024-05-01T09:00' }, '2024-05-01T08:59:00', 'This must be 2024-05-01T09:00 or later.' ],
+		[ { control: 'datetime', min: '2024-05-01T09:00' }, '2024-05-01T09:00:00', '' ],
+		[ { control: 'time', min: '09:00', max: '17:00' }, '12:30', '' ],
+		[ { control: 'time', min: '09:00', max: '17:00' }, '17:30', 'This must be 17:00 or earlier.' ],
+		[ { control: 'time' }, 'Noon', 'This must be a valid time.' ],
+	] )( 'should validate the date or time with the settings %p and the value %p',
+		( settings, value, expected ) => {
+			expect( validateField( { name: 'example-date', ...settings }, value ) ).toStrictEqual( expected );
+		}
+	);
+
+	it( 'should not validate the number of values of other controls', () => {
+		expect( validateField( { name: 'example-post', control: 'post', min: '2' }, [ 4 ] ) ).toStrictEqual( '' );
+	} );
+
+	it( 'should validate the default value if there is no value', () => {
+		expect( validateField(
+			{ name: 'example-field', default: 'Example', validation: { required: true } },
+			undefined
+		) ).toStrictEqual( '' );
+	} );
+} );
@@ -0,0 +1,242 @@
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getIsoDateTime, isEmptyValue } from './';
+import { DATE_CONTROLS } from '../constants';
+
+/**
+ * @typedef {Object} Validation The validation rules of a field, which are all optional.
+ * @property {boolean} [required]  Whether the field needs a value.
+ * @property {string}  [pattern]   A regular expression that the whole value must match, like the HTML pattern attribute.
+ * @property {string}  [minLength] The minimum number of characters.
+ * @property {string}  [maxLength] The maximum number of characters.
+ * @property {string}  [min]       The minimum number.
+ * @property {string}  [max]       The maximum number.
+ * @property {string}  [message]   A message to display instead of the default message for any violation.
+ */
+
+/**
+ * Gets a number from a validation setting, which is a string from an input.
+ *
+ * @param {string|number|undefined} setting The validation setting.
+ * @return {number|null} The number, or null if the setting is empty or not a number.
+ */
+const getNumberSetting = ( setting ) => {
+	const number = parseFloat( String( setting ?? '' ) );
+	return isNaN( number ) ? null : number;
+};
+
+/**
+ * Gets the default message for the first validation rule that the value violates.
+ *
+ * @param {Validation} validation The validation rules.
+ * @param {*}          value      The field value.
+ * @return {string} The message, or '' if the value is valid.
+ */
+const getViolation = ( validation, value ) => {
+	const isEmpty = isEmptyValue( 'string' === typeof value ? value.trim() : value );
+	if ( isEmpty ) {
+		return validation.required
+			? __( 'This field is required.', 'genesis-custom-blocks' )
+			: '';
+	}
+
+	if ( 'string' === typeof value ) {
+		const minLength = getNumberSetting( validation.minLength );
+		if ( null !== minLength && value.length < minLength ) {
+			return sprintf(
+				/* translators: %d: the minimum number of characters */
+				_n( 'This must be at least %d character.', 'This must be at least %d characters.', minLength, 'genesis-custom-blocks' ),
+				minLength
+			);
+		}
+
+		const maxLength = getNumberSetting( validation.maxLength );
+		if ( null !== maxLength && value.length > maxLength ) {
+			return sprintf(
+				/* translators: %d: the maximum number of characters */
+				_n( 'This must be at most %d character.', 'This must be at most %d characters.', maxLength, 'genesis-custom-blocks' ),
+				maxLength
+			);
+		}
+
+		if ( validation.pattern ) {
+			let regex = null;
+			try {
+				regex = new RegExp( `^(?:${ validation.pattern })$` );
+			} catch ( error ) {
+				// An invalid pattern can't be enforced.
+			}
+
+			if ( regex && ! regex.test( value ) ) {
+				return __( 'This does not match the required format.', 'genesis-custom-blocks' );
+			}
+		}
+	}
+
+	const min = getNumberSetting( validation.min );
+	const max = getNumberSetting( validation.max );
+	if ( null === min && null === max ) {
+		return '';
+	}
+
+	const number = 'number' === typeof value ? value : parseFloat( String( value ) );
+	if ( isNaN( number ) ) {
+		return __( 'This must be a number.', 'genesis-custom-blocks' );
+	}
+
+	if ( null !== min && number < min ) {
+		/* translators: %s: the minimum number */
+		return sprintf( __( 'This must be at least %s.', 'genesis-custom-blocks' ), min );
+	}
+
+	if ( null !== max && number > max ) {
+		/* translators: %s: the maximum number */
+		return sprintf( __( 'This must be at most %s.', 'genesis-custom-blocks' ), max );
+	}
+
+	return '';
+};
+
+/**
+ * Gets the default message if a repeater has more rows than its settings allow.
+ *
+ * It can't have fewer rows than its minimum, as it displays the minimum rows even before they're saved.
+ *
+ * @param {import('../../edit-block/components/editor').Field} field The field.
+ * @param {*}                                                  value The field value.
+ * @return {string} The message, or '' if the number of rows is valid.
+ */
+const getRowCountViolation = ( field, value ) => {
+	if ( 'repeater' !== field.control ) {
+		return '';
+	}
+
+	const max = getNumberSetting( field.max );
+	if ( max && Array.isArray( value?.rows ) && value.rows.length > max ) {
+		return sprintf(
+			/* translators: %d: the maximum number of rows */
+			_n( 'This must have at most %d row.', 'This must have at most %d rows.', max, 'genesis-custom-blocks' ),
+			max
+		);
+	}
+
+	return '';
+};
+
+/**
+ * Gets the default message if a gallery has fewer or more images than its settings allow.
+ *
+ * Like the other rules, an empty gallery is only invalid if it's required.
+ *
+ * @param {import('../../edit-block/components/editor').Field} field The field.
+ * @param {*}                                                  value The field value.
+ * @return {string} The message, or '' if the number of images is valid.
+ */
+const getCountViolation = ( field, value ) => {
+	if ( 'gallery' !== field.control || ! Array.isArray( value ) || ! value.length ) {
+		return '';
+	}
+
+	const min = getNumberSetting( field.min );
+	if ( min && value.length < min ) {
+		return sprintf(
+			/* translators: %d: the minimum number of images */
+			_n( 'This must have at least %d image.', 'This must have at least %d images.', min, 'genesis-custom-blocks' ),
+			min
+		);
+	}
+
+	const max = getNumberSetting( field.max );
+	if ( max && value.length > max ) {
+		return sprintf(
+			/* translators: %d: the maximum number of images */
+			_n( 'This must have at most %d image.', 'This must have at most %d images.', max, 'genesis-custom-blocks' ),
+			max
+		);
+	}
+
+	return '';
+};
+
+/**
+ * Gets the part of an ISO date and time that a date, time, or date and time field compares.
+ *
+ * @param {string} control     The control, like 'date'.
+ * @param {string} isoDateTime The date and time, like '2024-05-01T13:30:00'.
+ * @return {string} The part to compare, like '2024-05-01' for a date.
+ */
+const getComparableDateTime = ( control, isoDateTime ) => {
+	if ( 'date' === control ) {
+		return isoDateTime.substring( 0, 10 );
+	}
+
+	return 'time' === control ? isoDateTime.substring( 11 ) : isoDateTime;
+};
+
+/**
+ * Gets the default message if a date or time isn't valid, or is outside of the field's range.
+ *
+ * @param {import('../../edit-block/components/editor').Field} field The field.
+ * @param {*}                                                  value The field value.
+ * @return {string} The message, or '' if the date or time is valid.
+ */
+const getDateViolation = ( field, value ) => {
+	if ( ! DATE_CONTROLS.includes( field.control ) || isEmptyValue( value ) ) {
+		return '';
+	}
+
+	const isoDateTime = getIsoDateTime( value );
+	if ( ! isoDateTime ) {
+		return 'time' === field.control
+			? __( 'This must be a valid time.', 'genesis-custom-blocks' )
+			: __( 'This must be a valid date.', 'genesis-custom-blocks' );
+	}
+
+	const comparable = getComparableDateTime( field.control, isoDateTime );
+	const min = getIsoDateTime( field.min );
+	if ( min && comparable < getComparableDateTime( field.control, min ) ) {
+		/* translators: %s: the earliest date or time */
+		return sprintf( __( 'This must be %s or later.', 'genesis-custom-blocks' ), field.min );
+	}
+
+	const max = getIsoDateTime( field.max );
+	if ( max && comparable > getComparableDateTime( field.control, max ) ) {
+		/* translators: %s: the latest date or time */
+		return sprintf( __( 'This must be %s or earlier.', 'genesis-custom-blocks' ), field.max );
+	}
+
+	return '';
+};
+
+/**
+ * Validates a field value against the field's validation rules.
+ *
+ * A gallery is also validated against its minimum and maximum number of images, a repeater against its rows,
+ * and a date or time against its earliest and latest values.
+ *
+ * @param {import('../../edit-block/components/editor').Field} field The field.
+ * @param {*}                                                  value The field value.
+ * @return {string} The message for the violation, or '' if the value is valid.
+ */
+const validateField = ( field, value ) => {
+	if ( ! field ) {
+		return '';
+	}
+
+	const validation = field.validation && 'object' === typeof field.validation ? field.validation : {};
+	const fieldValue = undefined === value ? field.default : value;
+	const violation = getViolation( validation, fieldValue ) ||
+		getCountViolation( field, fieldValue ) ||
+		getRowCountViolation( field, fieldValue ) ||
+		getDateViolation( field, fieldValue );
+
+	return violation && validation.message ? validation.message : violation;
+};
+
+export default validateField;
@@ -0,0 +1,191 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { Select } from './';
+import { Text, Width } from './settings';
+import { NO_FIELD_SELECTED } from '../constants';
+import { useField } from '../hooks';
+import { DEFAULT_LOCATION, LOCATIONS_WITH_LABEL } from '../../common/constants';
+
+/**
+ * The settings that multiple fields can share.
+ *
+ * @type {Object.<string, import('./editor').Setting>}
+ */
+const SHARED_SETTINGS = {
+	width: {
+		name: 'width',
+		label: __( 'Field Width', 'genesis-custom-blocks' ),
+		help: '',
+		type: 'width',
+		default: '100',
+	},
+	location: {
+		name: 'location',
+		label: __( 'Field Location', 'genesis-custom-blocks' ),
+		help: '',
+		type: 'location',
+		default: DEFAULT_LOCATION,
+	},
+	help: {
+		name: 'help',
+		label: __( 'Help Text', 'genesis-custom-blocks' ),
+		help: '',
+		type: 'text',
+		default: '',
+	},
+};
+
+/**
+ * @typedef {Object} BulkFieldSettingsProps The component props.
+ * @property {import('./editor').SelectedField[]}    selectedFields     The fields that are selected together.
+ * @property {import('./editor').SetCurrentLocation} setCurrentLocation Sets the current location, like 'editor'.
+ * @property {import('./editor').SetSelectedField}   setSelectedField   Sets the field that's selected on its own.
+ * @property {import('./editor').SetSelectedFields}  setSelectedFields  Sets the fields that are selected together.
+ */
+
+/**
+ * The settings of multiple fields at once, limited to the settings they share.
+ *
+ * Every change applies to all of the fields in a single edit, so one undo reverts it.
+ *
+ * @param {BulkFieldSettingsProps} props The component props.
+ * @return {React.ReactElement} The bulk field settings.
+ */
+const BulkFieldSettings = ( {
+	selectedFields,
+	setCurrentLocation,
+	setSelectedField,
+	setSelectedFields,
+} ) => {
+	const {
+		changeMultipleFieldSettings,
+		deleteFields,
+		duplicateFields,
+		getField,
+	} = useField();
+	const fields = selectedFields.map( getField ).filter( Boolean );
+	const hasSubFields = selectedFields.some( ( selectedField ) => selectedField.hasOwnProperty( 'parent' ) );
+
+	/**
+	 * Gets the value of a setting, if all of the fields have the same value.
+	 *
+	 * @param {function(import('./editor').Field):*} getValue Gets the value from a field.
+	 * @return {*} The value, or undefined if the fields have different values.
+	 */
+	const getSharedValue = ( getValue ) => {
+		const values = fields.map( getValue );
+		return values.every( ( value ) => value === values[ 0 ] ) ? values[ 0 ] : undefined;
+	};
+
+	const width = getSharedValue( ( field ) => field.width || SHARED_SETTINGS.width.default );
+	const location = getSharedValue( ( field ) => field.location || DEFAULT_LOCATION );
+	const help = getSharedValue( ( field ) => field.help || '' );
+	const required = getSharedValue( ( field ) => Boolean( field.validation?.required ) );
+
+	return (
+		<>
+			<h4 className="text-sm font-semibold">
+				{ sprintf(
+					/* translators: %d: the number of fields */
+					_n( '%d Field Selected', '%d Fields Selected', fields.length, 'genesis-custom-blocks' ),
+					fields.length
+				) }
+			</h4>
+			<span className="block italic text-xs mt-1">
+				{ __( 'Only the settings that the fields share are here. Changing one changes it for all of them.', 'genesis-custom-blocks' ) }
+			</span>
+			<div className="mt-5">
+				<Width
+					setting={ SHARED_SETTINGS.width }
+					value={ undefined === width ? '' : width }
+					handleOnChange={ ( newWidth ) => {
+						changeMultipleFieldSettings( selectedFields, { width: newWidth } );
+					} }
+				/>
+			</div>
+			{ hasSubFields
+				? null
+				: (
+					<div className="mt-5">
+						<Select
+							id="bulk-setting-location"
+							setting={ SHARED_SETTINGS.location }
+							value={ undefined === location ? '' : location }
+							options={ undefined === location
+								? [ { value: '', label: __( 'Mixed', 'genesis-custom-blocks' ) }, ...LOCATIONS_WITH_LABEL ]
+								: LOCATIONS_WITH_LABEL
+							}
+							handleOnChange={ ( newLocation ) => {
+								if ( newLocation ) {
+									changeMultipleFieldSettings( selectedFields, { location: newLocation } );
+									setCurrentLocation( newLocation );
+								}
+							} }
+						/>
+					</div>
+				)
+			}
+			<div className="mt-5">
+				<Text
+					setting={ SHARED_SETTINGS.help }
+					value={ undefined === help ? '' : help }
+					handleOnChange={ ( newHelp ) => {
+						changeMultipleFieldSettings( selectedFields, { help: newHelp } );
+					} }
+				/>
+			</div>
+			<div className="mt-5">
+				<label className="text-sm" htmlFor="bulk-setting-required">{ __( 'Required', 'genesis-custom-blocks' ) }</label>
+				<input
+					id="bulk-setting-required"
+					className="ml-2"
+					type="checkbox"
+					checked={ true === required }
+					ref={ ( input ) => {
+						if ( input ) {
+							input.indeterminate = undefined === required;
+						}
+					} }
+					onChange={ ( event ) => {
+						if ( event.target ) {
+							changeMultipleFieldSettings( selectedFields, { required: event.target.checked } );
+						}
+					} }
+				/>
+			</div>
+			<div className="flex justify-between mt-5 border-t border-gray-300 pt-3">
+				<button
+					className="flex items-center bg-red-200 text-sm h-6 px-2 rounded-sm leading-none text-red-900 hover:bg-red-500 hover:text-red-100"
+					onClick={ () => {
+						deleteFields( selectedFields );
+						setSelectedFields( [] );
+						setSelectedField( NO_FIELD_SELECTED );
+					} }
+				>
+					{ __( 'Delete', 'genesis-custom-blocks' ) }
+				</button>
+				<button
+					className="flex items-center bg-blue-200 text-sm h-6 px-2 rounded-sm leading-none text-blue-900 hover:bg-blue-500 hover:text-blue-100"
+					onClick={ () => {
+						duplicateFields( selectedFields );
+					} }
+				>
+					{ __( 'Duplicate', 'genesis-custom-blocks' ) }
+				</button>
+			</div>
+		</>
+	);
+};
+
+export default BulkFieldSettings;
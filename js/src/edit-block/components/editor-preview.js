@@ -14,9 +14,9 @@ import { __ } from '@wordpress/i18n';
 import { PreviewNotice } from './';
 import { BUILDER_EDITING_MODE } from '../constants';
 import { useBlock, useField } from '../hooks';
-import { Fields } from '../../block-editor/components';
+import { Fields, GroupedFields } from '../../block-editor/components';
 import { getFieldsAsArray } from '../../common/helpers';
-import { EDIT_BLOCK_CONTEXT } from '../../common/constants';
+import { EDIT_BLOCK_CONTEXT, EDITOR_LOCATION } from '../../common/constants';
 
 /**
  * @typedef {Object} EditorPreviewProps The component props.
@@ -60,15 +60,22 @@ const EditorPreview = ( { setEditorMode } ) => {
 
 	return (
 		<div className="gcb-editor-form">
-			<Fields
-				key="example-fields"
+			<GroupedFields
 				fields={ fields }
-				parentBlockProps={ {
-					setAttributes,
-					attributes: previewAttributes,
-				} }
-				parentBlock={ {} }
-				context={ EDIT_BLOCK_CONTEXT }
+				location={ EDITOR_LOCATION }
+				attributes={ previewAttributes }
+				renderFields={ ( groupFields ) => (
+					<Fields
+						key="example-fields"
+						fields={ groupFields }
+						parentBlockProps={ {
+							setAttributes,
+							attributes: previewAttributes,
+						} }
+						parentBlock={ {} }
+						context={ EDIT_BLOCK_CONTEXT }
+					/>
+				) }
 			/>
 		</div>
 	);
@@ -27,6 +27,7 @@ import {
 	FieldsGrid,
 	FrontEndPreview,
 	Header,
+	ImportButton,
 	LocationButtons,
 	Main,
 	Side,
@@ -42,6 +43,7 @@ import {
 } from '../constants';
 import { DEFAULT_LOCATION } from '../../common/constants';
 import { useBlock, useTemplate } from '../hooks';
+import { getCssScopeClass, getScopedCss } from '../../common/helpers';
 
 /**
  * @callback onErrorType Handler for errors.
@@ -69,20 +71,28 @@ import { useBlock, useTemplate } from '../hooks';
 /** @typedef {function(boolean):void} SetIsNewField Sets whether there is a new field. */
 /** @typedef {function(string):void} SetPanelDisplaying Sets the current panel displaying. */
 /** @typedef {function(SelectedField|import('../constants').NoFieldSelected):void} SetSelectedField Sets the selected field. */
+/** @typedef {function(SelectedField[]):void} SetSelectedFields Sets the fields that are selected together. */
 /** @typedef {string} EditorMode The current editing mode. */
 /** @typedef {function(EditorMode):void} SetEditorMode Sets the current editing mode. */
 
 /**
  * @typedef {Object} Field A block field, can have more properties depending on its settings.
- * @property {string} name         The name of the field.
- * @property {string} label        The label of the field.
- * @property {string} control      The control type, like 'text' or 'textarea'.
- * @property {string} location     The location, like 'editor'.
- * @property {string} type         The data type for its value, like string.
- * @property {number} order        Its order relative to other fields in its location, like 0, 1, 2...
- * @property {string} [parent]     The name of its parent field, like a Repeater control.
- * @property {Object} [sub_fields] Fields that this field has, like for the Repeater control.
- * @property {string} [width]      The width, like '25'.
+ * @property {string}                                                     name         The name of the field.
+ * @property {string}                                                     label        The label of the field.
+ * @property {string}                                                     control      The control type, like 'text' or 'textarea'.
+ * @property {string}                                                     location     The location, like 'editor'.
+ * @property {string}                                                     type         The data type for its value, like string.
+ * @property {number}                                                     order        Its order relative to other fields in its location, like 0, 1, 2...
+ * @property {string}                                                     [parent]     The name of its parent field, like a Repeater control.
+ * @property {Object}                                                     [sub_fields] Fields that this field has, like for the Repeater control.
+ * @property {string}                                                     [width]      The width, like '25'.
+ * @property {string}                                                     [help]       The help text.
+ * @property {import('../../common/helpers/meetsConditions').Condition[]} [conditions] Rules for whether the field displays, based on its sibling fields.
+ * @property {*}                                                          [default]    The default value.
+ * @property {import('../../common/helpers/validateField').Validation}    [validation] The rules for whether the value is valid.
+ * @property {string}                                                     [group]      The name of the group field it's in, if any. Only top-level fields can be in a group.
+ * @property {string}                                                     [min]        The minimum, like the minimum rows of a Repeater or images of a Gallery.
+ * @property {string}                                                     [max]        The maximum, like the maximum rows of a Repeater or images of a Gallery.
  */
 
 /**
@@ -111,8 +121,22 @@ const Editor = ( { onError, postId, postType, settings } ) => {
 	const [ currentLocation, setCurrentLocation ] = useState( DEFAULT_LOCATION );
 	const [ editorMode, setEditorMode ] = useState( BUILDER_EDITING_MODE );
 	const [ isNewField, setIsNewField ] = useState( false );
+	const [ isTemplatePreviewShowing, setIsTemplatePreviewShowing ] = useState( false );
 	const [ panelDisplaying, setPanelDisplaying ] = useState( BLOCK_PANEL );
-	const [ selectedField, setSelectedField ] = useState( NO_FIELD_SELECTED );
+	const [ selectedField, setSingleSelectedField ] = useState(
+		/** @type {SelectedField|import('../constants').NoFieldSelected} */ ( NO_FIELD_SELECTED )
+	);
+	const [ selectedFields, setSelectedFields ] = useState( [] );
+
+	/**
+	 * Selects a field on its own, which ends any selection of multiple fields.
+	 *
+	 * @param {SelectedField|import('../constants').NoFieldSelected} newSelectedField The field to select.
+	 */
+	const setSelectedField = ( newSelectedField ) => {
+		setSingleSelectedField( newSelectedField );
+		setSelectedFields( [] );
+	};
 
 	if ( ! post ) {
 		return null;
@@ -123,7 +147,7 @@ const Editor = ( { onError, postId, postType, settings } ) => {
 			<div className="h-screen flex flex-col items-center text-black">
 				{ template?.cssUrl ? <link rel="stylesheet" href={ template.cssUrl } type="text/css" /> : null }
 				{ ! template?.cssUrl && Boolean( block.templateCss )
-					? <style>{ block.templateCss }</style>
+					? <style>{ block.scopeCss ? getScopedCss( block.templateCss, getCssScopeClass( block.name ) ) : block.templateCss }</style>
 					: null
 				}
 				<BrowserURL />
@@ -136,8 +160,13 @@ const Editor = ( { onError, postId, postType, settings } ) => {
 						<ErrorBoundary onError={ onError }>
 							<Header editorMode={ editorMode } setEditorMode={ setEditorMode } />
 							<EditorNotices />
-							<div className="gcb-editor flex w-full h-0 flex-grow">
-								<Main editorMode={ editorMode } setEditorMode={ setEditorMode }>
+							<div className="gcb-editor relative flex w-full h-0 flex-grow">
+								<ImportButton isDropZone />
+								<Main
+									editorMode={ editorMode }
+									setEditorMode={ setEditorMode }
+									isWide={ TEMPLATE_EDITOR_EDITING_MODE === editorMode && isTemplatePreviewShowing }
+								>
 									<LocationButtons
 										currentLocation={ currentLocation }
 										editorMode={ editorMode }
@@ -152,9 +181,12 @@ const Editor = ( { onError, postId, postType, settings } ) => {
 											<FieldsGrid
 												currentLocation={ currentLocation }
 												selectedField={ selectedField }
+												selectedFields={ selectedFields }
+												setCurrentLocation={ setCurrentLocation }
 												setIsNewField={ setIsNewField }
 												setPanelDisplaying={ setPanelDisplaying }
 												setSelectedField={ setSelectedField }
+												setSelectedFields={ setSelectedFields }
 											/>
 										) : null
 									}
@@ -163,8 +195,13 @@ const Editor = ( { onError, postId, postType, settings } ) => {
 										: null
 									}
 									{ TEMPLATE_EDITOR_EDITING_MODE === editorMode
-										? <TemplateEditor />
-										: null
+										? (
+											<TemplateEditor
+												isPreviewShowing={ isTemplatePreviewShowing }
+												setEditorMode={ setEditorMode }
+												setIsPreviewShowing={ setIsTemplatePreviewShowing }
+											/>
+										) : null
 									}
 								</Main>
 								<Side
@@ -183,9 +220,11 @@ const Editor = ( { onError, postId, postType, settings } ) => {
 													currentLocation={ currentLocation }
 													isNewField={ isNewField }
 													selectedField={ selectedField }
+													selectedFields={ selectedFields }
 													setCurrentLocation={ setCurrentLocation }
 													setIsNewField={ setIsNewField }
 													setSelectedField={ setSelectedField }
+													setSelectedFields={ setSelectedFields }
 												/>
 											) : null
 									}
@@ -0,0 +1,105 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+import { strToU8, zipSync } from 'fflate';
+
+/**
+ * WordPress dependencies
+ */
+import { CheckboxControl, Dropdown } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getExportFiles } from '../helpers';
+import { useBlock } from '../hooks';
+
+/**
+ * Downloads a file in the browser.
+ *
+ * @param {string}     fileName The name of the file.
+ * @param {Uint8Array} contents The contents of the file.
+ * @param {string}     type     The MIME type.
+ */
+const downloadFile = ( fileName, contents, type ) => {
+	const url = URL.createObjectURL( new window.Blob( [ contents ], { type } ) );
+	const link = document.createElement( 'a' );
+
+	link.href = url;
+	link.download = fileName;
+	link.click();
+	URL.revokeObjectURL( url );
+};
+
+/**
+ * The button to export the block as block.json, in a zip.
+ *
+ * @return {React.ReactElement} The export button.
+ */
+const ExportButton = () => {
+	const { block } = useBlock();
+	const [ includeTemplate, setIncludeTemplate ] = useState( Boolean( block.templateMarkup ) );
+
+	/**
+	 * Downloads the exported block files as a zip, in a directory named after the block.
+	 */
+	const exportBlock = () => {
+		const files = getExportFiles( block, includeTemplate );
+		const zip = zipSync(
+			Object.keys( files ).reduce( ( accumulator, fileName ) => {
+				accumulator[ `${ block.name }/${ fileName }` ] = strToU8( files[ fileName ] );
+				return accumulator;
+			}, {} )
+		);
+
+		downloadFile( `${ block.name }.zip`, zip, 'application/zip' );
+	};
+
+	return (
+		<Dropdown
+			className="flex items-center h-full"
+			renderToggle={ ( { isOpen, onToggle } ) => (
+				<button
+					className="flex items-center h-12 px-4 text-sm"
+					aria-expanded={ isOpen }
+					disabled={ ! block.name }
+					onClick={ onToggle }
+				>
+					<span>{ __( 'Export', 'genesis-custom-blocks' ) }</span>
+				</button>
+			) }
+			renderContent={ ( { onClose } ) => (
+				<div className="p-4 w-64">
+					<p className="text-sm">
+						{ __( 'Download this block as block.json in a zip, to register it in a theme or plugin.', 'genesis-custom-blocks' ) }
+					</p>
+					<p className="text-sm mt-2">
+						{ __( 'The exported block can edit text, email, URL, number, range, textarea, toggle, checkbox, select, and radio fields. Other fields keep their values, but can only be edited with Genesis Custom Blocks.', 'genesis-custom-blocks' ) }
+					</p>
+					<div className="mt-3">
+						<CheckboxControl
+							label={ __( 'Include the template as render.php and style.css', 'genesis-custom-blocks' ) }
+							checked={ includeTemplate }
+							disabled={ ! block.templateMarkup }
+							onChange={ setIncludeTemplate }
+						/>
+					</div>
+					<button
+						className="flex items-center bg-blue-200 text-sm h-6 px-2 mt-3 rounded-sm leading-none text-blue-900 hover:bg-blue-500 hover:text-blue-100"
+						onClick={ () => {
+							exportBlock();
+							onClose();
+						} }
+					>
+						{ __( 'Export as block.json', 'genesis-custom-blocks' ) }
+					</button>
+				</div>
+			) }
+		/>
+	);
+};
+
+export default ExportButton;
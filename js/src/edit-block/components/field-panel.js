@@ -12,19 +12,23 @@ import { __ } from '@wordpress/i18n';
 /**
  * Internal dependencies
  */
-import { FieldSettings } from './';
+import { BulkFieldSettings, FieldSettings } from './';
 import { NO_FIELD_SELECTED } from '../constants';
 import { convertToSlug } from '../helpers';
 import { useField } from '../hooks';
+import { getFieldsAsArray } from '../../common/helpers';
+import { GROUP_CONTROL } from '../../common/constants';
 
 /**
  * @typedef {Object} FieldPanelProps The component props.
  * @property {import('./editor').CurrentLocation}                                      currentLocation    The currently selected location.
  * @property {import('./editor').IsNewField}                                           isNewField         Whether there is a new field.
  * @property {import('./editor').SelectedField|import('../constants').NoFieldSelected} selectedField      The name of the selected field, if any.
+ * @property {import('./editor').SelectedField[]}                                      selectedFields     The fields that are selected together, if any.
  * @property {import('./editor').SetCurrentLocation}                                   setCurrentLocation Sets the current location, like 'editor'.
  * @property {import('./editor').SetIsNewField}                                        setIsNewField      Sets whether there is a new field.
  * @property {import('./editor').SetSelectedField}                                     setSelectedField   Sets the currently selected field name.
+ * @property {import('./editor').SetSelectedFields}                                    setSelectedFields  Sets the fields that are selected together.
  */
 
 /**
@@ -37,9 +41,11 @@ const FieldPanel = ( {
 	currentLocation,
 	isNewField,
 	selectedField,
+	selectedFields,
 	setCurrentLocation,
 	setIsNewField,
 	setSelectedField,
+	setSelectedFields,
 } ) => {
 	const {
 		changeControl,
@@ -74,6 +80,19 @@ const FieldPanel = ( {
 
 	const field = getField( selectedField );
 
+	/**
+	 * Gets the other fields at the same level as the selected field, which its conditions can check.
+	 *
+	 * @return {import('./editor').Field[]} The sibling fields.
+	 */
+	const getSiblingFields = () => {
+		const fields = field.parent
+			? getFieldsAsArray( getField( { name: field.parent } ).sub_fields || {} )
+			: getFields();
+
+		return fields.filter( ( siblingField ) => siblingField.name !== field.name );
+	};
+
 	/**
 	 * Gets the control values, possibly excluding based on the selected field or the location.
 	 *
@@ -82,7 +101,7 @@ const FieldPanel = ( {
 	const getControlValues = () => {
 		return Object.values( controls ).filter( ( control ) => {
 			if ( selectedField && selectedField.hasOwnProperty( 'parent' ) ) {
-				return 'repeater' !== control.name; // Don't allow repeaters inside repeaters.
+				return ! [ 'repeater', GROUP_CONTROL ].includes( control.name ); // Don't allow repeaters or groups inside repeaters.
 			}
 
 			if ( control.name === 'inner_blocks' && field.control !== 'inner_blocks' && hasInnerBlocks() ) {
@@ -93,6 +112,19 @@ const FieldPanel = ( {
 		} );
 	};
 
+	if ( selectedFields.length > 1 ) {
+		return (
+			<div className="p-4">
+				<BulkFieldSettings
+					selectedFields={ selectedFields }
+					setCurrentLocation={ setCurrentLocation }
+					setSelectedField={ setSelectedField }
+					setSelectedFields={ setSelectedFields }
+				/>
+			</div>
+		);
+	}
+
 	return (
 		<div className="p-4">
 			{ NO_FIELD_SELECTED === selectedField
@@ -188,6 +220,7 @@ const FieldPanel = ( {
 						field={ field }
 						setCurrentLocation={ setCurrentLocation }
 						setSelectedField={ setSelectedField }
+						siblingFields={ getSiblingFields() }
 					/>
 				</>
 			}
@@ -11,8 +11,56 @@ import { __ } from '@wordpress/i18n';
 /**
  * Internal dependencies
  */
+import { Conditions, Group, Validation } from './settings';
 import { getSettingsComponent } from '../helpers';
 import { NO_FIELD_SELECTED } from '../constants';
+import { DEFAULT_LOCATION, GROUP_CONTROL } from '../../common/constants';
+
+/**
+ * The conditions setting, which every field has.
+ *
+ * @type {import('./editor').Setting}
+ */
+const CONDITIONS_SETTING = {
+	name: 'conditions',
+	label: __( 'Conditions', 'genesis-custom-blocks' ),
+	help: __( 'Only show this field when all of these rules are true.', 'genesis-custom-blocks' ),
+	type: 'conditions',
+	default: [],
+};
+
+/**
+ * The group setting, which every top-level field has that isn't a group.
+ *
+ * @type {import('./editor').Setting}
+ */
+const GROUP_SETTING = {
+	name: 'group',
+	label: __( 'Group', 'genesis-custom-blocks' ),
+	help: __( 'Show this field in a group, which can be a panel, an accordion section, or a tab.', 'genesis-custom-blocks' ),
+	type: 'group',
+	default: '',
+};
+
+/**
+ * The validation setting, which every field has that stores a value.
+ *
+ * @type {import('./editor').Setting}
+ */
+const VALIDATION_SETTING = {
+	name: 'validation',
+	label: __( 'Validation', 'genesis-custom-blocks' ),
+	help: __( 'Saving the post is disabled until the value is valid. The error message replaces the default messages.', 'genesis-custom-blocks' ),
+	type: 'validation',
+	default: {},
+};
+
+/**
+ * The controls that don't store a value in the block attributes, so they can't be validated.
+ *
+ * @type {string[]}
+ */
+const CONTROLS_WITHOUT_VALIDATION = [ GROUP_CONTROL, 'inner_blocks' ];
 
 /**
  * @callback onClickDelete Handler for deleting a field.
@@ -22,13 +70,14 @@ import { NO_FIELD_SELECTED } from '../constants';
 
 /**
  * @typedef {Object} FieldSettingsProps The component props.
- * @property {Object}           controls            All of the possible controls.
- * @property {onClickDelete}    deleteField         Deletes this field.
- * @property {onClickDuplicate} duplicateField      Duplicates this field.
- * @property {Object}           field               The current field.
- * @property {Function}         changeFieldSettings Edits a given field's value.
- * @property {Function}         setCurrentLocation  Sets the current location, like 'editor'.
- * @property {Function}         setSelectedField    Sets the current location, like 'editor'.
+ * @property {Object}                     controls            All of the possible controls.
+ * @property {onClickDelete}              deleteField         Deletes this field.
+ * @property {onClickDuplicate}           duplicateField      Duplicates this field.
+ * @property {Object}                     field               The current field.
+ * @property {Function}                   changeFieldSettings Edits a given field's value.
+ * @property {Function}                   setCurrentLocation  Sets the current location, like 'editor'.
+ * @property {Function}                   setSelectedField    Sets the current location, like 'editor'.
+ * @property {import('./editor').Field[]} siblingFields       The other fields at the same level, like in the same repeater.
  */
 
 /**
@@ -45,9 +94,31 @@ const FieldSettings = ( {
 	field,
 	setCurrentLocation,
 	setSelectedField,
+	siblingFields,
 } ) => {
 	const control = controls[ field.control ];
 
+	/**
+	 * Gets the field to pass to changeFieldSettings().
+	 *
+	 * @return {import('./editor').SelectedField} The field to change.
+	 */
+	const getFieldToChange = () => {
+		const fieldToChange = {	name: field.name };
+		if ( field.hasOwnProperty( 'parent' ) ) {
+			fieldToChange.parent = field.parent;
+		}
+
+		return fieldToChange;
+	};
+
+	const location = field.location || DEFAULT_LOCATION;
+	const groups = field.hasOwnProperty( 'parent' ) || GROUP_CONTROL === field.control
+		? []
+		: siblingFields.filter(
+			( siblingField ) => GROUP_CONTROL === siblingField.control && location === ( siblingField.location || DEFAULT_LOCATION )
+		);
+
 	return (
 		<>
 			{ control && control.settings
@@ -67,13 +138,8 @@ const FieldSettings = ( {
 									setting={ setting }
 									value={ value }
 									handleOnChange={ ( newSettingValue ) => {
-										const fieldToChange = {	name: field.name };
-										if ( field.hasOwnProperty( 'parent' ) ) {
-											fieldToChange.parent = field.parent;
-										}
-
 										changeFieldSettings(
-											fieldToChange,
+											getFieldToChange(),
 											{ [ setting.name ]: newSettingValue }
 										);
 									} }
@@ -87,6 +153,54 @@ const FieldSettings = ( {
 				} )
 				: null
 			}
+			{ groups.length
+				? (
+					<div className="mt-5">
+						<Group
+							setting={ GROUP_SETTING }
+							value={ field[ GROUP_SETTING.name ] }
+							handleOnChange={ ( newGroup ) => {
+								changeFieldSettings(
+									getFieldToChange(),
+									{ [ GROUP_SETTING.name ]: newGroup || undefined }
+								);
+							} }
+							groups={ groups }
+						/>
+					</div>
+				)
+				: null
+			}
+			<div className="mt-5">
+				<Conditions
+					setting={ CONDITIONS_SETTING }
+					value={ field[ CONDITIONS_SETTING.name ] }
+					handleOnChange={ ( newConditions ) => {
+						changeFieldSettings(
+							getFieldToChange(),
+							{ [ CONDITIONS_SETTING.name ]: newConditions }
+						);
+					} }
+					siblingFields={ siblingFields.filter( ( siblingField ) => GROUP_CONTROL !== siblingField.control ) }
+				/>
+			</div>
+			{ CONTROLS_WITHOUT_VALIDATION.includes( field.control )
+				? null
+				: (
+					<div className="mt-5">
+						<Validation
+							setting={ VALIDATION_SETTING }
+							value={ field[ VALIDATION_SETTING.name ] }
+							handleOnChange={ ( newValidation ) => {
+								changeFieldSettings(
+									getFieldToChange(),
+									{ [ VALIDATION_SETTING.name ]: newValidation }
+								);
+							} }
+						/>
+					</div>
+				)
+			}
 			<div className="flex justify-between mt-5 border-t border-gray-300 pt-3">
 				<button
 					className="flex items-center bg-red-200 text-sm h-6 px-2 rounded-sm leading-none text-red-900 hover:bg-red-500 hover:text-red-100"
@@ -7,15 +7,25 @@ import classNames from 'classnames';
 /**
  * WordPress dependencies
  */
+import { DropdownMenu } from '@wordpress/components';
+import { useState } from '@wordpress/element';
 import { __, sprintf } from '@wordpress/i18n';
+import { moreVertical } from '@wordpress/icons';
 
 /**
  * Internal dependencies
  */
 import { ClipboardCopy, FieldsGrid } from './';
-import { FIELD_PANEL } from '../constants';
-import { getFieldIcon, getWidthClass } from '../helpers';
+import { FIELD_DRAG_TYPE, FIELD_PANEL, NO_FIELD_SELECTED } from '../constants';
+import {
+	getDraggedField,
+	getFieldIcon,
+	getOtherLocation,
+	getWidthClass,
+	toggleSelectedField,
+} from '../helpers';
 import { useField } from '../hooks';
+import { GROUP_CONTROL, LOCATIONS_WITH_LABEL } from '../../common/constants';
 
 /**
  * @typedef {Object} FieldsGridProps The component props.
@@ -24,10 +34,13 @@ import { useField } from '../hooks';
  * @property {number}                                                                  index                    The index in relation to other fields, starting with 0.
  * @property {boolean}                                                                 isDownButtonDisabled     Whether the down button is disabled.
  * @property {import('./editor').SelectedField|import('../constants').NoFieldSelected} selectedField            The currently selected field.
+ * @property {import('./editor').SelectedField[]}                                      selectedFields           The fields that are selected together.
  * @property {boolean}                                                                 shouldDisplayMoveButtons Whether this should display the move buttons.
+ * @property {import('./editor').SetCurrentLocation}                                   setCurrentLocation       Sets the currently selected location.
  * @property {import('./editor').SetIsNewField}                                        setIsNewField            Sets if there is a new field.
  * @property {import('./editor').SetPanelDisplaying}                                   setPanelDisplaying       Sets the current panel displaying.
  * @property {import('./editor').SetSelectedField}                                     setSelectedField         Sets the name of the selected field.
+ * @property {import('./editor').SetSelectedFields}                                    setSelectedFields        Sets the fields that are selected together.
  * @property {string|null}                                                             [parentField]            The name of the parent field, if any.
  */
 
@@ -43,50 +56,195 @@ const Field = ( {
 	index,
 	isDownButtonDisabled,
 	selectedField,
+	selectedFields,
 	shouldDisplayMoveButtons,
+	setCurrentLocation,
 	setIsNewField,
 	setPanelDisplaying,
 	setSelectedField,
+	setSelectedFields,
 	parentField = null,
 } ) => {
-	const { reorderFields } = useField();
+	const { getFieldsForLocation, moveFieldTo, reorderFields } = useField();
+	const [ dropPosition, setDropPosition ] = useState( null );
 	const moveButtonClass = 'flex items-center justify-center text-sm w-6 h-5 hover:text-blue-700 z-10';
 	const buttonDisabledClasses = 'opacity-50 cursor-not-allowed';
 
+	/**
+	 * Gets this field in the form of a selected field.
+	 *
+	 * @return {import('./editor').SelectedField} This field.
+	 */
+	const getThisField = () => {
+		const thisField = { name: field.name };
+		if ( null !== parentField ) {
+			thisField.parent = parentField;
+		}
+
+		return thisField;
+	};
+
+	/**
+	 * Moves a field, and selects it.
+	 *
+	 * @param {import('./editor').SelectedField}                fieldToMove The field to move.
+	 * @param {import('../helpers/moveField').FieldDestination} destination Where to move the field.
+	 */
+	const moveAndSelect = ( fieldToMove, destination ) => {
+		const movedField = moveFieldTo( fieldToMove, destination );
+		if ( ! movedField ) {
+			return;
+		}
+
+		setSelectedField( movedField );
+		setPanelDisplaying( FIELD_PANEL );
+		if ( destination.location !== currentLocation && ! destination.parent ) {
+			setCurrentLocation( destination.location );
+		}
+	};
+
+	/**
+	 * Moves this field with the keyboard, using Alt and the up or down arrow.
+	 *
+	 * @param {React.KeyboardEvent<HTMLDivElement>} event The event to handle.
+	 */
+	const moveWithKeyboard = ( event ) => {
+		if (
+			! event.altKey ||
+			! [ 'ArrowUp', 'ArrowDown' ].includes( event.key ) ||
+			! event.currentTarget.contains( /** @type {Node} */ ( event.target ) )
+		) {
+			return;
+		}
+
+		event.preventDefault();
+		event.stopPropagation();
+		moveAndSelect(
+			getThisField(),
+			{
+				location: currentLocation,
+				parent: parentField,
+				// The index is among the fields before the move, which still include this field.
+				index: 'ArrowUp' === event.key ? Math.max( index - 1, 0 ) : index + 2,
+			}
+		);
+	};
+
+	/**
+	 * Gets whether to drop a field before this one, based on where the pointer is.
+	 *
+	 * @param {React.DragEvent<HTMLDivElement>} event The event to handle.
+	 * @return {boolean} Whether to drop the field before this one.
+	 */
+	const getIsDropBefore = ( event ) => {
+		const { left, width } = event.currentTarget.getBoundingClientRect();
+		return event.clientX < left + ( width / 2 );
+	};
+
+	/**
+	 * Gets the other places this field can move to, which aren't in this grid.
+	 *
+	 * @return {Object[]} The controls for the move menu.
+	 */
+	const getMoveControls = () => {
+		if ( null !== parentField ) {
+			const parentIndex = getFieldsForLocation( currentLocation, null ).findIndex(
+				( topLevelField ) => parentField === topLevelField.name
+			);
+
+			return [ {
+				title: __( 'Move out of the repeater', 'genesis-custom-blocks' ),
+				onClick: () => moveAndSelect( getThisField(), { location: currentLocation, parent: null, index: parentIndex + 1 } ),
+			} ];
+		}
+
+		const otherLocation = LOCATIONS_WITH_LABEL.find( ( location ) => getOtherLocation( currentLocation ) === location.value );
+		const moveControls = otherLocation
+			? [ {
+				title: sprintf(
+					/* translators: %1$s: the name of the location, like Editor Fields */
+					__( 'Move to %1$s', 'genesis-custom-blocks' ),
+					otherLocation.label
+				),
+				onClick: () => moveAndSelect( getThisField(), { location: otherLocation.value, index: Infinity } ),
+			} ]
+			: [];
+
+		if ( [ 'repeater', GROUP_CONTROL ].includes( field.control ) ) {
+			return moveControls;
+		}
+
+		return [
+			...moveControls,
+			...getFieldsForLocation( currentLocation, null )
+				.filter( ( topLevelField ) => 'repeater' === topLevelField.control )
+				.map( ( repeater ) => ( {
+					title: sprintf(
+						/* translators: %1$s: the label of the repeater field */
+						__( 'Move into %1$s', 'genesis-custom-blocks' ),
+						repeater.label
+					),
+					onClick: () => moveAndSelect( getThisField(), { location: currentLocation, parent: repeater.name, index: Infinity } ),
+				} ) ),
+		];
+	};
+
 	/**
 	 * Selects this field.
 	 *
+	 * Shift-click or Command-click adds it to the selection, or removes it if it's already selected.
+	 *
 	 * @param {React.MouseEvent<HTMLDivElement>|React.KeyboardEvent<HTMLDivElement>} event The event to handle.
 	 */
 	const selectField = ( event ) => {
-		event.stopPropagation();
-		const newSelectedField = { name: field.name };
-		if ( null !== parentField ) {
-			newSelectedField.parent = parentField;
+		// Events from the move menu bubble here through its portal, though it's not in this element.
+		if ( ! event.currentTarget.contains( /** @type {Node} */ ( event.target ) ) ) {
+			return;
 		}
 
-		setSelectedField( newSelectedField );
+		event.stopPropagation();
+		const newSelectedField = getThisField();
+
 		setPanelDisplaying( FIELD_PANEL );
+		if ( ! event.shiftKey && ! event.metaKey && ! event.ctrlKey ) {
+			setSelectedField( newSelectedField );
+			return;
+		}
+
+		const newSelectedFields = toggleSelectedField( selectedFields, selectedField, newSelectedField );
+		if ( newSelectedFields.length > 1 ) {
+			setSelectedFields( newSelectedFields );
+		} else {
+			setSelectedField( newSelectedFields.length ? newSelectedFields[ 0 ] : NO_FIELD_SELECTED );
+		}
 	};
 
 	/**
-	 * Gets whether this field is selected.
+	 * Gets whether this field is a given selected field.
 	 *
+	 * @param {import('./editor').SelectedField|import('../constants').NoFieldSelected} fieldToCheck The selected field to check.
 	 * @return {boolean} Whether the field is selected.
 	 */
-	const getIsSelected = () => {
-		if ( ! selectedField ) {
+	const getIsSelected = ( fieldToCheck ) => {
+		if ( ! fieldToCheck ) {
 			return false;
 		}
-		if ( selectedField.hasOwnProperty( 'parent' ) || field.hasOwnProperty( 'parent' ) ) {
-			return field.parent === selectedField.parent && field.name === selectedField.name;
+		if ( fieldToCheck.hasOwnProperty( 'parent' ) || field.hasOwnProperty( 'parent' ) ) {
+			return field.parent === fieldToCheck.parent && field.name === fieldToCheck.name;
 		}
-		return field.name === selectedField.name;
+		return field.name === fieldToCheck.name;
 	};
 
-	const isSelected = getIsSelected();
+	const isMultipleSelected = selectedFields.some( getIsSelected );
+	const isSelected = ! selectedFields.length && getIsSelected( selectedField );
 	const isUpButtonDisabled = 0 === index;
+	const moveControls = isSelected ? getMoveControls() : [];
 	const FieldIcon = getFieldIcon( field.control );
+	const group = null === parentField && field.group
+		? getFieldsForLocation( currentLocation, null )?.find(
+			( topLevelField ) => GROUP_CONTROL === topLevelField.control && field.group === topLevelField.name
+		)
+		: null;
 	const shouldDisplayFieldName = ! [ '25', '50' ].includes( field.width );
 
 	return (
@@ -94,8 +252,49 @@ const Field = ( {
 			role="row"
 			className={ classNames(
 				'relative w-full rounded-sm border border-gray-400 hover:border-black',
+				{
+					'border-blue-500 ring-1 ring-blue-500': isMultipleSelected,
+					'border-blue-500 border-l-4': 'before' === dropPosition,
+					'border-blue-500 border-r-4': 'after' === dropPosition,
+				},
 				getWidthClass( field.width )
 			) }
+			aria-selected={ isSelected || isMultipleSelected }
+			aria-keyshortcuts="Alt+ArrowUp Alt+ArrowDown"
+			draggable
+			onDragStart={ ( event ) => {
+				event.stopPropagation();
+				event.dataTransfer.setData( FIELD_DRAG_TYPE, JSON.stringify( getThisField() ) );
+				event.dataTransfer.effectAllowed = 'move';
+			} }
+			onDragOver={ ( event ) => {
+				if ( ! Array.from( event.dataTransfer.types ).includes( FIELD_DRAG_TYPE ) ) {
+					return;
+				}
+
+				event.preventDefault();
+				event.stopPropagation();
+				setDropPosition( getIsDropBefore( event ) ? 'before' : 'after' );
+			} }
+			onDragLeave={ () => setDropPosition( null ) }
+			onDrop={ ( event ) => {
+				const draggedField = getDraggedField( event.dataTransfer );
+				setDropPosition( null );
+				if ( ! draggedField ) {
+					return;
+				}
+
+				event.preventDefault();
+				event.stopPropagation();
+				moveAndSelect(
+					draggedField,
+					{
+						location: currentLocation,
+						parent: parentField,
+						index: getIsDropBefore( event ) ? index : index + 1,
+					}
+				);
+			} }
 			key={ `field-item-${ index }` }
 			tabIndex={ 0 }
 			aria-label={ sprintf(
@@ -105,6 +304,7 @@ const Field = ( {
 			) }
 			onClick={ selectField }
 			onKeyPress={ selectField }
+			onKeyDown={ moveWithKeyboard }
 		>
 			<div
 				role="gridcell"
@@ -122,65 +322,101 @@ const Field = ( {
 						<ClipboardCopy text={ field.name } />
 					</div>
 				</div>
+				{ group
+					? (
+						<span className="self-start text-xs italic text-gray-600 mt-1 truncate">
+							{ sprintf(
+								/* translators: %1$s: the label of the group field */
+								__( 'In %1$s', 'genesis-custom-blocks' ),
+								group.label
+							) }
+						</span>
+					)
+					: null
+				}
 				{ null === parentField && 'repeater' === field.control
 					? (
 						<FieldsGrid
 							currentLocation={ currentLocation }
 							parentField={ field.name }
 							selectedField={ selectedField }
+							selectedFields={ selectedFields }
+							setCurrentLocation={ setCurrentLocation }
 							setIsNewField={ setIsNewField }
 							setPanelDisplaying={ setPanelDisplaying }
 							setSelectedField={ setSelectedField }
+							setSelectedFields={ setSelectedFields }
 						/>
 					)
 					: null
 				}
-				{ isSelected && shouldDisplayMoveButtons
+				{ isSelected
 					? <div className="flex absolute top-0 left-0 flex-col justify-between top-0 left-0 -ml-8 -mt-px rounded-sm bg-white border border-black">
-						<button
-							aria-label={ sprintf(
-								/* translators: %1$s: the field label, %2$d: the current position, %3$d: its new position on moving */
-								__( 'Move %1$s field up from position %2$d to position %3$d', 'genesis-custom-blocks' ),
-								field.label,
-								index,
-								index - 1
-							) }
-							className={ classNames(
-								moveButtonClass,
-								{ [ buttonDisabledClasses ]: isUpButtonDisabled }
-							) }
-							onClick={ ( event ) => {
-								event.preventDefault();
-								reorderFields( index, index - 1, currentLocation, parentField );
-							} }
-							disabled={ isUpButtonDisabled }
-						>
-							<svg className="h-4 w-4 stroke-current" fill="none" strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" viewBox="0 0 24 24" stroke="currentColor">
-								<path d="M5 15l7-7 7 7" />
-							</svg>
-						</button>
-						<button
-							aria-label={ sprintf(
-								/* translators: %1$s: the field label, %2$d: the current position, %3$d: its new position on moving */
-								__( 'Move %1$s field down from position %2$d to position %3$d', 'genesis-custom-blocks' ),
-								field.label,
-								index,
-								index + 1
-							) }
-							className={ classNames(
-								moveButtonClass,
-								{ [ buttonDisabledClasses ]: isDownButtonDisabled }
-							) }
-							onClick={ ( event ) => {
-								event.preventDefault();
-								reorderFields( index, index + 1, currentLocation, parentField );
-							} }
-							disabled={ isDownButtonDisabled }
-						>
-							<svg className="h-4 w-4 stroke-current" fill="none" strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" viewBox="0 0 24 24" stroke="currentColor">
-								<path d="M19 9l-7 7-7-7" />
-							</svg>
-						</button>
+						{ shouldDisplayMoveButtons
+							? <>
+								<button
+									aria-label={ sprintf(
+										/* translators: %1$s: the field label, %2$d: the current position, %3$d: its new position on moving */
+										__( 'Move %1$s field up from position %2$d to position %3$d', 'genesis-custom-blocks' ),
+										field.label,
+										index,
+										index - 1
+									) }
+									className={ classNames(
+										moveButtonClass,
+										{ [ buttonDisabledClasses ]: isUpButtonDisabled }
+									) }
+									onClick={ ( event ) => {
+										event.preventDefault();
+										reorderFields( index, index - 1, currentLocation, parentField );
+									} }
+									disabled={ isUpButtonDisabled }
+								>
+									<svg className="h-4 w-4 stroke-current" fill="none" strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" viewBox="0 0 24 24" stroke="currentColor">
+										<path d="M5 15l7-7 7 7" />
+									</svg>
+								</button>
+								<button
+									aria-label={ sprintf(
+										/* translators: %1$s: the field label, %2$d: the current position, %3$d: its new position on moving */
+										__( 'Move %1$s field down from position %2$d to position %3$d', 'genesis-custom-blocks' ),
+										field.label,
+										index,
+										index + 1
+									) }
+									className={ classNames(
+										moveButtonClass,
+										{ [ buttonDisabledClasses ]: isDownButtonDisabled }
+									) }
+									onClick={ ( event ) => {
+										event.preventDefault();
+										reorderFields( index, index + 1, currentLocation, parentField );
+									} }
+									disabled={ isDownButtonDisabled }
+								>
+									<svg className="h-4 w-4 stroke-current" fill="none" strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" viewBox="0 0 24 24" stroke="currentColor">
+										<path d="M19 9l-7 7-7-7" />
+									</svg>
+								</button>
+							</>
+							: null
+						}
+						{ moveControls.length
+							? (
+								<DropdownMenu
+									className="gcb-field-move-menu"
+									icon={ moreVertical }
+									label={ sprintf(
+										/* translators: %1$s: the field label */
+										__( 'Move %1$s field to…', 'genesis-custom-blocks' ),
+										field.label
+									) }
+									controls={ moveControls }
+									toggleProps={ { className: moveButtonClass, onClick: ( event ) => event.stopPropagation() } }
+								/>
+							)
+							: null
+						}
 					</div>
 					: null
 				}
@@ -7,23 +7,27 @@ import classNames from 'classnames';
 /**
  * WordPress dependencies
  */
-import { useMemo } from '@wordpress/element';
+import { useMemo, useState } from '@wordpress/element';
 import { __ } from '@wordpress/i18n';
 
 /**
  * Internal dependencies
  */
 import { Field } from './';
-import { FIELD_PANEL } from '../constants';
+import { FIELD_DRAG_TYPE, FIELD_PANEL } from '../constants';
+import { getDraggedField } from '../helpers';
 import { useField } from '../hooks';
 
 /**
  * @typedef {Object} FieldsGridProps The component props.
  * @property {import('./editor').CurrentLocation}                                      currentLocation    The currently selected location.
  * @property {import('./editor').SelectedField|import('../constants').NoFieldSelected} selectedField      The currenetly selected field.
+ * @property {import('./editor').SelectedField[]}                                      selectedFields     The fields that are selected together.
+ * @property {import('./editor').SetCurrentLocation}                                   setCurrentLocation Sets the currently selected location.
  * @property {import('./editor').SetIsNewField}                                        setIsNewField      Sets if there is a new field.
  * @property {import('./editor').SetPanelDisplaying}                                   setPanelDisplaying Sets the current panel displaying.
  * @property {import('./editor').SetSelectedField}                                     setSelectedField   Sets the name of the selected field.
+ * @property {import('./editor').SetSelectedFields}                                    setSelectedFields  Sets the fields that are selected together.
  * @property {string|null}                                                             [parentField]      The name of the parent field, if any.
  */
 
@@ -36,12 +40,16 @@ import { useField } from '../hooks';
 const FieldsGrid = ( {
 	currentLocation,
 	selectedField,
+	selectedFields,
+	setCurrentLocation,
 	setIsNewField,
 	setPanelDisplaying,
 	setSelectedField,
+	setSelectedFields,
 	parentField = null,
 } ) => {
-	const { addNewField, getFieldsForLocation } = useField();
+	const { addNewField, getFieldsForLocation, moveFieldTo } = useField();
+	const [ isDragOver, setIsDragOver ] = useState( false );
 	const fields = useMemo(
 		() => getFieldsForLocation( currentLocation, parentField ),
 		[ currentLocation, getFieldsForLocation, parentField ]
@@ -51,10 +59,42 @@ const FieldsGrid = ( {
 		<>
 			<div
 				role="grid"
+				tabIndex={ -1 }
 				className={ classNames(
-					'grid grid-cols-4 gap-4 w-full items-start',
-					parentField ? 'mt-4' : 'mt-2'
+					'grid grid-cols-4 gap-4 w-full items-start rounded-sm',
+					parentField ? 'mt-4' : 'mt-2',
+					{ 'bg-gray-100': isDragOver }
 				) }
+				onDragOver={ ( event ) => {
+					if ( ! Array.from( event.dataTransfer.types ).includes( FIELD_DRAG_TYPE ) ) {
+						return;
+					}
+
+					event.preventDefault();
+					event.stopPropagation();
+					setIsDragOver( true );
+				} }
+				onDragLeave={ () => setIsDragOver( false ) }
+				onDrop={ ( event ) => {
+					const draggedField = getDraggedField( event.dataTransfer );
+					setIsDragOver( false );
+					if ( ! draggedField ) {
+						return;
+					}
+
+					// This is only for a drop outside of a field, as a field handles drops onto it.
+					event.preventDefault();
+					event.stopPropagation();
+					const movedField = moveFieldTo(
+						draggedField,
+						{ location: currentLocation, parent: parentField, index: Infinity }
+					);
+
+					if ( movedField ) {
+						setSelectedField( movedField );
+						setPanelDisplaying( FIELD_PANEL );
+					}
+				} }
 			>
 				{ fields && fields.length
 					? fields.map( ( field, index ) => {
@@ -69,9 +109,12 @@ const FieldsGrid = ( {
 								index={ index }
 								isDownButtonDisabled={ isDownButtonDisabled }
 								selectedField={ selectedField }
+								selectedFields={ selectedFields }
+								setCurrentLocation={ setCurrentLocation }
 								setIsNewField={ setIsNewField }
 								setPanelDisplaying={ setPanelDisplaying }
 								setSelectedField={ setSelectedField }
+								setSelectedFields={ setSelectedFields }
 								shouldDisplayMoveButtons={ shouldDisplayMoveButtons }
 								parentField={ parentField }
 							/>
@@ -79,6 +122,14 @@ const FieldsGrid = ( {
 					} )
 					: null
 				}
+				{ parentField && ! fields?.length
+					? (
+						<div className="col-span-4 flex items-center justify-center h-12 rounded-sm border border-dashed border-gray-400 text-xs text-gray-600">
+							{ __( 'Drag fields here to add them to the repeater', 'genesis-custom-blocks' ) }
+						</div>
+					)
+					: null
+				}
 			</div>
 			<button
 				className="flex items-center justify-center h-6 w-6 bg-black rounded-sm text-white mt-4 ml-auto"
@@ -20,6 +20,7 @@ import { addQueryArgs } from '@wordpress/url';
 /**
  * Internal dependencies
  */
+import { ExportButton, ImportButton } from './';
 import {
 	BUILDER_EDITING_MODE,
 	EDITOR_PREVIEW_EDITING_MODE,
@@ -107,6 +108,8 @@ const Header = ( { editorMode, setEditorMode } ) => {
 			>
 				<span>{ __( 'Front-end Preview', 'genesis-custom-blocks' ) }</span>
 			</button>
+			<ImportButton />
+			<ExportButton />
 			<div id="save-and-publish">
 				<span className="mr-3 text-sm">
 					<PostSavedState	/>
@@ -2,12 +2,11 @@
  * External dependencies
  */
 import * as React from 'react';
-import classNames from 'classnames';
 
 /**
  * WordPress dependencies
  */
-import { Icon } from '@wordpress/components';
+import { FormFileUpload, Icon } from '@wordpress/components';
 import { useState } from '@wordpress/element';
 import { __ } from '@wordpress/i18n';
 
@@ -15,9 +14,9 @@ import { __ } from '@wordpress/i18n';
  * Internal dependencies
  */
 import { useBlock } from '../hooks';
-import { getIconComponent, pascalCaseToSnakeCase } from '../../common/helpers';
-import * as blockIcons from '../../common/icons';
 import { getDefaultBlock } from '../helpers';
+import { IconPicker } from '../../common/components';
+import { getIconComponent, getSanitizedSvg } from '../../common/helpers';
 
 /**
  * The icon editor section.
@@ -27,8 +26,27 @@ import { getDefaultBlock } from '../helpers';
 const IconSection = () => {
 	const { block, changeBlock } = useBlock();
 	const [ showIcons, setShowIcons ] = useState( false );
+	const [ customSvg, setCustomSvg ] = useState( '' );
+	const [ customSvgError, setCustomSvgError ] = useState( '' );
 	const currentIcon = block.icon || getDefaultBlock().icon;
 
+	/**
+	 * Makes a custom <svg> the block icon, if it's an <svg>.
+	 *
+	 * @param {string} markup The markup of the <svg>.
+	 */
+	const changeCustomIcon = ( markup ) => {
+		const svg = getSanitizedSvg( markup );
+		if ( ! svg ) {
+			setCustomSvgError( __( 'This is not an SVG.', 'genesis-custom-blocks' ) );
+			return;
+		}
+
+		setCustomSvgError( '' );
+		setCustomSvg( '' );
+		changeBlock( { icon: svg } );
+	};
+
 	return (
 		<div className="mt-5">
 			<span className="text-sm">{ __( 'Icon', 'genesis-custom-blocks' ) }</span>
@@ -46,34 +64,57 @@ const IconSection = () => {
 				</div>
 			</button>
 			{ showIcons
-				? <div role="listbox" className="grid grid-cols-6 border border-gray-600 rounded-sm h-40 p-1 overflow-auto mt-2" aria-label={ __( 'Icons', 'genesis-custom-blocks' ) } >
-					{
-						Object.keys( blockIcons ).map( ( iconName, index ) => {
-							const snakeCaseIconName = pascalCaseToSnakeCase( iconName );
-							const isSelected = currentIcon === snakeCaseIconName;
-
-							return (
-								<button
-									key={ `block-icon-item-${ index }` }
-									className={ classNames(
-										'flex items-center justify-center h-8 w-8 hover:border-black',
-										isSelected ? 'border-blue-700' : 'border-transparent'
-									) }
-									type="button"
-									role="option"
-									aria-selected={ isSelected }
-									onClick={ () => {
-										changeBlock( { icon: snakeCaseIconName } );
-									} }
-								>
-									{ /* eslint-disable-next-line import/namespace */ }
-									<Icon className="w-5 h-5" size={ 24 } icon={ blockIcons[ iconName ] } />
-								</button>
-							);
-						} )
-					}
-				</div>
-				: null
+				? (
+					<div className="mt-2">
+						<IconPicker
+							value={ currentIcon }
+							onChange={ ( icon ) => {
+								changeBlock( { icon } );
+							} }
+						/>
+						<label className="block text-sm mt-3" htmlFor="gcb-custom-icon">
+							{ __( 'Custom Icon', 'genesis-custom-blocks' ) }
+						</label>
+						<textarea
+							id="gcb-custom-icon"
+							className="flex items-center w-full rounded-sm border border-gray-600 mt-2 px-2 text-sm"
+							rows={ 3 }
+							placeholder={ __( 'Paste the markup of an SVG', 'genesis-custom-blocks' ) }
+							value={ customSvg }
+							onChange={ ( event ) => {
+								setCustomSvg( event.target.value );
+							} }
+						/>
+						<div className="flex mt-2">
+							<button
+								className="flex items-center bg-blue-200 text-sm h-6 px-2 rounded-sm leading-none text-blue-900 hover:bg-blue-500 hover:text-blue-100"
+								type="button"
+								disabled={ ! customSvg.trim() }
+								onClick={ () => {
+									changeCustomIcon( customSvg );
+								} }
+							>
+								{ __( 'Use SVG', 'genesis-custom-blocks' ) }
+							</button>
+							<FormFileUpload
+								className="flex items-center bg-blue-200 text-sm h-6 px-2 ml-2 rounded-sm leading-none text-blue-900 hover:bg-blue-500 hover:text-blue-100"
+								accept=".svg,image/svg+xml"
+								onChange={ ( event ) => {
+									const file = event.target.files?.[ 0 ];
+									if ( file ) {
+										file.text().then( changeCustomIcon );
+									}
+								} }
+							>
+								{ __( 'Upload SVG', 'genesis-custom-blocks' ) }
+							</FormFileUpload>
+						</div>
+						{ customSvgError
+							? <span className="block text-xs text-red-900 mt-1">{ customSvgError }</span>
+							: null
+						}
+					</div>
+				) : null
 			}
 		</div>
 	);
@@ -0,0 +1,64 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { DropZone, FormFileUpload } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { ImportModal } from './';
+
+/**
+ * @typedef {Object} ImportButtonProps The component props.
+ * @property {boolean} [isDropZone] Whether to render a drop zone that covers the parent element, instead of a button.
+ */
+
+/**
+ * Imports a Genesis Custom Blocks export or block.json file into the block, from a button or by dropping the file.
+ *
+ * @param {ImportButtonProps} props The component props.
+ * @return {React.ReactElement} The import button or drop zone.
+ */
+const ImportButton = ( { isDropZone = false } ) => {
+	const [ file, setFile ] = useState( null );
+
+	return (
+		<>
+			{ isDropZone
+				? (
+					<DropZone
+						label={ __( 'Drop a block export or block.json file to import it', 'genesis-custom-blocks' ) }
+						onFilesDrop={ ( files ) => {
+							if ( files?.length ) {
+								setFile( files[ 0 ] );
+							}
+						} }
+					/>
+				) : (
+					<FormFileUpload
+						accept=".json,application/json"
+						className="flex items-center h-12 px-4 text-sm"
+						onChange={ ( event ) => {
+							if ( event.target?.files?.length ) {
+								setFile( event.target.files[ 0 ] );
+								event.target.value = '';
+							}
+						} }
+					>
+						{ __( 'Import', 'genesis-custom-blocks' ) }
+					</FormFileUpload>
+				)
+			}
+			{ file ? <ImportModal file={ file } onClose={ () => setFile( null ) } /> : null }
+		</>
+	);
+};
+
+export default ImportButton;
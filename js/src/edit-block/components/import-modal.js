@@ -0,0 +1,187 @@
+/* global gcbEditor */
+
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { Modal } from '@wordpress/components';
+import { useEffect, useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getImportedBlock } from '../helpers';
+import { useBlock } from '../hooks';
+import { getFieldsAsArray } from '../../common/helpers';
+
+/**
+ * @typedef {Object} ImportModalProps The component props.
+ * @property {File}       file    The file to import.
+ * @property {() => void} onClose Closes the modal.
+ */
+
+/**
+ * Previews a Genesis Custom Blocks export or block.json file, and imports it into the block.
+ *
+ * @param {ImportModalProps} props The component props.
+ * @return {React.ReactElement} The import modal.
+ */
+const ImportModal = ( { file, onClose } ) => {
+	// @ts-ignore
+	const { controls, categories } = gcbEditor;
+	const { block, changeBlock } = useBlock();
+	const [ importedBlock, setImportedBlock ] = useState( null );
+	const [ error, setError ] = useState( '' );
+
+	useEffect( () => {
+		let isMounted = true;
+
+		file.text().then(
+			( text ) => {
+				let json = null;
+				try {
+					json = JSON.parse( text );
+				} catch ( parseError ) {
+					// The file isn't JSON, so getImportedBlock() returns null.
+				}
+
+				const newImportedBlock = getImportedBlock( json, controls, categories );
+				if ( ! isMounted ) {
+					return;
+				}
+
+				if ( newImportedBlock ) {
+					setImportedBlock( newImportedBlock );
+				} else {
+					setError( __( 'This file is not a Genesis Custom Blocks export or a block.json file.', 'genesis-custom-blocks' ) );
+				}
+			},
+			() => {
+				if ( isMounted ) {
+					setError( __( 'The file could not be read.', 'genesis-custom-blocks' ) );
+				}
+			}
+		);
+
+		return () => {
+			isMounted = false;
+		};
+	}, [ file ] ); // eslint-disable-line react-hooks/exhaustive-deps
+
+	const importedFields = importedBlock ? getFieldsAsArray( importedBlock.values.fields ) : [];
+	const hasFields = Boolean( getFieldsAsArray( block.fields || {} ).length );
+
+	return (
+		<Modal
+			title={ sprintf(
+				/* translators: %s: the file name */
+				__( 'Import %s', 'genesis-custom-blocks' ),
+				file.name
+			) }
+			onRequestClose={ onClose }
+		>
+			<div className="text-sm w-full max-w-lg">
+				{ error ? <p className="text-red-700">{ error }</p> : null }
+				{ ! error && ! importedBlock ? <p>{ __( 'Reading the file…', 'genesis-custom-blocks' ) }</p> : null }
+				{ importedBlock
+					? (
+						<>
+							<h3 className="font-semibold">{ __( 'Fields', 'genesis-custom-blocks' ) }</h3>
+							{ importedFields.length
+								? (
+									<ul className="mt-2">
+										{ importedFields.map( ( field ) => (
+											<li key={ `import-field-${ field.name }` }>
+												{ field.label }
+												{ ' ' }
+												<code>{ field.name }</code>
+												{ ' — ' }
+												{ controls[ field.control ]?.label || field.control }
+											</li>
+										) ) }
+									</ul>
+								)
+								: <p className="mt-2">{ __( 'No fields', 'genesis-custom-blocks' ) }</p>
+							}
+							{ importedBlock.values.category
+								? (
+									<p className="mt-3">
+										<span className="font-semibold">{ __( 'Category:', 'genesis-custom-blocks' ) }</span>
+										{ ' ' }
+										{ importedBlock.values.category.title }
+									</p>
+								) : null
+							}
+							{ importedBlock.values.icon
+								? (
+									<p className="mt-3">
+										<span className="font-semibold">{ __( 'Icon:', 'genesis-custom-blocks' ) }</span>
+										{ ' ' }
+										<code>{ importedBlock.values.icon }</code>
+									</p>
+								) : null
+							}
+							{ importedBlock.values.keywords?.length
+								? (
+									<p className="mt-3">
+										<span className="font-semibold">{ __( 'Keywords:', 'genesis-custom-blocks' ) }</span>
+										{ ' ' }
+										{ importedBlock.values.keywords.join( ', ' ) }
+									</p>
+								) : null
+							}
+							{ importedBlock.conflicts.length
+								? (
+									<>
+										<h3 className="font-semibold mt-5">{ __( 'Conflicts', 'genesis-custom-blocks' ) }</h3>
+										<ul className="mt-2 text-red-700">
+											{ importedBlock.conflicts.map( ( conflict, index ) => (
+												<li key={ `import-conflict-${ index }` }>
+													<code>{ conflict.name }</code>
+													{ ': ' }
+													{ conflict.message }
+												</li>
+											) ) }
+										</ul>
+									</>
+								) : null
+							}
+							{ hasFields
+								? (
+									<p className="mt-5 italic">
+										{ __( 'Importing replaces the fields that this block has now.', 'genesis-custom-blocks' ) }
+									</p>
+								) : null
+							}
+						</>
+					) : null
+				}
+				<div className="flex justify-end mt-5">
+					<button
+						className="flex items-center text-sm h-6 px-2 rounded-sm leading-none hover:bg-gray-200"
+						onClick={ onClose }
+					>
+						{ __( 'Cancel', 'genesis-custom-blocks' ) }
+					</button>
+					<button
+						className={ `flex items-center bg-blue-200 text-sm h-6 px-2 ml-2 rounded-sm leading-none text-blue-900 hover:bg-blue-500 hover:text-blue-100${ importedBlock ? '' : ' opacity-50' }` }
+						disabled={ ! importedBlock }
+						onClick={ () => {
+							changeBlock( importedBlock.values );
+							onClose();
+						} }
+					>
+						{ __( 'Import', 'genesis-custom-blocks' ) }
+					</button>
+				</div>
+			</div>
+		</Modal>
+	);
+};
+
+export default ImportModal;
@@ -1,12 +1,14 @@
 export { default as BottomNotice } from './bottom-notice';
 export { default as BlockPanel } from './block-panel';
 export { default as BrowserURL } from './browser-url';
+export { default as BulkFieldSettings } from './bulk-field-settings';
 export { default as CategorySection } from './category-section';
 export { default as ClipboardCopy } from './clipboard-copy';
 export { default as DisplayModalSection } from './display-modal-section';
 export { default as Editor } from './editor';
 export { default as EditorPreview } from './editor-preview';
 export { default as EditorProvider } from './editor-provider';
+export { default as ExportButton } from './export-button';
 export { default as Field } from './field';
 export { default as FieldPanel } from './field-panel';
 export { default as FieldsGrid } from './fields-grid';
@@ -14,6 +16,8 @@ export { default as FieldSettings } from './field-settings';
 export { default as FrontEndPreview } from './front-end-preview';
 export { default as Header } from './header';
 export { default as IconSection } from './icon-section';
+export { default as ImportButton } from './import-button';
+export { default as ImportModal } from './import-modal';
 export { default as Input } from './input';
 export { default as KeywordsSection } from './keywords-section';
 export { default as LocationButtons } from './location-buttons';
@@ -27,5 +31,7 @@ export { default as SlugSection } from './slug-section';
 export { default as TemplateEditor } from './template-editor';
 export { default as TemplateFile } from './template-file';
 export { default as TemplateButtons } from './template-buttons';
+export { default as TemplatePreview } from './template-preview';
+export { default as TemplateProblems } from './template-problems';
 export { default as TopNotice } from './top-notice';
 export { default as QuestionIcon } from './question-icon';
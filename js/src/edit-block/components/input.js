@@ -38,6 +38,10 @@ const Input = ( { handleOnChange, setting, type, value, min } ) => {
 					}
 				} }
 			/>
+			{ setting.help
+				? <p className="block italic text-xs mt-1">{ setting.help }</p>
+				: null
+			}
 		</>
 	);
 };
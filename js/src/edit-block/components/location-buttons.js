@@ -12,8 +12,11 @@ import { __ } from '@wordpress/i18n';
 /**
  * Internal dependencies
  */
-import { BUILDER_EDITING_MODE } from '../constants';
+import { BUILDER_EDITING_MODE, FIELD_DRAG_TYPE } from '../constants';
+import { getDraggedField } from '../helpers';
+import { useField } from '../hooks';
 import { EDITOR_LOCATION, INSPECTOR_LOCATION } from '../../common/constants';
+
 /**
  * @typedef {Object} LocationButtonProps The component props.
  * @property {import('./editor').CurrentLocation}    currentLocation    The currently selected location.
@@ -24,6 +27,8 @@ import { EDITOR_LOCATION, INSPECTOR_LOCATION } from '../../common/constants';
 /**
  * Buttons that select which location is displaying.
  *
+ * Dropping a field onto a button moves it to the end of that location.
+ *
  * @param {LocationButtonProps} props
  * @return {React.ReactElement} The location buttons.
  */
@@ -32,14 +37,41 @@ const LocationButtons = ( {
 	editorMode,
 	setCurrentLocation,
 } ) => {
+	const { moveFieldTo } = useField();
 	const buttonClass = 'w-40 h-12 px-4 text-sm';
 
+	/**
+	 * Gets the props to drop a field onto a location button.
+	 *
+	 * @param {string} location The location of the button, like 'editor'.
+	 * @return {Object} The drop props.
+	 */
+	const getDropProps = ( location ) => ( {
+		onDragOver: ( event ) => {
+			if ( Array.from( event.dataTransfer.types ).includes( FIELD_DRAG_TYPE ) ) {
+				event.preventDefault();
+			}
+		},
+		onDrop: ( event ) => {
+			const draggedField = getDraggedField( event.dataTransfer );
+			if ( ! draggedField ) {
+				return;
+			}
+
+			event.preventDefault();
+			if ( moveFieldTo( draggedField, { location, index: Infinity } ) ) {
+				setCurrentLocation( location );
+			}
+		},
+	} );
+
 	return BUILDER_EDITING_MODE === editorMode
 		? (
 			<div className="flex">
 				<button
 					className={ buttonClass }
 					onClick={ () => setCurrentLocation( EDITOR_LOCATION ) }
+					{ ...getDropProps( EDITOR_LOCATION ) }
 				>
 					<span
 						className={ classNames( {
@@ -52,6 +84,7 @@ const LocationButtons = ( {
 				<button
 					className={ buttonClass }
 					onClick={ () => setCurrentLocation( INSPECTOR_LOCATION ) }
+					{ ...getDropProps( INSPECTOR_LOCATION ) }
 				>
 					<span
 						className={ classNames( {
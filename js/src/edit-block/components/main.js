@@ -4,6 +4,7 @@
  * External dependencies
  */
 import * as React from 'react';
+import classNames from 'classnames';
 
 /**
  * WordPress dependencies
@@ -20,6 +21,7 @@ import { BottomNotice, PostTitle, TopNotice } from './';
  * @property {React.ReactElement[]}             children      THe component children.
  * @property {import('./editor').EditorMode}    editorMode    The current editor mode.
  * @property {import('./editor').SetEditorMode} setEditorMode Sets the current editor mode.
+ * @property {boolean}                          [isWide]      Whether the editing area is wide, like for the template preview.
  */
 
 /**
@@ -28,7 +30,7 @@ import { BottomNotice, PostTitle, TopNotice } from './';
  * @param {MainProps} props
  * @return {React.ReactElement} The main editing area.
  */
-const Main = ( { children, editorMode, setEditorMode } ) => {
+const Main = ( { children, editorMode, setEditorMode, isWide = false } ) => {
 	// @ts-ignore
 	const { isOnboardingPost: initialIsOnboarding } = gcbEditor;
 	const isPublished = useSelect( ( select ) => select( 'core/editor' ).isCurrentPostPublished() );
@@ -36,7 +38,12 @@ const Main = ( { children, editorMode, setEditorMode } ) => {
 
 	return (
 		<div className="flex flex-col flex-grow items-start w-full overflow-scroll">
-			<div className="flex flex-col w-full max-w-2xl mx-auto pl-8 pr-8 pb-64">
+			<div
+				className={ classNames(
+					'flex flex-col w-full mx-auto pl-8 pr-8 pb-64',
+					isWide ? 'max-w-screen-2xl' : 'max-w-2xl'
+				) }
+			>
 				<div className="text-4xl w-full mt-10 text-center">
 					<PostTitle />
 				</div>
@@ -0,0 +1,31 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { Select } from '../';
+import { CODE_LANGUAGES } from '../../../common/constants';
+
+/**
+ * @typedef {Object} CodeLanguageProps The component props.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value.
+ * @property {Function}                    handleOnChange Handles a change to this setting.
+ */
+
+/**
+ * The code language component, for the language of a code field.
+ *
+ * @param {CodeLanguageProps} props The component props.
+ * @return {React.ReactElement} The code language component.
+ */
+const CodeLanguage = ( props ) => {
+	const id = `setting-${ props.setting.name }`;
+
+	return <Select { ...props } id={ id } options={ CODE_LANGUAGES } />;
+};
+
+export default CodeLanguage;
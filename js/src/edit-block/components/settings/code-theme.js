@@ -0,0 +1,31 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { Select } from '../';
+import { CODE_THEMES } from '../../../common/constants';
+
+/**
+ * @typedef {Object} CodeThemeProps The component props.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value.
+ * @property {Function}                    handleOnChange Handles a change to this setting.
+ */
+
+/**
+ * The code theme component, for the theme of the editor of a code field.
+ *
+ * @param {CodeThemeProps} props The component props.
+ * @return {React.ReactElement} The code theme component.
+ */
+const CodeTheme = ( props ) => {
+	const id = `setting-${ props.setting.name }`;
+
+	return <Select { ...props } id={ id } options={ CODE_THEMES } />;
+};
+
+export default CodeTheme;
@@ -0,0 +1,153 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import {
+	CONDITION_OPERATORS_WITH_LABEL,
+	CONDITION_OPERATORS_WITHOUT_VALUE,
+} from '../../../common/constants';
+
+/**
+ * @typedef {Object} ConditionsProps The component props.
+ * @property {Function}                                                                handleOnChange Handles a change in this setting.
+ * @property {import('../editor').Setting}                                             setting        This setting.
+ * @property {import('../../../common/helpers/meetsConditions').Condition[]|undefined} value          The setting value.
+ * @property {import('../editor').Field[]}                                             siblingFields  The other fields at the same level, which the conditions can check.
+ */
+
+/**
+ * The conditions component, for rules like showing a field only when a toggle is on.
+ *
+ * @param {ConditionsProps} props The component props.
+ * @return {React.ReactElement} The conditions component.
+ */
+const Conditions = ( { handleOnChange, setting, value, siblingFields } ) => {
+	const conditions = Array.isArray( value ) ? value : [];
+	const selectClass = 'flex items-center w-full h-8 rounded-sm border border-gray-600 mt-2 px-2 text-sm';
+
+	/**
+	 * Changes a single condition.
+	 *
+	 * @param {number} index      The index of the condition.
+	 * @param {Object} newSetting The properties of the condition to change.
+	 */
+	const changeCondition = ( index, newSetting ) => {
+		const newConditions = [ ...conditions ];
+		newConditions[ index ] = { ...newConditions[ index ], ...newSetting };
+		handleOnChange( newConditions );
+	};
+
+	return (
+		<>
+			<span className="text-sm">{ setting.label }</span>
+			{ conditions.map( ( condition, index ) => {
+				const id = `setting-condition-${ index }`;
+
+				return (
+					<div className="mt-2 p-2 border border-gray-300 rounded-sm" key={ id }>
+						<label className="sr-only" htmlFor={ `${ id }-field` }>
+							{ __( 'Field', 'genesis-custom-blocks' ) }
+						</label>
+						<select /* eslint-disable-line jsx-a11y/no-onchange */
+							id={ `${ id }-field` }
+							className={ selectClass }
+							value={ condition.field }
+							onChange={ ( event ) => {
+								if ( event.target ) {
+									changeCondition( index, { field: event.target.value } );
+								}
+							} }
+						>
+							<option value="">{ __( 'Select a field', 'genesis-custom-blocks' ) }</option>
+							{ siblingFields.map( ( siblingField ) => (
+								<option value={ siblingField.name } key={ `${ id }-field-${ siblingField.name }` }>
+									{ siblingField.label || siblingField.name }
+								</option>
+							) ) }
+						</select>
+						<label className="sr-only" htmlFor={ `${ id }-operator` }>
+							{ __( 'Operator', 'genesis-custom-blocks' ) }
+						</label>
+						<select /* eslint-disable-line jsx-a11y/no-onchange */
+							id={ `${ id }-operator` }
+							className={ selectClass }
+							value={ condition.operator }
+							onChange={ ( event ) => {
+								if ( event.target ) {
+									changeCondition( index, { operator: event.target.value } );
+								}
+							} }
+						>
+							{ CONDITION_OPERATORS_WITH_LABEL.map( ( operator ) => (
+								<option value={ operator.value } key={ `${ id }-operator-${ operator.value }` }>
+									{ operator.label }
+								</option>
+							) ) }
+						</select>
+						{ CONDITION_OPERATORS_WITHOUT_VALUE.includes( condition.operator )
+							? null
+							: (
+								<>
+									<label className="sr-only" htmlFor={ `${ id }-value` }>
+										{ __( 'Value', 'genesis-custom-blocks' ) }
+									</label>
+									<input
+										id={ `${ id }-value` }
+										className="flex items-center w-full h-8 rounded-sm border border-gray-600 mt-2 px-2 text-sm"
+										type="text"
+										value={ condition.value || '' }
+										onChange={ ( event ) => {
+											if ( event.target ) {
+												changeCondition( index, { value: event.target.value } );
+											}
+										} }
+									/>
+								</>
+							)
+						}
+						<button
+							className="flex items-center bg-red-200 text-sm h-6 px-2 mt-2 rounded-sm leading-none text-red-900 hover:bg-red-500 hover:text-red-100"
+							aria-label={ sprintf(
+								/* translators: %d: the number of the condition */
+								__( 'Remove condition %d', 'genesis-custom-blocks' ),
+								index + 1
+							) }
+							onClick={ () => {
+								handleOnChange( conditions.filter( ( _condition, conditionIndex ) => index !== conditionIndex ) );
+							} }
+						>
+							{ __( 'Remove', 'genesis-custom-blocks' ) }
+						</button>
+					</div>
+				);
+			} ) }
+			<button
+				className={ `flex items-center bg-blue-200 text-sm h-6 px-2 mt-2 rounded-sm leading-none text-blue-900 hover:bg-blue-500 hover:text-blue-100${ siblingFields.length ? '' : ' opacity-50' }` }
+				disabled={ ! siblingFields.length }
+				onClick={ () => {
+					handleOnChange( [
+						...conditions,
+						{ field: '', operator: CONDITION_OPERATORS_WITH_LABEL[ 0 ].value, value: '' },
+					] );
+				} }
+			>
+				{ __( 'Add condition', 'genesis-custom-blocks' ) }
+			</button>
+			{ Boolean( setting.help )
+				? <p className="block italic text-xs mt-1">{ setting.help }</p>
+				: null
+			}
+		</>
+	);
+};
+
+export default Conditions;
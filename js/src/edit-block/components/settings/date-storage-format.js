@@ -0,0 +1,45 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { Select } from '../';
+
+/**
+ * @typedef {Object} DateStorageFormatProps The component props.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value.
+ * @property {Function}                    handleOnChange Handles a change to this setting.
+ */
+
+/**
+ * The date storage format component, for whether a date field stores ISO 8601 or a Unix timestamp.
+ *
+ * @param {DateStorageFormatProps} props The component props.
+ * @return {React.ReactElement} The date storage format component.
+ */
+const DateStorageFormat = ( props ) => {
+	const id = `setting-${ props.setting.name }`;
+	const options = [
+		{
+			value: 'iso',
+			label: __( 'ISO 8601, like 2024-05-01', 'genesis-custom-blocks' ),
+		},
+		{
+			value: 'timestamp',
+			label: __( 'Unix timestamp, like 1714521600', 'genesis-custom-blocks' ),
+		},
+	];
+
+	return <Select { ...props } id={ id } options={ options } />;
+};
+
+export default DateStorageFormat;
@@ -0,0 +1,28 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { Input } from '../';
+
+/**
+ * @typedef {Object} DateTimeProps The component props.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value.
+ * @property {Function}                    handleOnChange Handles a change in this setting.
+ */
+
+/**
+ * The date and time component, like for the earliest date and time of a field.
+ *
+ * @param {DateTimeProps} props The component props.
+ * @return {React.ReactElement} The date and time component.
+ */
+const DateTime = ( props ) => {
+	return <Input { ...props } type="datetime-local" />;
+};
+
+export default DateTime;
@@ -0,0 +1,28 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { Input } from '../';
+
+/**
+ * @typedef {Object} DateProps The component props.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value.
+ * @property {Function}                    handleOnChange Handles a change in this setting.
+ */
+
+/**
+ * The date component, like for the earliest date of a field.
+ *
+ * @param {DateProps} props The component props.
+ * @return {React.ReactElement} The date component.
+ */
+const Date = ( props ) => {
+	return <Input { ...props } type="date" />;
+};
+
+export default Date;
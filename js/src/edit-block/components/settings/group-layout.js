@@ -0,0 +1,31 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { Select } from '../';
+import { GROUP_LAYOUTS_WITH_LABEL } from '../../../common/constants';
+
+/**
+ * @typedef {Object} GroupLayoutProps The component props.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value.
+ * @property {Function}                    handleOnChange Handles a change to this setting.
+ */
+
+/**
+ * The group layout component, for whether a group displays as a panel, accordion section or tab.
+ *
+ * @param {GroupLayoutProps} props The component props.
+ * @return {React.ReactElement} The group layout component.
+ */
+const GroupLayout = ( props ) => {
+	const id = `setting-${ props.setting.name }`;
+
+	return <Select { ...props } id={ id } options={ GROUP_LAYOUTS_WITH_LABEL } />;
+};
+
+export default GroupLayout;
@@ -0,0 +1,43 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { Select } from '../';
+
+/**
+ * @typedef {Object} GroupProps The component props.
+ * @property {Function}                    handleOnChange Handles a change in this setting.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value, the name of the group.
+ * @property {import('../editor').Field[]} groups         The groups that the field can be in.
+ */
+
+/**
+ * The group component, for which group a field is in.
+ *
+ * @param {GroupProps} props The component props.
+ * @return {React.ReactElement} The group component.
+ */
+const Group = ( { handleOnChange, setting, value, groups } ) => (
+	<Select
+		handleOnChange={ handleOnChange }
+		id={ `setting-${ setting.name }` }
+		options={ [
+			{ value: '', label: __( 'None', 'genesis-custom-blocks' ) },
+			...groups.map( ( group ) => ( { value: group.name, label: group.label || group.name } ) ),
+		] }
+		setting={ setting }
+		value={ groups.some( ( group ) => value === group.name ) ? value : '' }
+	/>
+);
+
+export default Group;
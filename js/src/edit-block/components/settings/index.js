@@ -1,11 +1,26 @@
 export { default as Checkbox } from './checkbox';
+export { default as CodeLanguage } from './code-language';
+export { default as CodeTheme } from './code-theme';
+export { default as Conditions } from './conditions';
+export { default as Date } from './date';
+export { default as DateStorageFormat } from './date-storage-format';
+export { default as DateTime } from './date-time';
 export { default as Email } from './email';
+export { default as Group } from './group';
+export { default as GroupLayout } from './group-layout';
 export { default as Location } from './location';
 export { default as NewLineFormat } from './new-line-format';
 export { default as Number } from './number';
 export { default as NumberNonNegative } from './number-non-negative';
+export { default as PostOrder } from './post-order';
+export { default as PostTypes } from './post-types';
+export { default as RichTextFormats } from './rich-text-formats';
+export { default as Taxonomy } from './taxonomy';
 export { default as Text } from './text';
 export { default as Textarea } from './textarea';
 export { default as TextareaArray } from './textarea-array';
 export { default as TextareaDefault } from './textarea-default';
+export { default as Time } from './time';
+export { default as UserRole } from './user-role';
+export { default as Validation } from './validation';
 export { default as Width } from './width';
@@ -0,0 +1,49 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { Select } from '../';
+
+/**
+ * @typedef {Object} PostOrderProps The component props.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value, a REST API orderby value.
+ * @property {Function}                    handleOnChange Handles a change to this setting.
+ */
+
+/**
+ * The post order component, for the order of the posts when searching a post field.
+ *
+ * @param {PostOrderProps} props The component props.
+ * @return {React.ReactElement} The post order component.
+ */
+const PostOrder = ( props ) => {
+	const id = `setting-${ props.setting.name }`;
+	const options = [
+		{
+			value: 'date',
+			label: __( 'Newest first', 'genesis-custom-blocks' ),
+		},
+		{
+			value: 'title',
+			label: __( 'Title, A to Z', 'genesis-custom-blocks' ),
+		},
+		{
+			value: 'menu_order',
+			label: __( 'Menu order', 'genesis-custom-blocks' ),
+		},
+	];
+
+	return <Select { ...props } id={ id } options={ options } />;
+};
+
+export default PostOrder;
@@ -0,0 +1,77 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { usePostTypes } from '../../hooks';
+
+/**
+ * @typedef {Object} PostTypesProps The component props.
+ * @property {Function}                    handleOnChange Handles a change in this setting.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string[]|undefined}          value          The setting value, the slugs of the post types.
+ */
+
+/**
+ * The post types component, for which post types a post field searches.
+ *
+ * @param {PostTypesProps} props The component props.
+ * @return {React.ReactElement} The post types component.
+ */
+const PostTypes = ( { handleOnChange, setting, value } ) => {
+	const { postTypes } = usePostTypes();
+	const checkedPostTypes = Array.isArray( value ) ? value : setting.default;
+
+	/**
+	 * Handles changing whether a post type is checked.
+	 *
+	 * @param {React.ChangeEvent<HTMLInputElement>} event    The event on changing the post type.
+	 * @param {string}                              postType The post type to change.
+	 */
+	const handleChange = ( event, postType ) => {
+		if ( ! event.target ) {
+			return;
+		}
+
+		handleOnChange(
+			event.target.checked
+				? [ ...checkedPostTypes.filter( ( slug ) => slug !== postType ), postType ]
+				: checkedPostTypes.filter( ( slug ) => slug !== postType )
+		);
+	};
+
+	return (
+		<>
+			<span className="text-sm">{ setting.label }</span>
+			{ postTypes.map( ( postType ) => {
+				const id = `setting-${ setting.name }-${ postType.slug }`;
+
+				return (
+					<div className="mt-2" key={ id }>
+						<input
+							type="checkbox"
+							id={ id }
+							className="mr-2"
+							checked={ checkedPostTypes.includes( postType.slug ) }
+							onChange={ ( event ) => {
+								handleChange( event, postType.slug );
+							} }
+						/>
+						<label className="text-sm" htmlFor={ id }>
+							{ postType.label }
+						</label>
+					</div>
+				);
+			} ) }
+			{ setting.help
+				? <p className="block italic text-xs mt-1">{ setting.help }</p>
+				: null
+			}
+		</>
+	);
+};
+
+export default PostTypes;
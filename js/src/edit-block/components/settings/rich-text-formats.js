@@ -0,0 +1,94 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * The formats that a rich text field can allow, by the name of the format without the 'core/' prefix.
+ *
+ * @type {Array<{value: string, label: string}>}
+ */
+const FORMATS = [
+	{ value: 'bold', label: __( 'Bold', 'genesis-custom-blocks' ) },
+	{ value: 'italic', label: __( 'Italic', 'genesis-custom-blocks' ) },
+	{ value: 'link', label: __( 'Link', 'genesis-custom-blocks' ) },
+	{ value: 'code', label: __( 'Inline Code', 'genesis-custom-blocks' ) },
+	{ value: 'strikethrough', label: __( 'Strikethrough', 'genesis-custom-blocks' ) },
+	{ value: 'subscript', label: __( 'Subscript', 'genesis-custom-blocks' ) },
+	{ value: 'superscript', label: __( 'Superscript', 'genesis-custom-blocks' ) },
+	{ value: 'keyboard', label: __( 'Keyboard Input', 'genesis-custom-blocks' ) },
+];
+
+/**
+ * @typedef {Object} RichTextFormatsProps The component props.
+ * @property {Function}                    handleOnChange Handles a change in this setting.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string[]|undefined}          value          The setting value, the names of the allowed formats.
+ */
+
+/**
+ * The rich text formats component, for which formats a rich text field allows.
+ *
+ * @param {RichTextFormatsProps} props The component props.
+ * @return {React.ReactElement} The rich text formats component.
+ */
+const RichTextFormats = ( { handleOnChange, setting, value } ) => {
+	const checkedFormats = Array.isArray( value ) ? value : setting.default;
+
+	/**
+	 * Handles changing whether a format is checked.
+	 *
+	 * @param {React.ChangeEvent<HTMLInputElement>} event  The event on changing the format.
+	 * @param {string}                              format The format to change.
+	 */
+	const handleChange = ( event, format ) => {
+		if ( ! event.target ) {
+			return;
+		}
+
+		const otherFormats = checkedFormats.filter( ( name ) => name !== format );
+		handleOnChange(
+			// Keep the order of the options, so the order of checking them doesn't matter.
+			FORMATS.map( ( option ) => option.value ).filter(
+				( name ) => otherFormats.includes( name ) || ( event.target.checked && name === format )
+			)
+		);
+	};
+
+	return (
+		<>
+			<span className="text-sm">{ setting.label }</span>
+			{ FORMATS.map( ( format ) => {
+				const id = `setting-${ setting.name }-${ format.value }`;
+
+				return (
+					<div className="mt-2" key={ id }>
+						<input
+							type="checkbox"
+							id={ id }
+							className="mr-2"
+							checked={ checkedFormats.includes( format.value ) }
+							onChange={ ( event ) => {
+								handleChange( event, format.value );
+							} }
+						/>
+						<label className="text-sm" htmlFor={ id }>
+							{ format.label }
+						</label>
+					</div>
+				);
+			} ) }
+			{ setting.help
+				? <p className="block italic text-xs mt-1">{ setting.help }</p>
+				: null
+			}
+		</>
+	);
+};
+
+export default RichTextFormats;
@@ -0,0 +1,43 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { useSelect } from '@wordpress/data';
+
+/**
+ * Internal dependencies
+ */
+import { Select } from '../';
+
+/**
+ * @typedef {Object} TaxonomyProps The component props.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value, the slug of the taxonomy.
+ * @property {Function}                    handleOnChange Handles a change to this setting.
+ */
+
+/**
+ * The taxonomy component, for which taxonomy a taxonomy field has terms from.
+ *
+ * @param {TaxonomyProps} props The component props.
+ * @return {React.ReactElement} The taxonomy component.
+ */
+const Taxonomy = ( props ) => {
+	const id = `setting-${ props.setting.name }`;
+	const options = useSelect(
+		( select ) => (
+			// @ts-ignore The function isn't in the declaration file.
+			select( 'core' ).getTaxonomies( { per_page: -1 } ) || []
+		).filter( ( taxonomy ) => taxonomy.visibility?.show_ui )
+			.map( ( taxonomy ) => ( { value: taxonomy.slug, label: taxonomy.name } ) ),
+		[]
+	);
+
+	return <Select { ...props } id={ id } options={ options } />;
+};
+
+export default Taxonomy;
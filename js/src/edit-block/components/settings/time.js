@@ -0,0 +1,28 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { Input } from '../';
+
+/**
+ * @typedef {Object} TimeProps The component props.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value.
+ * @property {Function}                    handleOnChange Handles a change in this setting.
+ */
+
+/**
+ * The time component, like for the earliest time of a field.
+ *
+ * @param {TimeProps} props The component props.
+ * @return {React.ReactElement} The time component.
+ */
+const Time = ( props ) => {
+	return <Input { ...props } type="time" />;
+};
+
+export default Time;
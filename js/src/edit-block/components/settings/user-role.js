@@ -0,0 +1,50 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { Select } from '../';
+import { useField } from '../../hooks';
+
+/**
+ * @typedef {Object} UserRoleProps The component props.
+ * @property {import('../editor').Setting} setting        This setting.
+ * @property {string|undefined}            value          The setting value, the slug of the role, or '' for any role.
+ * @property {Function}                    handleOnChange Handles a change to this setting.
+ */
+
+/**
+ * The user role component, for which role the users of a user field have.
+ *
+ * @param {UserRoleProps} props The component props.
+ * @return {React.ReactElement} The user role component.
+ */
+const UserRole = ( props ) => {
+	const { controls } = useField();
+	const id = `setting-${ props.setting.name }`;
+	const roles = controls?.user?.roles || {};
+	const options = [
+		{ value: '', label: __( 'Any role', 'genesis-custom-blocks' ) },
+		...Object.keys( roles ).map( ( role ) => ( { value: role, label: roles[ role ] } ) ),
+	];
+
+	return (
+		<>
+			<Select { ...props } id={ id } options={ options } />
+			{ props.setting.help
+				? <p className="block italic text-xs mt-1">{ props.setting.help }</p>
+				: null
+			}
+		</>
+	);
+};
+
+export default UserRole;
@@ -0,0 +1,155 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { Checkbox } from './';
+import { Input } from '../';
+
+/**
+ * @typedef {Object} ValidationProps The component props.
+ * @property {Function}                                                   handleOnChange Handles a change in this setting.
+ * @property {import('../editor').Setting}                                setting        This setting.
+ * @property {import('../../../common/helpers/validateField').Validation} [value]        The setting value.
+ */
+
+/**
+ * The validation rules, other than whether the field is required.
+ *
+ * @type {Array<{rule: string, type: string, setting: import('../editor').Setting}>}
+ */
+const RULES = [
+	{
+		rule: 'pattern',
+		type: 'text',
+		setting: {
+			name: 'validation-pattern',
+			label: __( 'Pattern (regular expression)', 'genesis-custom-blocks' ),
+			help: '',
+			type: 'text',
+			default: '',
+		},
+	},
+	{
+		rule: 'minLength',
+		type: 'number',
+		setting: {
+			name: 'validation-min-length',
+			label: __( 'Minimum Length', 'genesis-custom-blocks' ),
+			help: '',
+			type: 'number',
+			default: '',
+		},
+	},
+	{
+		rule: 'maxLength',
+		type: 'number',
+		setting: {
+			name: 'validation-max-length',
+			label: __( 'Maximum Length', 'genesis-custom-blocks' ),
+			help: '',
+			type: 'number',
+			default: '',
+		},
+	},
+	{
+		rule: 'min',
+		type: 'number',
+		setting: {
+			name: 'validation-min',
+			label: __( 'Minimum Number', 'genesis-custom-blocks' ),
+			help: '',
+			type: 'number',
+			default: '',
+		},
+	},
+	{
+		rule: 'max',
+		type: 'number',
+		setting: {
+			name: 'validation-max',
+			label: __( 'Maximum Number', 'genesis-custom-blocks' ),
+			help: '',
+			type: 'number',
+			default: '',
+		},
+	},
+	{
+		rule: 'message',
+		type: 'text',
+		setting: {
+			name: 'validation-message',
+			label: __( 'Error Message', 'genesis-custom-blocks' ),
+			help: '',
+			type: 'text',
+			default: '',
+		},
+	},
+];
+
+/**
+ * The validation component, for rules like whether the field is required.
+ *
+ * @param {ValidationProps} props The component props.
+ * @return {React.ReactElement} The validation component.
+ */
+const Validation = ( { handleOnChange, setting, value } ) => {
+	const validation = value && 'object' === typeof value ? value : {};
+
+	/**
+	 * Changes a single validation rule.
+	 *
+	 * @param {string} rule     The rule, like 'required'.
+	 * @param {*}      newValue The new value of the rule.
+	 */
+	const changeRule = ( rule, newValue ) => {
+		handleOnChange( {
+			...validation,
+			// An emptied number input is NaN.
+			[ rule ]: 'number' === typeof newValue && isNaN( newValue ) ? '' : newValue,
+		} );
+	};
+
+	return (
+		<>
+			<span className="text-sm">{ setting.label }</span>
+			<div className="mt-2">
+				<Checkbox
+					setting={ {
+						name: 'validation-required',
+						label: __( 'Required', 'genesis-custom-blocks' ),
+						help: '',
+						type: 'checkbox',
+						default: false,
+					} }
+					value={ validation.required }
+					handleOnChange={ ( newValue ) => changeRule( 'required', newValue ) }
+				/>
+			</div>
+			{ RULES.map( ( { rule, type, setting: ruleSetting } ) => (
+				<div className="mt-2" key={ ruleSetting.name }>
+					<Input
+						setting={ ruleSetting }
+						type={ type }
+						value={ validation[ rule ] ?? ruleSetting.default }
+						handleOnChange={ ( newValue ) => changeRule( rule, newValue ) }
+					/>
+				</div>
+			) ) }
+			{ Boolean( setting.help )
+				? <p className="block italic text-xs mt-1">{ setting.help }</p>
+				: null
+			}
+		</>
+	);
+};
+
+export default Validation;
@@ -16,8 +16,10 @@ import { CSS_TEMPLATE_MODE, MARKUP_TEMPLATE_MODE } from '../constants';
 
 /**
  * @typedef {Object} TemplateButtonsProps The component props.
- * @property {string}                templateMode    The currently selected template editing mode.
- * @property {function(string):void} setTemplateMode Sets the current template editing mode.
+ * @property {string}                 templateMode        The currently selected template editing mode.
+ * @property {function(string):void}  setTemplateMode     Sets the current template editing mode.
+ * @property {boolean}                isPreviewShowing    Whether the live preview displays next to the editor.
+ * @property {function(boolean):void} setIsPreviewShowing Sets whether the live preview displays.
  */
 
 /**
@@ -29,6 +31,8 @@ import { CSS_TEMPLATE_MODE, MARKUP_TEMPLATE_MODE } from '../constants';
 const TemplateButtons = ( {
 	templateMode,
 	setTemplateMode,
+	isPreviewShowing,
+	setIsPreviewShowing,
 } ) => {
 	const buttonClass = 'w-40 h-12 px-4 text-sm';
 
@@ -58,6 +62,19 @@ const TemplateButtons = ( {
 					{ __( 'CSS', 'genesis-custom-blocks' ) }
 				</span>
 			</button>
+			<button
+				className={ classNames( buttonClass, 'ml-auto' ) }
+				aria-pressed={ isPreviewShowing }
+				onClick={ () => setIsPreviewShowing( ! isPreviewShowing ) }
+			>
+				<span
+					className={ classNames( {
+						'font-semibold': isPreviewShowing,
+					} ) }
+				>
+					{ __( 'Live Preview', 'genesis-custom-blocks' ) }
+				</span>
+			</button>
 		</div>
 	);
 };
@@ -1,64 +1,277 @@
+/* global gcbEditor */
+
 /**
  * External dependencies
  */
 import * as React from 'react';
 import AceEditor from 'react-ace';
 import 'ace-builds/src-noconflict/mode-html';
+import 'ace-builds/src-noconflict/mode-scss';
 import 'ace-builds/src-noconflict/theme-textmate';
 import { addCompleter } from 'ace-builds/src-noconflict/ext-language_tools';
 
 /**
  * WordPress dependencies
  */
-import { useEffect, useState } from '@wordpress/element';
+import { useEffect, useMemo, useRef, useState } from '@wordpress/element';
 import { __, sprintf } from '@wordpress/i18n';
 
 /**
  * Internal dependencies
  */
-import { TemplateButtons } from './';
+import { TemplateButtons, TemplatePreview, TemplateProblems } from './';
 import { MARKUP_TEMPLATE_MODE } from '../constants';
+import { compileScss, getOpenTemplateBlocks, getTemplateCssProblems, getTemplateMarkupProblems } from '../helpers';
 import { useBlock, useField } from '../hooks';
+import { getFieldsAsArray } from '../../common/helpers';
+import { POST_PROPERTIES, TEMPLATE_FILTERS } from '../../common/constants';
+
+/**
+ * @typedef {Object} TemplateEditorProps The component props.
+ * @property {boolean}                          isPreviewShowing    Whether the live preview displays next to the editor.
+ * @property {import('./editor').SetEditorMode} setEditorMode       Sets the editor mode.
+ * @property {function(boolean):void}           setIsPreviewShowing Sets whether the live preview displays.
+ */
 
 /**
  * The editor for the template markup and CSS.
  *
+ * @param {TemplateEditorProps} props
  * @return {React.ReactElement} The fields displayed in a grid.
  */
-const TemplateEditor = () => {
+const TemplateEditor = ( { isPreviewShowing, setEditorMode, setIsPreviewShowing } ) => {
 	const [ templateMode, setTemplateMode ] = useState( MARKUP_TEMPLATE_MODE );
 	const { block, changeBlock } = useBlock();
 	const { getFields } = useField();
-	const { templateCss = '', templateMarkup = '' } = block;
+	const { scopeCss = false, templateCss = '', templateMarkup = '', templateScss } = block;
+	const isScss = undefined !== templateScss;
+	const scopeCssId = 'gcb-scope-css';
+	const scssId = 'gcb-template-scss';
+	// @ts-ignore
+	const { allowedTags, allowedProtocols } = gcbEditor;
+	/** @type {React.MutableRefObject<AceEditor|null>} */
+	const editorRef = useRef( null );
 	const exampleFieldName = getFields()?.shift()?.name ?? 'foo-baz';
 	const urlTemplateDocumentation = 'https://developer.wpengine.com/genesis-custom-blocks/get-started/create-your-first-custom-block/';
 
 	useEffect( () => {
 		addCompleter( {
 			getCompletions: ( editor, session, pos, prefix, callback ) => {
+				const markupBeforeCursor = session.getValue().slice( 0, session.getDocument().positionToIndex( pos ) );
+
+				// After a | in a field tag, like {{example-field|, only the filters apply.
+				if ( /{{[^\s{}|]+\|[^\s{}]*$/.test( markupBeforeCursor ) ) {
+					callback(
+						null,
+						TEMPLATE_FILTERS.map( ( filter ) => {
+							const value = filter.argument ? `|${ filter.name }:${ filter.argument }` : `|${ filter.name }`;
+							return {
+								caption: value,
+								value,
+								/* translators: %1$s: what the filter does */
+								meta: sprintf( __( 'GCB filter: %1$s', 'genesis-custom-blocks' ), filter.description ),
+							};
+						} )
+					);
+					return;
+				}
+
+				const fields = getFields();
+				const openBlocks = getOpenTemplateBlocks( markupBeforeCursor );
+				const innermostBlock = openBlocks[ openBlocks.length - 1 ];
+				const innermostLoop = [ ...openBlocks ].reverse().find( ( openBlock ) => 'each' === openBlock.block );
+				const isInPostLoop = innermostLoop && fields.some(
+					( field ) => field.name === innermostLoop.name && 'post' === field.control
+				);
+
+				let elseMeta = '';
+				if ( 'if' === innermostBlock?.block ) {
+					/* translators: %1$s: the field name */
+					elseMeta = sprintf( __( 'GCB if %1$s is empty', 'genesis-custom-blocks' ), innermostBlock.name );
+				} else if ( innermostBlock ) {
+					/* translators: %1$s: the field name */
+					elseMeta = sprintf( __( 'GCB if %1$s has no rows', 'genesis-custom-blocks' ), innermostBlock.name );
+				}
+
+				/**
+				 * Gets the completion for an {{#if}} block.
+				 *
+				 * @param {string} fieldName The name of the field.
+				 * @param {string} meta      The description of the completion.
+				 * @return {Object} The completion.
+				 */
+				const getIfCompletion = ( fieldName, meta ) => ( {
+					caption: `{{#if ${ fieldName }}}`,
+					value: `{{#if ${ fieldName }}}{{/if}}`,
+					meta,
+				} );
+
 				callback(
 					null,
-					getFields()
-						.map(
-							/** @param {import('./editor').Field} field The block field. */
-							( field ) => ( {
-								caption: `{{${ field.name }}}`,
-								value: `{{${ field.name }}}`,
+					[
+						...( innermostBlock
+							? [
+								{
+									caption: '{{else}}',
+									value: '{{else}}',
+									meta: elseMeta,
+								},
+								{
+									caption: `{{/${ innermostBlock.block }}}`,
+									value: `{{/${ innermostBlock.block }}}`,
+									/* translators: %1$s: the opening tag, like {{#if example}} */
+									meta: sprintf( __( 'GCB end of %1$s', 'genesis-custom-blocks' ), innermostBlock.raw ),
+								},
+							]
+							: []
+						),
+						...( isInPostLoop
+							? POST_PROPERTIES.map( ( property ) => ( {
+								caption: `{{${ property }}}`,
+								value: `{{${ property }}}`,
+								/* translators: %1$s: the post property, like title, %2$s: the field name */
+								meta: sprintf( __( 'GCB post %1$s in %2$s', 'genesis-custom-blocks' ), property, innermostLoop.name ),
+							} ) )
+							: []
+						),
+						...fields.reduce(
+							/**
+							 * @param {Object[]}                 completions The autocomplete completions.
+							 * @param {import('./editor').Field} field       The block field.
+							 * @return {Object[]} The completions, including the ones for this field.
+							 */
+							( completions, field ) => {
 								/* translators: %1$s: the field label */
-								meta: sprintf( __( 'GCB field %1$s', 'genesis-custom-blocks' ), field.label ),
-							} )
-						)
+								const ifCompletion = getIfCompletion( field.name, sprintf( __( 'GCB if %1$s has a value', 'genesis-custom-blocks' ), field.label ) );
+
+								if ( 'post' === field.control ) {
+									return [
+										...completions,
+										{
+											caption: `{{${ field.name }}}`,
+											value: `{{${ field.name }}}`,
+											/* translators: %1$s: the field label */
+											meta: sprintf( __( 'GCB field %1$s', 'genesis-custom-blocks' ), field.label ),
+										},
+										{
+											caption: `{{#each ${ field.name }}}`,
+											value: `{{#each ${ field.name }}}{{/each}}`,
+											/* translators: %1$s: the field label */
+											meta: sprintf( __( 'GCB posts in %1$s', 'genesis-custom-blocks' ), field.label ),
+										},
+										ifCompletion,
+										...POST_PROPERTIES.map( ( property ) => ( {
+											caption: `{{${ field.name }.${ property }}}`,
+											value: `{{${ field.name }.${ property }}}`,
+											/* translators: %1$s: the post property, like title, %2$s: the field label */
+											meta: sprintf( __( 'GCB post %1$s in %2$s', 'genesis-custom-blocks' ), property, field.label ),
+										} ) ),
+									];
+								}
+
+								if ( 'repeater' !== field.control ) {
+									return [
+										...completions,
+										{
+											caption: `{{${ field.name }}}`,
+											value: `{{${ field.name }}}`,
+											/* translators: %1$s: the field label */
+											meta: sprintf( __( 'GCB field %1$s', 'genesis-custom-blocks' ), field.label ),
+										},
+										ifCompletion,
+									];
+								}
+
+								return [
+									...completions,
+									{
+										caption: `{{#each ${ field.name }}}`,
+										value: `{{#each ${ field.name }}}{{/each}}`,
+										/* translators: %1$s: the field label */
+										meta: sprintf( __( 'GCB repeater %1$s', 'genesis-custom-blocks' ), field.label ),
+									},
+									ifCompletion,
+									...getFieldsAsArray( field.sub_fields || {} ).reduce( ( subFieldCompletions, subField ) => [
+										...subFieldCompletions,
+										{
+											caption: `{{${ subField.name }}}`,
+											value: `{{${ subField.name }}}`,
+											/* translators: %1$s: the field label, %2$s: the repeater label */
+											meta: sprintf( __( 'GCB field %1$s in %2$s', 'genesis-custom-blocks' ), subField.label, field.label ),
+										},
+										getIfCompletion(
+											subField.name,
+											/* translators: %1$s: the field label, %2$s: the repeater label */
+											sprintf( __( 'GCB if %1$s in %2$s has a value', 'genesis-custom-blocks' ), subField.label, field.label )
+										),
+									], [] ),
+								];
+							},
+							[]
+						),
+					]
 				);
 			},
-			identifierRegexps: [ /\{/ ],
+			identifierRegexps: [ /\{/, /\|/ ],
 		} );
 	}, [] ); /* eslint-disable-line react-hooks/exhaustive-deps -- getFields() is called within a callback and does not need to trigger a re-run */
 
+	// The editor column changes width, so Ace needs to measure it again.
+	useEffect( () => {
+		editorRef.current?.editor.resize();
+	}, [ isPreviewShowing ] );
+
+	/**
+	 * Gets the value of the Ace editor.
+	 *
+	 * @return {string} The markup, SCSS, or CSS.
+	 */
+	const getEditorValue = () => {
+		if ( MARKUP_TEMPLATE_MODE === templateMode ) {
+			return templateMarkup;
+		}
+
+		return isScss ? templateScss : templateCss;
+	};
+
+	/**
+	 * Gets the mode of the Ace editor.
+	 *
+	 * @return {string} The mode, like 'html'.
+	 */
+	const getEditorMode = () => {
+		if ( MARKUP_TEMPLATE_MODE === templateMode ) {
+			return 'html';
+		}
+
+		return isScss ? 'scss' : 'css';
+	};
+
+	/**
+	 * Gets the problems in the template that's being edited.
+	 *
+	 * @return {import('../helpers/getTemplateMarkupProblems').TemplateProblem[]} The problems.
+	 */
+	const getProblems = () => {
+		if ( MARKUP_TEMPLATE_MODE === templateMode ) {
+			return getTemplateMarkupProblems( templateMarkup, getFields(), allowedTags, allowedProtocols );
+		}
+
+		return isScss ? compileScss( templateScss ).problems : getTemplateCssProblems( templateCss );
+	};
+
+	const problems = useMemo(
+		getProblems,
+		[ templateMode, templateMarkup, templateCss, templateScss, block.fields ] /* eslint-disable-line react-hooks/exhaustive-deps -- getFields() depends on block.fields */
+	);
+
 	return (
 		<>
 			<TemplateButtons
 				templateMode={ templateMode }
 				setTemplateMode={ setTemplateMode }
+				isPreviewShowing={ isPreviewShowing }
+				setIsPreviewShowing={ setIsPreviewShowing }
 			/>
 			{
 				MARKUP_TEMPLATE_MODE === templateMode
@@ -82,6 +295,16 @@ const TemplateEditor = () => {
 									</span>
 								</span>
 							</p>
+							<p className="text-sm mt-1 mb-2">
+								{
+									sprintf(
+										/* translators: %1$s: a conditional block, %2$s: a field with a filter */
+										__( 'To only render markup if a field has a value, wrap it in %1$s. To change how a field renders, add a filter, like %2$s.', 'genesis-custom-blocks' ),
+										`{{#if ${ exampleFieldName }}}…{{/if}}`,
+										`{{${ exampleFieldName }|upper}}`
+									)
+								}
+							</p>
 							<a
 								href={ urlTemplateDocumentation }
 								target="_blank"
@@ -92,33 +315,116 @@ const TemplateEditor = () => {
 							</a>
 						</>
 					)
-					: null
+					: (
+						<>
+							<div className="mt-2">
+								<input
+									type="checkbox"
+									id={ scssId }
+									className="mr-2"
+									value="1"
+									checked={ isScss }
+									onChange={ ( event ) => {
+										if ( event.target ) {
+											// Plain CSS is also SCSS, so it's the start of the SCSS. Without SCSS, the compiled CSS stays.
+											changeBlock( { templateScss: event.target.checked ? templateCss : undefined } );
+										}
+									} }
+								/>
+								<label className="text-sm" htmlFor={ scssId }>
+									{ __( 'Write styles with nested rules and $variables, the only SCSS features that are supported', 'genesis-custom-blocks' ) }
+								</label>
+							</div>
+							<div className="mt-2">
+								<input
+									type="checkbox"
+									id={ scopeCssId }
+									className="mr-2"
+									value="1"
+									checked={ scopeCss }
+									onChange={ ( event ) => {
+										if ( event.target ) {
+											changeBlock( { scopeCss: Boolean( event.target.checked ) } );
+										}
+									} }
+								/>
+								<label className="text-sm" htmlFor={ scopeCssId }>
+									{ __( 'Scope styles to this block', 'genesis-custom-blocks' ) }
+								</label>
+							</div>
+							<p className="text-sm mt-1 mb-2">
+								{ scopeCss
+									? sprintf(
+										/* translators: %1$s: an example selector, %2$s: the placeholder for the block wrapper, %3$s: another placeholder */
+										__( 'Selectors only apply inside this block, so %1$s only styles the titles of this block. To style the block itself, use %2$s or %3$s.', 'genesis-custom-blocks' ),
+										'.title',
+										':block',
+										'&'
+									)
+									: __( 'Styles apply to the whole page, so they can change other blocks.', 'genesis-custom-blocks' )
+								}
+							</p>
+						</>
+					)
 			}
-			<AceEditor
-				className="mt-8"
-				style={ { width: '700px' } }
-				value={ MARKUP_TEMPLATE_MODE === templateMode ? templateMarkup : templateCss }
-				mode={ MARKUP_TEMPLATE_MODE === templateMode ? 'html' : 'css' }
-				theme="textmate"
-				height="40rem"
-				showPrintMargin={ false }
-				onChange={ ( newEditorValue ) => {
-					const blockProperty = MARKUP_TEMPLATE_MODE === templateMode ? 'templateMarkup' : 'templateCss';
-					changeBlock( {
-						[ blockProperty ]: newEditorValue,
-					} );
-				} }
-				name="gcb-template-editor"
-				editorProps={ {
-					$blockScrolling: true,
-				} }
-				setOptions={ {
-					enableBasicAutocompletion: true,
-					enableLiveAutocompletion: true,
-					highlightActiveLine: true,
-					useWorker: false,
-				} }
-			/>
+			<div className="flex w-full mt-8">
+				<div className="flex-shrink-0" style={ { width: isPreviewShowing ? '50%' : '700px' } }>
+					<AceEditor
+						ref={ editorRef }
+						style={ { width: '100%' } }
+						value={ getEditorValue() }
+						mode={ getEditorMode() }
+						theme="textmate"
+						height="40rem"
+						showPrintMargin={ false }
+						annotations={ problems }
+						onChange={ ( newEditorValue ) => {
+							if ( MARKUP_TEMPLATE_MODE === templateMode ) {
+								changeBlock( { templateMarkup: newEditorValue } );
+								return;
+							}
+
+							if ( ! isScss ) {
+								changeBlock( { templateCss: newEditorValue } );
+								return;
+							}
+
+							// The front end only gets the compiled CSS, so it keeps the last CSS that compiled.
+							const { css, problems: compileProblems } = compileScss( newEditorValue );
+							changeBlock(
+								compileProblems.length
+									? { templateScss: newEditorValue }
+									: { templateScss: newEditorValue, templateCss: css }
+							);
+						} }
+						name="gcb-template-editor"
+						editorProps={ {
+							$blockScrolling: true,
+						} }
+						setOptions={ {
+							enableBasicAutocompletion: true,
+							enableLiveAutocompletion: true,
+							highlightActiveLine: true,
+							useWorker: false,
+						} }
+					/>
+					<TemplateProblems
+						problems={ problems }
+						selectProblem={ ( problem ) => {
+							const { editor } = editorRef.current;
+							editor.gotoLine( problem.row + 1, problem.column, true );
+							editor.focus();
+						} }
+					/>
+				</div>
+				{ isPreviewShowing
+					? (
+						<div className="flex-grow min-w-0 pl-8 overflow-auto" style={ { height: '40rem' } }>
+							<TemplatePreview setEditorMode={ setEditorMode } />
+						</div>
+					) : null
+				}
+			</div>
 		</>
 	);
 };
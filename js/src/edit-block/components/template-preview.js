@@ -0,0 +1,84 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { useDebounce } from '@wordpress/compose';
+import { useEffect, useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { PreviewNotice } from './';
+import { BUILDER_EDITING_MODE, EDITOR_PREVIEW_EDITING_MODE } from '../constants';
+import { useBlock, useField } from '../hooks';
+import { ClientSideRender } from '../../block-editor/components';
+import { getFieldsAsArray } from '../../common/helpers';
+
+/**
+ * @typedef {Object} TemplatePreviewProps The component props.
+ * @property {import('./editor').SetEditorMode} setEditorMode Sets the editor mode.
+ */
+
+/**
+ * A live preview of the template markup and CSS, next to the template editor.
+ *
+ * Unlike the front-end preview, this renders the unsaved template in the browser,
+ * with the values entered in the editor preview.
+ *
+ * @param {TemplatePreviewProps} props
+ * @return {React.ReactElement} The template preview.
+ */
+const TemplatePreview = ( { setEditorMode } ) => {
+	const { block } = useBlock();
+	const { getFields } = useField();
+	const [ previewBlock, setPreviewBlock ] = useState( block );
+	const debouncedSetPreviewBlock = useDebounce( setPreviewBlock, 300 );
+
+	useEffect( () => {
+		debouncedSetPreviewBlock( block );
+	}, [ block, debouncedSetPreviewBlock ] );
+
+	if ( ! getFieldsAsArray( getFields() ).length ) {
+		return (
+			<PreviewNotice>
+				<button
+					className="underline"
+					onClick={ () => setEditorMode( BUILDER_EDITING_MODE ) }
+				>
+					{ __( 'Builder', 'genesis-custom-blocks' ) }
+				</button>
+			</PreviewNotice>
+		);
+	}
+
+	return (
+		<>
+			{ block.previewAttributes
+				? null
+				: (
+					<p className="text-sm mt-0 mb-2">
+						{ __( 'To see example values here, enter them in the', 'genesis-custom-blocks' ) }
+						&nbsp;
+						<button
+							className="underline"
+							onClick={ () => setEditorMode( EDITOR_PREVIEW_EDITING_MODE ) }
+						>
+							{ __( 'Editor Preview', 'genesis-custom-blocks' ) }
+						</button>
+					</p>
+				)
+			}
+			<ClientSideRender
+				block={ previewBlock }
+				attributes={ previewBlock.previewAttributes || {} }
+			/>
+		</>
+	);
+};
+
+export default TemplatePreview;
@@ -0,0 +1,64 @@
+/**
+ * External dependencies
+ */
+import * as React from 'react';
+import classNames from 'classnames';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * @typedef {Object} TemplateProblemsProps The component props.
+ * @property {import('../helpers/getTemplateMarkupProblems').TemplateProblem[]}              problems      The problems in the template.
+ * @property {function(import('../helpers/getTemplateMarkupProblems').TemplateProblem):void} selectProblem Goes to a problem in the editor.
+ */
+
+/**
+ * The list of problems in the template, like a field that doesn't exist.
+ *
+ * @param {TemplateProblemsProps} props
+ * @return {React.ReactElement|null} The list of problems, or null if there are none.
+ */
+const TemplateProblems = ( { problems, selectProblem } ) => {
+	if ( ! problems.length ) {
+		return null;
+	}
+
+	return (
+		<ul className="mt-2 mb-0 text-sm">
+			{ problems.map( ( problem, index ) => (
+				<li className="mb-1" key={ `template-problem-${ index }` }>
+					<button
+						className={ classNames(
+							'w-full text-left hover:underline',
+							'error' === problem.type ? 'text-red-700' : 'text-gray-700'
+						) }
+						onClick={ () => selectProblem( problem ) }
+					>
+						<span className="font-mono">
+							{
+								sprintf(
+									/* translators: %1$d: the line number, %2$d: the column number */
+									__( 'Line %1$d, column %2$d:', 'genesis-custom-blocks' ),
+									problem.row + 1,
+									problem.column + 1
+								)
+							}
+						</span>
+						&nbsp;
+						{ 'error' === problem.type
+							? __( 'Error', 'genesis-custom-blocks' )
+							: __( 'Warning', 'genesis-custom-blocks' )
+						}
+						&nbsp;&mdash;&nbsp;
+						{ problem.text }
+					</button>
+				</li>
+			) ) }
+		</ul>
+	);
+};
+
+export default TemplateProblems;
@@ -130,16 +130,11 @@ const TopNotice = ( { editorMode, isOnboarding, setEditorMode } ) => {
 				TEMPLATE_EDITOR_EDITING_MODE === editorMode && hasRepeaterField( getFields() )
 					? (
 						<Notice>
-							{ __( 'There is a repeater field, which will only display with', 'genesis-custom-blocks' ) }
+							{ __( 'To render the rows of a repeater field, use a loop like', 'genesis-custom-blocks' ) }
 							&nbsp;
-							<a
-								className="underline"
-								href={ urlBlockTemplates }
-								target="_blank"
-								rel="noopener noreferrer"
-							>
-								{ __( 'PHP block templates', 'genesis-custom-blocks' ) }
-							</a>
+							<span className="font-mono">
+								{ `{{#each ${ getFields().find( ( field ) => 'repeater' === field.control )?.name }}}{{sub-field}}{{/each}}` }
+							</span>
 						</Notice>
 					)
 					: null
@@ -5,6 +5,7 @@ export const BLOCK_PANEL = 'block';
 export const BUILDER_EDITING_MODE = 'builderMode';
 export const CSS_TEMPLATE_MODE = 'cssTemplateMode';
 export const EDITOR_PREVIEW_EDITING_MODE = 'editorPreviewMode';
+export const FIELD_DRAG_TYPE = 'application/x-genesis-custom-blocks-field';
 export const FIELD_PANEL = 'field';
 export const FRONT_END_PREVIEW_EDITING_MODE = 'frontEndMode';
 export const MARKUP_TEMPLATE_MODE = 'markupTemplateMode';
@@ -0,0 +1,83 @@
+/**
+ * Internal dependencies
+ */
+import { setCorrectOrderForFields } from './';
+import { DEFAULT_LOCATION } from '../../common/constants';
+import { getFieldsAsArray } from '../../common/helpers';
+
+/**
+ * @typedef {Object} SharedSettings The settings that multiple fields can share, which are all optional.
+ * @property {string}  [width]    The width, like '50'.
+ * @property {string}  [location] The location, like 'inspector', which only applies to fields that aren't in a repeater.
+ * @property {string}  [help]     The help text.
+ * @property {boolean} [required] Whether the fields need a value, which is stored in their validation.
+ */
+
+/**
+ * Changes the settings of multiple fields at once.
+ *
+ * Fields that move to another location go to the end of it, in their previous order.
+ *
+ * @param {Object}                                         fields         The block fields, keyed by name.
+ * @param {import('../components/editor').SelectedField[]} fieldsToChange The fields to change.
+ * @param {SharedSettings}                                 newSettings    The new settings.
+ * @return {Object} The new block fields.
+ */
+const changeFieldsSettings = ( fields, fieldsToChange, newSettings ) => {
+	const { location: newLocation, required, ...otherSettings } = newSettings;
+	const newFields = { ...fields };
+	const movedFieldNames = [];
+
+	fieldsToChange.forEach( ( fieldToChange ) => {
+		const hasParent = fieldToChange.hasOwnProperty( 'parent' );
+		const currentFields = hasParent
+			? { ...newFields[ fieldToChange.parent ]?.sub_fields }
+			: newFields;
+		const currentField = currentFields[ fieldToChange.name ];
+
+		if ( ! currentField ) {
+			return;
+		}
+
+		const newField = { ...currentField, ...otherSettings };
+		if ( undefined !== required ) {
+			newField.validation = { ...currentField.validation, required };
+		}
+
+		if ( undefined !== newLocation && ! hasParent && newLocation !== ( currentField.location || DEFAULT_LOCATION ) ) {
+			newField.location = newLocation;
+			movedFieldNames.push( fieldToChange.name );
+		}
+
+		currentFields[ fieldToChange.name ] = newField;
+		if ( hasParent ) {
+			newFields[ fieldToChange.parent ] = { ...newFields[ fieldToChange.parent ], sub_fields: currentFields };
+		}
+	} );
+
+	if ( ! movedFieldNames.length ) {
+		return newFields;
+	}
+
+	// The order of the fields is relative to their location, so it changes when they move.
+	const sortedFields = getFieldsAsArray( fields ).map( ( field ) => newFields[ field.name ] );
+	const fieldsByLocation = sortedFields.reduce( ( accumulator, field ) => {
+		const location = field.location || DEFAULT_LOCATION;
+		if ( ! accumulator[ location ] ) {
+			accumulator[ location ] = { staying: [], moved: [] };
+		}
+
+		accumulator[ location ][ movedFieldNames.includes( field.name ) ? 'moved' : 'staying' ].push( field );
+		return accumulator;
+	}, {} );
+
+	return Object.values( fieldsByLocation ).reduce( ( accumulator, { staying, moved } ) => {
+		setCorrectOrderForFields( [ ...staying, ...moved ] ).forEach( ( field ) => {
+			accumulator[ field.name ] = field;
+		} );
+
+		return accumulator;
+	}, {} );
+};
+
+export default changeFieldsSettings;
@@ -0,0 +1,423 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getTextPosition } from './';
+import { CSS_CONDITIONAL_AT_RULES } from '../../common/constants';
+import { splitCssList } from '../../common/helpers';
+
+/**
+ * @typedef {Object} ScssNode A node of parsed SCSS.
+ * @property {'declaration'|'variable'|'rule'|'atRule'} type        The type of node.
+ * @property {number}                                   index       Where the node starts in the SCSS.
+ * @property {string}                                   [name]      The property of a declaration, or the name of a variable or at-rule.
+ * @property {string}                                   [value]     For a declaration or variable, the value.
+ * @property {boolean}                                  [isDefault] For a variable, whether it has !default.
+ * @property {string}                                   [selector]  For a rule, its selectors.
+ * @property {string}                                   [params]    The params of an at-rule.
+ * @property {ScssNode[]|null}                          [children]  The nodes in the block, or null if there's no block.
+ */
+
+/**
+ * @typedef {Object} CssChunk A rule of the compiled CSS, or an at-rule without a block.
+ * @property {Array<{prelude: string}>} wrappers       The at-rules that the chunk is in, like media queries. The same object for the same at-rule.
+ * @property {string|null}              [selector]     The selectors, or null for the declarations of an at-rule like font-face.
+ * @property {string[]}                 [declarations] The declarations, like color: red.
+ * @property {string}                   [raw]          An at-rule without a block, like an import.
+ */
+
+/**
+ * @typedef {Object} CompiledScss The result of compiling SCSS.
+ * @property {string}                                                  css      The compiled CSS, or '' if there's an error.
+ * @property {import('./getTemplateMarkupProblems').TemplateProblem[]} problems The compile error, if any.
+ */
+
+/**
+ * The at-rules of Sass that can't be compiled here.
+ *
+ * @type {string[]}
+ */
+const UNSUPPORTED_AT_RULES = [ 'content', 'each', 'else', 'extend', 'for', 'forward', 'function', 'if', 'include', 'mixin', 'return', 'use', 'while' ];
+
+/**
+ * Gets an error at a position in the SCSS.
+ *
+ * @param {number} index   Where the error is.
+ * @param {string} message The description of the error.
+ * @return {Error & {index: number}} The error.
+ */
+const getScssError = ( index, message ) => Object.assign( new Error( message ), { index } );
+
+/**
+ * Parses SCSS into a tree of nodes.
+ *
+ * @param {string} scss The SCSS.
+ * @return {ScssNode[]} The nodes.
+ */
+const parseScss = ( scss ) => {
+	let index = 0;
+
+	/**
+	 * Gets the node of a statement that ends with ; or }, like a declaration.
+	 *
+	 * @param {string} statement      The statement.
+	 * @param {number} statementIndex Where the statement starts.
+	 * @return {ScssNode|null} The node, or null if the statement is empty.
+	 */
+	const getStatementNode = ( statement, statementIndex ) => {
+		const text = statement.trim();
+		if ( ! text ) {
+			return null;
+		}
+
+		if ( text.startsWith( '$' ) ) {
+			const match = text.match( /^\$([\w-]+)\s*:\s*([\s\S]*?)\s*(!default)?$/ );
+			if ( ! match?.[ 2 ] ) {
+				throw getScssError( statementIndex, __( 'This variable needs a value, like $color: red;', 'genesis-custom-blocks' ) );
+			}
+
+			return { type: 'variable', index: statementIndex, name: match[ 1 ], value: match[ 2 ], isDefault: Boolean( match[ 3 ] ) };
+		}
+
+		if ( text.startsWith( '@' ) ) {
+			const [ , name, params ] = text.match( /^@([\w-]*)\s*([\s\S]*)$/ );
+			if ( UNSUPPORTED_AT_RULES.includes( name ) ) {
+				/* translators: %1$s: the at-rule, like @extend */
+				throw getScssError( statementIndex, sprintf( __( '%1$s is not supported', 'genesis-custom-blocks' ), `@${ name }` ) );
+			}
+
+			return { type: 'atRule', index: statementIndex, name, params, children: null };
+		}
+
+		const match = text.match( /^([\w-]+)\s*:\s*([\s\S]*\S)$/ );
+		if ( ! match ) {
+			throw getScssError( statementIndex, __( 'This declaration needs a property and a value, like color: red;', 'genesis-custom-blocks' ) );
+		}
+
+		return { type: 'declaration', index: statementIndex, name: match[ 1 ], value: match[ 2 ] };
+	};
+
+	/**
+	 * Gets the node of a block, like a rule or an @media.
+	 *
+	 * @param {string}     header      The text before the {, like the selectors.
+	 * @param {number}     headerIndex Where the header starts.
+	 * @param {number}     openIndex   Where the { is.
+	 * @param {ScssNode[]} children    The nodes in the block.
+	 * @return {ScssNode} The node.
+	 */
+	const getBlockNode = ( header, headerIndex, openIndex, children ) => {
+		const text = header.trim();
+		if ( ! text ) {
+			throw getScssError( openIndex, __( 'This rule needs a selector before the {', 'genesis-custom-blocks' ) );
+		}
+
+		// Like @media or @font-face.
+		if ( text.startsWith( '@' ) ) {
+			return { ...getStatementNode( text, headerIndex ), children };
+		}
+
+		return { type: 'rule', index: headerIndex, selector: text, children };
+	};
+
+	/**
+	 * Parses the nodes of a block, until its }.
+	 *
+	 * @param {number} openIndex Where the { of the block is, or -1 for the top level.
+	 * @return {ScssNode[]} The nodes.
+	 */
+	const parseBlock = ( openIndex ) => {
+		/** @type {ScssNode[]} */
+		const nodes = [];
+		let statement = '';
+		let statementIndex = index;
+		let depth = 0;
+
+		/**
+		 * Adds the node of the current statement, if there is one.
+		 */
+		const addStatement = () => {
+			const node = getStatementNode( statement, statementIndex );
+			if ( node ) {
+				nodes.push( node );
+			}
+
+			statement = '';
+		};
+
+		while ( index < scss.length ) {
+			const character = scss[ index ];
+
+			if ( ! statement.trim() ) {
+				statementIndex = index;
+			}
+
+			if ( '"' === character || "'" === character ) {
+				let stringEnd = index + 1;
+				while ( stringEnd < scss.length && character !== scss[ stringEnd ] && '\n' !== scss[ stringEnd ] ) {
+					stringEnd += '\\' === scss[ stringEnd ] ? 2 : 1;
+				}
+
+				if ( character !== scss[ stringEnd ] ) {
+					throw getScssError( index, __( 'This string is never closed', 'genesis-custom-blocks' ) );
+				}
+
+				statement += scss.slice( index, stringEnd + 1 );
+				index = stringEnd + 1;
+				continue;
+			}
+
+			if ( '/' === character && '*' === scss[ index + 1 ] ) {
+				const commentEnd = scss.indexOf( '*/', index + 2 );
+				if ( -1 === commentEnd ) {
+					throw getScssError( index, __( 'This comment is never closed with */', 'genesis-custom-blocks' ) );
+				}
+
+				index = commentEnd + 2;
+				continue;
+			}
+
+			// A // in parentheses is part of a URL, like url(https://example.com/a.png).
+			if ( '/' === character && '/' === scss[ index + 1 ] && ! depth ) {
+				const lineEnd = scss.indexOf( '\n', index );
+				index = -1 === lineEnd ? scss.length : lineEnd;
+				continue;
+			}
+
+			if ( '#' === character && '{' === scss[ index + 1 ] ) {
+				throw getScssError( index, __( 'Interpolation like #{$example} is not supported', 'genesis-custom-blocks' ) );
+			}
+
+			index++;
+
+			if ( '(' === character ) {
+				depth++;
+			} else if ( ')' === character ) {
+				depth = Math.max( depth - 1, 0 );
+			} else if ( ';' === character && ! depth ) {
+				addStatement();
+				continue;
+			} else if ( '{' === character ) {
+				const header = statement;
+				const headerIndex = statementIndex;
+				statement = '';
+				nodes.push( getBlockNode( header, headerIndex, index - 1, parseBlock( index - 1 ) ) );
+				continue;
+			} else if ( '}' === character ) {
+				if ( -1 === openIndex ) {
+					throw getScssError( index - 1, __( 'This } has no opening {', 'genesis-custom-blocks' ) );
+				}
+
+				addStatement();
+				return nodes;
+			}
+
+			statement += character;
+		}
+
+		if ( -1 !== openIndex ) {
+			throw getScssError( openIndex, __( 'This { is never closed with a }', 'genesis-custom-blocks' ) );
+		}
+
+		addStatement();
+		return nodes;
+	};
+
+	return parseBlock( -1 );
+};
+
+/**
+ * Replaces the variables in a value, like $color in border: 1px solid $color.
+ *
+ * Variables in strings aren't replaced, like in Sass.
+ *
+ * @param {string} value The value.
+ * @param {Object} scope The variables.
+ * @param {number} index Where the value is, for errors.
+ * @return {string} The value.
+ */
+const resolveValue = ( value, scope, index ) => value.replace(
+	/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|\$([\w-]+)/g,
+	( match, string, name ) => {
+		if ( string ) {
+			return string;
+		}
+
+		if ( undefined === scope[ `$${ name }` ] ) {
+			/* translators: %1$s: the variable, like $color */
+			throw getScssError( index, sprintf( __( 'There is no variable %1$s', 'genesis-custom-blocks' ), `$${ name }` ) );
+		}
+
+		return scope[ `$${ name }` ];
+	}
+);
+
+/**
+ * Combines the selectors of a nested rule with the selectors of its parent.
+ *
+ * @param {string[]} parentSelectors The selectors of the parent, or none at the top level.
+ * @param {string}   selectorList    The selectors of the nested rule, where & is the parent.
+ * @return {string[]} The combined selectors.
+ */
+const combineSelectors = ( parentSelectors, selectorList ) => {
+	const selectors = splitCssList( selectorList ).map( ( selector ) => selector.trim() ).filter( Boolean );
+	if ( ! parentSelectors.length ) {
+		return selectors;
+	}
+
+	return parentSelectors.reduce( ( combined, parentSelector ) => [
+		...combined,
+		...selectors.map( ( selector ) => selector.includes( '&' )
+			? selector.replace( /&/g, parentSelector )
+			: `${ parentSelector } ${ selector }`
+		),
+	], [] );
+};
+
+/**
+ * Renders the compiled CSS, with the chunks in the same at-rule together.
+ *
+ * @param {CssChunk[]} chunks The chunks of the CSS.
+ * @return {string} The CSS.
+ */
+const renderChunks = ( chunks ) => {
+	const lines = [];
+
+	/** @type {Array<{prelude: string}>} The at-rules that are open. */
+	const openWrappers = [];
+
+	chunks.filter( ( chunk ) => chunk.raw || chunk.declarations.length ).forEach( ( chunk ) => {
+		let sharedCount = 0;
+		while ( sharedCount < openWrappers.length && openWrappers[ sharedCount ] === chunk.wrappers[ sharedCount ] ) {
+			sharedCount++;
+		}
+
+		while ( openWrappers.length > sharedCount ) {
+			openWrappers.pop();
+			lines.push( `${ '\t'.repeat( openWrappers.length ) }}` );
+		}
+
+		chunk.wrappers.slice( sharedCount ).forEach( ( wrapper ) => {
+			lines.push( `${ '\t'.repeat( openWrappers.length ) }${ wrapper.prelude } {` );
+			openWrappers.push( wrapper );
+		} );
+
+		const indent = '\t'.repeat( openWrappers.length );
+		if ( chunk.raw ) {
+			lines.push( `${ indent }${ chunk.raw }` );
+		} else if ( chunk.selector ) {
+			lines.push(
+				`${ indent }${ chunk.selector } {`,
+				...chunk.declarations.map( ( declaration ) => `${ indent }\t${ declaration };` ),
+				`${ indent }}`
+			);
+		} else {
+			lines.push( ...chunk.declarations.map( ( declaration ) => `${ indent }${ declaration };` ) );
+		}
+	} );
+
+	while ( openWrappers.length ) {
+		openWrappers.pop();
+		lines.push( `${ '\t'.repeat( openWrappers.length ) }}` );
+	}
+
+	return lines.join( '\n' );
+};
+
+/**
+ * Compiles the template CSS, with nested rules and $variables, into plain CSS.
+ *
+ * Those are the only features of SCSS that this supports, so it doesn't have mixins, interpolation, math, or functions.
+ * Other values are output as they are.
+ *
+ * @param {string} scss The SCSS.
+ * @return {CompiledScss} The CSS, or the error that stopped it from compiling.
+ */
+const compileScss = ( scss ) => {
+	const text = scss || '';
+
+	/** @type {CssChunk[]} */
+	const chunks = [];
+
+	/**
+	 * @typedef {Object} CompileContext Where a block is compiled.
+	 * @property {string[]}                 selectors The selectors of the rule the block is in.
+	 * @property {Array<{prelude: string}>} wrappers  The at-rules the block is in.
+	 * @property {Object}                   scope     The variables, with the outer ones in the prototype.
+	 */
+
+	/**
+	 * Compiles the nodes of a block into the chunks of CSS.
+	 *
+	 * @param {ScssNode[]}     nodes              The nodes in the block.
+	 * @param {CompileContext} context            Where the block is.
+	 * @param {boolean}        isDeclarationBlock Whether the block has declarations without a selector, like @font-face.
+	 */
+	const compileBlock = ( nodes, context, isDeclarationBlock = false ) => {
+		const chunk = context.selectors.length || isDeclarationBlock
+			? { wrappers: context.wrappers, selector: context.selectors.join( ', ' ) || null, declarations: [] }
+			: null;
+		const scope = Object.create( context.scope );
+
+		if ( chunk ) {
+			chunks.push( chunk );
+		}
+
+		nodes.forEach( ( node ) => {
+			if ( 'variable' === node.type ) {
+				if ( ! node.isDefault || undefined === scope[ `$${ node.name }` ] ) {
+					scope[ `$${ node.name }` ] = resolveValue( node.value, scope, node.index );
+				}
+				return;
+			}
+
+			if ( 'declaration' === node.type ) {
+				if ( ! chunk ) {
+					throw getScssError( node.index, __( 'This declaration needs to be in a rule, like .example { color: red; }', 'genesis-custom-blocks' ) );
+				}
+
+				chunk.declarations.push( `${ node.name }: ${ resolveValue( node.value, scope, node.index ) }` );
+				return;
+			}
+
+			if ( 'rule' === node.type ) {
+				compileBlock( node.children, { ...context, scope, selectors: combineSelectors( context.selectors, node.selector ) } );
+				return;
+			}
+
+			const prelude = `@${ node.name }${ node.params ? ` ${ resolveValue( node.params, scope, node.index ) }` : '' }`;
+			if ( ! node.children ) {
+				chunks.push( { wrappers: context.wrappers, raw: `${ prelude };` } );
+				return;
+			}
+
+			const wrappers = [ ...context.wrappers, { prelude } ];
+			if ( CSS_CONDITIONAL_AT_RULES.includes( node.name.toLowerCase() ) ) {
+				compileBlock( node.children, { ...context, scope, wrappers } );
+			} else {
+				compileBlock( node.children, { ...context, scope, wrappers, selectors: [] }, true );
+			}
+		} );
+	};
+
+	try {
+		compileBlock( parseScss( text ), { selectors: [], wrappers: [], scope: {} } );
+	} catch ( error ) {
+		if ( ! error.hasOwnProperty( 'index' ) ) {
+			throw error;
+		}
+
+		return {
+			css: '',
+			problems: [ { ...getTextPosition( text, error.index ), type: 'error', text: error.message } ],
+		};
+	}
+
+	return { css: renderChunks( chunks ), problems: [] };
+};
+
+export default compileScss;
@@ -0,0 +1,47 @@
+/**
+ * Internal dependencies
+ */
+import { BLOCK_NAMESPACE } from '../constants';
+import { getGcbBlockAttributes } from '../../block-editor/helpers';
+
+/**
+ * Gets the block.json metadata of a block, to register it without Genesis Custom Blocks.
+ *
+ * The name keeps the genesis-custom-blocks namespace, so content that has the block still works.
+ *
+ * @see https://developer.wordpress.org/block-editor/reference-guides/block-api/block-metadata/
+ * @param {import('../hooks/useBlock').Block} block             The block.
+ * @param {boolean}                           [includeTemplate] Whether to refer to the exported render.php and style.css.
+ * @return {Object} The block.json metadata.
+ */
+const getBlockJson = ( block, includeTemplate = false ) => {
+	const blockJson = {
+		$schema: 'https://schemas.wp.org/trunk/block.json',
+		apiVersion: 2,
+		name: `${ BLOCK_NAMESPACE }/${ block.name }`,
+		title: block.title,
+		category: 'object' === typeof block.category ? block.category?.slug : block.category,
+		keywords: block.keywords || [],
+		attributes: {
+			className: { type: 'string' },
+			...getGcbBlockAttributes( Array.isArray( block.fields ) ? {} : block.fields ),
+		},
+		supports: {
+			html: false,
+		},
+		// The icon is in the editor script, as it's an <svg>, not a Dashicon.
+		editorScript: 'file:./index.js',
+	};
+
+	if ( includeTemplate ) {
+		blockJson.render = 'file:./render.php';
+
+		if ( block.templateCss ) {
+			blockJson.style = 'file:./style.css';
+		}
+	}
+
+	return blockJson;
+};
+
+export default getBlockJson;
@@ -0,0 +1,28 @@
+/**
+ * Internal dependencies
+ */
+import { FIELD_DRAG_TYPE } from '../constants';
+
+/**
+ * Gets the field that's being dragged in the builder, if any.
+ *
+ * Something else could be dragged, like a file to import,
+ * so this only returns a field that the builder started dragging.
+ *
+ * @param {DataTransfer} dataTransfer The data of the drag event.
+ * @return {import('../components/editor').SelectedField|null} The dragged field, or null.
+ */
+const getDraggedField = ( dataTransfer ) => {
+	if ( ! dataTransfer || ! Array.from( dataTransfer.types || [] ).includes( FIELD_DRAG_TYPE ) ) {
+		return null;
+	}
+
+	try {
+		const field = JSON.parse( dataTransfer.getData( FIELD_DRAG_TYPE ) );
+		return field && 'string' === typeof field.name ? field : null;
+	} catch ( error ) {
+		return null;
+	}
+};
+
+export default getDraggedField;
@@ -0,0 +1,120 @@
+/**
+ * Internal dependencies
+ */
+import { BLOCK_NAMESPACE } from '../constants';
+import { getIconSvg, getSanitizedSvg } from '../../common/helpers';
+
+/**
+ * The controls that the exported editor script can edit.
+ *
+ * The other fields keep their values, but only Genesis Custom Blocks can edit them, as the export button notes.
+ *
+ * @type {string[]}
+ */
+const EDITABLE_CONTROLS = [ 'checkbox', 'email', 'number', 'radio', 'range', 'select', 'text', 'textarea', 'toggle', 'url' ];
+
+/**
+ * The field settings that the exported editor script uses.
+ *
+ * @type {string[]}
+ */
+const EXPORTED_SETTINGS = [ 'name', 'label', 'control', 'help', 'default', 'options', 'min', 'max', 'step' ];
+
+/**
+ * Gets the editor script of an exported block, for the editorScript in block.json.
+ *
+ * The block renders with its render.php, and the fields that core components can edit are in the inspector.
+ * There's no build step, so this uses the wp globals.
+ *
+ * @param {import('../hooks/useBlock').Block} block The block.
+ * @return {string} The contents of index.js.
+ */
+const getEditorScript = ( block ) => {
+	const fields = block.fields && ! Array.isArray( block.fields ) ? Object.values( block.fields ) : [];
+	const editableFields = fields
+		.filter( ( field ) => EDITABLE_CONTROLS.includes( field.control ) )
+		.sort( ( first, second ) => ( first.order || 0 ) - ( second.order || 0 ) )
+		.map( ( field ) => EXPORTED_SETTINGS.reduce( ( accumulator, setting ) => {
+			if ( undefined !== field[ setting ] && '' !== field[ setting ] ) {
+				accumulator[ setting ] = field[ setting ];
+			}
+
+			return accumulator;
+		}, {} ) );
+
+	const iconSvg = 'string' === typeof block.icon && block.icon.trim().startsWith( '<svg' )
+		? getSanitizedSvg( block.icon )
+		: getIconSvg( block.icon );
+	const iconScript = iconSvg
+		? `\n\t\ticon: el( 'span', { dangerouslySetInnerHTML: { __html: ${ JSON.stringify( iconSvg ) } } } ),`
+		: '';
+	const innerBlocksScript = fields.some( ( field ) => 'inner_blocks' === field.control )
+		? ',\n\t\t\t\tel( blockEditor.InnerBlocks )'
+		: '';
+
+	return `/**
+ * Edits the ${ ( block.title || block.name ).replace( /\*\//g, '* /' ).replace( /[\r\n]+/g, ' ' ) } block, exported from Genesis Custom Blocks.
+ */
+( function( blocks, blockEditor, components, element, serverSideRender ) {
+	var el = element.createElement;
+	var fields = ${ JSON.stringify( editableFields, null, '\t' ).replace( /\n/g, '\n\t' ) };
+
+	function getControl( field, attributes, setAttributes ) {
+		var value = undefined === attributes[ field.name ] ? field.default : attributes[ field.name ];
+		var props = { key: field.name, label: field.label, help: field.help };
+		var onChange = function( newValue ) {
+			var newAttributes = {};
+			newAttributes[ field.name ] = newValue;
+			setAttributes( newAttributes );
+		};
+
+		switch ( field.control ) {
+			case 'checkbox':
+				return el( components.CheckboxControl, Object.assign( props, { checked: !! value, onChange: onChange } ) );
+			case 'toggle':
+				return el( components.ToggleControl, Object.assign( props, { checked: !! value, onChange: onChange } ) );
+			case 'number':
+				return el( components.TextControl, Object.assign( props, {
+					type: 'number',
+					value: undefined === value ? '' : value,
+					onChange: function( newValue ) {
+						onChange( '' === newValue ? undefined : Number( newValue ) );
+					},
+				} ) );
+			case 'range':
+				return el( components.RangeControl, Object.assign( props, { value: value, min: field.min, max: field.max, step: field.step, onChange: onChange } ) );
+			case 'radio':
+				return el( components.RadioControl, Object.assign( props, { selected: value, options: field.options || [], onChange: onChange } ) );
+			case 'select':
+				return el( components.SelectControl, Object.assign( props, { value: value, options: field.options || [], onChange: onChange } ) );
+			case 'textarea':
+				return el( components.TextareaControl, Object.assign( props, { value: value || '', onChange: onChange } ) );
+			default:
+				return el( components.TextControl, Object.assign( props, { type: field.control, value: value || '', onChange: onChange } ) );
+		}
+	}
+
+	blocks.registerBlockType( ${ JSON.stringify( `${ BLOCK_NAMESPACE }/${ block.name }` ) }, {${ iconScript }
+		edit: function( props ) {
+			return el(
+				'div',
+				blockEditor.useBlockProps(),
+				el(
+					blockEditor.InspectorControls,
+					null,
+					el( components.PanelBody, null, fields.map( function( field ) {
+						return getControl( field, props.attributes, props.setAttributes );
+					} ) )
+				),
+				el( serverSideRender, { block: props.name, attributes: props.attributes } )${ innerBlocksScript }
+			);
+		},
+		save: function() {
+			return el( blockEditor.InnerBlocks.Content );
+		},
+	} );
+} )( window.wp.blocks, window.wp.blockEditor, window.wp.components, window.wp.element, window.wp.serverSideRender );
+`;
+};
+
+export default getEditorScript;
@@ -0,0 +1,34 @@
+/**
+ * Internal dependencies
+ */
+import { getBlockJson, getEditorScript, getRenderPhp } from './';
+import { getCssScopeClass, getScopedCss } from '../../common/helpers';
+
+/**
+ * Gets the files to export a block, to register it from a theme or plugin.
+ *
+ * @param {import('../hooks/useBlock').Block} block             The block.
+ * @param {boolean}                           [includeTemplate] Whether to include the Template Editor markup and CSS.
+ * @return {Object.<string, string>} The file contents, keyed by file name.
+ */
+const getExportFiles = ( block, includeTemplate = false ) => {
+	const files = {
+		'block.json': JSON.stringify( getBlockJson( block, includeTemplate ), null, '\t' ) + '\n',
+		'index.js': getEditorScript( block ),
+		'index.asset.php': "<?php return [ 'dependencies' => [ 'wp-block-editor', 'wp-blocks', 'wp-components', 'wp-element', 'wp-server-side-render' ], 'version' => '1.0.0' ];\n",
+	};
+
+	if ( includeTemplate ) {
+		files[ 'render.php' ] = getRenderPhp( block );
+
+		if ( block.templateCss ) {
+			files[ 'style.css' ] = block.scopeCss
+				? getScopedCss( block.templateCss, getCssScopeClass( block.name ) )
+				: block.templateCss;
+		}
+	}
+
+	return files;
+};
+
+export default getExportFiles;
@@ -0,0 +1,24 @@
+/**
+ * Gets the parts of the fields that affect the block attributes.
+ *
+ * This is what a block version stores, as the other field settings don't change how attributes are saved.
+ *
+ * @param {Object} fields The fields, keyed by their names.
+ * @return {Object.<string, import('../hooks/useBlock').FieldSchema>} The field schema, keyed by field name.
+ */
+const getFieldsSchema = ( fields ) => {
+	if ( ! fields || Array.isArray( fields ) ) {
+		return {};
+	}
+
+	return Object.keys( fields ).reduce( ( accumulator, fieldName ) => {
+		accumulator[ fieldName ] = {
+			type: fields[ fieldName ].type,
+			control: fields[ fieldName ].control,
+		};
+
+		return accumulator;
+	}, {} );
+};
+
+export default getFieldsSchema;
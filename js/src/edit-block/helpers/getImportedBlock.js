@@ -0,0 +1,274 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getSettingsDefaults } from './';
+import { BLOCK_NAMESPACE } from '../constants';
+import { DEFAULT_LOCATION } from '../../common/constants';
+import { getIconComponent } from '../../common/helpers';
+
+/**
+ * The maximum number of keywords a block can have.
+ *
+ * @type {number}
+ */
+const MAX_KEYWORDS = 3;
+
+/**
+ * The attributes that block supports add, which aren't fields.
+ *
+ * @type {string[]}
+ */
+const SUPPORTS_ATTRIBUTES = [ 'align', 'anchor', 'className', 'lock', 'metadata', 'style' ];
+
+/**
+ * @typedef {Object} ImportConflict Something in the imported file that couldn't be imported as it is.
+ * @property {string} name    What conflicts, like an attribute name or 'icon'.
+ * @property {string} message Why it conflicts, and what happens instead.
+ */
+
+/**
+ * @typedef {Object} ImportedBlock The block values from an imported file.
+ * @property {string}           format    The format of the file, either 'genesis-custom-blocks' or 'block.json'.
+ * @property {Object}           values    The block values to import, which can have fields, category, icon and keywords.
+ * @property {ImportConflict[]} conflicts Anything that couldn't be imported as it is.
+ */
+
+/**
+ * Gets a field label from an attribute name, like 'Button Url' from 'buttonUrl'.
+ *
+ * @param {string} name The attribute name.
+ * @return {string} The label.
+ */
+const getLabel = ( name ) => name
+	.replace( /([a-z0-9])([A-Z])/g, '$1 $2' )
+	.split( /[-_ ]+/ )
+	.filter( Boolean )
+	.map( ( word ) => word.charAt( 0 ).toUpperCase() + word.slice( 1 ) )
+	.join( ' ' );
+
+/**
+ * Gets the name of the control that can store a block.json attribute.
+ *
+ * @param {Object} attribute The attribute from block.json.
+ * @return {string|null} The control name, or null if no control can store it.
+ */
+const getControlName = ( attribute ) => {
+	if ( Array.isArray( attribute.enum ) && 'string' === attribute.type ) {
+		return 'select';
+	}
+
+	switch ( attribute.type ) {
+		case 'string':
+			return 'text';
+		case 'boolean':
+			return 'toggle';
+		case 'integer':
+		case 'number':
+			return 'number';
+		case 'array':
+			return Array.isArray( attribute.items?.enum ) ? 'multiselect' : null;
+		default:
+			return null;
+	}
+};
+
+/**
+ * Gets the fields from block.json attributes.
+ *
+ * @param {Object}           attributes The block.json attributes.
+ * @param {Object}           controls   The available controls.
+ * @param {ImportConflict[]} conflicts  The conflicts, which this adds to.
+ * @return {Object} The fields, keyed by name.
+ */
+const getFieldsFromAttributes = ( attributes, controls, conflicts ) => {
+	const fields = {};
+
+	Object.keys( attributes ).forEach( ( name ) => {
+		if ( SUPPORTS_ATTRIBUTES.includes( name ) ) {
+			return;
+		}
+
+		const attribute = attributes[ name ] || {};
+		const controlName = getControlName( attribute );
+		const control = controlName ? controls[ controlName ] : null;
+
+		if ( ! control ) {
+			conflicts.push( {
+				name,
+				message: sprintf(
+					/* translators: %s: the attribute type, like 'object' */
+					__( 'No field can store the type %s, so this was not imported.', 'genesis-custom-blocks' ),
+					JSON.stringify( attribute.type ?? null )
+				),
+			} );
+			return;
+		}
+
+		if ( control.type !== attribute.type ) {
+			conflicts.push( {
+				name,
+				message: sprintf(
+					/* translators: %1$s: the attribute type, %2$s: the field type */
+					__( 'The type %1$s will be stored as %2$s.', 'genesis-custom-blocks' ),
+					attribute.type,
+					control.type
+				),
+			} );
+		}
+
+		if ( attribute.source ) {
+			conflicts.push( {
+				name,
+				message: sprintf(
+					/* translators: %s: the attribute source, like 'html' */
+					__( 'This was sourced from the markup (%s), but fields are stored in the block comment, so existing content will not have this value.', 'genesis-custom-blocks' ),
+					attribute.source
+				),
+			} );
+		}
+
+		const options = attribute.enum || attribute.items?.enum;
+		const field = {
+			...getSettingsDefaults( controlName, controls ),
+			name,
+			label: getLabel( name ),
+			control: controlName,
+			type: control.type,
+			location: DEFAULT_LOCATION,
+			order: Object.keys( fields ).length,
+		};
+
+		if ( options ) {
+			field.options = options.map( ( option ) => ( { value: String( option ), label: String( option ) } ) );
+		}
+
+		if ( undefined !== attribute.default && ( 'object' !== typeof attribute.default || Array.isArray( attribute.default ) ) ) {
+			field.default = attribute.default;
+		}
+
+		fields[ name ] = field;
+	} );
+
+	return fields;
+};
+
+/**
+ * Removes the fields whose controls aren't available, like those from a newer version.
+ *
+ * @param {Object}           fields    The fields from a Genesis Custom Blocks export.
+ * @param {Object}           controls  The available controls.
+ * @param {ImportConflict[]} conflicts The conflicts, which this adds to.
+ * @return {Object} The fields that have available controls.
+ */
+const getAvailableFields = ( fields, controls, conflicts ) => {
+	if ( ! fields || Array.isArray( fields ) ) {
+		return {};
+	}
+
+	return Object.keys( fields ).reduce( ( accumulator, name ) => {
+		const field = fields[ name ];
+		if ( ! controls[ field.control ] ) {
+			conflicts.push( {
+				name: field.parent ? `${ field.parent } › ${ name }` : name,
+				message: sprintf(
+					/* translators: %s: the control name, like 'post' */
+					__( 'The field type %s is not available, so this was not imported.', 'genesis-custom-blocks' ),
+					field.control
+				),
+			} );
+			return accumulator;
+		}
+
+		accumulator[ name ] = field.sub_fields
+			? { ...field, sub_fields: getAvailableFields( field.sub_fields, controls, conflicts ) }
+			: field;
+
+		return accumulator;
+	}, {} );
+};
+
+/**
+ * Gets the block values from a Genesis Custom Blocks export or a block.json file.
+ *
+ * @param {Object}   json       The parsed file.
+ * @param {Object}   controls   The available controls.
+ * @param {Object[]} categories The available block categories.
+ * @return {ImportedBlock|null} The block values to import, or null if the file isn't in a known format.
+ */
+const getImportedBlock = ( json, controls, categories = [] ) => {
+	if ( ! json || 'object' !== typeof json || Array.isArray( json ) ) {
+		return null;
+	}
+
+	const conflicts = [];
+	const gcbBlockNames = Object.keys( json ).filter(
+		( key ) => key.startsWith( `${ BLOCK_NAMESPACE }/` ) && json[ key ] && 'object' === typeof json[ key ]
+	);
+	const isBlockJson = 'string' === typeof json.name && json.name.includes( '/' );
+
+	if ( ! gcbBlockNames.length && ! isBlockJson ) {
+		return null;
+	}
+
+	if ( gcbBlockNames.length > 1 ) {
+		conflicts.push( {
+			name: gcbBlockNames.slice( 1 ).join( ', ' ),
+			message: __( 'The file has more than one block, so only the first block was imported.', 'genesis-custom-blocks' ),
+		} );
+	}
+
+	const source = gcbBlockNames.length ? json[ gcbBlockNames[ 0 ] ] : json;
+	const values = {
+		fields: gcbBlockNames.length
+			? getAvailableFields( source.fields, controls, conflicts )
+			: getFieldsFromAttributes( source.attributes || {}, controls, conflicts ),
+	};
+
+	if ( source.category ) {
+		const slug = 'object' === typeof source.category ? source.category.slug : source.category;
+		const category = categories.find( ( availableCategory ) => slug === availableCategory.slug );
+
+		values.category = category
+			? { icon: category.icon, slug: category.slug, title: category.title }
+			: { icon: null, slug, title: source.category?.title || slug };
+	}
+
+	if ( source.icon ) {
+		if ( 'string' === typeof source.icon && getIconComponent( source.icon ) ) {
+			values.icon = source.icon;
+		} else {
+			conflicts.push( {
+				name: 'icon',
+				message: __( 'This icon is not available, so the icon was not changed.', 'genesis-custom-blocks' ),
+			} );
+		}
+	}
+
+	if ( Array.isArray( source.keywords ) ) {
+		values.keywords = source.keywords.slice( 0, MAX_KEYWORDS );
+
+		if ( source.keywords.length > MAX_KEYWORDS ) {
+			conflicts.push( {
+				name: 'keywords',
+				message: sprintf(
+					/* translators: %d: the maximum number of keywords */
+					__( 'A block can only have %d keywords, so only the first ones were imported.', 'genesis-custom-blocks' ),
+					MAX_KEYWORDS
+				),
+			} );
+		}
+	}
+
+	return {
+		format: gcbBlockNames.length ? BLOCK_NAMESPACE : 'block.json',
+		values,
+		conflicts,
+	};
+};
+
+export default getImportedBlock;
@@ -0,0 +1,26 @@
+/**
+ * Internal dependencies
+ */
+import { getTemplateTokens } from '../../common/helpers';
+
+/**
+ * Gets the blocks that are still open at the end of template markup, like an {{#each}} without {{/each}}.
+ *
+ * This is for autocomplete, to know which loop and conditional the cursor is in.
+ *
+ * @param {string} markup The template markup, like the markup before the cursor.
+ * @return {import('../../common/helpers/getTemplateTokens').TemplateToken[]} The opening tags of the blocks, with the innermost last.
+ */
+const getOpenTemplateBlocks = ( markup ) => getTemplateTokens( markup ).reduce( ( openBlocks, token ) => {
+	if ( 'open' === token.type ) {
+		return [ ...openBlocks, token ];
+	}
+
+	if ( 'close' === token.type && openBlocks[ openBlocks.length - 1 ]?.block === token.block ) {
+		return openBlocks.slice( 0, -1 );
+	}
+
+	return openBlocks;
+}, [] );
+
+export default getOpenTemplateBlocks;
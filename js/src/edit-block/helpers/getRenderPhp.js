@@ -0,0 +1,489 @@
+/**
+ * Internal dependencies
+ */
+import { DATE_CONTROLS, POST_PROPERTIES, TEMPLATE_FIELD_FILTERS } from '../../common/constants';
+import { getCssScopeClass, getIconComponents, getIconSvg, parseTemplate, pascalCaseToSnakeCase } from '../../common/helpers';
+
+/**
+ * The controls that store a media ID, but output the media URL.
+ *
+ * @type {string[]}
+ */
+const MEDIA_CONTROLS = [ 'file', 'image' ];
+
+/**
+ * Gets a PHP single-quoted string.
+ *
+ * @param {string} value The value of the string.
+ * @return {string} The PHP string, like 'example'.
+ */
+const getPhpString = ( value ) => `'${ value.replace( /\\/g, '\\\\' ).replace( /'/g, "\\'" ) }'`;
+
+/**
+ * Gets text to put in a PHP comment, so it can't end the comment or the PHP.
+ *
+ * @param {string} text The text, like the block title.
+ * @return {string} The text, with spaces in its comment and PHP tags, and without line breaks.
+ */
+const getPhpCommentText = ( text ) => text
+	.replace( /\*\//g, '* /' )
+	.replace( /<\?/g, '< ?' )
+	.replace( /\?>/g, '? >' )
+	.replace( /[\r\n]+/g, ' ' );
+
+/**
+ * Gets a PHP array of template filters, like "[ [ 'truncate', '20' ], [ 'upper' ] ]".
+ *
+ * @param {import('../../common/helpers/getTemplateTokens').TemplateFilter[]} filters The filters.
+ * @return {string} The PHP array, with the name of each filter followed by its arguments.
+ */
+const getFiltersPhp = ( filters ) => `[ ${ filters.map(
+	( filter ) => `[ ${ [ filter.name, ...filter.args ].map( getPhpString ).join( ', ' ) } ]`
+).join( ', ' ) } ]`;
+
+/**
+ * Gets the PHP to output a property of posts, like their titles.
+ *
+ * @param {string} postIds  The PHP with the post IDs, like "$attributes[ 'example' ] ?? []".
+ * @param {string} property The property, like 'title'.
+ * @return {string} The PHP to output the property.
+ */
+const getPostPropertyPhp = ( postIds, property ) => {
+	const escape = 'permalink' === property ? 'esc_url' : 'wp_kses_post';
+	return `<?php echo ${ escape }( $gcb_post_property( ${ postIds }, ${ getPhpString( property ) } ) ); ?>`;
+};
+
+/**
+ * Gets the PHP to output the URL of a field, for the url filter, like {{example-image|url:large}}.
+ *
+ * @param {string} control The control of the field, like 'image'.
+ * @param {string} value   The PHP with the field value, like "$attributes[ 'example' ]".
+ * @param {string} size    The image size, like 'large'.
+ * @return {string} The PHP to output the URL, or '' if the field doesn't have one.
+ */
+const getUrlPhp = ( control, value, size ) => {
+	switch ( control ) {
+		case 'image':
+			return `<?php echo esc_url( (string) wp_get_attachment_image_url( (int) ( ${ value } ?? 0 ), ${ getPhpString( size ) } ) ); ?>`;
+		case 'file':
+			return `<?php echo esc_url( (string) wp_get_attachment_url( (int) ( ${ value } ?? 0 ) ) ); ?>`;
+		case 'gallery':
+			return `<?php echo esc_html( implode( ', ', array_filter( array_map( static function( $image_id ) { return wp_get_attachment_image_url( (int) $image_id, ${ getPhpString( size ) } ); }, (array) ( ${ value } ?? [] ) ) ) ) ); ?>`;
+		case 'link':
+			return `<?php echo esc_url( is_array( ${ value } ?? null ) ? (string) ( ${ value }['url'] ?? '' ) : (string) ( ${ value } ?? '' ) ); ?>`;
+		case 'post':
+			return getPostPropertyPhp( `${ value } ?? []`, 'permalink' );
+	}
+
+	return '';
+};
+
+/**
+ * Gets the PHP to output a field value, like block_field() does.
+ *
+ * @param {Object|undefined}                                                field    The field, if it exists.
+ * @param {string}                                                          variable The PHP variable with the field values, like '$attributes'.
+ * @param {string}                                                          name     The name of the field.
+ * @param {import('../../common/helpers/getTemplateTokens').TemplateFilter} [filter] A filter that needs the field, like url:large.
+ * @return {string} The PHP to output the value.
+ */
+const getValuePhp = ( field, variable, name, filter ) => {
+	const value = `${ variable }[ ${ getPhpString( name ) } ]`;
+
+	if ( 'className' === name ) {
+		return `<?php echo esc_attr( $attributes['className'] ?? '' ); ?>`;
+	}
+
+	if ( ! field ) {
+		return '';
+	}
+
+	const urlPhp = 'url' === filter?.name ? getUrlPhp( field.control, value, filter.args[ 0 ] || 'full' ) : '';
+	if ( urlPhp ) {
+		return urlPhp;
+	}
+
+	if ( 'inner_blocks' === field.control ) {
+		return '<?php echo $content; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>';
+	}
+
+	if ( 'post' === field.control ) {
+		return getPostPropertyPhp( `${ value } ?? []`, 'title' );
+	}
+
+	if ( 'taxonomy' === field.control ) {
+		return `<?php echo esc_html( implode( ', ', empty( ${ value } ) ? [] : wp_list_pluck( get_terms( [ 'include' => (array) ${ value }, 'orderby' => 'include', 'hide_empty' => false ] ), 'name' ) ) ); ?>`;
+	}
+
+	if ( 'user' === field.control ) {
+		return `<?php echo esc_html( implode( ', ', empty( ${ value } ) ? [] : wp_list_pluck( get_users( [ 'include' => (array) ${ value }, 'orderby' => 'include' ] ), 'display_name' ) ) ); ?>`;
+	}
+
+	if ( 'gallery' === field.control ) {
+		return `<?php echo esc_html( implode( ', ', array_filter( array_map( 'wp_get_attachment_url', array_map( 'intval', (array) ( ${ value } ?? [] ) ) ) ) ) ); ?>`;
+	}
+
+	if ( MEDIA_CONTROLS.includes( field.control ) ) {
+		return `<?php echo esc_url( (string) wp_get_attachment_url( (int) ( ${ value } ?? 0 ) ) ); ?>`;
+	}
+
+	if ( DATE_CONTROLS.includes( field.control ) ) {
+		return `<?php echo esc_html( $gcb_format_date( ${ value } ?? '', ${ getPhpString( field.display_format || '' ) } ) ); ?>`;
+	}
+
+	if ( 'link' === field.control ) {
+		return `<?php echo wp_kses_post( $gcb_link( ${ value } ?? null ) ); ?>`;
+	}
+
+	if ( 'color' === field.control ) {
+		return `<?php echo esc_attr( preg_replace( '/^var:preset\\|(color|gradient)\\|(.+)$/', 'var(--wp--preset--$1--$2)', (string) ( ${ value } ?? '' ) ) ); ?>`;
+	}
+
+	if ( 'code' === field.control ) {
+		const language = String( field.language || 'text' ).toLowerCase().replace( /[^a-z0-9_\-]/g, '' );
+		const lineNumbers = false === field.line_numbers ? '' : ' class="line-numbers"';
+		return `<?php if ( ! empty( ${ value } ) ) : ?><pre${ lineNumbers }><code class="language-${ language }"><?php echo esc_html( ${ value } ); ?></code></pre><?php endif; ?>`;
+	}
+
+	if ( 'icon' === field.control ) {
+		return `<?php echo $gcb_icon( ${ value } ?? '' ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>`;
+	}
+
+	if ( 'rich_text' === field.control ) {
+		return `<?php echo wp_kses_post( ${ value } ?? '' ); ?>`;
+	}
+
+	if ( 'url' === field.control ) {
+		return `<?php echo esc_url( ${ value } ?? '' ); ?>`;
+	}
+
+	if ( [ 'checkbox', 'toggle' ].includes( field.control ) ) {
+		// Like Field::cast_value_to_string(), so an unchecked or missing value outputs No.
+		return `<?php echo esc_html( $gcb_to_string( ! empty( ${ value } ) ) ); ?>`;
+	}
+
+	// Like Field::cast_value(), which formats the new lines if the field has that setting.
+	if ( 'textarea' === field.control && [ 'autop', 'autobr' ].includes( field.new_lines ) ) {
+		const newLinesFunction = 'autop' === field.new_lines ? 'wpautop' : 'nl2br';
+		return `<?php echo wp_kses_post( ${ newLinesFunction }( (string) ( ${ value } ?? '' ) ) ); ?>`;
+	}
+
+	// Like block_field(), which casts the value to its type and allows the markup of post content.
+	const castValue = 'integer' === field.type ? `(int) ( ${ value } ?? 0 )` : `${ value } ?? ''`;
+	return `<?php echo wp_kses_post( $gcb_to_string( ${ castValue } ) ); ?>`;
+};
+
+/**
+ * @typedef {Object|null} LoopContext The {{#each}} loop that template nodes are in, or null if they're not in one.
+ * @property {number}  depth       How many loops this loop is in.
+ * @property {string}  variable    The PHP variable of the post ID or the row, like $row, or $row_1 in another loop.
+ * @property {boolean} [isPost]    Whether it's a loop of the posts of a post field.
+ * @property {Object}  [subFields] The sub-fields of the repeater, if it's a loop of repeater rows.
+ */
+
+/**
+ * Gets a render.php file for the block, from its Template Editor markup.
+ *
+ * This is for registering the block from a block.json file, without Genesis Custom Blocks.
+ * The {{field}} tags, {{#if}} blocks and {{#each}} loops become PHP that outputs the attributes.
+ *
+ * @param {import('../hooks/useBlock').Block} block The block.
+ * @return {string} The contents of render.php.
+ */
+const getRenderPhp = ( block ) => {
+	const fields = block.fields && ! Array.isArray( block.fields ) ? block.fields : {};
+
+	/**
+	 * Gets whether the block has a field with one of the controls, including in a repeater.
+	 *
+	 * @param {string[]} controls The controls, like [ 'post' ].
+	 * @return {boolean} Whether a field has one of the controls.
+	 */
+	const hasControl = ( controls ) => Object.values( fields ).some(
+		( field ) => controls.includes( field.control ) ||
+			Object.values( field.sub_fields || {} ).some( ( subField ) => controls.includes( subField.control ) )
+	);
+
+	/**
+	 * Gets the PHP with the value of a field, like "$attributes[ 'example' ] ?? null", to decide whether {{#if}} renders.
+	 *
+	 * @param {string}      fieldName The name in the tag.
+	 * @param {LoopContext} loop      The loop the tag is in.
+	 * @return {string} The PHP with the value.
+	 */
+	const getRawValuePhp = ( fieldName, loop ) => {
+		if ( loop?.isPost && POST_PROPERTIES.includes( fieldName ) ) {
+			return `$gcb_post_property( [ ${ loop.variable } ], ${ getPhpString( fieldName ) } )`;
+		}
+
+		if ( loop?.subFields?.[ fieldName ] ) {
+			return `${ loop.variable }[ ${ getPhpString( fieldName ) } ] ?? null`;
+		}
+
+		const [ postFieldName, property ] = fieldName.split( '.' );
+		if ( property ) {
+			return 'post' === fields[ postFieldName ]?.control && POST_PROPERTIES.includes( property )
+				? `$gcb_post_property( $attributes[ ${ getPhpString( postFieldName ) } ] ?? [], ${ getPhpString( property ) } )`
+				: 'null';
+		}
+
+		return fields[ fieldName ] || 'className' === fieldName
+			? `$attributes[ ${ getPhpString( fieldName ) } ] ?? null`
+			: 'null';
+	};
+
+	/**
+	 * Gets the PHP to output a field, a post property like 'example-post.title', or a property in a post loop.
+	 *
+	 * @param {string}                                                          fieldName The name in the tag.
+	 * @param {LoopContext}                                                     loop      The loop the tag is in.
+	 * @param {import('../../common/helpers/getTemplateTokens').TemplateFilter} [filter]  A filter that needs the field, like url:large.
+	 * @return {string} The PHP to output the value.
+	 */
+	const getFieldPhp = ( fieldName, loop, filter ) => {
+		if ( loop?.isPost && POST_PROPERTIES.includes( fieldName ) ) {
+			return getPostPropertyPhp( `[ ${ loop.variable } ]`, fieldName );
+		}
+
+		if ( loop?.subFields?.[ fieldName ] ) {
+			return getValuePhp( loop.subFields[ fieldName ], loop.variable, fieldName, filter );
+		}
+
+		const [ postFieldName, property ] = fieldName.split( '.' );
+		if ( ! property ) {
+			return getValuePhp( fields[ fieldName ], '$attributes', fieldName, filter );
+		}
+
+		return 'post' === fields[ postFieldName ]?.control && POST_PROPERTIES.includes( property )
+			? getPostPropertyPhp( `$attributes[ ${ getPhpString( postFieldName ) } ] ?? []`, property )
+			: '';
+	};
+
+	/**
+	 * Gets the PHP for template nodes, like a {{#each}} loop becoming a foreach.
+	 *
+	 * @param {import('../../common/helpers/parseTemplate').TemplateNode[]} nodes The nodes.
+	 * @param {LoopContext}                                                 loop  The loop the nodes are in.
+	 * @return {string} The PHP for the nodes.
+	 */
+	const getNodesPhp = ( nodes, loop ) => nodes.map( ( node ) => {
+		if ( 'field' === node.type ) {
+			const [ firstFilter, ...otherFilters ] = node.filters;
+			const isFieldFilter = TEMPLATE_FIELD_FILTERS.includes( firstFilter?.name );
+			const filters = isFieldFilter ? otherFilters : node.filters;
+			const valuePhp = getFieldPhp( node.name, loop, isFieldFilter ? firstFilter : undefined );
+
+			return filters.length
+				? `<?php ob_start(); ?>${ valuePhp }<?php echo esc_html( $gcb_filter( ob_get_clean(), ${ getFiltersPhp( filters ) } ) ); ?>`
+				: valuePhp;
+		}
+
+		if ( 'if' === node.type ) {
+			const elsePhp = node.alternate.length ? `<?php else : ?>${ getNodesPhp( node.alternate, loop ) }` : '';
+			return `<?php if ( ! $gcb_is_empty( ${ getRawValuePhp( node.name, loop ) } ) ) : ?>${ getNodesPhp( node.children, loop ) }${ elsePhp }<?php endif; ?>`;
+		}
+
+		if ( 'each' === node.type ) {
+			const field = fields[ node.name ];
+			const fieldValue = `$attributes[ ${ getPhpString( node.name ) } ]`;
+			const depth = loop ? loop.depth + 1 : 0;
+
+			// A loop in another loop has its own variable, so the outer loop's variable is the same after it.
+			const suffix = depth ? `_${ depth }` : '';
+			let rows = '';
+			let loopPhp = '';
+
+			if ( 'post' === field?.control ) {
+				const variable = `$gcb_post_id${ suffix }`;
+				rows = `${ fieldValue } ?? []`;
+				loopPhp = `<?php foreach ( (array) ( ${ rows } ) as ${ variable } ) : ?>${ getNodesPhp( node.children, { depth, variable, isPost: true } ) }<?php endforeach; ?>`;
+			}
+
+			if ( 'repeater' === field?.control ) {
+				const variable = `$row${ suffix }`;
+				rows = `${ fieldValue }['rows'] ?? []`;
+				loopPhp = `<?php foreach ( ${ rows } as ${ variable } ) : ?>${ getNodesPhp( node.children, { depth, variable, subFields: field.sub_fields || {} } ) }<?php endforeach; ?>`;
+			}
+
+			if ( ! node.alternate.length ) {
+				return loopPhp;
+			}
+
+			const alternatePhp = getNodesPhp( node.alternate, loop );
+			return rows
+				? `<?php if ( ! empty( ${ rows } ) ) : ?>${ loopPhp }<?php else : ?>${ alternatePhp }<?php endif; ?>`
+				: alternatePhp;
+		}
+
+		// The markup is output as-is, so PHP tags in it shouldn't run.
+		return node.value.replace( /<\?/g, "<?php echo '<?'; ?>" );
+	} ).join( '' );
+
+	const nodes = parseTemplate( block.templateMarkup || '' );
+	const markup = getNodesPhp( nodes, null );
+
+	/**
+	 * Gets whether a template node, or a node inside it, matches.
+	 *
+	 * @param {import('../../common/helpers/parseTemplate').TemplateNode[]}                  nodesToSearch The nodes to search.
+	 * @param {(node: import('../../common/helpers/parseTemplate').TemplateNode) => boolean} predicate     Whether a node matches.
+	 * @return {boolean} Whether a node matches.
+	 */
+	const hasNode = ( nodesToSearch, predicate ) => nodesToSearch.some(
+		( node ) => predicate( node ) || hasNode( node.children || [], predicate ) || hasNode( node.alternate || [], predicate )
+	);
+
+	// Only published posts are output, so a block can't expose a draft or private post.
+	const postPropertyPhp = hasControl( [ 'post' ] )
+		? `
+$gcb_post_property = static function( $post_ids, $property ) {
+	$values = [];
+	foreach ( (array) $post_ids as $post_id ) {
+		$post = get_post( (int) $post_id );
+		if ( ! $post || 'publish' !== get_post_status( $post ) ) {
+			continue;
+		}
+
+		if ( 'permalink' === $property ) {
+			$values[] = get_permalink( $post );
+		} elseif ( 'excerpt' === $property ) {
+			$values[] = get_the_excerpt( $post );
+		} else {
+			$values[] = get_the_title( $post );
+		}
+	}
+
+	return implode( ', ', array_filter( $values ) );
+};
+`
+		: '';
+
+	// Dates are stored in the site's timezone, unless they're timestamps.
+	const formatDatePhp = hasControl( DATE_CONTROLS )
+		? `
+$gcb_format_date = static function( $value, $format ) {
+	if ( ! $format ) {
+		return (string) $value;
+	}
+
+	if ( is_numeric( $value ) ) {
+		return wp_date( $format, (int) $value );
+	}
+
+	$date = is_string( $value ) && '' !== $value ? date_create_immutable( $value, wp_timezone() ) : false;
+	return $date ? wp_date( $format, $date->getTimestamp() ) : '';
+};
+`
+		: '';
+
+	// Before a URL field became a link field, its value was only the URL.
+	const linkPhp = hasControl( [ 'link' ] )
+		? `
+$gcb_link = static function( $link ) {
+	$link = is_string( $link ) ? [ 'url' => $link ] : (array) $link;
+	if ( empty( $link['url'] ) ) {
+		return '';
+	}
+
+	return sprintf(
+		'<a href="%1$s"%2$s>%3$s</a>',
+		esc_url( $link['url'] ),
+		empty( $link['opensInNewTab'] ) ? '' : ' target="_blank" rel="noreferrer noopener"',
+		esc_html( empty( $link['title'] ) ? $link['url'] : $link['title'] )
+	);
+};
+`
+		: '';
+
+	// Like TemplateEditor::apply_filter(), which renders the filters with Genesis Custom Blocks.
+	const filterPhp = hasNode( nodes, ( node ) => 'field' === node.type && node.filters.some(
+		( filter, index ) => index > 0 || ! TEMPLATE_FIELD_FILTERS.includes( filter.name )
+	) )
+		? `
+$gcb_filter = static function( $value, $filters ) {
+	// The filters apply to the text, so they can't change the markup or break an entity.
+	$value = html_entity_decode( wp_strip_all_tags( $value ), ENT_QUOTES, 'UTF-8' );
+	foreach ( $filters as $filter ) {
+		$name = array_shift( $filter );
+		if ( 'upper' === $name ) {
+			$value = mb_strtoupper( $value );
+		} elseif ( 'lower' === $name ) {
+			$value = mb_strtolower( $value );
+		} elseif ( 'capitalize' === $name ) {
+			$value = mb_strtoupper( mb_substr( $value, 0, 1 ) ) . mb_substr( $value, 1 );
+		} elseif ( 'trim' === $name ) {
+			$value = trim( $value );
+		} elseif ( 'truncate' === $name && isset( $filter[0] ) && ctype_digit( $filter[0] ) && mb_strlen( $value ) > (int) $filter[0] ) {
+			$value = rtrim( mb_substr( $value, 0, (int) $filter[0] ) ) . '…';
+		} elseif ( 'default' === $name && '' === trim( $value ) ) {
+			$value = implode( ':', $filter );
+		}
+	}
+
+	return $value;
+};
+`
+		: '';
+
+	// Like TemplateEditor::is_empty_value(), so an unchecked toggle or a repeater without rows doesn't render {{#if}}.
+	const isEmptyPhp = hasNode( nodes, ( node ) => 'if' === node.type )
+		? `
+$gcb_is_empty = static function( $value ) {
+	if ( is_array( $value ) ) {
+		return isset( $value['rows'] ) && is_array( $value['rows'] ) ? ! $value['rows'] : ! $value;
+	}
+
+	return null === $value || false === $value || '' === $value;
+};
+`
+		: '';
+
+	// The icons are only in JavaScript, so this has the <svg> of each one.
+	const iconPhp = hasControl( [ 'icon' ] )
+		? `
+$gcb_icons = json_decode( ${ getPhpString( JSON.stringify(
+		Object.keys( getIconComponents() ).reduce( ( accumulator, iconName ) => {
+			const snakeCaseIconName = pascalCaseToSnakeCase( iconName );
+			accumulator[ snakeCaseIconName ] = getIconSvg( snakeCaseIconName );
+			return accumulator;
+		}, {} )
+	) ) }, true );
+$gcb_icon = static function( $icon_name ) use ( $gcb_icons ) {
+	return is_string( $icon_name ) && isset( $gcb_icons[ $icon_name ] ) ? $gcb_icons[ $icon_name ] : '';
+};
+`
+		: '';
+
+	// Scoped CSS applies to this class, like the wrapper that Genesis Custom Blocks renders.
+	const wrapperAttributesPhp = block.scopeCss
+		? `get_block_wrapper_attributes( [ 'class' => ${ getPhpString( getCssScopeClass( block.name ) ) } ] )`
+		: 'get_block_wrapper_attributes()';
+
+	return `<?php
+/**
+ * Renders the ${ getPhpCommentText( block.title || block.name ) } block, exported from Genesis Custom Blocks.
+ *
+ * @var array    $attributes The block attributes.
+ * @var string   $content    The inner blocks, if any.
+ * @var WP_Block $block      The block instance.
+ */
+
+$gcb_to_string = static function( $value ) {
+	if ( is_array( $value ) ) {
+		return implode( ', ', $value );
+	}
+
+	if ( is_bool( $value ) ) {
+		return $value ? __( 'Yes' ) : __( 'No' );
+	}
+
+	return (string) $value;
+};
+${ postPropertyPhp }${ formatDatePhp }${ linkPhp }${ iconPhp }${ filterPhp }${ isEmptyPhp }?>
+<div <?php echo ${ wrapperAttributesPhp }; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>>
+${ markup }
+</div>
+`;
+};
+
+export default getRenderPhp;
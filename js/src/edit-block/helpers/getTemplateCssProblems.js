@@ -0,0 +1,154 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getTextPosition } from './';
+
+/**
+ * Matches a declaration, like color: red or --example-color: red.
+ *
+ * @type {RegExp}
+ */
+const DECLARATION_REGEX = /^(--[\w-]*|[-_*]?[a-zA-Z][\w-]*)\s*:[\s\S]*\S/;
+
+/**
+ * Gets the syntax errors in the template CSS, like a rule that isn't closed.
+ *
+ * This isn't a full CSS parser. It finds the errors that stop the rest of the CSS from applying.
+ *
+ * @param {string} css The template CSS.
+ * @return {import('./getTemplateMarkupProblems').TemplateProblem[]} The problems, in order.
+ */
+const getTemplateCssProblems = ( css ) => {
+	/** @type {import('./getTemplateMarkupProblems').TemplateProblem[]} */
+	const problems = [];
+	const text = css || '';
+
+	/**
+	 * Adds an error.
+	 *
+	 * @param {number} index   The position of the error in the CSS.
+	 * @param {string} message The description of the error.
+	 */
+	const addError = ( index, message ) => {
+		problems.push( { ...getTextPosition( text, index ), type: 'error', text: message } );
+	};
+
+	/** @type {number[]} Where the blocks that are open start, like a rule or an @media. */
+	const openBlocks = [];
+
+	// The text since the last {, } or ;, and where it starts.
+	let statement = '';
+	let statementIndex = 0;
+	let parenthesesDepth = 0;
+
+	/**
+	 * Adds an error if the statement should be a declaration, but isn't one.
+	 */
+	const checkDeclaration = () => {
+		const declaration = statement.trim();
+		if ( ! declaration || declaration.startsWith( '@' ) ) {
+			return;
+		}
+
+		if ( ! openBlocks.length ) {
+			addError( statementIndex, __( 'This declaration needs to be in a rule, like .example { color: red; }', 'genesis-custom-blocks' ) );
+		} else if ( ! DECLARATION_REGEX.test( declaration ) ) {
+			addError( statementIndex, __( 'This declaration needs a property and a value, like color: red;', 'genesis-custom-blocks' ) );
+		}
+	};
+
+	/**
+	 * Starts a new statement after the current position.
+	 *
+	 * @param {number} index The position of the character that ended the last statement.
+	 */
+	const startStatement = ( index ) => {
+		statement = '';
+		statementIndex = index + 1;
+		parenthesesDepth = 0;
+	};
+
+	for ( let index = 0; index < text.length; index++ ) {
+		const character = text[ index ];
+
+		if ( '/' === character && '*' === text[ index + 1 ] ) {
+			const commentEnd = text.indexOf( '*/', index + 2 );
+			if ( -1 === commentEnd ) {
+				addError( index, __( 'This comment is never closed with */', 'genesis-custom-blocks' ) );
+				return problems;
+			}
+
+			index = commentEnd + 1;
+			continue;
+		}
+
+		if ( ! statement.trim() ) {
+			statementIndex = index;
+		}
+
+		if ( '"' === character || "'" === character ) {
+			let stringEnd = index + 1;
+			while ( stringEnd < text.length && character !== text[ stringEnd ] && '\n' !== text[ stringEnd ] ) {
+				stringEnd += '\\' === text[ stringEnd ] ? 2 : 1;
+			}
+
+			if ( character !== text[ stringEnd ] ) {
+				addError( index, __( 'This string is never closed', 'genesis-custom-blocks' ) );
+				return problems;
+			}
+
+			statement += text.slice( index, stringEnd + 1 );
+			index = stringEnd;
+			continue;
+		}
+
+		if ( '(' === character ) {
+			parenthesesDepth++;
+		} else if ( ')' === character ) {
+			parenthesesDepth = Math.max( parenthesesDepth - 1, 0 );
+		} else if ( ';' === character && ! parenthesesDepth ) {
+			checkDeclaration();
+			startStatement( index );
+			continue;
+		} else if ( '{' === character ) {
+			if ( ! statement.trim() ) {
+				addError( index, __( 'This rule needs a selector before the {', 'genesis-custom-blocks' ) );
+			}
+
+			openBlocks.push( index );
+			startStatement( index );
+			continue;
+		} else if ( '}' === character ) {
+			checkDeclaration();
+			if ( undefined === openBlocks.pop() ) {
+				addError( index, __( 'This } has no opening {', 'genesis-custom-blocks' ) );
+			}
+
+			startStatement( index );
+			continue;
+		}
+
+		statement += character;
+	}
+
+	if ( statement.trim() ) {
+		if ( openBlocks.length ) {
+			checkDeclaration();
+		} else if ( ! statement.trim().startsWith( '@' ) ) {
+			addError( statementIndex, __( 'This selector needs a rule after it, like { color: red; }', 'genesis-custom-blocks' ) );
+		}
+	}
+
+	openBlocks.forEach( ( openBlockIndex ) => {
+		addError( openBlockIndex, __( 'This { is never closed with a }', 'genesis-custom-blocks' ) );
+	} );
+
+	return problems.sort( ( first, second ) => first.row - second.row || first.column - second.column );
+};
+
+export default getTemplateCssProblems;
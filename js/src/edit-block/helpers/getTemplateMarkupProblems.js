@@ -0,0 +1,274 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getTextPosition } from './';
+import { POST_PROPERTIES, TEMPLATE_FILTERS, TEMPLATE_TAG_REGEX } from '../../common/constants';
+import { getTemplateTokens } from '../../common/helpers';
+
+/**
+ * @typedef {Object} TemplateProblem A problem in the template, in the format of an Ace annotation.
+ * @property {number}            row    The line of the problem, starting at 0.
+ * @property {number}            column The column of the problem, starting at 0.
+ * @property {'error'|'warning'} type   Whether the template can't render as intended, or might not.
+ * @property {string}            text   The description of the problem.
+ */
+
+/**
+ * The HTML elements that have no closing tag.
+ *
+ * @type {string[]}
+ */
+const VOID_ELEMENTS = [ 'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr' ];
+
+/**
+ * The attributes that wp_kses() removes disallowed protocols from, like wp_kses_uri_attributes().
+ *
+ * @type {string[]}
+ */
+const URI_ATTRIBUTES = [
+	'action',
+	'archive',
+	'background',
+	'cite',
+	'classid',
+	'codebase',
+	'data',
+	'formaction',
+	'href',
+	'icon',
+	'longdesc',
+	'manifest',
+	'poster',
+	'profile',
+	'src',
+	'usemap',
+	'xmlns',
+];
+
+/**
+ * Matches an HTML tag. The groups are for a closing slash, the tag name, and the attributes.
+ *
+ * @type {RegExp}
+ */
+const HTML_TAG_REGEX = /<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+/**
+ * Matches an attribute of an HTML tag. The groups are for the name, and the value in double, single, or no quotes.
+ *
+ * @type {RegExp}
+ */
+const HTML_ATTRIBUTE_REGEX = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Gets the problems in the template markup, like a field that doesn't exist or a tag that isn't closed.
+ *
+ * The markup is output with wp_kses() and the allowed tags, so this also finds what that would remove.
+ *
+ * @param {string}                                 markup             The template markup.
+ * @param {import('../components/editor').Field[]} fields             The block fields.
+ * @param {Object.<string, Object>|null}           [allowedTags]      The allowed tags and their attributes, like wp_kses() uses.
+ * @param {string[]}                               [allowedProtocols] The allowed URL protocols, like wp_allowed_protocols().
+ * @return {TemplateProblem[]} The problems, in order.
+ */
+const getTemplateMarkupProblems = ( markup, fields, allowedTags = null, allowedProtocols = [] ) => {
+	/** @type {TemplateProblem[]} */
+	const problems = [];
+
+	/**
+	 * Adds a problem.
+	 *
+	 * @param {number}            index The position of the problem in the markup.
+	 * @param {'error'|'warning'} type  The type of problem.
+	 * @param {string}            text  The description of the problem.
+	 */
+	const addProblem = ( index, type, text ) => {
+		problems.push( { ...getTextPosition( markup, index ), type, text } );
+	};
+
+	/**
+	 * Gets a field by its name.
+	 *
+	 * @param {string} name The name of the field.
+	 * @return {import('../components/editor').Field|undefined} The field, if it exists.
+	 */
+	const getField = ( name ) => fields.find( ( field ) => name === field.name );
+
+	/** @type {Array<{token: import('../../common/helpers/getTemplateTokens').TemplateToken, hasElse: boolean}>} */
+	const openBlocks = [];
+
+	/**
+	 * Gets whether a name in a tag can render, like the name of a field or a sub-field in a repeater loop.
+	 *
+	 * Like renderTemplateMarkup(), a tag in a loop can be a field of the loop, or a top-level field.
+	 *
+	 * @param {string} name The name in the tag.
+	 * @return {boolean} Whether the name can render.
+	 */
+	const isKnownName = ( name ) => {
+		if ( 'className' === name ) {
+			return true;
+		}
+
+		const [ postFieldName, property ] = name.split( '.' );
+		if ( undefined !== property ) {
+			return 'post' === getField( postFieldName )?.control && POST_PROPERTIES.includes( property );
+		}
+
+		const loop = [ ...openBlocks ].reverse().find( ( openBlock ) => 'each' === openBlock.token.block );
+		const loopField = loop ? getField( loop.token.name ) : undefined;
+		if ( 'post' === loopField?.control && POST_PROPERTIES.includes( name ) ) {
+			return true;
+		}
+
+		if ( 'repeater' === loopField?.control && loopField.sub_fields?.hasOwnProperty( name ) ) {
+			return true;
+		}
+
+		return Boolean( getField( name ) );
+	};
+
+	getTemplateTokens( markup ).forEach( ( token ) => {
+		const innermostBlock = openBlocks[ openBlocks.length - 1 ];
+
+		if ( 'field' === token.type ) {
+			if ( ! isKnownName( token.name ) ) {
+				/* translators: %1$s: the tag, like {{example}} */
+				addProblem( token.index, 'warning', sprintf( __( '%1$s is not a field of this block, so it renders nothing', 'genesis-custom-blocks' ), token.raw ) );
+			}
+
+			token.filters.forEach( ( filter ) => {
+				if ( ! TEMPLATE_FILTERS.some( ( { name } ) => name === filter.name ) ) {
+					/* translators: %1$s: the filter name, %2$s: the tag, like {{example|upper}} */
+					addProblem( token.index, 'warning', sprintf( __( 'There is no %1$s filter in %2$s', 'genesis-custom-blocks' ), filter.name, token.raw ) );
+				}
+			} );
+		}
+
+		if ( 'open' === token.type ) {
+			if ( 'each' === token.block && ! [ 'post', 'repeater' ].includes( getField( token.name )?.control ) ) {
+				/* translators: %1$s: the tag, like {{#each example}} */
+				addProblem( token.index, 'warning', sprintf( __( '%1$s needs a repeater or post field, so it renders nothing', 'genesis-custom-blocks' ), token.raw ) );
+			}
+
+			if ( 'if' === token.block && ! isKnownName( token.name ) ) {
+				/* translators: %1$s: the tag, like {{#if example}} */
+				addProblem( token.index, 'warning', sprintf( __( '%1$s is not a field of this block, so it is always empty', 'genesis-custom-blocks' ), token.raw ) );
+			}
+
+			openBlocks.push( { token, hasElse: false } );
+		}
+
+		if ( 'else' === token.type ) {
+			if ( ! innermostBlock ) {
+				addProblem( token.index, 'error', __( '{{else}} needs to be in an {{#if}} or {{#each}}', 'genesis-custom-blocks' ) );
+			} else if ( innermostBlock.hasElse ) {
+				/* translators: %1$s: the tag, like {{#if example}} */
+				addProblem( token.index, 'error', sprintf( __( '%1$s already has an {{else}}', 'genesis-custom-blocks' ), innermostBlock.token.raw ) );
+			} else {
+				innermostBlock.hasElse = true;
+			}
+		}
+
+		if ( 'close' === token.type ) {
+			if ( innermostBlock?.token.block === token.block ) {
+				openBlocks.pop();
+			} else if ( innermostBlock ) {
+				/* translators: %1$s: the closing tag, like {{/if}}, %2$s: the opening tag, like {{#each example}} */
+				addProblem( token.index, 'error', sprintf( __( '%1$s does not close %2$s', 'genesis-custom-blocks' ), token.raw, innermostBlock.token.raw ) );
+			} else {
+				/* translators: %1$s: the closing tag, like {{/if}} */
+				addProblem( token.index, 'error', sprintf( __( '%1$s has no opening tag', 'genesis-custom-blocks' ), token.raw ) );
+			}
+		}
+	} );
+
+	openBlocks.forEach( ( { token } ) => {
+		/* translators: %1$s: the opening tag, like {{#if example}}, %2$s: the closing tag, like {{/if}} */
+		addProblem( token.index, 'error', sprintf( __( '%1$s needs a closing %2$s', 'genesis-custom-blocks' ), token.raw, `{{/${ token.block }}}` ) );
+	} );
+
+	// The template tags and HTML comments become spaces, so their positions stay the same.
+	const html = ( markup || '' )
+		.replace( TEMPLATE_TAG_REGEX, ( match ) => ' '.repeat( match.length ) )
+		.replace( /<!--[\s\S]*?-->/g, ( match ) => match.replace( /[^\n]/g, ' ' ) );
+
+	/** @type {Array<{name: string, index: number}>} */
+	const openElements = [];
+
+	for ( const match of html.matchAll( HTML_TAG_REGEX ) ) {
+		const [ , closingSlash, tagName, attributes ] = match;
+		const name = tagName.toLowerCase();
+
+		if ( closingSlash ) {
+			const openIndex = openElements.map( ( element ) => element.name ).lastIndexOf( name );
+			if ( -1 === openIndex ) {
+				if ( ! VOID_ELEMENTS.includes( name ) ) {
+					/* translators: %1$s: the closing tag, like </div> */
+					addProblem( match.index, 'warning', sprintf( __( '%1$s has no opening tag', 'genesis-custom-blocks' ), `</${ name }>` ) );
+				}
+				continue;
+			}
+
+			openElements.splice( openIndex + 1 ).forEach( ( element ) => {
+				/* translators: %1$s: the opening tag, like <div> */
+				addProblem( element.index, 'warning', sprintf( __( '%1$s is never closed', 'genesis-custom-blocks' ), `<${ element.name }>` ) );
+			} );
+			openElements.pop();
+			continue;
+		}
+
+		if ( ! VOID_ELEMENTS.includes( name ) && ! attributes.trim().endsWith( '/' ) ) {
+			openElements.push( { name, index: match.index } );
+		}
+
+		if ( ! allowedTags ) {
+			continue;
+		}
+
+		if ( ! allowedTags.hasOwnProperty( name ) ) {
+			/* translators: %1$s: the tag, like <script> */
+			addProblem( match.index, 'warning', sprintf( __( '%1$s is not allowed, so it will be removed', 'genesis-custom-blocks' ), `<${ name }>` ) );
+			continue;
+		}
+
+		const attributesIndex = match.index + 1 + tagName.length;
+		for ( const attributeMatch of attributes.matchAll( HTML_ATTRIBUTE_REGEX ) ) {
+			const [ , attributeName, doubleQuoted, singleQuoted, unquoted ] = attributeMatch;
+			const attribute = attributeName.toLowerCase();
+			const value = doubleQuoted ?? singleQuoted ?? unquoted ?? '';
+			const index = attributesIndex + attributeMatch.index;
+
+			if ( '/' === attribute ) {
+				continue;
+			}
+
+			const isAllowed = Boolean( allowedTags[ name ]?.[ attribute ] ) ||
+				( attribute.startsWith( 'data-' ) && Boolean( allowedTags[ name ]?.[ 'data-*' ] ) );
+			if ( ! isAllowed ) {
+				/* translators: %1$s: the attribute, like onclick, %2$s: the tag, like <a> */
+				addProblem( index, 'warning', sprintf( __( 'The %1$s attribute of %2$s is not allowed, so it will be removed', 'genesis-custom-blocks' ), attribute, `<${ name }>` ) );
+				continue;
+			}
+
+			const protocol = URI_ATTRIBUTES.includes( attribute ) ? value.match( /^\s*([a-z][a-z0-9+.-]*):/i )?.[ 1 ] : null;
+			if ( protocol && ! allowedProtocols.includes( protocol.toLowerCase() ) ) {
+				/* translators: %1$s: the URL protocol, like javascript:, %2$s: the attribute, like href */
+				addProblem( index, 'warning', sprintf( __( 'The %1$s protocol is not allowed in %2$s, so it will be removed', 'genesis-custom-blocks' ), `${ protocol }:`, attribute ) );
+			}
+		}
+	}
+
+	openElements.forEach( ( element ) => {
+		/* translators: %1$s: the opening tag, like <div> */
+		addProblem( element.index, 'warning', sprintf( __( '%1$s is never closed', 'genesis-custom-blocks' ), `<${ element.name }>` ) );
+	} );
+
+	return problems.sort( ( first, second ) => first.row - second.row || first.column - second.column );
+};
+
+export default getTemplateMarkupProblems;
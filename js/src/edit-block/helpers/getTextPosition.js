@@ -0,0 +1,19 @@
+/**
+ * @typedef {Object} TextPosition A position in text, like Ace uses for annotations.
+ * @property {number} row    The line, starting at 0.
+ * @property {number} column The column in the line, starting at 0.
+ */
+
+/**
+ * Gets the line and column of a position in text.
+ *
+ * @param {string} text  The text.
+ * @param {number} index The position in the text.
+ * @return {TextPosition} The line and column.
+ */
+const getTextPosition = ( text, index ) => {
+	const lines = text.slice( 0, index ).split( '\n' );
+	return { row: lines.length - 1, column: lines[ lines.length - 1 ].length };
+};
+
+export default getTextPosition;
@@ -0,0 +1,82 @@
+/**
+ * Internal dependencies
+ */
+import { getFieldsSchema } from './';
+
+/**
+ * Gets whether two field schemas are the same.
+ *
+ * @param {Object} schema      A field schema.
+ * @param {Object} otherSchema Another field schema.
+ * @return {boolean} Whether they're the same.
+ */
+const isSameSchema = ( schema, otherSchema ) => {
+	const fieldNames = Object.keys( schema );
+
+	return fieldNames.length === Object.keys( otherSchema ).length &&
+		fieldNames.every( ( fieldName ) =>
+			otherSchema.hasOwnProperty( fieldName ) &&
+			schema[ fieldName ].type === otherSchema[ fieldName ].type &&
+			schema[ fieldName ].control === otherSchema[ fieldName ].control
+		);
+};
+
+/**
+ * @typedef {Object} FieldRename A field that was renamed.
+ * @property {string} from The previous field name.
+ * @property {string} to   The new field name.
+ */
+
+/**
+ * Gets the block versions, after a change that could make saved attributes stale.
+ *
+ * The last version is the block's fields as they were last saved.
+ * Every change before the next save is recorded in that version,
+ * so saving the block once creates at most one version.
+ *
+ * @param {import('../hooks/useBlock').Block} block        The block that's being edited.
+ * @param {Object}                            [savedBlock] The block as it was last saved, if it was.
+ * @param {FieldRename}                       [rename]     The field rename to record, if any.
+ * @return {import('../hooks/useBlock').BlockVersion[]} The block versions.
+ */
+const getVersions = ( block, savedBlock, rename ) => {
+	const versions = [ ...( block.versions || [] ) ];
+	const savedSchema = getFieldsSchema( savedBlock?.fields );
+
+	// If the block fields were never saved, no content can have the previous attributes.
+	if ( ! Object.keys( savedSchema ).length ) {
+		return versions;
+	}
+
+	const lastVersion = versions[ versions.length - 1 ];
+	const isLastVersionUnsaved = lastVersion && isSameSchema( lastVersion.fields, savedSchema );
+	const currentVersion = isLastVersionUnsaved
+		? { ...lastVersion, renamed: { ...lastVersion.renamed } }
+		: { fields: savedSchema, renamed: {} };
+
+	if ( rename ) {
+		const savedName = Object.keys( currentVersion.renamed ).find(
+			( fieldName ) => rename.from === currentVersion.renamed[ fieldName ]
+		);
+
+		if ( savedName ) {
+			// The field was already renamed since the last save, so this changes that rename.
+			currentVersion.renamed[ savedName ] = rename.to;
+		} else if ( savedSchema.hasOwnProperty( rename.from ) && ! currentVersion.renamed.hasOwnProperty( rename.from ) ) {
+			currentVersion.renamed[ rename.from ] = rename.to;
+		}
+
+		// If a field was renamed back to its saved name, there's nothing to migrate.
+		Object.keys( currentVersion.renamed ).forEach( ( fieldName ) => {
+			if ( fieldName === currentVersion.renamed[ fieldName ] ) {
+				delete currentVersion.renamed[ fieldName ];
+			}
+		} );
+	}
+
+	return isLastVersionUnsaved
+		? [ ...versions.slice( 0, -1 ), currentVersion ]
+		: [ ...versions, currentVersion ];
+};
+
+export default getVersions;
@@ -1,16 +1,35 @@
+export { default as changeFieldsSettings } from './changeFieldsSettings';
+export { default as compileScss } from './compileScss';
 export { default as convertSettingsStringToArray } from './convertSettingsStringToArray';
 export { default as convertSettingsArrayToString } from './convertSettingsArrayToString';
 export { default as convertToSlug } from './convertToSlug';
+export { default as getDraggedField } from './getDraggedField';
+export { default as getExportFiles } from './getExportFiles';
 export { default as getFieldIcon } from './getFieldIcon';
 export { default as getBlock } from './getBlock';
+export { default as getBlockJson } from './getBlockJson';
 export { default as getBlockNameWithNameSpace } from './getBlockNameWithNameSpace';
 export { default as getDefaultBlock } from './getDefaultBlock';
+export { default as getEditorScript } from './getEditorScript';
+export { default as getFieldsSchema } from './getFieldsSchema';
+export { default as getImportedBlock } from './getImportedBlock';
 export { default as getNewFieldNumber } from './getNewFieldNumber';
+export { default as getOpenTemplateBlocks } from './getOpenTemplateBlocks';
 export { default as getOtherLocation } from './getOtherLocation';
+export { default as getRenderPhp } from './getRenderPhp';
 export { default as getSettingsComponent } from './getSettingsComponent';
 export { default as getSettingsDefaults } from './getSettingsDefaults';
+export { default as getTemplateCssProblems } from './getTemplateCssProblems';
+export { default as getTemplateMarkupProblems } from './getTemplateMarkupProblems';
 export { default as getTemplateParts } from './getTemplateParts';
+export { default as getTextPosition } from './getTextPosition';
+export { default as getVersions } from './getVersions';
 export { default as getWidthClass } from './getWidthClass';
 export { default as hasRepeaterField } from './hasRepeaterField';
 export { default as initializeEditor } from './initializeEditor';
+export { default as moveBlockField } from './moveBlockField';
+export { default as moveField } from './moveField';
 export { default as setCorrectOrderForFields } from './setCorrectOrderForFields';
+export { default as toggleSelectedField } from './toggleSelectedField';
+export { default as updateConditions } from './updateConditions';
+export { default as updateGroups } from './updateGroups';
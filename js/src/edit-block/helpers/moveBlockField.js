@@ -0,0 +1,84 @@
+/**
+ * Internal dependencies
+ */
+import { getVersions, moveField } from './';
+
+/**
+ * @typedef {Object} BlockWithMovedField The block after a field moved.
+ * @property {import('../hooks/useBlock').Block} block The block.
+ * @property {string}                            name  The name of the moved field, which changes if its new siblings already have that name.
+ */
+
+/**
+ * Removes a field's value from the preview attributes.
+ *
+ * @param {Object}      previewAttributes The preview attributes.
+ * @param {string}      name              The name of the field.
+ * @param {string|null} parent            The name of the field's repeater, or null for the top level.
+ * @return {Object} The preview attributes without the field's value.
+ */
+const removePreviewValue = ( previewAttributes, name, parent ) => {
+	if ( ! parent ) {
+		const { [ name ]: removedValue, ...otherAttributes } = previewAttributes;
+		return otherAttributes;
+	}
+
+	const rows = previewAttributes[ parent ]?.rows;
+	if ( ! Array.isArray( rows ) ) {
+		return previewAttributes;
+	}
+
+	return {
+		...previewAttributes,
+		[ parent ]: {
+			...previewAttributes[ parent ],
+			rows: rows.map( ( { [ name ]: removedValue, ...otherValues } ) => otherValues ),
+		},
+	};
+};
+
+/**
+ * Moves a field anywhere in the block, and updates the versions and preview values if that changes the field's attribute.
+ *
+ * @param {import('../hooks/useBlock').Block}            block       The block that's being edited.
+ * @param {Object|undefined}                             savedBlock  The block as it was last saved, if it was.
+ * @param {import('../components/editor').SelectedField} fieldToMove The field to move.
+ * @param {import('./moveField').FieldDestination}       destination Where to move the field.
+ * @return {BlockWithMovedField|null} The block after the move, or null if the field can't move there.
+ */
+const moveBlockField = ( block, savedBlock, fieldToMove, destination ) => {
+	const moved = moveField( block.fields || {}, fieldToMove, destination );
+	if ( ! moved ) {
+		return null;
+	}
+
+	const newBlock = { ...block, fields: moved.fields };
+	const previousParent = fieldToMove.parent || null;
+	const newParent = destination.parent || null;
+	if ( previousParent !== newParent && newBlock.previewAttributes ) {
+		// The preview value can't stay where the field was, and anything where it is now is stale.
+		newBlock.previewAttributes = removePreviewValue(
+			removePreviewValue( newBlock.previewAttributes, fieldToMove.name, previousParent ),
+			moved.name,
+			newParent
+		);
+	}
+
+	if ( previousParent !== newParent || moved.name !== fieldToMove.name ) {
+		// Existing content has the attribute where it was before, so it'll need to be migrated.
+		// Only top-level fields have their own attributes, so only they can be renamed in a version.
+		const versions = getVersions(
+			newBlock,
+			savedBlock,
+			previousParent || newParent ? undefined : { from: fieldToMove.name, to: moved.name }
+		);
+
+		if ( versions.length ) {
+			newBlock.versions = versions;
+		}
+	}
+
+	return { block: newBlock, name: moved.name };
+};
+
+export default moveBlockField;
@@ -0,0 +1,133 @@
+/**
+ * Internal dependencies
+ */
+import { getNewFieldNumber, setCorrectOrderForFields, updateConditions } from './';
+import { DEFAULT_LOCATION, GROUP_CONTROL } from '../../common/constants';
+import { getFieldsAsArray, getFieldsAsObject } from '../../common/helpers';
+
+/**
+ * @typedef {Object} FieldDestination Where to move a field.
+ * @property {string}      location The location, like 'editor'. Fields in a repeater have the location of the repeater.
+ * @property {number}      index    The position to move it to, among the fields there before the move. Past the end moves it to the end.
+ * @property {string|null} [parent] The name of the repeater to move it into, if any.
+ */
+
+/**
+ * @typedef {Object} MovedFields The fields after a move.
+ * @property {Object} fields The block fields, keyed by name.
+ * @property {string} name   The name of the moved field, which changes if its new siblings already have that name.
+ */
+
+/**
+ * Gets whether a field has a location.
+ *
+ * @param {import('../components/editor').Field} field    The field.
+ * @param {string}                               location The location, like 'editor'.
+ * @return {boolean} Whether the field has the location.
+ */
+const hasLocation = ( field, location ) => location === ( field.location || DEFAULT_LOCATION );
+
+/**
+ * Moves a field anywhere in the block, including across locations and into or out of a repeater.
+ *
+ * Moving to another repeater or level removes the conditions that can't apply there,
+ * as conditions can only refer to sibling fields.
+ *
+ * @param {Object}                                       fields      The block fields, keyed by name.
+ * @param {import('../components/editor').SelectedField} fieldToMove The field to move.
+ * @param {FieldDestination}                             destination Where to move the field.
+ * @return {MovedFields|null} The fields after the move, or null if the field can't move there.
+ */
+const moveField = ( fields, fieldToMove, destination ) => {
+	const previousParent = fieldToMove.parent || null;
+	const newParent = destination.parent || null;
+	const field = previousParent
+		? fields[ previousParent ]?.sub_fields?.[ fieldToMove.name ]
+		: fields[ fieldToMove.name ];
+
+	if ( ! field ) {
+		return null;
+	}
+
+	// There are no repeaters or groups inside repeaters.
+	if ( newParent && ( 'repeater' !== fields[ newParent ]?.control || [ 'repeater', GROUP_CONTROL ].includes( field.control ) ) ) {
+		return null;
+	}
+
+	let newFields = { ...fields };
+
+	/**
+	 * Gets a copy of the fields at a level, either the top level or in a repeater.
+	 *
+	 * @param {string|null} parent The name of the repeater, or null for the top level.
+	 * @return {Object} The fields at that level.
+	 */
+	const getSiblings = ( parent ) => ( parent ? { ...newFields[ parent ].sub_fields } : { ...newFields } );
+
+	/**
+	 * Sets the fields at a level, either the top level or in a repeater.
+	 *
+	 * @param {string|null} parent   The name of the repeater, or null for the top level.
+	 * @param {Object}      siblings The fields at that level.
+	 */
+	const setSiblings = ( parent, siblings ) => {
+		newFields = parent
+			? { ...newFields, [ parent ]: { ...newFields[ parent ], sub_fields: siblings } }
+			: siblings;
+	};
+
+	const isSameLevel = previousParent === newParent;
+	if ( ! isSameLevel ) {
+		const previousSiblings = getSiblings( previousParent );
+		delete previousSiblings[ fieldToMove.name ];
+		setSiblings(
+			previousParent,
+			getFieldsAsObject( getFieldsAsArray( updateConditions( previousSiblings, fieldToMove.name, null ) ) )
+		);
+	}
+
+	const siblings = getSiblings( newParent );
+	const name = ! isSameLevel && siblings.hasOwnProperty( fieldToMove.name )
+		? `${ fieldToMove.name }-${ getNewFieldNumber( siblings, fieldToMove.name ) }`
+		: fieldToMove.name;
+	const location = newParent
+		? newFields[ newParent ].location || DEFAULT_LOCATION
+		: destination.location;
+
+	// Only top-level fields can be in a group, and groups are by level.
+	const { parent, group, ...movedField } = field;
+	if ( isSameLevel && group ) {
+		movedField.group = group;
+	}
+
+	Object.assign( movedField, { name, location } );
+	if ( newParent ) {
+		movedField.parent = newParent;
+	}
+	if ( ! isSameLevel && Array.isArray( movedField.conditions ) ) {
+		movedField.conditions = movedField.conditions.filter(
+			( condition ) => siblings.hasOwnProperty( condition.field )
+		);
+	}
+
+	const isPreviousField = ( sibling ) => isSameLevel && sibling.name === fieldToMove.name;
+	const fieldsInLocation = getFieldsAsArray( siblings ).filter( ( sibling ) => hasLocation( sibling, location ) );
+
+	// The index refers to the fields before the move, so this inserts the field before removing it.
+	fieldsInLocation.splice( Math.min( destination.index, fieldsInLocation.length ), 0, movedField );
+	setSiblings(
+		newParent,
+		getFieldsAsObject( [
+			...getFieldsAsArray( siblings ).filter(
+				( sibling ) => ! hasLocation( sibling, location ) && ! isPreviousField( sibling )
+			),
+			...setCorrectOrderForFields(
+				fieldsInLocation.filter( ( sibling ) => movedField === sibling || ! isPreviousField( sibling ) )
+			),
+		] )
+	);
+
+	return { fields: newFields, name };
+};
+
+export default moveField;
@@ -0,0 +1,88 @@
+/**
+ * Internal dependencies
+ */
+import changeFieldsSettings from '../changeFieldsSettings';
+
+describe( 'changeFieldsSettings', () => {
+	const fields = {
+		first: {
+			name: 'first',
+			location: 'editor',
+			order: 0,
+			width: '100',
+		},
+		second: {
+			name: 'second',
+			location: 'editor',
+			order: 1,
+			width: '100',
+			validation: { minLength: 2 },
+		},
+		third: {
+			name: 'third',
+			location: 'inspector',
+			order: 0,
+		},
+		repeater: {
+			name: 'repeater',
+			control: 'repeater',
+			location: 'editor',
+			order: 2,
+			sub_fields: {
+				sub: {
+					name: 'sub',
+					parent: 'repeater',
+					order: 0,
+				},
+			},
+		},
+	};
+
+	it( 'should change the width and help of the fields', () => {
+		const newFields = changeFieldsSettings(
+			fields,
+			[ { name: 'first' }, { name: 'sub', parent: 'repeater' } ],
+			{ width: '50', help: 'Example help' }
+		);
+
+		expect( newFields.first ).toStrictEqual( { ...fields.first, width: '50', help: 'Example help' } );
+		expect( newFields.repeater.sub_fields.sub ).toStrictEqual( {
+			...fields.repeater.sub_fields.sub,
+			width: '50',
+			help: 'Example help',
+		} );
+		expect( newFields.second ).toStrictEqual( fields.second );
+	} );
+
+	it( 'should store whether the fields are required in their validation', () => {
+		const newFields = changeFieldsSettings( fields, [ { name: 'first' }, { name: 'second' } ], { required: true } );
+
+		expect( newFields.first.validation ).toStrictEqual( { required: true } );
+		expect( newFields.second.validation ).toStrictEqual( { minLength: 2, required: true } );
+	} );
+
+	it( 'should move the fields to the end of the new location', () => {
+		const newFields = changeFieldsSettings(
+			fields,
+			[ { name: 'first' }, { name: 'sub', parent: 'repeater' } ],
+			{ location: 'inspector' }
+		);
+
+		expect( newFields.first ).toStrictEqual( { ...fields.first, location: 'inspector', order: 1 } );
+		expect( newFields.third.order ).toStrictEqual( 0 );
+		expect( newFields.second.order ).toStrictEqual( 0 );
+		expect( newFields.repeater.order ).toStrictEqual( 1 );
+		expect( newFields.repeater.sub_fields.sub ).toStrictEqual( fields.repeater.sub_fields.sub );
+	} );
+
+	it( 'should not mutate the fields', () => {
+		const originalFields = JSON.parse( JSON.stringify( fields ) );
+		changeFieldsSettings( fields, [ { name: 'first' }, { name: 'sub', parent: 'repeater' } ], { location: 'inspector', width: '25' } );
+
+		expect( fields ).toStrictEqual( originalFields );
+	} );
+
+	it( 'should ignore fields that do not exist', () => {
+		expect( changeFieldsSettings( fields, [ { name: 'does-not-exist' } ], { width: '50' } ) ).toStrictEqual( fields );
+	} );
+} );
@@ -0,0 +1,57 @@
+/**
+ * Internal dependencies
+ */
+import compileScss from '../compileScss';
+
+describe( 'compileScss', () => {
+	it.each( [
+		[ '', '' ],
+		[ '.a { color: red; }', '.a {\n\tcolor: red;\n}' ],
+		[
+			'.a { color: red; .b { color: blue; } &:hover, &-title { color: green } }',
+			'.a {\n\tcolor: red;\n}\n.a .b {\n\tcolor: blue;\n}\n.a:hover, .a-title {\n\tcolor: green;\n}',
+		],
+		[ 'h2, h3 { a, span { margin: 0 } }', 'h2 a, h2 span, h3 a, h3 span {\n\tmargin: 0;\n}' ],
+		[
+			'$gap: 1rem;\n.title { padding: $gap calc($gap * 2); content: "$gap"; }',
+			'.title {\n\tpadding: 1rem calc(1rem * 2);\n\tcontent: "$gap";\n}',
+		],
+		[ '$color: red;\n$color: blue !default;\n.a { $color: green; color: $color; }\n.b { color: $color; }', '.a {\n\tcolor: green;\n}\n.b {\n\tcolor: red;\n}' ],
+		[
+			'$wide: 600px;\n.a { color: red; @media (min-width: $wide) { color: blue; } }',
+			'.a {\n\tcolor: red;\n}\n@media (min-width: 600px) {\n\t.a {\n\t\tcolor: blue;\n\t}\n}',
+		],
+		[
+			'@keyframes fade { from { opacity: 0; } to { opacity: 1; } }\n@font-face { font-family: "Example"; }\n@font-face { font-family: "Other"; }',
+			'@keyframes fade {\n\tfrom {\n\t\topacity: 0;\n\t}\n\tto {\n\t\topacity: 1;\n\t}\n}\n@font-face {\n\tfont-family: "Example";\n}\n@font-face {\n\tfont-family: "Other";\n}',
+		],
+		[
+			'@import url("a.css");\n// A comment\n:block { /* b { } */ background: url(https://example.com/a.png); & > p { color: red; } }',
+			'@import url("a.css");\n:block {\n\tbackground: url(https://example.com/a.png);\n}\n:block > p {\n\tcolor: red;\n}',
+		],
+	] )( 'should compile %p',
+		( scss, expected ) => {
+			expect( compileScss( scss ) ).toStrictEqual( { css: expected, problems: [] } );
+		}
+	);
+
+	it.each( [
+		[ '.a { color: $missing; }', 0, 5 ],
+		[ '.a {\n\t@include box;\n}', 1, 1 ],
+		[ '@mixin box { width: 1rem; }', 0, 0 ],
+		[ '$name: title;\n.#{$name} { color: red; }', 1, 1 ],
+		[ '.a {\n\tcolor: red;\n', 0, 3 ],
+		[ '.a { color: red; } }', 0, 19 ],
+		[ 'color: red;', 0, 0 ],
+		[ '.a { color red; }', 0, 5 ],
+		[ '.a { @extend .b; }', 0, 5 ],
+		[ '.a { content: "a; }', 0, 14 ],
+	] )( 'should get the error in %p at row %p and column %p',
+		( scss, row, column ) => {
+			expect( compileScss( scss ) ).toStrictEqual( {
+				css: '',
+				problems: [ { row, column, type: 'error', text: expect.any( String ) } ],
+			} );
+		}
+	);
+} );
@@ -0,0 +1,67 @@
+/**
+ * Internal dependencies
+ */
+import getBlockJson from '../getBlockJson';
+
+describe( 'getBlockJson', () => {
+	const block = {
+		name: 'testimonial',
+		title: 'Testimonial',
+		category: {
+			slug: 'text',
+			title: 'Text',
+			icon: null,
+		},
+		icon: 'genesis_custom_blocks',
+		keywords: [ 'quote' ],
+		fields: {
+			author: {
+				name: 'author',
+				control: 'text',
+				type: 'string',
+				default: 'Anonymous',
+			},
+			rating: {
+				name: 'rating',
+				control: 'number',
+				type: 'integer',
+			},
+		},
+		templateMarkup: '<p>{{author}}</p>',
+		templateCss: 'p { color: red; }',
+	};
+
+	it( 'should get the block.json metadata', () => {
+		expect( getBlockJson( block ) ).toStrictEqual( {
+			$schema: 'https://schemas.wp.org/trunk/block.json',
+			apiVersion: 2,
+			name: 'genesis-custom-blocks/testimonial',
+			title: 'Testimonial',
+			category: 'text',
+			keywords: [ 'quote' ],
+			attributes: {
+				className: { type: 'string' },
+				author: { type: 'string', default: 'Anonymous' },
+				rating: { type: 'integer' },
+			},
+			supports: {
+				html: false,
+			},
+			editorScript: 'file:./index.js',
+		} );
+	} );
+
+	it( 'should refer to the template files if they are included', () => {
+		const blockJson = getBlockJson( block, true );
+
+		expect( blockJson.render ).toStrictEqual( 'file:./render.php' );
+		expect( blockJson.style ).toStrictEqual( 'file:./style.css' );
+		expect( getBlockJson( { ...block, templateCss: '' }, true ) ).not.toHaveProperty( 'style' );
+	} );
+
+	it( 'should handle a block with no fields', () => {
+		expect( getBlockJson( { ...block, fields: [] } ).attributes ).toStrictEqual( {
+			className: { type: 'string' },
+		} );
+	} );
+} );
@@ -0,0 +1,33 @@
+/**
+ * Internal dependencies
+ */
+import getDraggedField from '../getDraggedField';
+import { FIELD_DRAG_TYPE } from '../../constants';
+
+/**
+ * Gets a mock DataTransfer.
+ *
+ * @param {Object} data The data, keyed by type.
+ * @return {Object} The mock DataTransfer.
+ */
+const getDataTransfer = ( data ) => ( {
+	types: Object.keys( data ),
+	getData: ( type ) => data[ type ],
+} );
+
+describe( 'getDraggedField', () => {
+	it( 'should get the dragged field', () => {
+		const field = { name: 'example', parent: 'repeater' };
+		expect( getDraggedField( getDataTransfer( { [ FIELD_DRAG_TYPE ]: JSON.stringify( field ) } ) ) ).toStrictEqual( field );
+	} );
+
+	it( 'should return null when something else is dragged', () => {
+		expect( getDraggedField( getDataTransfer( { Files: '' } ) ) ).toBeNull();
+		expect( getDraggedField( null ) ).toBeNull();
+	} );
+
+	it( 'should return null when the data is not a field', () => {
+		expect( getDraggedField( getDataTransfer( { [ FIELD_DRAG_TYPE ]: 'not JSON' } ) ) ).toBeNull();
+		expect( getDraggedField( getDataTransfer( { [ FIELD_DRAG_TYPE ]: '{"label":"Example"}' } ) ) ).toBeNull();
+	} );
+} );
@@ -0,0 +1,97 @@
+/**
+ * Internal dependencies
+ */
+import getEditorScript from '../getEditorScript';
+
+describe( 'getEditorScript', () => {
+	const block = {
+		name: 'testimonial',
+		title: 'Testimonial',
+		icon: 'genesis_custom_blocks',
+		fields: {
+			rating: { name: 'rating', label: 'Rating', control: 'number', type: 'integer', order: 1 },
+			author: { name: 'author', label: 'Author', control: 'text', type: 'string', default: 'Anonymous', order: 0 },
+			photo: { name: 'photo', label: 'Photo', control: 'image', type: 'integer', order: 2 },
+		},
+	};
+
+	/**
+	 * Runs the editor script with mock wp globals.
+	 *
+	 * @param {string} script The editor script.
+	 * @return {Object} The arguments of registerBlockType(), and the element that the edit function renders.
+	 */
+	const runScript = ( script ) => {
+		const registerBlockType = jest.fn();
+		const createElement = ( type, props, ...children ) => ( { type, props, children } );
+		const wp = {
+			blocks: { registerBlockType },
+			blockEditor: {
+				InnerBlocks: { Content: 'InnerBlocks.Content' },
+				InspectorControls: 'InspectorControls',
+				useBlockProps: () => ( { className: 'wp-block' } ),
+			},
+			components: {
+				PanelBody: 'PanelBody',
+				TextControl: 'TextControl',
+			},
+			element: { createElement },
+			serverSideRender: 'ServerSideRender',
+		};
+
+		new Function( 'window', script )( { wp } ); // eslint-disable-line no-new-func
+		const [ name, settings ] = registerBlockType.mock.calls[ 0 ];
+
+		return {
+			name,
+			settings,
+			edited: settings.edit( { name, attributes: { rating: 4 }, setAttributes: jest.fn() } ),
+		};
+	};
+
+	it( 'should register the block with the fields that it can edit, in order', () => {
+		const { name, settings, edited } = runScript( getEditorScript( block ) );
+		const [ inspectorControls, serverSideRender ] = edited.children;
+		const controls = inspectorControls.children[ 0 ].children[ 0 ];
+
+		expect( name ).toStrictEqual( 'genesis-custom-blocks/testimonial' );
+		expect( settings.icon.props.dangerouslySetInnerHTML.__html ).toContain( '<svg' );
+		expect( controls.map( ( control ) => control.props.label ) ).toStrictEqual( [ 'Author', 'Rating' ] );
+		expect( controls.map( ( control ) => control.props.value ) ).toStrictEqual( [ 'Anonymous', 4 ] );
+		expect( serverSideRender ).toMatchObject( {
+			type: 'ServerSideRender',
+			props: { block: 'genesis-custom-blocks/testimonial', attributes: { rating: 4 } },
+		} );
+	} );
+
+	it( 'should sanitize a custom icon', () => {
+		const { settings } = runScript( getEditorScript( {
+			...block,
+			icon: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><script>alert( 1 )</script><path d="M0 0h24v24H0z"/></svg>',
+		} ) );
+
+		expect( settings.icon.props.dangerouslySetInnerHTML.__html ).toContain( '<path d="M0 0h24v24H0z"' );
+		expect( settings.icon.props.dangerouslySetInnerHTML.__html ).not.toContain( 'script' );
+	} );
+
+	it( 'should not have an icon if the icon does not exist', () => {
+		expect( runScript( getEditorScript( { ...block, icon: 'not_an_icon' } ) ).settings ).not.toHaveProperty( 'icon' );
+	} );
+
+	it( 'should edit the inner blocks, if there is an inner blocks field', () => {
+		const innerBlocksBlock = {
+			...block,
+			fields: { content: { name: 'content', control: 'inner_blocks', type: 'string' } },
+		};
+
+		expect( runScript( getEditorScript( block ) ).edited.children ).toHaveLength( 2 );
+		expect( runScript( getEditorScript( innerBlocksBlock ) ).edited.children[ 2 ].type ).toHaveProperty( 'Content' );
+	} );
+
+	it( 'should not let the title end the comment that it is in', () => {
+		const script = getEditorScript( { ...block, title: 'Example */ alert( 1 ); /*' } );
+
+		expect( script ).toContain( ' * Edits the Example * / alert( 1 ); /* block, exported from Genesis Custom Blocks.' );
+		expect( () => runScript( script ) ).not.toThrow();
+	} );
+} );
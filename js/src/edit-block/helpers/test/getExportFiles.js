@@ -0,0 +1,38 @@
+/**
+ * Internal dependencies
+ */
+import getExportFiles from '../getExportFiles';
+
+describe( 'getExportFiles', () => {
+	const block = {
+		name: 'testimonial',
+		title: 'Testimonial',
+		category: 'text',
+		icon: 'genesis_custom_blocks',
+		keywords: [],
+		fields: {},
+		templateMarkup: '<p>Example</p>',
+		templateCss: 'p { color: red; }',
+	};
+
+	it( 'should only export block.json and the editor script if the template is not included', () => {
+		const files = getExportFiles( block );
+
+		expect( Object.keys( files ) ).toStrictEqual( [ 'block.json', 'index.js', 'index.asset.php' ] );
+		expect( JSON.parse( files[ 'block.json' ] ).name ).toStrictEqual( 'genesis-custom-blocks/testimonial' );
+	} );
+
+	it( 'should export the template files if they are included', () => {
+		const files = getExportFiles( block, true );
+
+		expect( Object.keys( files ) ).toStrictEqual( [ 'block.json', 'index.js', 'index.asset.php', 'render.php', 'style.css' ] );
+		expect( files[ 'style.css' ] ).toStrictEqual( 'p { color: red; }' );
+	} );
+
+	it( 'should export scoped CSS if the CSS is scoped to the block', () => {
+		const files = getExportFiles( { ...block, scopeCss: true }, true );
+
+		expect( files[ 'style.css' ] ).toStrictEqual( '.genesis-custom-blocks-testimonial p { color: red; }' );
+		expect( files[ 'render.php' ] ).toContain( "get_block_wrapper_attributes( [ 'class' => 'genesis-custom-blocks-testimonial' ] )" );
+	} );
+} );
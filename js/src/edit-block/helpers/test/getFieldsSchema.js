@@ -0,0 +1,34 @@
+/**
+ * Internal dependencies
+ */
+import getFieldsSchema from '../getFieldsSchema';
+
+describe( 'getFieldsSchema', () => {
+	it.each( [ undefined, [], {} ] )( 'should return an empty object for %p',
+		( fields ) => {
+			expect( getFieldsSchema( fields ) ).toStrictEqual( {} );
+		}
+	);
+
+	it( 'should only return the type and control of the fields', () => {
+		expect( getFieldsSchema( {
+			example_text: {
+				name: 'example_text',
+				label: 'Example Text',
+				control: 'text',
+				type: 'string',
+				location: 'editor',
+				order: 0,
+			},
+			example_toggle: {
+				name: 'example_toggle',
+				control: 'toggle',
+				type: 'boolean',
+				default: true,
+			},
+		} ) ).toStrictEqual( {
+			example_text: { control: 'text', type: 'string' },
+			example_toggle: { control: 'toggle', type: 'boolean' },
+		} );
+	} );
+} );
@@ -0,0 +1,174 @@
+/**
+ * Internal dependencies
+ */
+import getImportedBlock from '../getImportedBlock';
+
+describe( 'getImportedBlock', () => {
+	const controls = {
+		text: {
+			name: 'text',
+			type: 'string',
+			settings: [ { name: 'help', default: '' } ],
+		},
+		toggle: {
+			name: 'toggle',
+			type: 'boolean',
+			settings: [],
+		},
+		number: {
+			name: 'number',
+			type: 'integer',
+			settings: [],
+		},
+		select: {
+			name: 'select',
+			type: 'string',
+			settings: [ { name: 'options', default: [] } ],
+		},
+		repeater: {
+			name: 'repeater',
+			type: 'object',
+			settings: [],
+		},
+	};
+	const categories = [
+		{ icon: null, slug: 'text', title: 'Text' },
+	];
+
+	it.each( [ null, [], 'Example', { title: 'Not a block' } ] )( 'should return null for %p',
+		( json ) => {
+			expect( getImportedBlock( json, controls, categories ) ).toStrictEqual( null );
+		}
+	);
+
+	it( 'should map block.json attributes to fields', () => {
+		const importedBlock = getImportedBlock(
+			{
+				name: 'example/testimonial',
+				category: 'text',
+				icon: 'genesis_custom_blocks',
+				keywords: [ 'quote' ],
+				attributes: {
+					className: { type: 'string' },
+					authorName: { type: 'string', default: 'Anonymous' },
+					hasButton: { type: 'boolean' },
+					size: { type: 'string', enum: [ 'small', 'large' ] },
+				},
+			},
+			controls,
+			categories
+		);
+
+		expect( importedBlock.format ).toStrictEqual( 'block.json' );
+		expect( importedBlock.conflicts ).toStrictEqual( [] );
+		expect( importedBlock.values ).toStrictEqual( {
+			fields: {
+				authorName: {
+					help: '',
+					name: 'authorName',
+					label: 'Author Name',
+					control: 'text',
+					type: 'string',
+					location: 'editor',
+					order: 0,
+					default: 'Anonymous',
+				},
+				hasButton: {
+					name: 'hasButton',
+					label: 'Has Button',
+					control: 'toggle',
+					type: 'boolean',
+					location: 'editor',
+					order: 1,
+				},
+				size: {
+					options: [
+						{ value: 'small', label: 'small' },
+						{ value: 'large', label: 'large' },
+					],
+					name: 'size',
+					label: 'Size',
+					control: 'select',
+					type: 'string',
+					location: 'editor',
+					order: 2,
+				},
+			},
+			category: { icon: null, slug: 'text', title: 'Text' },
+			icon: 'genesis_custom_blocks',
+			keywords: [ 'quote' ],
+		} );
+	} );
+
+	it( 'should report the attributes that do not map', () => {
+		const importedBlock = getImportedBlock(
+			{
+				name: 'example/card',
+				icon: 'smiley',
+				keywords: [ 'first', 'second', 'third', 'fourth' ],
+				attributes: {
+					ratio: { type: 'number' },
+					content: { type: 'string', source: 'html', selector: 'p' },
+					settings: { type: 'object' },
+				},
+			},
+			controls,
+			categories
+		);
+
+		expect( Object.keys( importedBlock.values.fields ) ).toStrictEqual( [ 'ratio', 'content' ] );
+		expect( importedBlock.values.keywords ).toStrictEqual( [ 'first', 'second', 'third' ] );
+		expect( importedBlock.values ).not.toHaveProperty( 'icon' );
+		expect( importedBlock.conflicts.map( ( conflict ) => conflict.name ) ).toStrictEqual( [
+			'ratio',
+			'content',
+			'settings',
+			'icon',
+			'keywords',
+		] );
+	} );
+
+	it( 'should import a Genesis Custom Blocks export, without unavailable fields', () => {
+		const importedBlock = getImportedBlock(
+			{
+				'genesis-custom-blocks/testimonial': {
+					name: 'testimonial',
+					title: 'Testimonial',
+					category: { icon: null, slug: 'new-category', title: 'New Category' },
+					fields: {
+						author: { name: 'author', control: 'text', type: 'string' },
+						post: { name: 'post', control: 'post', type: 'object' },
+						quotes: {
+							name: 'quotes',
+							control: 'repeater',
+							type: 'object',
+							sub_fields: {
+								user: { name: 'user', control: 'user', type: 'object', parent: 'quotes' },
+							},
+						},
+					},
+				},
+				'genesis-custom-blocks/another-block': {
+					name: 'another-block',
+					title: 'Another Block',
+				},
+			},
+			controls,
+			categories
+		);
+
+		expect( importedBlock.format ).toStrictEqual( 'genesis-custom-blocks' );
+		expect( importedBlock.values ).toStrictEqual( {
+			fields: {
+				author: { name: 'author', control: 'text', type: 'string' },
+				quotes: { name: 'quotes', control: 'repeater', type: 'object', sub_fields: {} },
+			},
+			category: { icon: null, slug: 'new-category', title: 'New Category' },
+		} );
+		expect( importedBlock.conflicts.map( ( conflict ) => conflict.name ) ).toStrictEqual( [
+			'genesis-custom-blocks/another-block',
+			'post',
+			'quotes › user',
+		] );
+	} );
+} );
@@ -0,0 +1,21 @@
+/**
+ * Internal dependencies
+ */
+import getOpenTemplateBlocks from '../getOpenTemplateBlocks';
+
+describe( 'getOpenTemplateBlocks', () => {
+	it.each( [
+		[ '', [] ],
+		[ '<p>{{heading}}</p>', [] ],
+		[ '{{#each slides}}{{title}}{{/each}}', [] ],
+		[ '{{#each slides}}{{#if title}}{{title}}{{/if}}', [ 'each slides' ] ],
+		[ '{{#each slides}}{{#if title}}{{else}}', [ 'each slides', 'if title' ] ],
+		[ '{{#if title}}{{/each}}', [ 'if title' ] ],
+	] )( 'should get the open blocks of %p',
+		( markup, expected ) => {
+			expect(
+				getOpenTemplateBlocks( markup ).map( ( token ) => `${ token.block } ${ token.name }` )
+			).toStrictEqual( expected );
+		}
+	);
+} );
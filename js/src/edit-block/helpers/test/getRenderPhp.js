@@ -0,0 +1,312 @@
+/**
+ * External dependencies
+ */
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Internal dependencies
+ */
+import getRenderPhp from '../getRenderPhp';
+
+describe( 'getRenderPhp', () => {
+	const block = {
+		name: 'testimonial',
+		title: 'Testimonial',
+		fields: {
+			author: { name: 'author', control: 'text', type: 'string' },
+			photo: { name: 'photo', control: 'image', type: 'integer' },
+			quotes: {
+				name: 'quotes',
+				control: 'repeater',
+				type: 'object',
+				sub_fields: {
+					quote: { name: 'quote', control: 'textarea', type: 'string', parent: 'quotes' },
+				},
+			},
+		},
+	};
+
+	it( 'should output the fields with PHP', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			templateMarkup: '<img src="{{photo}}" /><p class="{{className}}">{{author}}</p>{{not-a-field}}',
+		} );
+
+		expect( renderPhp ).toContain( `<?php echo esc_url( (string) wp_get_attachment_url( (int) ( $attributes[ 'photo' ] ?? 0 ) ) ); ?>` );
+		expect( renderPhp ).toContain( `<p class="<?php echo esc_attr( $attributes['className'] ?? '' ); ?>">` );
+		expect( renderPhp ).toContain( `<?php echo wp_kses_post( $gcb_to_string( $attributes[ 'author' ] ?? '' ) ); ?></p>\n</div>` );
+		expect( renderPhp ).toContain( '<div <?php echo get_block_wrapper_attributes();' );
+	} );
+
+	it( 'should output No for a toggle or checkbox without a value, and cast a number', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				enabled: { name: 'enabled', control: 'toggle', type: 'boolean' },
+				count: { name: 'count', control: 'number', type: 'integer' },
+			},
+			templateMarkup: '{{enabled}} {{count}}',
+		} );
+
+		expect( renderPhp ).toContain(
+			`<?php echo esc_html( $gcb_to_string( ! empty( $attributes[ 'enabled' ] ) ) ); ?> <?php echo wp_kses_post( $gcb_to_string( (int) ( $attributes[ 'count' ] ?? 0 ) ) ); ?>`
+		);
+	} );
+
+	it( 'should match the render.php that the PHP tests compare with the Template Editor', () => {
+		const fixtures = resolve( __dirname, '../../../../../tests/php/Integration/Fixtures/render-php' );
+
+		expect( getRenderPhp( JSON.parse( readFileSync( resolve( fixtures, 'block.json' ), 'utf8' ) ) ) )
+			.toStrictEqual( readFileSync( resolve( fixtures, 'render.php' ), 'utf8' ) );
+	} );
+
+	it( 'should loop through repeater rows', () => {
+		expect( getRenderPhp( {
+			...block,
+			templateMarkup: '{{#each quotes}}<q>{{quote}}</q> {{author}}{{/each}}',
+		} ) ).toContain(
+			`<?php foreach ( $attributes[ 'quotes' ]['rows'] ?? [] as $row ) : ?><q><?php echo wp_kses_post( $gcb_to_string( $row[ 'quote' ] ?? '' ) ); ?></q> <?php echo wp_kses_post( $gcb_to_string( $attributes[ 'author' ] ?? '' ) ); ?><?php endforeach; ?>`
+		);
+	} );
+
+	it( 'should output the properties of the posts in a post field', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				related: { name: 'related', control: 'post', type: 'array' },
+			},
+			templateMarkup: '{{related}} {{related.excerpt}}{{#each related}}<a href="{{permalink}}">{{title}}</a> {{author}}{{/each}}{{author.title}}',
+		} );
+
+		expect( renderPhp ).toContain( '$gcb_post_property = static function( $post_ids, $property ) {' );
+		expect( renderPhp ).toContain(
+			`<?php echo wp_kses_post( $gcb_post_property( $attributes[ 'related' ] ?? [], 'title' ) ); ?> <?php echo wp_kses_post( $gcb_post_property( $attributes[ 'related' ] ?? [], 'excerpt' ) ); ?>`
+		);
+		expect( renderPhp ).toContain(
+			`<?php foreach ( (array) ( $attributes[ 'related' ] ?? [] ) as $gcb_post_id ) : ?><a href="<?php echo esc_url( $gcb_post_property( [ $gcb_post_id ], 'permalink' ) ); ?>"><?php echo wp_kses_post( $gcb_post_property( [ $gcb_post_id ], 'title' ) ); ?></a> <?php echo wp_kses_post( $gcb_to_string( $attributes[ 'author' ] ?? '' ) ); ?><?php endforeach; ?>\n</div>`
+		);
+	} );
+
+	it( 'should give a loop in another loop its own variable', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				related: { name: 'related', control: 'post', type: 'array' },
+				featured: { name: 'featured', control: 'post', type: 'array' },
+			},
+			templateMarkup: '{{#each related}}{{#each featured}}{{title}}{{/each}}{{title}}{{#each quotes}}{{quote}}{{/each}}{{/each}}',
+		} );
+
+		expect( renderPhp ).toContain(
+			`<?php foreach ( (array) ( $attributes[ 'related' ] ?? [] ) as $gcb_post_id ) : ?><?php foreach ( (array) ( $attributes[ 'featured' ] ?? [] ) as $gcb_post_id_1 ) : ?><?php echo wp_kses_post( $gcb_post_property( [ $gcb_post_id_1 ], 'title' ) ); ?><?php endforeach; ?><?php echo wp_kses_post( $gcb_post_property( [ $gcb_post_id ], 'title' ) ); ?><?php foreach ( $attributes[ 'quotes' ]['rows'] ?? [] as $row_1 ) : ?><?php echo wp_kses_post( $gcb_to_string( $row_1[ 'quote' ] ?? '' ) ); ?><?php endforeach; ?><?php endforeach; ?>`
+		);
+	} );
+
+	it( 'should output the names of the terms and users', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				topics: { name: 'topics', control: 'taxonomy', type: 'array' },
+				editor: { name: 'editor', control: 'user', type: 'array' },
+			},
+			templateMarkup: '{{topics}} {{editor}}',
+		} );
+
+		expect( renderPhp ).toContain( `get_terms( [ 'include' => (array) $attributes[ 'topics' ], 'orderby' => 'include', 'hide_empty' => false ] ), 'name' )` );
+		expect( renderPhp ).toContain( `get_users( [ 'include' => (array) $attributes[ 'editor' ], 'orderby' => 'include' ] ), 'display_name' )` );
+	} );
+
+	it( 'should output the URLs of the gallery images', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				photos: { name: 'photos', control: 'gallery', type: 'array' },
+			},
+			templateMarkup: '{{photos}}',
+		} );
+
+		expect( renderPhp ).toContain( `array_map( 'wp_get_attachment_url', array_map( 'intval', (array) ( $attributes[ 'photos' ] ?? [] ) ) )` );
+	} );
+
+	it( 'should output the HTML of a rich text field', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				intro: { name: 'intro', control: 'rich_text', type: 'string' },
+			},
+			templateMarkup: '<p>{{intro}}</p>',
+		} );
+
+		expect( renderPhp ).toContain( `<p><?php echo wp_kses_post( $attributes[ 'intro' ] ?? '' ); ?></p>` );
+	} );
+
+	it.each( [
+		[ 'autop', `<?php echo wp_kses_post( wpautop( (string) ( $attributes[ 'bio' ] ?? '' ) ) ); ?>` ],
+		[ 'autobr', `<?php echo wp_kses_post( nl2br( (string) ( $attributes[ 'bio' ] ?? '' ) ) ); ?>` ],
+		[ 'none', `<?php echo wp_kses_post( $gcb_to_string( $attributes[ 'bio' ] ?? '' ) ); ?>` ],
+	] )( 'should format the new lines of a textarea with the %s setting',
+		( newLines, expected ) => {
+			expect( getRenderPhp( {
+				...block,
+				fields: {
+					...block.fields,
+					bio: { name: 'bio', control: 'textarea', type: 'string', new_lines: newLines },
+				},
+				templateMarkup: '{{bio}}',
+			} ) ).toContain( expected );
+		}
+	);
+
+	it( 'should output dates in their display format', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				starts: { name: 'starts', control: 'datetime', type: 'string', display_format: 'F j, Y g:i a' },
+			},
+			templateMarkup: '{{starts}}',
+		} );
+
+		expect( renderPhp ).toContain( '$gcb_format_date = static function( $value, $format ) {' );
+		expect( renderPhp ).toContain( `<?php echo esc_html( $gcb_format_date( $attributes[ 'starts' ] ?? '', 'F j, Y g:i a' ) ); ?>` );
+		expect( getRenderPhp( block ) ).not.toContain( '$gcb_format_date' );
+	} );
+
+	it( 'should output the <a> of a link', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				more: { name: 'more', control: 'link', type: 'object' },
+			},
+			templateMarkup: '<p>{{more}}</p>',
+		} );
+
+		expect( renderPhp ).toContain( '$gcb_link = static function( $link ) {' );
+		expect( renderPhp ).toContain( `<p><?php echo wp_kses_post( $gcb_link( $attributes[ 'more' ] ?? null ) ); ?></p>` );
+		expect( getRenderPhp( block ) ).not.toContain( '$gcb_link' );
+	} );
+
+	it( 'should output the CSS value of a color', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				background: { name: 'background', control: 'color', type: 'string' },
+			},
+			templateMarkup: '<div style="background: {{background}}"></div>',
+		} );
+
+		expect( renderPhp ).toContain(
+			`<div style="background: <?php echo esc_attr( preg_replace( '/^var:preset\\|(color|gradient)\\|(.+)$/', 'var(--wp--preset--$1--$2)', (string) ( $attributes[ 'background' ] ?? '' ) ) ); ?>"></div>`
+		);
+	} );
+
+	it( 'should output the <svg> of an icon', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				symbol: { name: 'symbol', control: 'icon', type: 'string' },
+			},
+			templateMarkup: '<span>{{symbol}}</span>',
+		} );
+
+		expect( renderPhp ).toContain( `"alarm":"<svg xmlns=\\\\"http://www.w3.org/2000/svg\\\\"` );
+		expect( renderPhp ).toContain( '$gcb_icon = static function( $icon_name ) use ( $gcb_icons ) {' );
+		expect( renderPhp ).toContain( `<span><?php echo $gcb_icon( $attributes[ 'symbol' ] ?? '' ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?></span>` );
+		expect( getRenderPhp( block ) ).not.toContain( '$gcb_icon' );
+	} );
+
+	it( 'should output code in a <pre><code>', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			fields: {
+				...block.fields,
+				snippet: { name: 'snippet', control: 'code', type: 'string', language: 'php', line_numbers: false },
+			},
+			templateMarkup: '{{snippet}}',
+		} );
+
+		expect( renderPhp ).toContain(
+			`<?php if ( ! empty( $attributes[ 'snippet' ] ) ) : ?><pre><code class="language-php"><?php echo esc_html( $attributes[ 'snippet' ] ); ?></code></pre><?php endif; ?>`
+		);
+	} );
+
+	it( 'should output {{#if}} blocks as conditionals', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			templateMarkup: '{{#if photo}}<img src="{{photo}}" />{{else}}{{author}}{{/if}}{{#each quotes}}{{#if quote}}<q>{{quote}}</q>{{/if}}{{/each}}',
+		} );
+
+		expect( renderPhp ).toContain( '$gcb_is_empty = static function( $value ) {' );
+		expect( renderPhp ).toContain(
+			`<?php if ( ! $gcb_is_empty( $attributes[ 'photo' ] ?? null ) ) : ?><img src="<?php echo esc_url( (string) wp_get_attachment_url( (int) ( $attributes[ 'photo' ] ?? 0 ) ) ); ?>" /><?php else : ?><?php echo wp_kses_post( $gcb_to_string( $attributes[ 'author' ] ?? '' ) ); ?><?php endif; ?>`
+		);
+		expect( renderPhp ).toContain(
+			`<?php if ( ! $gcb_is_empty( $row[ 'quote' ] ?? null ) ) : ?><q><?php echo wp_kses_post( $gcb_to_string( $row[ 'quote' ] ?? '' ) ); ?></q><?php endif; ?>`
+		);
+	} );
+
+	it( 'should output the {{else}} of a loop without rows', () => {
+		expect( getRenderPhp( {
+			...block,
+			templateMarkup: '{{#each quotes}}<q>{{quote}}</q>{{else}}None{{/each}}',
+		} ) ).toContain(
+			`<?php if ( ! empty( $attributes[ 'quotes' ]['rows'] ?? [] ) ) : ?><?php foreach ( $attributes[ 'quotes' ]['rows'] ?? [] as $row ) : ?><q><?php echo wp_kses_post( $gcb_to_string( $row[ 'quote' ] ?? '' ) ); ?></q><?php endforeach; ?><?php else : ?>None<?php endif; ?>`
+		);
+	} );
+
+	it( 'should apply filters to fields', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			templateMarkup: '<img src="{{photo|url:large}}" /><p>{{author|truncate:20|upper}}</p>',
+		} );
+
+		expect( renderPhp ).toContain( '$gcb_filter = static function( $value, $filters ) {' );
+		expect( renderPhp ).toContain(
+			`<img src="<?php echo esc_url( (string) wp_get_attachment_image_url( (int) ( $attributes[ 'photo' ] ?? 0 ), 'large' ) ); ?>" />`
+		);
+		expect( renderPhp ).toContain(
+			`<p><?php ob_start(); ?><?php echo wp_kses_post( $gcb_to_string( $attributes[ 'author' ] ?? '' ) ); ?><?php echo esc_html( $gcb_filter( ob_get_clean(), [ [ 'truncate', '20' ], [ 'upper' ] ] ) ); ?></p>`
+		);
+		expect( renderPhp ).toContain( "$value = html_entity_decode( wp_strip_all_tags( $value ), ENT_QUOTES, 'UTF-8' );" );
+	} );
+
+	it( 'should only define the filter and conditional functions if the markup has them', () => {
+		const renderPhp = getRenderPhp( { ...block, templateMarkup: '<img src="{{photo|url}}" />' } );
+
+		expect( renderPhp ).not.toContain( '$gcb_filter' );
+		expect( renderPhp ).not.toContain( '$gcb_is_empty' );
+	} );
+
+	it( 'should only define the post property function if there is a post field', () => {
+		expect( getRenderPhp( block ) ).not.toContain( '$gcb_post_property' );
+	} );
+
+	it( 'should not run PHP in the markup, and should keep escaped tokens', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			templateMarkup: '<?php phpinfo(); ?>\\{\\{author\\}\\}',
+		} );
+
+		expect( renderPhp ).toContain( "<?php echo '<?'; ?>php phpinfo(); ?>{{author}}" );
+	} );
+
+	it( 'should not let the title end the comment that it is in', () => {
+		const renderPhp = getRenderPhp( {
+			...block,
+			title: "Example */ phpinfo(); /* ?><?php exec( 'example' );\n",
+		} );
+
+		expect( renderPhp ).toContain( " * Renders the Example * / phpinfo(); /* ? >< ?php exec( 'example' );  block, exported from Genesis Custom Blocks." );
+		expect( renderPhp.match( /\*\//g ) ).toHaveLength( 1 );
+	} );
+} );
@@ -0,0 +1,37 @@
+/**
+ * Internal dependencies
+ */
+import getTemplateCssProblems from '../getTemplateCssProblems';
+
+describe( 'getTemplateCssProblems', () => {
+	it.each( [
+		'',
+		'.example { color: red; }',
+		'/* { */ .example { color: red }',
+		'@import url("example.css");\n.example::before { content: "}"; }',
+		'@media (min-width: 600px) { .example { --example-color: #000; background: url(data:image/png;base64,iVBOR); } }',
+		'@font-face { font-family: "Example"; src: url(\'example.woff\'); }',
+	] )( 'should not find problems in %p',
+		( css ) => {
+			expect( getTemplateCssProblems( css ) ).toStrictEqual( [] );
+		}
+	);
+
+	it.each( [
+		[ '.example { color: red; } }', 0, 25 ],
+		[ '.example {\n\tcolor: red;\n', 0, 9 ],
+		[ '.example {\n\tcolor red;\n}', 1, 1 ],
+		[ '.example {\n\tcolor: ;\n}', 1, 1 ],
+		[ 'color: red;', 0, 0 ],
+		[ '{ color: red; }', 0, 0 ],
+		[ '.example { color: red; }\n.other', 1, 0 ],
+		[ '.example { color: red; } /* {', 0, 25 ],
+		[ '.example::before { content: "a; }', 0, 28 ],
+	] )( 'should find an error in %p at row %p and column %p',
+		( css, row, column ) => {
+			expect( getTemplateCssProblems( css ) ).toStrictEqual( [
+				{ row, column, type: 'error', text: expect.any( String ) },
+			] );
+		}
+	);
+} );
@@ -0,0 +1,74 @@
+/**
+ * Internal dependencies
+ */
+import getTemplateMarkupProblems from '../getTemplateMarkupProblems';
+
+describe( 'getTemplateMarkupProblems', () => {
+	const fields = [
+		{ name: 'heading', control: 'text' },
+		{ name: 'related', control: 'post' },
+		{
+			name: 'slides',
+			control: 'repeater',
+			sub_fields: {
+				title: { name: 'title', control: 'text', parent: 'slides' },
+			},
+		},
+	];
+	const allowedTags = {
+		a: { href: true, class: true },
+		div: { class: true, 'data-*': true },
+		br: {},
+		img: { src: true, alt: true },
+		p: { class: true },
+	};
+	const allowedProtocols = [ 'http', 'https', 'mailto' ];
+
+	it.each( [
+		'',
+		'<p class="{{className}}">{{heading|upper}}</p>',
+		'<div data-id="1">{{#each slides}}<p>{{title|truncate:20}}</p>{{else}}<br>{{/each}}</div>',
+		'{{#each related}}<a href="{{permalink}}">{{title}}</a>{{/each}}{{related.excerpt}}',
+		'{{#if heading}}<img src="https://example.com/a.png" alt="">{{/if}}',
+		'<!-- <section> -->\\{\\{not-a-field\\}\\}<a href="mailto:me@example.com">{{heading}}</a>',
+	] )( 'should not find problems in %p',
+		( markup ) => {
+			expect( getTemplateMarkupProblems( markup, fields, allowedTags, allowedProtocols ) ).toStrictEqual( [] );
+		}
+	);
+
+	it.each( [
+		[ '<p>{{titel}}</p>', 0, 3, 'warning' ],
+		[ '<p>{{title}}</p>', 0, 3, 'warning' ],
+		[ '<p>{{heading|shout}}</p>', 0, 3, 'warning' ],
+		[ '{{#each heading}}{{/each}}', 0, 0, 'warning' ],
+		[ '{{#if titel}}{{/if}}', 0, 0, 'warning' ],
+		[ '<p>\n\t{{#if heading}}\n</p>', 1, 1, 'error' ],
+		[ '{{heading}}{{/if}}', 0, 11, 'error' ],
+		[ '{{else}}', 0, 0, 'error' ],
+		[ '{{#if heading}}{{else}}{{else}}{{/if}}', 0, 23, 'error' ],
+		[ '<div>\n\t<p>{{heading}}\n</div>', 1, 1, 'warning' ],
+		[ '<p>{{heading}}</p></p>', 0, 18, 'warning' ],
+		[ '<script>{{heading}}</script>', 0, 0, 'warning' ],
+		[ '<p onclick="go()">{{heading}}</p>', 0, 3, 'warning' ],
+		[ '<p data-id="1">{{heading}}</p>', 0, 3, 'warning' ],
+		[ '<a href="javascript:go()">{{heading}}</a>', 0, 3, 'warning' ],
+	] )( 'should find a problem in %p at row %p and column %p',
+		( markup, row, column, type ) => {
+			const problems = getTemplateMarkupProblems( markup, fields, allowedTags, allowedProtocols );
+
+			expect( problems ).toHaveLength( 1 );
+			expect( problems[ 0 ] ).toMatchObject( { row, column, type } );
+		}
+	);
+
+	it( 'should find a block closed by the wrong tag, and the block that is never closed', () => {
+		expect(
+			getTemplateMarkupProblems( '{{#each slides}}{{#if title}}{{/each}}', fields ).map( ( problem ) => problem.column )
+		).toStrictEqual( [ 0, 16, 29 ] );
+	} );
+
+	it( 'should not check the allowed tags if there are none', () => {
+		expect( getTemplateMarkupProblems( '<script>{{heading}}</script>', fields ) ).toStrictEqual( [] );
+	} );
+} );
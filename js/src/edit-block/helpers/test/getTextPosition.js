@@ -0,0 +1,17 @@
+/**
+ * Internal dependencies
+ */
+import getTextPosition from '../getTextPosition';
+
+describe( 'getTextPosition', () => {
+	it.each( [
+		[ '', 0, { row: 0, column: 0 } ],
+		[ '<p>{{heading}}</p>', 3, { row: 0, column: 3 } ],
+		[ '<div>\n\t<p>{{heading}}</p>\n</div>', 10, { row: 1, column: 4 } ],
+		[ '<div>\n', 6, { row: 1, column: 0 } ],
+	] )( 'should get the position in %p at index %p',
+		( text, index, expected ) => {
+			expect( getTextPosition( text, index ) ).toStrictEqual( expected );
+		}
+	);
+} );
@@ -0,0 +1,65 @@
+/**
+ * Internal dependencies
+ */
+import getVersions from '../getVersions';
+
+describe( 'getVersions', () => {
+	const savedBlock = {
+		name: 'example-block',
+		fields: {
+			example_text: { name: 'example_text', control: 'text', type: 'string' },
+		},
+	};
+	const savedSchema = {
+		example_text: { control: 'text', type: 'string' },
+	};
+
+	it( 'should not add a version if the block was never saved', () => {
+		expect( getVersions( savedBlock, undefined ) ).toStrictEqual( [] );
+		expect( getVersions( savedBlock, { name: 'example-block', fields: {} } ) ).toStrictEqual( [] );
+	} );
+
+	it( 'should add a version with the saved fields', () => {
+		expect( getVersions( savedBlock, savedBlock ) ).toStrictEqual( [
+			{ fields: savedSchema, renamed: {} },
+		] );
+	} );
+
+	it( 'should record a rename', () => {
+		expect( getVersions( savedBlock, savedBlock, { from: 'example_text', to: 'new_text' } ) ).toStrictEqual( [
+			{ fields: savedSchema, renamed: { example_text: 'new_text' } },
+		] );
+	} );
+
+	it( 'should update the last version if it has the saved fields', () => {
+		const block = {
+			...savedBlock,
+			versions: [ { fields: savedSchema, renamed: { example_text: 'new_text' } } ],
+		};
+
+		expect( getVersions( block, savedBlock, { from: 'new_text', to: 'another_text' } ) ).toStrictEqual( [
+			{ fields: savedSchema, renamed: { example_text: 'another_text' } },
+		] );
+		expect( getVersions( block, savedBlock, { from: 'new_text', to: 'example_text' } ) ).toStrictEqual( [
+			{ fields: savedSchema, renamed: {} },
+		] );
+	} );
+
+	it( 'should not record a rename of a field that was not saved', () => {
+		expect( getVersions( savedBlock, savedBlock, { from: 'unsaved_field', to: 'new_name' } ) ).toStrictEqual( [
+			{ fields: savedSchema, renamed: {} },
+		] );
+	} );
+
+	it( 'should add a version after the previous versions', () => {
+		const previousVersion = {
+			fields: { previous_text: { control: 'text', type: 'string' } },
+			renamed: { previous_text: 'example_text' },
+		};
+
+		expect( getVersions( { ...savedBlock, versions: [ previousVersion ] }, savedBlock ) ).toStrictEqual( [
+			previousVersion,
+			{ fields: savedSchema, renamed: {} },
+		] );
+	} );
+} );
@@ -0,0 +1,93 @@
+/**
+ * Internal dependencies
+ */
+import moveBlockField from '../moveBlockField';
+
+describe( 'moveBlockField', () => {
+	const block = {
+		name: 'example-block',
+		fields: {
+			example_text: { name: 'example_text', control: 'text', type: 'string', location: 'editor', order: 0 },
+			example_repeater: {
+				name: 'example_repeater',
+				control: 'repeater',
+				type: 'object',
+				location: 'editor',
+				order: 1,
+				sub_fields: {
+					example_text: { name: 'example_text', control: 'text', type: 'string', location: 'editor', order: 0, parent: 'example_repeater' },
+				},
+			},
+			example_inspector: { name: 'example_inspector', control: 'text', type: 'string', location: 'inspector', order: 2 },
+		},
+	};
+	const savedSchema = {
+		example_text: { control: 'text', type: 'string' },
+		example_repeater: { control: 'repeater', type: 'object' },
+		example_inspector: { control: 'text', type: 'string' },
+	};
+
+	it( 'should not move a field where it cannot go', () => {
+		expect( moveBlockField( block, block, { name: 'example_repeater' }, { location: 'editor', index: 0, parent: 'example_repeater' } ) ).toBeNull();
+	} );
+
+	it( 'should not add a version for a move that keeps the attribute', () => {
+		const moved = moveBlockField( block, block, { name: 'example_inspector' }, { location: 'editor', index: 0 } );
+
+		expect( moved.name ).toStrictEqual( 'example_inspector' );
+		expect( moved.block.fields.example_inspector.location ).toStrictEqual( 'editor' );
+		expect( moved.block ).not.toHaveProperty( 'versions' );
+	} );
+
+	it.each( [
+		[ { name: 'example_text' }, { location: 'editor', index: 0, parent: 'example_repeater' }, 'example_text-1' ],
+		[ { name: 'example_text', parent: 'example_repeater' }, { location: 'editor', index: 0 }, 'example_text-1' ],
+		[ { name: 'example_inspector' }, { location: 'editor', index: 0, parent: 'example_repeater' }, 'example_inspector' ],
+	] )( 'should add a version for a move into or out of a repeater',
+		( fieldToMove, destination, expectedName ) => {
+			const moved = moveBlockField( block, block, fieldToMove, destination );
+
+			expect( moved.name ).toStrictEqual( expectedName );
+			expect( moved.block.versions ).toStrictEqual( [
+				{ fields: savedSchema, renamed: {} },
+			] );
+		}
+	);
+
+	it( 'should not add a version if the block was never saved', () => {
+		const moved = moveBlockField( block, undefined, { name: 'example_text' }, { location: 'editor', index: 0, parent: 'example_repeater' } );
+
+		expect( moved.block ).not.toHaveProperty( 'versions' );
+	} );
+
+	it.each( [
+		[
+			{ name: 'example_text' },
+			{ location: 'editor', index: 0, parent: 'example_repeater' },
+			{ example_repeater: { rows: [ { example_text: 'Row value' }, { example_text: 'Another row value' } ] }, example_inspector: 'Inspector value' },
+		],
+		[
+			{ name: 'example_text', parent: 'example_repeater' },
+			{ location: 'editor', index: 0 },
+			{ example_text: 'Top-level value', example_repeater: { rows: [ { 'example_text-1': 'Stale value' }, {} ] }, example_inspector: 'Inspector value' },
+		],
+	] )( 'should clear the preview value of a field that moved into or out of a repeater',
+		( fieldToMove, destination, expectedPreviewAttributes ) => {
+			const previewAttributes = {
+				example_text: 'Top-level value',
+				example_repeater: { rows: [ { example_text: 'Row value', 'example_text-1': 'Stale value' }, { example_text: 'Another row value' } ] },
+				example_inspector: 'Inspector value',
+			};
+			const moved = moveBlockField( { ...block, previewAttributes }, block, fieldToMove, destination );
+
+			expect( moved.block.previewAttributes ).toStrictEqual( expectedPreviewAttributes );
+		}
+	);
+
+	it( 'should keep the preview value of a field that moved to the other location', () => {
+		const previewAttributes = { example_inspector: 'Inspector value' };
+		const moved = moveBlockField( { ...block, previewAttributes }, block, { name: 'example_inspector' }, { location: 'editor', index: 0 } );
+
+		expect( moved.block.previewAttributes ).toStrictEqual( previewAttributes );
+	} );
+} );
@@ -0,0 +1,144 @@
+/**
+ * Internal dependencies
+ */
+import moveField from '../moveField';
+import { getFieldsAsArray } from '../../../common/helpers';
+
+/**
+ * Gets the names of the fields in a location, in order.
+ *
+ * @param {Object} fields   The fields, keyed by name.
+ * @param {string} location The location, like 'editor'.
+ * @return {string[]} The field names.
+ */
+const getNames = ( fields, location ) => getFieldsAsArray( fields )
+	.filter( ( field ) => location === field.location )
+	.map( ( field ) => field.name );
+
+describe( 'moveField', () => {
+	const fields = {
+		first: { name: 'first', control: 'text', location: 'editor', order: 0 },
+		second: { name: 'second', control: 'text', location: 'editor', order: 1 },
+		third: {
+			name: 'third',
+			control: 'text',
+			location: 'editor',
+			order: 2,
+			conditions: [
+				{ field: 'first', operator: 'not_empty' },
+				{ field: 'second', operator: 'empty' },
+			],
+		},
+		repeater: {
+			name: 'repeater',
+			control: 'repeater',
+			location: 'editor',
+			order: 3,
+			sub_fields: {
+				first: { name: 'first', control: 'text', location: 'editor', order: 0, parent: 'repeater' },
+				'sub-field': {
+					name: 'sub-field',
+					control: 'text',
+					location: 'editor',
+					order: 1,
+					parent: 'repeater',
+					conditions: [
+						{ field: 'first', operator: 'empty' },
+					],
+				},
+			},
+		},
+		inspector: { name: 'inspector', control: 'text', location: 'inspector', order: 4 },
+	};
+
+	it( 'should move a field down in its location', () => {
+		const { fields: newFields, name } = moveField( fields, { name: 'first' }, { location: 'editor', index: 3 } );
+
+		expect( name ).toStrictEqual( 'first' );
+		expect( getNames( newFields, 'editor' ) ).toStrictEqual( [ 'second', 'third', 'first', 'repeater' ] );
+		expect( getNames( newFields, 'inspector' ) ).toStrictEqual( [ 'inspector' ] );
+	} );
+
+	it( 'should move a field up in its location', () => {
+		const { fields: newFields } = moveField( fields, { name: 'third' }, { location: 'editor', index: 0 } );
+
+		expect( getNames( newFields, 'editor' ) ).toStrictEqual( [ 'third', 'first', 'second', 'repeater' ] );
+	} );
+
+	it( 'should move a field to the end of the other location', () => {
+		const { fields: newFields } = moveField( fields, { name: 'second' }, { location: 'inspector', index: Infinity } );
+
+		expect( getNames( newFields, 'editor' ) ).toStrictEqual( [ 'first', 'third', 'repeater' ] );
+		expect( getNames( newFields, 'inspector' ) ).toStrictEqual( [ 'inspector', 'second' ] );
+		expect( newFields.second.location ).toStrictEqual( 'inspector' );
+	} );
+
+	it( 'should move a field into a repeater, renaming it if a sub-field has its name', () => {
+		const { fields: newFields, name } = moveField( fields, { name: 'first' }, { location: 'editor', index: 1, parent: 'repeater' } );
+
+		expect( name ).toStrictEqual( 'first-1' );
+		expect( newFields.first ).toBeUndefined();
+		expect( getNames( newFields.repeater.sub_fields, 'editor' ) ).toStrictEqual( [ 'first', 'first-1', 'sub-field' ] );
+		expect( newFields.repeater.sub_fields[ 'first-1' ] ).toMatchObject( { name: 'first-1', parent: 'repeater', location: 'editor' } );
+		expect( newFields.third.conditions ).toStrictEqual( [ { field: 'second', operator: 'empty' } ] );
+	} );
+
+	it( 'should move a field out of a repeater', () => {
+		const { fields: newFields, name } = moveField(
+			fields,
+			{ name: 'sub-field', parent: 'repeater' },
+			{ location: 'inspector', index: 0 }
+		);
+
+		expect( name ).toStrictEqual( 'sub-field' );
+		expect( newFields.repeater.sub_fields[ 'sub-field' ] ).toBeUndefined();
+		expect( getNames( newFields, 'inspector' ) ).toStrictEqual( [ 'sub-field', 'inspector' ] );
+		expect( newFields[ 'sub-field' ] ).not.toHaveProperty( 'parent' );
+		expect( newFields[ 'sub-field' ].conditions ).toStrictEqual( [ { field: 'first', operator: 'empty' } ] );
+	} );
+
+	it( 'should remove the conditions that refer to fields that are not siblings anymore', () => {
+		const { fields: newFields } = moveField( fields, { name: 'third' }, { location: 'editor', index: 0, parent: 'repeater' } );
+
+		expect( newFields.repeater.sub_fields.third.conditions ).toStrictEqual( [ { field: 'first', operator: 'not_empty' } ] );
+	} );
+
+	it( 'should not move a repeater into a repeater', () => {
+		expect( moveField(
+			{ ...fields, other: { name: 'other', control: 'repeater', location: 'editor', order: 5 } },
+			{ name: 'other' },
+			{ location: 'editor', index: 0, parent: 'repeater' }
+		) ).toBeNull();
+	} );
+
+	it( 'should not move a group into a repeater', () => {
+		expect( moveField(
+			{ ...fields, details: { name: 'details', control: 'group', location: 'editor', order: 5 } },
+			{ name: 'details' },
+			{ location: 'editor', index: 0, parent: 'repeater' }
+		) ).toBeNull();
+	} );
+
+	it( 'should keep the group of a field that stays at the top level, and remove it from a field that moves into a repeater', () => {
+		const groupedFields = {
+			...fields,
+			second: { ...fields.second, group: 'details' },
+			details: { name: 'details', control: 'group', location: 'editor', order: 5 },
+		};
+
+		expect( moveField( groupedFields, { name: 'second' }, { location: 'editor', index: 0 } ).fields.second.group ).toStrictEqual( 'details' );
+		expect( moveField( groupedFields, { name: 'second' }, { location: 'editor', index: 0, parent: 'repeater' } ).fields.repeater.sub_fields.second ).not.toHaveProperty( 'group' );
+	} );
+
+	it( 'should not move a field that does not exist', () => {
+		expect( moveField( fields, { name: 'does-not-exist' }, { location: 'editor', index: 0 } ) ).toBeNull();
+	} );
+
+	it( 'should not mutate the fields', () => {
+		const originalFields = JSON.parse( JSON.stringify( fields ) );
+		moveField( fields, { name: 'first' }, { location: 'editor', index: 0, parent: 'repeater' } );
+		moveField( fields, { name: 'sub-field', parent: 'repeater' }, { location: 'editor', index: 0 } );
+
+		expect( fields ).toStrictEqual( originalFields );
+	} );
+} );
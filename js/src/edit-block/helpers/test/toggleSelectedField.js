@@ -0,0 +1,50 @@
+/**
+ * Internal dependencies
+ */
+import toggleSelectedField from '../toggleSelectedField';
+import { NO_FIELD_SELECTED } from '../../constants';
+
+describe( 'toggleSelectedField', () => {
+	it( 'should start the selection with the field that is selected on its own', () => {
+		expect( toggleSelectedField( [], { name: 'foo' }, { name: 'bar' } ) ).toStrictEqual( [
+			{ name: 'foo' },
+			{ name: 'bar' },
+		] );
+	} );
+
+	it( 'should select only the field when no field is selected', () => {
+		expect( toggleSelectedField( [], NO_FIELD_SELECTED, { name: 'bar' } ) ).toStrictEqual( [
+			{ name: 'bar' },
+		] );
+	} );
+
+	it( 'should add a field to the selection', () => {
+		expect( toggleSelectedField( [ { name: 'foo' }, { name: 'bar' } ], NO_FIELD_SELECTED, { name: 'baz' } ) ).toStrictEqual( [
+			{ name: 'foo' },
+			{ name: 'bar' },
+			{ name: 'baz' },
+		] );
+	} );
+
+	it( 'should remove a field that is already selected', () => {
+		expect( toggleSelectedField( [ { name: 'foo' }, { name: 'bar' } ], NO_FIELD_SELECTED, { name: 'foo' } ) ).toStrictEqual( [
+			{ name: 'bar' },
+		] );
+	} );
+
+	it( 'should not treat a sub-field as the same field as a top-level field with its name', () => {
+		expect( toggleSelectedField(
+			[ { name: 'foo', parent: 'repeater' }, { name: 'bar', parent: 'repeater' } ],
+			NO_FIELD_SELECTED,
+			{ name: 'foo', parent: 'other-repeater' }
+		) ).toStrictEqual( [
+			{ name: 'foo', parent: 'other-repeater' },
+		] );
+	} );
+
+	it( 'should start a new selection when the field is at another level', () => {
+		expect( toggleSelectedField( [ { name: 'foo' }, { name: 'bar' } ], NO_FIELD_SELECTED, { name: 'baz', parent: 'repeater' } ) ).toStrictEqual( [
+			{ name: 'baz', parent: 'repeater' },
+		] );
+	} );
+} );
@@ -0,0 +1,50 @@
+/**
+ * Internal dependencies
+ */
+import updateConditions from '../updateConditions';
+
+describe( 'updateConditions', () => {
+	const fields = {
+		'has-button': {
+			name: 'has-button',
+			control: 'toggle',
+		},
+		'button-url': {
+			name: 'button-url',
+			control: 'url',
+			conditions: [
+				{ field: 'has-button', operator: 'not_empty' },
+				{ field: 'button-text', operator: 'empty' },
+			],
+		},
+	};
+
+	it( 'should rename the field in the conditions', () => {
+		expect( updateConditions( fields, 'has-button', 'show-button' ) ).toStrictEqual( {
+			'has-button': fields[ 'has-button' ],
+			'button-url': {
+				...fields[ 'button-url' ],
+				conditions: [
+					{ field: 'show-button', operator: 'not_empty' },
+					{ field: 'button-text', operator: 'empty' },
+				],
+			},
+		} );
+	} );
+
+	it( 'should remove the conditions of a deleted field', () => {
+		expect( updateConditions( fields, 'has-button', null ) ).toStrictEqual( {
+			'has-button': fields[ 'has-button' ],
+			'button-url': {
+				...fields[ 'button-url' ],
+				conditions: [
+					{ field: 'button-text', operator: 'empty' },
+				],
+			},
+		} );
+	} );
+
+	it( 'should not change fields without conditions of the field', () => {
+		expect( updateConditions( fields, 'another-field', 'new-name' ) ).toStrictEqual( fields );
+	} );
+} );
@@ -0,0 +1,49 @@
+/**
+ * Internal dependencies
+ */
+import updateGroups from '../updateGroups';
+
+describe( 'updateGroups', () => {
+	const fields = {
+		details: {
+			name: 'details',
+			control: 'group',
+		},
+		title: {
+			name: 'title',
+			control: 'text',
+			group: 'details',
+		},
+		subtitle: {
+			name: 'subtitle',
+			control: 'text',
+			group: 'other-group',
+		},
+	};
+
+	it( 'should rename the group of the fields in it', () => {
+		expect( updateGroups( fields, 'details', 'more-details' ) ).toStrictEqual( {
+			details: fields.details,
+			title: {
+				...fields.title,
+				group: 'more-details',
+			},
+			subtitle: fields.subtitle,
+		} );
+	} );
+
+	it( 'should remove the fields from a deleted group', () => {
+		expect( updateGroups( fields, 'details', null ) ).toStrictEqual( {
+			details: fields.details,
+			title: {
+				name: 'title',
+				control: 'text',
+			},
+			subtitle: fields.subtitle,
+		} );
+	} );
+
+	it( 'should not change fields that are not in the group', () => {
+		expect( updateGroups( fields, 'unknown', 'other' ) ).toStrictEqual( fields );
+	} );
+} );
@@ -0,0 +1,38 @@
+/**
+ * Internal dependencies
+ */
+import { NO_FIELD_SELECTED } from '../constants';
+
+/**
+ * Gets whether two selected fields are the same field.
+ *
+ * @param {import('../components/editor').SelectedField} first  The first field.
+ * @param {import('../components/editor').SelectedField} second The second field.
+ * @return {boolean} Whether they're the same field.
+ */
+const isSameField = ( first, second ) => first.name === second.name && first.parent === second.parent;
+
+/**
+ * Adds a field to the multiple selection, or removes it if it's already there.
+ *
+ * The field that's selected on its own is the start of the multiple selection.
+ * Fields can only be selected together if they're at the same level,
+ * so toggling a field in another repeater starts a new selection.
+ *
+ * @param {import('../components/editor').SelectedField[]}                                      selectedFields The fields that are currently selected together.
+ * @param {import('../components/editor').SelectedField|import('../constants').NoFieldSelected} selectedField  The field that's currently selected on its own.
+ * @param {import('../components/editor').SelectedField}                                        field          The field to toggle.
+ * @return {import('../components/editor').SelectedField[]} The new fields that are selected together.
+ */
+const toggleSelectedField = ( selectedFields, selectedField, field ) => {
+	const initialFields = ! selectedFields.length && NO_FIELD_SELECTED !== selectedField
+		? [ selectedField ]
+		: selectedFields;
+	const fields = initialFields.filter( ( initialField ) => initialField.parent === field.parent );
+
+	return fields.some( ( selected ) => isSameField( selected, field ) )
+		? fields.filter( ( selected ) => ! isSameField( selected, field ) )
+		: [ ...fields, field ];
+};
+
+export default toggleSelectedField;
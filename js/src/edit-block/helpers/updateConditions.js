@@ -0,0 +1,33 @@
+/**
+ * Updates the conditions that refer to a field, after it's renamed or deleted.
+ *
+ * Conditions refer to their sibling fields by name,
+ * so they need to change when that name changes.
+ *
+ * @param {Object}      fields       The fields, keyed by name, which can have conditions.
+ * @param {string}      previousName The previous name of the field.
+ * @param {string|null} newName      The new name of the field, or null if it was deleted.
+ * @return {Object} The fields with their conditions updated.
+ */
+const updateConditions = ( fields, previousName, newName ) => {
+	return Object.keys( fields ).reduce( ( accumulator, fieldName ) => {
+		const field = fields[ fieldName ];
+		const hasCondition = Array.isArray( field.conditions ) &&
+			field.conditions.some( ( condition ) => previousName === condition.field );
+
+		accumulator[ fieldName ] = hasCondition
+			? {
+				...field,
+				conditions: null === newName
+					? field.conditions.filter( ( condition ) => previousName !== condition.field )
+					: field.conditions.map( ( condition ) => (
+						previousName === condition.field ? { ...condition, field: newName } : condition
+					) ),
+			}
+			: field;
+
+		return accumulator;
+	}, {} );
+};
+
+export default updateConditions;
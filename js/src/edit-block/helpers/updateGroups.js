@@ -0,0 +1,29 @@
+/**
+ * Updates the fields in a group, after the group is renamed or deleted.
+ *
+ * Fields refer to their group by name,
+ * so they need to change when that name changes.
+ *
+ * @param {Object}      fields       The top-level fields, keyed by name.
+ * @param {string}      previousName The previous name of the group.
+ * @param {string|null} newName      The new name of the group, or null if it was deleted.
+ * @return {Object} The fields with their groups updated.
+ */
+const updateGroups = ( fields, previousName, newName ) => {
+	return Object.keys( fields ).reduce( ( accumulator, fieldName ) => {
+		const field = fields[ fieldName ];
+		if ( previousName !== field.group ) {
+			accumulator[ fieldName ] = field;
+			return accumulator;
+		}
+
+		const { group, ...fieldWithoutGroup } = field;
+		accumulator[ fieldName ] = null === newName
+			? fieldWithoutGroup
+			: { ...field, group: newName };
+
+		return accumulator;
+	}, {} );
+};
+
+export default updateGroups;
@@ -22,19 +22,35 @@ import {
  * @property {string|null} [icon] The icon for the category, not used anymore.
  */
 
+/**
+ * @typedef {Object} FieldSchema The parts of a field that affect its block attribute.
+ * @property {string} type    The attribute type, like 'string'.
+ * @property {string} control The control, like 'text'.
+ */
+
+/**
+ * @typedef {Object} BlockVersion A previous version of the block fields.
+ * @property {Object.<string, FieldSchema>} fields  The fields in this version, keyed by field name.
+ * @property {Object.<string, string>}      renamed The fields that the next version renamed, from the previous name to the new name.
+ */
+
 /**
  * @typedef {Object} Block A block configuration.
- * @property {string}   name                The name (slug).
- * @property {string}   title               Often a pretty-printed version of the slug.
- * @property {Category} category            The block category, including slug and title properties.
- * @property {Object}   fields              Key/value pairs of Field objects.
- * @property {string}   icon                The block icon, like 'genesis_custom_block'.
- * @property {string[]} keywords            The keywords, max 3.
- * @property {boolean}  [displayModal]      Whether to display the editor fields in the modal.
- * @property {string[]} [excluded]          The excluded post tpes, if any.
- * @property {Object}   [previewAttributes] The block attributes to show in the GCB 'Editor Preview'.
- * @property {string}   [templateCss]       The template editor CSS.
- * @property {string}   [templateMarkup]    The template editor markup.
+ * @property {string}         name                The name (slug).
+ * @property {string}         title               Often a pretty-printed version of the slug.
+ * @property {Category}       category            The block category, including slug and title properties.
+ * @property {Object}         fields              Key/value pairs of Field objects.
+ * @property {string}         icon                The block icon, like 'genesis_custom_block'.
+ * @property {string[]}       keywords            The keywords, max 3.
+ * @property {boolean}        [displayModal]      Whether to display the editor fields in the modal.
+ * @property {string[]}       [excluded]          The excluded post tpes, if any.
+ * @property {boolean}        [hasTemplateFile]   Whether there's a PHP template file, only set in the block editor.
+ * @property {Object}         [previewAttributes] The block attributes to show in the GCB 'Editor Preview'.
+ * @property {boolean}        [scopeCss]          Whether the template editor CSS only applies to this block.
+ * @property {string}         [templateCss]       The template editor CSS.
+ * @property {string}         [templateMarkup]    The template editor markup.
+ * @property {string}         [templateScss]      The template editor SCSS, if the CSS is written in SCSS. templateCss has the compiled CSS.
+ * @property {BlockVersion[]} [versions]          The previous versions of the fields, from oldest to newest.
  */
 
 /**
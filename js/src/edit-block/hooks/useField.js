@@ -10,29 +10,38 @@ import { __, sprintf } from '@wordpress/i18n';
  * Internal dependencies
  */
 import {
+	changeFieldsSettings,
 	getBlock,
 	getBlockNameWithNameSpace,
 	getNewFieldNumber,
 	getOtherLocation,
 	getSettingsDefaults,
+	getVersions,
+	moveBlockField,
 	setCorrectOrderForFields,
+	updateConditions,
+	updateGroups,
 } from '../helpers';
 import { getFieldsAsArray, getFieldsAsObject } from '../../common/helpers';
 import { useBlock } from '../hooks';
-import { DEFAULT_LOCATION } from '../../common/constants';
+import { DEFAULT_LOCATION, GROUP_CONTROL } from '../../common/constants';
 
 /**
  * @typedef {Object} UseFieldReturn The return value of useField.
- * @property {function(string,string|null):string}                                      addNewField          Adds a new field.
- * @property {Object}                                                                   controls             All of the controls available.
- * @property {function(SelectedField):void}                                             deleteField          Deletes this field.
- * @property {function(SelectedField):void}                                             duplicateField       Duplicates this field.
- * @property {function(SelectedField,string):void}                                      changeControl        Changes the control of the field.
- * @property {function(SelectedField,Object):string}                                    changeFieldSettings  Changes field settings.
- * @property {function(SelectedField):Object}                                           getField             Gets the selected field.
- * @property {function():import('../components/editor').Field[]|null}                   getFields            Gets all of the fields.
- * @property {function(string,string|null):import('../components/editor').Field[]|null} getFieldsForLocation Gets all of the fields for a given location.
- * @property {function(number,number,string,string|null):void}                          reorderFields        Reorders the fields for a given location.
+ * @property {function(string,string|null):string}                                      addNewField                 Adds a new field.
+ * @property {Object}                                                                   controls                    All of the controls available.
+ * @property {function(SelectedField):void}                                             deleteField                 Deletes this field.
+ * @property {function(SelectedField):void}                                             duplicateField              Duplicates this field.
+ * @property {function(SelectedField,string):void}                                      changeControl               Changes the control of the field.
+ * @property {function(SelectedField,Object):string}                                    changeFieldSettings         Changes field settings.
+ * @property {function(SelectedField[],Object):void}                                    changeMultipleFieldSettings Changes the settings that multiple fields share.
+ * @property {function(SelectedField[]):void}                                           deleteFields                Deletes multiple fields.
+ * @property {function(SelectedField[]):void}                                           duplicateFields             Duplicates multiple fields.
+ * @property {function(SelectedField):Object}                                           getField                    Gets the selected field.
+ * @property {function():import('../components/editor').Field[]|null}                   getFields                   Gets all of the fields.
+ * @property {function(string,string|null):import('../components/editor').Field[]|null} getFieldsForLocation        Gets all of the fields for a given location.
+ * @property {function(SelectedField,Object):SelectedField|null}                        moveFieldTo                 Moves a field anywhere, like into a repeater.
+ * @property {function(number,number,string,string|null):void}                          reorderFields               Reorders the fields for a given location.
  */
 
 /** @typedef {import('../components/editor').SelectedField|import('../constants').NoFieldSelected} SelectedField The current field */
@@ -50,18 +59,40 @@ const useField = () => {
 		( select ) => select( 'core/editor' ).getEditedPostContent(),
 		[]
 	);
+	const savedPostContent = useSelect(
+		// @ts-ignore The function isn't in the declaration file.
+		( select ) => select( 'core/editor' ).getCurrentPost()?.content,
+		[]
+	);
 	const { editPost } = useDispatch( 'core/editor' );
+	const { createErrorNotice } = useDispatch( 'core/notices' );
 
 	const fullBlock = getBlock( editedPostContent );
 	const blockNameWithNameSpace = getBlockNameWithNameSpace( fullBlock );
 	const block = fullBlock[ blockNameWithNameSpace ] || {};
 
+	// The block as it was last saved, which existing content uses.
+	const savedBlock = Object.values( getBlock( savedPostContent ) )[ 0 ];
+
 	const editBlock = ( newBlock ) => editPost( {
 		content: JSON.stringify( {
 			[ blockNameWithNameSpace ]: newBlock,
 		} ),
 	} );
 
+	/**
+	 * Records a change that could make the attributes in existing content stale.
+	 *
+	 * @param {Object}                                       newBlock The block to set the versions of.
+	 * @param {import('../helpers/getVersions').FieldRename} [rename] The field rename, if any.
+	 */
+	const setVersions = ( newBlock, rename ) => {
+		const versions = getVersions( newBlock, savedBlock, rename );
+		if ( versions.length ) {
+			newBlock.versions = versions;
+		}
+	};
+
 	/**
 	 * Adds a new field to the end of the existing fields.
 	 *
@@ -157,10 +188,25 @@ const useField = () => {
 			newField.parent = fieldToChange.parent;
 			newBlock.fields[ fieldToChange.parent ].sub_fields[ fieldToChange.name ] = newField;
 		} else {
+			if ( previousField.group && GROUP_CONTROL !== newField.control ) {
+				newField.group = previousField.group;
+			}
+
 			newBlock.fields[ fieldToChange.name ] = newField;
+
+			// The fields in this group aren't in a group anymore.
+			if ( GROUP_CONTROL === previousField.control && GROUP_CONTROL !== newField.control ) {
+				newBlock.fields = updateGroups( newBlock.fields, fieldToChange.name, null );
+			}
+
 			if ( newBlock.hasOwnProperty( 'previewAttributes' ) ) {
 				delete newBlock.previewAttributes[ fieldToChange.name ];
 			}
+
+			// Existing content has the previous attribute type, so it'll need to be migrated.
+			if ( newField.type !== previousField.type ) {
+				setVersions( newBlock );
+			}
 		}
 
 		editBlock( newBlock );
@@ -204,7 +250,7 @@ const useField = () => {
 
 		editBlock( newBlock );
 
-		return newFields;
+		return updateGroups( updateConditions( newFields, previousName, newName ), previousName, newName );
 	};
 
 	/**
@@ -318,6 +364,9 @@ const useField = () => {
 					fieldToChange.name,
 					newSettings.name
 				);
+
+				// Existing content has the previous attribute name, so it'll need to be migrated.
+				setVersions( newBlock, { from: fieldToChange.name, to: newSettings.name } );
 			}
 		}
 
@@ -326,29 +375,48 @@ const useField = () => {
 	};
 
 	/**
-	 * Deletes the field.
+	 * Deletes fields, in a single change so that one undo restores all of them.
 	 *
-	 * @param {SelectedField} selectedField The field to delete.
+	 * @param {SelectedField[]} selectedFields The fields to delete.
 	 */
-	const deleteField = ( selectedField ) => {
+	const deleteFields = ( selectedFields ) => {
 		const newBlock = { ...block };
 
-		if (
-			selectedField.hasOwnProperty( 'parent' ) &&
-			newBlock.fields[ selectedField.parent ] &&
-			newBlock.fields[ selectedField.parent ].sub_fields
-		) {
-			delete newBlock.fields[ selectedField.parent ].sub_fields[ selectedField.name ];
-		} else {
-			delete newBlock.fields[ selectedField.name ];
-			if ( newBlock?.previewAttributes?.hasOwnProperty( selectedField.name ) ) {
-				delete newBlock?.previewAttributes[ selectedField.name ];
+		selectedFields.forEach( ( selectedField ) => {
+			if (
+				selectedField.hasOwnProperty( 'parent' ) &&
+				newBlock.fields[ selectedField.parent ] &&
+				newBlock.fields[ selectedField.parent ].sub_fields
+			) {
+				delete newBlock.fields[ selectedField.parent ].sub_fields[ selectedField.name ];
+				newBlock.fields[ selectedField.parent ].sub_fields = updateConditions(
+					newBlock.fields[ selectedField.parent ].sub_fields,
+					selectedField.name,
+					null
+				);
+			} else {
+				delete newBlock.fields[ selectedField.name ];
+				newBlock.fields = updateGroups(
+					updateConditions( newBlock.fields, selectedField.name, null ),
+					selectedField.name,
+					null
+				);
+				if ( newBlock?.previewAttributes?.hasOwnProperty( selectedField.name ) ) {
+					delete newBlock?.previewAttributes[ selectedField.name ];
+				}
 			}
-		}
+		} );
 
 		editBlock( newBlock );
 	};
 
+	/**
+	 * Deletes the field.
+	 *
+	 * @param {SelectedField} selectedField The field to delete.
+	 */
+	const deleteField = ( selectedField ) => deleteFields( [ selectedField ] );
+
 	/**
 	 * Gets a field, if it exists.
 	 *
@@ -368,37 +436,60 @@ const useField = () => {
 	};
 
 	/**
-	 * Duplicates this field.
+	 * Duplicates fields, in a single change so that one undo removes all of the duplicates.
 	 *
-	 * @param {SelectedField} selectedField The name of the field to duplicate.
+	 * @param {SelectedField[]} selectedFields The fields to duplicate.
 	 */
-	const duplicateField = ( selectedField ) => {
+	const duplicateFields = ( selectedFields ) => {
 		const { fields = {} } = block;
-		const currentField = getField( selectedField );
-		const hasParent = selectedField.hasOwnProperty( 'parent' );
-		const currentFields = hasParent
-			? fields[ selectedField.parent ].sub_fields
-			: fields;
+		const newBlock = { ...block };
 
-		const newFieldNumber = getNewFieldNumber( currentFields, selectedField.name );
-		const newFieldName = `${ selectedField.name }-${ newFieldNumber.toString() }`;
+		selectedFields.forEach( ( selectedField ) => {
+			const currentField = getField( selectedField );
+			const hasParent = selectedField.hasOwnProperty( 'parent' );
+			const currentFields = hasParent
+				? fields[ selectedField.parent ].sub_fields
+				: fields;
 
-		currentFields[ newFieldName ] = {
-			...currentField,
-			name: newFieldName,
-			order: Object.values( fields ).length,
-		};
+			const newFieldNumber = getNewFieldNumber( currentFields, selectedField.name );
+			const newFieldName = `${ selectedField.name }-${ newFieldNumber.toString() }`;
 
-		const newBlock = { ...block };
-		if ( hasParent ) {
-			newBlock.fields[ selectedField.parent ].sub_fields = currentFields;
-		} else {
-			newBlock.fields = currentFields;
-		}
+			currentFields[ newFieldName ] = {
+				...currentField,
+				name: newFieldName,
+				order: Object.values( fields ).length,
+			};
+
+			if ( hasParent ) {
+				newBlock.fields[ selectedField.parent ].sub_fields = currentFields;
+			} else {
+				newBlock.fields = currentFields;
+			}
+		} );
 
 		editBlock( newBlock );
 	};
 
+	/**
+	 * Duplicates this field.
+	 *
+	 * @param {SelectedField} selectedField The name of the field to duplicate.
+	 */
+	const duplicateField = ( selectedField ) => duplicateFields( [ selectedField ] );
+
+	/**
+	 * Changes the settings that multiple fields share, in a single change so that one undo reverts all of them.
+	 *
+	 * @param {SelectedField[]}                                          selectedFields The fields to change.
+	 * @param {import('../helpers/changeFieldsSettings').SharedSettings} newSettings    The new settings.
+	 */
+	const changeMultipleFieldSettings = ( selectedFields, newSettings ) => {
+		editBlock( {
+			...block,
+			fields: changeFieldsSettings( block.fields || {}, selectedFields, newSettings ),
+		} );
+	};
+
 	/**
 	 * Reorders fields, moving a single field to another position.
 	 *
@@ -431,16 +522,47 @@ const useField = () => {
 		editBlock( newBlock );
 	};
 
+	/**
+	 * Moves a field anywhere in the block, like to the other location or into a repeater.
+	 *
+	 * @param {SelectedField}                                   fieldToMove The field to move.
+	 * @param {import('../helpers/moveField').FieldDestination} destination Where to move the field.
+	 * @return {SelectedField|null} The moved field, which has a new name if its new siblings had its name.
+	 */
+	const moveFieldTo = ( fieldToMove, destination ) => {
+		const moved = moveBlockField( block, savedBlock, fieldToMove, destination );
+		if ( ! moved ) {
+			createErrorNotice(
+				__( 'The field could not move there, as a repeater or group can only go at the top level.', 'genesis-custom-blocks' ),
+				{ isDismissible: true, type: 'snackbar' }
+			);
+			return null;
+		}
+
+		editBlock( moved.block );
+
+		const movedField = { name: moved.name };
+		if ( destination.parent ) {
+			movedField.parent = destination.parent;
+		}
+
+		return movedField;
+	};
+
 	return {
 		addNewField,
 		changeControl,
 		changeFieldSettings,
+		changeMultipleFieldSettings,
 		controls,
 		deleteField,
+		deleteFields,
 		duplicateField,
+		duplicateFields,
 		getField,
 		getFields,
 		getFieldsForLocation,
+		moveFieldTo,
 		reorderFields,
 	};
 };
@@ -1,14 +1,27 @@
 export { default as checkbox } from '@material-ui/icons/CheckCircle';
+export { default as code } from '@material-ui/icons/Code';
 export { default as color } from '@material-ui/icons/Palette';
+export { default as date } from '@material-ui/icons/Today';
+export { default as datetime } from '@material-ui/icons/Event';
 export { default as email } from '@material-ui/icons/Email';
+export { default as gallery } from '@material-ui/icons/PhotoLibrary';
+export { default as group } from '@material-ui/icons/ViewAgenda';
+export { default as icon } from '@material-ui/icons/Stars';
 export { default as image } from '@material-ui/icons/InsertPhoto';
 export { default as inner_blocks } from '@material-ui/icons/Toys'; /* eslint-disable-line camelcase */
+export { default as link } from '@material-ui/icons/InsertLink';
 export { default as multiselect } from '@material-ui/icons/ListAlt';
 export { default as number } from '@material-ui/icons/LooksOne';
+export { default as post } from '@material-ui/icons/LibraryBooks';
 export { default as radio } from '@material-ui/icons/RadioButtonChecked';
 export { default as range } from '@material-ui/icons/LinearScale';
+export { default as repeater } from '@material-ui/icons/Repeat';
+export { default as rich_text } from '@material-ui/icons/TextFields'; /* eslint-disable-line camelcase */
 export { default as select } from '@material-ui/icons/List';
+export { default as taxonomy } from '@material-ui/icons/LocalOffer';
 export { default as text } from '@material-ui/icons/TextFormat';
 export { default as textarea } from '@material-ui/icons/FontDownload';
+export { default as time } from '@material-ui/icons/Schedule';
 export { default as toggle } from '@material-ui/icons/ToggleOn';
 export { default as url } from '@material-ui/icons/Link';
+export { default as user } from '@material-ui/icons/Person';
@@ -130,6 +130,8 @@ class EditBlock extends ComponentAbstract {
 						'initialEdits'     => null,
 						'isOnboardingPost' => $post_id && intval( get_option( Onboarding::OPTION_NAME ) ) === $post_id,
 						'categories'       => get_block_categories( get_post() ),
+						'allowedTags'      => wp_kses_allowed_html( 'post' ),
+						'allowedProtocols' => wp_allowed_protocols(),
 					]
 				)
 			),
@@ -81,6 +81,13 @@ class Block {
 	 */
 	public $template_css = '';
 
+	/**
+	 * Whether the template editor CSS only applies to this block.
+	 *
+	 * @var bool
+	 */
+	public $scope_css = false;
+
 	/**
 	 * Template editor markup.
 	 *
@@ -88,6 +95,15 @@ class Block {
 	 */
 	public $template_markup = '';
 
+	/**
+	 * Template editor SCSS, if the CSS is written in SCSS.
+	 *
+	 * This is only for editing. The compiled CSS is in $template_css.
+	 *
+	 * @var string|null
+	 */
+	public $template_scss = null;
+
 	/**
 	 * Block constructor.
 	 *
@@ -163,10 +179,18 @@ class Block {
 			$this->template_css = $config['templateCss'];
 		}
 
+		if ( isset( $config['scopeCss'] ) ) {
+			$this->scope_css = $config['scopeCss'];
+		}
+
 		if ( isset( $config['templateMarkup'] ) ) {
 			$this->template_markup = $config['templateMarkup'];
 		}
 
+		if ( isset( $config['templateScss'] ) ) {
+			$this->template_scss = $config['templateScss'];
+		}
+
 		if ( isset( $config['fields'] ) ) {
 			foreach ( $config['fields'] as $key => $field ) {
 				$this->fields[ $key ] = new Field( $field );
@@ -188,8 +212,13 @@ class Block {
 		$config['keywords']       = $this->keywords;
 		$config['displayModal']   = $this->display_modal;
 		$config['templateCss']    = $this->template_css;
+		$config['scopeCss']       = $this->scope_css;
 		$config['templateMarkup'] = $this->template_markup;
 
+		if ( null !== $this->template_scss ) {
+			$config['templateScss'] = $this->template_scss;
+		}
+
 		$config['fields'] = [];
 		foreach ( $this->fields as $key => $field ) {
 			$config['fields'][ $key ] = $field->to_array();
@@ -0,0 +1,101 @@
+<?php
+/**
+ * Code control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Code
+ */
+class Code extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'code';
+
+	/**
+	 * Code constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Code', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		foreach ( [ 'location', 'width', 'help' ] as $setting ) {
+			$this->settings[] = new ControlSetting( $this->settings_config[ $setting ] );
+		}
+
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'default',
+				'label'   => __( 'Default Value', 'genesis-custom-blocks' ),
+				'type'    => 'textarea',
+				'default' => '',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'language',
+				'label'   => __( 'Language', 'genesis-custom-blocks' ),
+				'type'    => 'code_language',
+				'default' => 'html',
+				'help'    => __( 'The template outputs the code in a <pre><code> with a class for this language, like language-html.', 'genesis-custom-blocks' ),
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'line_numbers',
+				'label'   => __( 'Show Line Numbers', 'genesis-custom-blocks' ),
+				'type'    => 'checkbox',
+				'default' => true,
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'theme',
+				'label'   => __( 'Editor Theme', 'genesis-custom-blocks' ),
+				'type'    => 'code_theme',
+				'default' => 'textmate',
+			]
+		);
+	}
+
+	/**
+	 * Gets the markup of the code, in a <pre><code>.
+	 *
+	 * The code is stored as it was entered, so this escapes it.
+	 *
+	 * @param mixed  $value        The code.
+	 * @param string $language     The language of the code, like 'php'.
+	 * @param bool   $line_numbers Whether to show line numbers.
+	 * @return string The <pre><code> with the code, or '' if there's no code.
+	 */
+	public function get_markup( $value, $language, $line_numbers ) {
+		if ( ! is_string( $value ) || '' === $value ) {
+			return '';
+		}
+
+		return sprintf(
+			'<pre%1$s><code class="%2$s">%3$s</code></pre>',
+			$line_numbers ? ' class="line-numbers"' : '',
+			esc_attr( 'language-' . sanitize_key( $language ? $language : 'text' ) ),
+			esc_html( $value )
+		);
+	}
+}
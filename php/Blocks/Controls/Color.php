@@ -22,7 +22,7 @@ class Color extends ControlAbstract {
 	public $name = 'color';
 
 	/**
-	 * Text constructor.
+	 * Color constructor.
 	 *
 	 * @return void
 	 */
@@ -40,5 +40,56 @@ class Color extends ControlAbstract {
 		foreach ( [ 'location', 'width', 'help', 'default' ] as $setting ) {
 			$this->settings[] = new ControlSetting( $this->settings_config[ $setting ] );
 		}
+
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'palette_only',
+				'label'   => __( 'Only Allow Palette Colors', 'genesis-custom-blocks' ),
+				'type'    => 'checkbox',
+				'default' => false,
+				'help'    => __( 'Only the colors of the theme palette can be chosen, not custom colors.', 'genesis-custom-blocks' ),
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'gradients',
+				'label'   => __( 'Allow Gradients', 'genesis-custom-blocks' ),
+				'type'    => 'checkbox',
+				'default' => false,
+			]
+		);
+	}
+
+	/**
+	 * Validates the value to be made available to the front-end template.
+	 *
+	 * @param string $value   The color, or a preset like 'var:preset|color|primary'.
+	 * @param bool   $is_echo Whether this value will be echoed.
+	 * @return string The CSS value of the color.
+	 */
+	public function validate( $value, $is_echo ) {
+		unset( $is_echo );
+		return $this->get_css_value( $value );
+	}
+
+	/**
+	 * Gets the CSS value of a color.
+	 *
+	 * A color from the theme palette is stored as a preset, like the block editor stores it in block styles.
+	 * Its CSS value is the variable of the preset, so it changes with the palette.
+	 *
+	 * @param string $value The color, or a preset like 'var:preset|color|primary'.
+	 * @return string The CSS value, like 'var(--wp--preset--color--primary)'.
+	 */
+	public function get_css_value( $value ) {
+		if ( ! is_string( $value ) ) {
+			return '';
+		}
+
+		if ( preg_match( '/^var:preset\|(color|gradient)\|(.+)$/', $value, $matches ) ) {
+			return sprintf( 'var(--wp--preset--%1$s--%2$s)', $matches[1], $matches[2] );
+		}
+
+		return $value;
 	}
 }
@@ -0,0 +1,85 @@
+<?php
+/**
+ * Date control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Date
+ */
+class Date extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'date';
+
+	/**
+	 * Field variable type.
+	 *
+	 * @var string
+	 */
+	public $type = 'string';
+
+	/**
+	 * Date constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Date', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		foreach ( [ 'location', 'width', 'help' ] as $setting ) {
+			$this->settings[] = new ControlSetting( $this->settings_config[ $setting ] );
+		}
+
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'min',
+				'label'   => __( 'Earliest Date', 'genesis-custom-blocks' ),
+				'type'    => 'date',
+				'default' => '',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'max',
+				'label'   => __( 'Latest Date', 'genesis-custom-blocks' ),
+				'type'    => 'date',
+				'default' => '',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'storage_format',
+				'label'   => __( 'Stored Format', 'genesis-custom-blocks' ),
+				'type'    => 'date_storage_format',
+				'default' => 'iso',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'display_format',
+				'label'   => __( 'Display Format', 'genesis-custom-blocks' ),
+				'type'    => 'text',
+				'default' => 'F j, Y',
+				'help'    => __( 'How the template outputs the date, as a PHP date format.', 'genesis-custom-blocks' ),
+			]
+		);
+	}
+}
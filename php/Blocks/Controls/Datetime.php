@@ -0,0 +1,85 @@
+<?php
+/**
+ * Date and Time control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Datetime
+ */
+class Datetime extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'datetime';
+
+	/**
+	 * Field variable type.
+	 *
+	 * @var string
+	 */
+	public $type = 'string';
+
+	/**
+	 * Datetime constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Date and Time', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		foreach ( [ 'location', 'width', 'help' ] as $setting ) {
+			$this->settings[] = new ControlSetting( $this->settings_config[ $setting ] );
+		}
+
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'min',
+				'label'   => __( 'Earliest Date and Time', 'genesis-custom-blocks' ),
+				'type'    => 'date_time',
+				'default' => '',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'max',
+				'label'   => __( 'Latest Date and Time', 'genesis-custom-blocks' ),
+				'type'    => 'date_time',
+				'default' => '',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'storage_format',
+				'label'   => __( 'Stored Format', 'genesis-custom-blocks' ),
+				'type'    => 'date_storage_format',
+				'default' => 'iso',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'display_format',
+				'label'   => __( 'Display Format', 'genesis-custom-blocks' ),
+				'type'    => 'text',
+				'default' => 'F j, Y g:i a',
+				'help'    => __( 'How the template outputs the date and time, as a PHP date format.', 'genesis-custom-blocks' ),
+			]
+		);
+	}
+}
@@ -0,0 +1,93 @@
+<?php
+/**
+ * Gallery control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Gallery
+ */
+class Gallery extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'gallery';
+
+	/**
+	 * Field variable type.
+	 *
+	 * @var string
+	 */
+	public $type = 'array';
+
+	/**
+	 * Gallery constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Gallery', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		$this->settings[] = new ControlSetting( $this->settings_config['location'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['width'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['help'] );
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'min',
+				'label'   => __( 'Minimum Images', 'genesis-custom-blocks' ),
+				'type'    => 'number_non_negative',
+				'default' => '',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'max',
+				'label'   => __( 'Maximum Images', 'genesis-custom-blocks' ),
+				'type'    => 'number_non_negative',
+				'default' => '',
+			]
+		);
+	}
+
+	/**
+	 * Validates the value to be made available to the front-end template.
+	 *
+	 * @param array $value   The IDs of the images, in order.
+	 * @param bool  $is_echo Whether this value will be echoed.
+	 * @return int[]|string[] The image IDs, or the image URLs if this will be echoed.
+	 */
+	public function validate( $value, $is_echo ) {
+		$image_ids = array_values( array_filter( array_map( 'intval', (array) $value ) ) );
+		if ( ! $is_echo ) {
+			return $image_ids;
+		}
+
+		return array_values(
+			array_filter(
+				array_map(
+					static function ( $image_id ) {
+						$image = wp_get_attachment_image_src( $image_id, 'full' );
+						return ! empty( $image[0] ) ? $image[0] : '';
+					},
+					$image_ids
+				)
+			)
+		);
+	}
+}
@@ -0,0 +1,62 @@
+<?php
+/**
+ * Group control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Group
+ *
+ * A layout element that holds other fields, as tabs, accordion sections, or a panel.
+ * It doesn't store a value, and the fields in it store the name of the group in their 'group' setting.
+ */
+class Group extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'group';
+
+	/**
+	 * Group constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Group', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		$this->settings[] = new ControlSetting( $this->settings_config['location'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['help'] );
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'layout',
+				'label'   => __( 'Layout', 'genesis-custom-blocks' ),
+				'type'    => 'group_layout',
+				'default' => 'panel',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'collapsed',
+				'label'   => __( 'Collapsed by Default', 'genesis-custom-blocks' ),
+				'type'    => 'checkbox',
+				'default' => false,
+			]
+		);
+	}
+}
@@ -0,0 +1,103 @@
+<?php
+/**
+ * Icon control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Icon
+ */
+class Icon extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'icon';
+
+	/**
+	 * The <svg> of each icon, keyed by the snake_case icon name.
+	 *
+	 * @var array|null
+	 */
+	protected $icons = null;
+
+	/**
+	 * Icon constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Icon', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		foreach ( [ 'location', 'width', 'help' ] as $setting ) {
+			$this->settings[] = new ControlSetting( $this->settings_config[ $setting ] );
+		}
+	}
+
+	/**
+	 * Validates the value to be made available to the front-end template.
+	 *
+	 * @param string $value   The snake_case icon name, like 'account_balance'.
+	 * @param bool   $is_echo Whether this value will be echoed.
+	 * @return string The icon name, or its <svg> if this will be echoed.
+	 */
+	public function validate( $value, $is_echo ) {
+		if ( ! is_string( $value ) ) {
+			return '';
+		}
+
+		return $is_echo ? $this->get_svg( $value ) : $value;
+	}
+
+	/**
+	 * Gets the <svg> of an icon.
+	 *
+	 * @param string $icon_name The snake_case icon name, like 'account_balance'.
+	 * @return string The <svg>, or '' if the icon doesn't exist.
+	 */
+	public function get_svg( $icon_name ) {
+		$icons = $this->get_icons();
+		return isset( $icons[ $icon_name ] ) ? (string) $icons[ $icon_name ] : '';
+	}
+
+	/**
+	 * Gets all of the icons.
+	 *
+	 * The icons are React components in JavaScript, so assets/icons.json has their <svg>.
+	 *
+	 * @return array The <svg> of each icon, keyed by the snake_case icon name.
+	 */
+	public function get_icons() {
+		if ( null === $this->icons ) {
+			$icons_path  = genesis_custom_blocks()->get_assets_path( 'icons.json' );
+			$this->icons = file_exists( $icons_path )
+				? (array) json_decode( file_get_contents( $icons_path ), true ) // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- This JSON file is being included from the plugin directory, so using file_get_contents is okay.
+				: [];
+		}
+
+		/**
+		 * Filters the icons that icon fields can output.
+		 *
+		 * This is the equivalent of the JS filter genesisCustomBlocks.iconComponents,
+		 * so an icon added there should be added here with its <svg>.
+		 *
+		 * @param array $icons The <svg> of each icon, keyed by the snake_case icon name.
+		 */
+		return (array) apply_filters( 'genesis_custom_blocks_icons', $this->icons );
+	}
+}
@@ -0,0 +1,96 @@
+<?php
+/**
+ * Link control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Link
+ */
+class Link extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'link';
+
+	/**
+	 * Field variable type.
+	 *
+	 * @var string
+	 */
+	public $type = 'object';
+
+	/**
+	 * Link constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Link', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		foreach ( [ 'location', 'width', 'help' ] as $setting ) {
+			$this->settings[] = new ControlSetting( $this->settings_config[ $setting ] );
+		}
+	}
+
+	/**
+	 * Validates the value to be made available to the front-end template.
+	 *
+	 * @param array|string $value   The link, or a URL from before this was a link field.
+	 * @param bool         $is_echo Whether this value will be echoed.
+	 * @return array|string The link with the url, title, opensInNewTab, and postId, or its <a> if this will be echoed.
+	 */
+	public function validate( $value, $is_echo ) {
+		$link = $this->get_link( $value );
+		if ( ! $is_echo ) {
+			return $link;
+		}
+
+		if ( ! $link['url'] ) {
+			return '';
+		}
+
+		return sprintf(
+			'<a href="%1$s"%2$s>%3$s</a>',
+			esc_url( $link['url'] ),
+			$link['opensInNewTab'] ? ' target="_blank" rel="noreferrer noopener"' : '',
+			esc_html( $link['title'] ? $link['title'] : $link['url'] )
+		);
+	}
+
+	/**
+	 * Gets a link with all of its properties.
+	 *
+	 * @param array|string $value The link, or a URL from before this was a link field.
+	 * @return array The link.
+	 */
+	public function get_link( $value ) {
+		if ( is_string( $value ) ) {
+			$value = [ 'url' => $value ];
+		}
+
+		$value = is_array( $value ) ? $value : [];
+		return [
+			'url'           => isset( $value['url'] ) ? (string) $value['url'] : '',
+			'title'         => isset( $value['title'] ) ? (string) $value['title'] : '',
+			'opensInNewTab' => ! empty( $value['opensInNewTab'] ),
+			'postId'        => isset( $value['postId'] ) ? intval( $value['postId'] ) : 0,
+		];
+	}
+}
@@ -0,0 +1,130 @@
+<?php
+/**
+ * Post control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Post
+ *
+ * Stores the IDs of the chosen posts, in the order they were chosen.
+ */
+class Post extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'post';
+
+	/**
+	 * Field variable type.
+	 *
+	 * @var string
+	 */
+	public $type = 'array';
+
+	/**
+	 * Post constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Post', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		$this->settings[] = new ControlSetting( $this->settings_config['location'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['width'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['help'] );
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'post_types',
+				'label'   => __( 'Post Types', 'genesis-custom-blocks' ),
+				'type'    => 'post_types',
+				'default' => [ 'post' ],
+				'help'    => __( 'The post types to search for posts.', 'genesis-custom-blocks' ),
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'multiple',
+				'label'   => __( 'Allow Multiple Posts', 'genesis-custom-blocks' ),
+				'type'    => 'checkbox',
+				'default' => false,
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'orderby',
+				'label'   => __( 'Order Search Results By', 'genesis-custom-blocks' ),
+				'type'    => 'post_order',
+				'default' => 'date',
+			]
+		);
+	}
+
+	/**
+	 * Validates the value to be made available to the front-end template.
+	 *
+	 * @param array $value   The IDs of the posts.
+	 * @param bool  $is_echo Whether this value will be echoed.
+	 * @return int[]|string[] The post IDs, or the post titles if this will be echoed.
+	 */
+	public function validate( $value, $is_echo ) {
+		$post_ids = array_values( array_filter( array_map( 'intval', (array) $value ) ) );
+		if ( ! $is_echo ) {
+			return $post_ids;
+		}
+
+		return array_values(
+			array_filter(
+				array_map(
+					function ( $post_id ) {
+						return $this->get_post_property( $post_id, 'title' );
+					},
+					$post_ids
+				)
+			)
+		);
+	}
+
+	/**
+	 * Gets the value of a post property, for the {{field.property}} tokens in the template editor.
+	 *
+	 * Only published posts have values, so a template can't expose a draft or private post.
+	 *
+	 * @param int    $post_id  The ID of the post.
+	 * @param string $property The property, like 'title'.
+	 * @return string The value of the property, or '' if there's none.
+	 */
+	public function get_post_property( $post_id, $property ) {
+		$post = get_post( $post_id );
+		if ( ! $post || 'publish' !== get_post_status( $post ) || ! is_post_type_viewable( $post->post_type ) ) {
+			return '';
+		}
+
+		switch ( $property ) {
+			case 'title':
+				return get_the_title( $post );
+			case 'permalink':
+				return (string) get_permalink( $post );
+			case 'excerpt':
+				return get_the_excerpt( $post );
+		}
+
+		return '';
+	}
+}
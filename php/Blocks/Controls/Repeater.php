@@ -0,0 +1,69 @@
+<?php
+/**
+ * Repeater control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Repeater
+ */
+class Repeater extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'repeater';
+
+	/**
+	 * Field variable type.
+	 *
+	 * The rows are stored like [ 'rows' => [ [ 'sub-field' => 'Example' ] ] ].
+	 *
+	 * @var string
+	 */
+	public $type = 'object';
+
+	/**
+	 * Repeater constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Repeater', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		$this->settings[] = new ControlSetting( $this->settings_config['location'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['width'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['help'] );
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'min',
+				'label'   => __( 'Minimum Rows', 'genesis-custom-blocks' ),
+				'type'    => 'number_non_negative',
+				'default' => '',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'max',
+				'label'   => __( 'Maximum Rows', 'genesis-custom-blocks' ),
+				'type'    => 'number_non_negative',
+				'default' => '',
+			]
+		);
+	}
+}
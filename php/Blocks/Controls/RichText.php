@@ -0,0 +1,78 @@
+<?php
+/**
+ * Rich Text control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class RichText
+ */
+class RichText extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'rich_text';
+
+	/**
+	 * Field variable type.
+	 *
+	 * @var string
+	 */
+	public $type = 'string';
+
+	/**
+	 * RichText constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Rich Text', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		foreach ( [ 'location', 'width', 'help' ] as $setting ) {
+			$this->settings[] = new ControlSetting( $this->settings_config[ $setting ] );
+		}
+
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'default',
+				'label'   => __( 'Default Value', 'genesis-custom-blocks' ),
+				'type'    => 'textarea',
+				'default' => '',
+			]
+		);
+		$this->settings[] = new ControlSetting( $this->settings_config['placeholder'] );
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'formats',
+				'label'   => __( 'Allowed Formats', 'genesis-custom-blocks' ),
+				'type'    => 'rich_text_formats',
+				'default' => [ 'bold', 'italic', 'link' ],
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'multiline',
+				'label'   => __( 'Allow Line Breaks', 'genesis-custom-blocks' ),
+				'type'    => 'checkbox',
+				'default' => false,
+				'help'    => __( 'Without line breaks, the text is a single line.', 'genesis-custom-blocks' ),
+			]
+		);
+	}
+}
@@ -0,0 +1,95 @@
+<?php
+/**
+ * Taxonomy control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Taxonomy
+ *
+ * Stores the IDs of the chosen terms, in the order they were chosen.
+ */
+class Taxonomy extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'taxonomy';
+
+	/**
+	 * Field variable type.
+	 *
+	 * @var string
+	 */
+	public $type = 'array';
+
+	/**
+	 * Taxonomy constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Taxonomy', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		$this->settings[] = new ControlSetting( $this->settings_config['location'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['width'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['help'] );
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'taxonomy',
+				'label'   => __( 'Taxonomy', 'genesis-custom-blocks' ),
+				'type'    => 'taxonomy',
+				'default' => 'category',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'multiple',
+				'label'   => __( 'Allow Multiple Terms', 'genesis-custom-blocks' ),
+				'type'    => 'checkbox',
+				'default' => false,
+			]
+		);
+	}
+
+	/**
+	 * Validates the value to be made available to the front-end template.
+	 *
+	 * @param array $value   The IDs of the terms.
+	 * @param bool  $is_echo Whether this value will be echoed.
+	 * @return int[]|string[] The term IDs, or the term names if this will be echoed.
+	 */
+	public function validate( $value, $is_echo ) {
+		$term_ids = array_values( array_filter( array_map( 'intval', (array) $value ) ) );
+		if ( ! $is_echo ) {
+			return $term_ids;
+		}
+
+		return array_values(
+			array_filter(
+				array_map(
+					static function ( $term_id ) {
+						$term = get_term( $term_id );
+						return $term && ! is_wp_error( $term ) ? $term->name : '';
+					},
+					$term_ids
+				)
+			)
+		);
+	}
+}
@@ -0,0 +1,77 @@
+<?php
+/**
+ * Time control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class Time
+ */
+class Time extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'time';
+
+	/**
+	 * Field variable type.
+	 *
+	 * @var string
+	 */
+	public $type = 'string';
+
+	/**
+	 * Time constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'Time', 'genesis-custom-blocks' );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		foreach ( [ 'location', 'width', 'help' ] as $setting ) {
+			$this->settings[] = new ControlSetting( $this->settings_config[ $setting ] );
+		}
+
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'min',
+				'label'   => __( 'Earliest Time', 'genesis-custom-blocks' ),
+				'type'    => 'time',
+				'default' => '',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'max',
+				'label'   => __( 'Latest Time', 'genesis-custom-blocks' ),
+				'type'    => 'time',
+				'default' => '',
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'display_format',
+				'label'   => __( 'Display Format', 'genesis-custom-blocks' ),
+				'type'    => 'text',
+				'default' => 'g:i a',
+				'help'    => __( 'How the template outputs the time, as a PHP date format.', 'genesis-custom-blocks' ),
+			]
+		);
+	}
+}
@@ -0,0 +1,106 @@
+<?php
+/**
+ * User control.
+ *
+ * @package   Genesis\CustomBlocks
+ * @copyright Copyright(c) 2022, Genesis Custom Blocks
+ * @license http://opensource.org/licenses/GPL-2.0 GNU General Public License, version 2 (GPL-2.0)
+ */
+
+namespace Genesis\CustomBlocks\Blocks\Controls;
+
+/**
+ * Class User
+ *
+ * Stores the IDs of the chosen users, in the order they were chosen.
+ */
+class User extends ControlAbstract {
+
+	/**
+	 * Control name.
+	 *
+	 * @var string
+	 */
+	public $name = 'user';
+
+	/**
+	 * Field variable type.
+	 *
+	 * @var string
+	 */
+	public $type = 'array';
+
+	/**
+	 * The roles that the role setting can filter by, keyed by slug.
+	 *
+	 * There's no REST API endpoint for roles, so the block builder gets them from here.
+	 *
+	 * @var string[]
+	 */
+	public $roles = [];
+
+	/**
+	 * User constructor.
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		parent::__construct();
+		$this->label = __( 'User', 'genesis-custom-blocks' );
+		$this->roles = array_map( 'translate_user_role', wp_roles()->get_names() );
+	}
+
+	/**
+	 * Register settings.
+	 *
+	 * @return void
+	 */
+	public function register_settings() {
+		$this->settings[] = new ControlSetting( $this->settings_config['location'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['width'] );
+		$this->settings[] = new ControlSetting( $this->settings_config['help'] );
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'role',
+				'label'   => __( 'Role', 'genesis-custom-blocks' ),
+				'type'    => 'user_role',
+				'default' => '',
+				'help'    => __( 'Only users with this role can be chosen. Filtering by role needs permission to list users.', 'genesis-custom-blocks' ),
+			]
+		);
+		$this->settings[] = new ControlSetting(
+			[
+				'name'    => 'multiple',
+				'label'   => __( 'Allow Multiple Users', 'genesis-custom-blocks' ),
+				'type'    => 'checkbox',
+				'default' => false,
+			]
+		);
+	}
+
+	/**
+	 * Validates the value to be made available to the front-end template.
+	 *
+	 * @param array $value   The IDs of the users.
+	 * @param bool  $is_echo Whether this value will be echoed.
+	 * @return int[]|string[] The user IDs, or the display names if this will be echoed.
+	 */
+	public function validate( $value, $is_echo ) {
+		$user_ids = array_values( array_filter( array_map( 'intval', (array) $value ) ) );
+		if ( ! $is_echo ) {
+			return $user_ids;
+		}
+
+		return array_values(
+			array_filter(
+				array_map(
+					static function ( $user_id ) {
+						$user = get_userdata( $user_id );
+						return $user ? $user->display_name : '';
+					},
+					$user_ids
+				)
+			)
+		);
+	}
+}
@@ -179,6 +179,18 @@ class Field {
 	 * @return string $value The value to echo.
 	 */
 	public function cast_value_to_string( $value ) {
+		if ( in_array( $this->control, [ 'date', 'time', 'datetime' ], true ) && ! empty( $this->settings['display_format'] ) ) {
+			return $this->format_date( $value, $this->settings['display_format'] );
+		}
+
+		if ( 'code' === $this->control ) {
+			return genesis_custom_blocks()->block_post->get_control( 'code' )->get_markup(
+				$value,
+				isset( $this->settings['language'] ) ? $this->settings['language'] : '',
+				! isset( $this->settings['line_numbers'] ) || ! empty( $this->settings['line_numbers'] )
+			);
+		}
+
 		if ( is_array( $value ) ) {
 			return implode( ', ', $value );
 		}
@@ -193,4 +205,22 @@ class Field {
 
 		return strval( $value );
 	}
+
+	/**
+	 * Formats the value of a date, time, or date and time field.
+	 *
+	 * The value is either ISO 8601 in the site's timezone, like '2024-05-01T13:30:00' or '13:30', or a Unix timestamp.
+	 *
+	 * @param mixed  $value  The field value.
+	 * @param string $format The PHP date format, like 'F j, Y'.
+	 * @return string The formatted date, or '' if the value isn't a date or time.
+	 */
+	public function format_date( $value, $format ) {
+		if ( is_numeric( $value ) ) {
+			return wp_date( $format, (int) $value );
+		}
+
+		$date = is_string( $value ) && '' !== $value ? date_create_immutable( $value, wp_timezone() ) : false;
+		return $date ? wp_date( $format, $date->getTimestamp() ) : '';
+	}
 }
@@ -24,6 +24,13 @@ class Loader extends ComponentAbstract {
 	 */
 	const ANALYTICS_SCRIPT_SLUG = 'genesis-custom-blocks-analytics#async';
 
+	/**
+	 * The controls that store IDs in an array, like the IDs of posts or images.
+	 *
+	 * @var string[]
+	 */
+	const ID_ARRAY_CONTROLS = [ 'gallery', 'post', 'taxonomy', 'user' ];
+
 	/**
 	 * Asset paths and urls for blocks.
 	 *
@@ -139,10 +146,16 @@ class Loader extends ComponentAbstract {
 			true
 		);
 
+		$editor_blocks = $this->blocks;
+		foreach ( $editor_blocks as $block_name => $block_config ) {
+			// Blocks without a template file are rendered in the editor with JS, not with <ServerSideRender>.
+			$editor_blocks[ $block_name ]['hasTemplateFile'] = isset( $block_config['name'] ) && $this->has_template_file( $block_config['name'] );
+		}
+
 		// Add dynamic Gutenberg blocks.
 		wp_add_inline_script(
 			$js_handle,
-			'const gcbBlocks = ' . wp_json_encode( $this->blocks ),
+			'const gcbBlocks = ' . wp_json_encode( $editor_blocks ),
 			'before'
 		);
 
@@ -272,6 +285,11 @@ class Loader extends ComponentAbstract {
 		$attributes['className'] = [ 'type' => 'string' ];
 
 		foreach ( $block->fields as $field_name => $field ) {
+			// A group only holds other fields, so it doesn't store a value.
+			if ( 'group' === $field->control ) {
+				continue;
+			}
+
 			$attributes = $this->get_attributes_from_field( $attributes, $field_name, $field );
 		}
 
@@ -300,6 +318,11 @@ class Loader extends ComponentAbstract {
 			'type' => $field->type,
 		];
 
+		// A URL field that became a link field still has a URL, which Link::get_link() handles.
+		if ( 'link' === $field->control ) {
+			$attributes[ $field_name ]['type'] = [ 'object', 'string' ];
+		}
+
 		if ( ! empty( $field->settings['default'] ) ) {
 			$attributes[ $field_name ]['default'] = $field->settings['default'];
 		}
@@ -311,13 +334,29 @@ class Loader extends ComponentAbstract {
 			 * used only when creating the form.
 			 */
 			unset( $attributes[ $field_name ]['default'] );
-			$items_type                         = 'repeater' === $field->control ? 'object' : 'string';
-			$attributes[ $field_name ]['items'] = [ 'type' => $items_type ];
+			$attributes[ $field_name ]['items'] = [ 'type' => $this->get_items_type( $field ) ];
 		}
 
 		return $attributes;
 	}
 
+	/**
+	 * Gets the type of the items in an array attribute.
+	 *
+	 * On the front-end, WP_Block_Type::prepare_attributes_for_render() removes a value that doesn't match this,
+	 * so the pickers that store IDs need integer items.
+	 *
+	 * @param Field $field The field of the attribute.
+	 * @return string The type of the items, like 'string'.
+	 */
+	protected function get_items_type( $field ) {
+		if ( 'repeater' === $field->control ) {
+			return 'object';
+		}
+
+		return in_array( $field->control, self::ID_ARRAY_CONTROLS, true ) ? 'integer' : 'string';
+	}
+
 	/**
 	 * Renders the block provided a template is provided.
 	 *
@@ -395,7 +434,8 @@ class Loader extends ComponentAbstract {
 				isset( $this->blocks[ "genesis-custom-blocks/{$block->name}" ]['templateCss'] )
 					? $this->blocks[ "genesis-custom-blocks/{$block->name}" ]['templateCss']
 					: '',
-				$block->name
+				$block->name,
+				! empty( $this->blocks[ "genesis-custom-blocks/{$block->name}" ]['scopeCss'] )
 			);
 		}
 
@@ -503,7 +543,10 @@ class Loader extends ComponentAbstract {
 		}
 
 		if ( ! empty( $this->blocks[ "genesis-custom-blocks/{$name}" ]['templateMarkup'] ) ) {
-			$this->template_editor->render_markup( $this->blocks[ "genesis-custom-blocks/{$name}" ]['templateMarkup'] );
+			$this->template_editor->render_markup(
+				$this->blocks[ "genesis-custom-blocks/{$name}" ]['templateMarkup'],
+				empty( $this->blocks[ "genesis-custom-blocks/{$name}" ]['scopeCss'] ) ? '' : $this->template_editor->get_scope_class( $name )
+			);
 			return;
 		}
 
@@ -523,6 +566,24 @@ class Loader extends ComponentAbstract {
 		}
 	}
 
+	/**
+	 * Gets whether the block has a PHP template file, instead of only Template Editor markup.
+	 *
+	 * @param string $name The name of the block (slug as defined in UI).
+	 * @return bool Whether there's a template file.
+	 */
+	protected function has_template_file( $name ) {
+		foreach ( [ 'preview', 'block' ] as $type ) {
+			$templates = genesis_custom_blocks()->get_template_locations( $name, $type );
+
+			if ( ! empty( genesis_custom_blocks()->locate_template( $templates ) ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
 	/**
 	 * Load all the published blocks and blocks/block.json files.
 	 */
@@ -14,6 +14,29 @@ namespace Genesis\CustomBlocks\Blocks;
  */
 class TemplateEditor {
 
+	/**
+	 * The filters that need the field itself, not only the value to output.
+	 *
+	 * Like {{example-image|url:large}}, which outputs the URL of another image size.
+	 *
+	 * @var string[]
+	 */
+	const FIELD_FILTERS = [ 'url' ];
+
+	/**
+	 * The properties of the posts in a post field, like {{example-post.title}}, or {{title}} in a post loop.
+	 *
+	 * @var string[]
+	 */
+	const POST_PROPERTIES = [ 'title', 'permalink', 'excerpt' ];
+
+	/**
+	 * The at-rules that have rules inside them, so scoped CSS scopes those rules too.
+	 *
+	 * @var string[]
+	 */
+	const CONDITIONAL_AT_RULES = [ 'container', 'document', 'layer', 'media', 'supports' ];
+
 	/**
 	 * The block names that have had their CSS rendered.
 	 *
@@ -21,27 +44,672 @@ class TemplateEditor {
 	 */
 	public $blocks_with_rendered_css = [];
 
+	/**
+	 * The <svg> of the icon fields in the markup being rendered, keyed by their placeholders.
+	 *
+	 * @var string[]
+	 */
+	public $rendered_icons = [];
+
 	/**
 	 * Renders markup that was entered in the template editor.
 	 *
-	 * @param string $markup The markup to render.
+	 * Fields are rendered with tags, like {{example-field}}, and filters change how they render, like {{example-field|upper}}.
+	 * Repeater rows are rendered with a loop, like {{#each example-repeater}}{{example-sub-field}}{{/each}}.
+	 * Post fields have tokens for the chosen posts, like {{example-post.title}},
+	 * and a loop, like {{#each example-post}}{{permalink}}{{/each}}.
+	 * Markup can render only if a field has a value, like {{#if example-field}}…{{else}}…{{/if}}.
+	 *
+	 * @param string $markup      The markup to render.
+	 * @param string $scope_class The class of a wrapper for scoped CSS, if the CSS is scoped.
+	 */
+	public function render_markup( $markup, $scope_class = '' ) {
+		$this->rendered_icons = [];
+		$rendered             = $this->render_nodes( $this->parse_markup( $markup ) );
+
+		if ( ! empty( $scope_class ) ) {
+			$rendered = sprintf( '<div class="%1$s">%2$s</div>', esc_attr( $scope_class ), $rendered );
+		}
+
+		// The icons are added after wp_kses_post(), as it would strip their <svg>.
+		echo strtr( wp_kses_post( $rendered ), $this->rendered_icons ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- The icons were escaped with the SVG tags.
+	}
+
+	/**
+	 * Splits template markup into tokens, like text and {{example-field}} tags.
+	 *
+	 * Mirrors getTemplateTokens() in JavaScript, except that the index is in bytes.
+	 *
+	 * @param string $markup The template markup.
+	 * @return array[] The tokens, in order.
+	 */
+	public function get_tokens( $markup ) {
+		$tokens     = [];
+		$text_index = 0;
+
+		preg_match_all(
+			'#\\\{\\\{(\S+?)\\\}\\\}|{{\#(if|each) (\S+?)}}|{{/(if|each)}}|{{(\S+?)}}#',
+			(string) $markup,
+			$matches,
+			PREG_SET_ORDER | PREG_OFFSET_CAPTURE
+		);
+
+		foreach ( $matches as $match ) {
+			$raw   = $match[0][0];
+			$index = $match[0][1];
+
+			if ( $index > $text_index ) {
+				$text     = substr( $markup, $text_index, $index - $text_index );
+				$tokens[] = [
+					'type'  => 'text',
+					'raw'   => $text,
+					'index' => $text_index,
+					'value' => $text,
+				];
+			}
+			$text_index = $index + strlen( $raw );
+
+			if ( -1 !== $match[1][1] ) {
+				// Escape characters before { are stripped, like \{\{example\}\}.
+				// Like if they have a tutorial on Mustache and need the template to render {{example}}.
+				$tokens[] = [
+					'type'  => 'text',
+					'raw'   => $raw,
+					'index' => $index,
+					'value' => '{{' . $match[1][0] . '}}',
+				];
+			} elseif ( isset( $match[2] ) && -1 !== $match[2][1] ) {
+				$tokens[] = [
+					'type'  => 'open',
+					'raw'   => $raw,
+					'index' => $index,
+					'block' => $match[2][0],
+					'name'  => $match[3][0],
+				];
+			} elseif ( isset( $match[4] ) && -1 !== $match[4][1] ) {
+				$tokens[] = [
+					'type'  => 'close',
+					'raw'   => $raw,
+					'index' => $index,
+					'block' => $match[4][0],
+				];
+			} elseif ( 'else' === $match[5][0] ) {
+				$tokens[] = [
+					'type'  => 'else',
+					'raw'   => $raw,
+					'index' => $index,
+				];
+			} else {
+				$filters  = explode( '|', $match[5][0] );
+				$name     = array_shift( $filters );
+				$tokens[] = [
+					'type'    => 'field',
+					'raw'     => $raw,
+					'index'   => $index,
+					'name'    => $name,
+					'filters' => array_map(
+						static function ( $filter ) {
+							$args = explode( ':', $filter );
+							$name = array_shift( $args );
+
+							return [
+								'name' => $name,
+								'args' => $args,
+							];
+						},
+						$filters
+					),
+				];
+			}
+		}
+
+		if ( strlen( (string) $markup ) > $text_index ) {
+			$text     = substr( $markup, $text_index );
+			$tokens[] = [
+				'type'  => 'text',
+				'raw'   => $text,
+				'index' => $text_index,
+				'value' => $text,
+			];
+		}
+
+		return $tokens;
+	}
+
+	/**
+	 * Parses template markup into a tree of nodes, like {{#if}} blocks with the nodes inside them.
+	 *
+	 * Mirrors parseTemplate() in JavaScript.
+	 * A closing tag that doesn't match the open block is output as text,
+	 * and a block that isn't closed ends at the end of the markup.
+	 *
+	 * @param string $markup The template markup.
+	 * @return array[] The nodes.
+	 */
+	public function parse_markup( $markup ) {
+		$position = 0;
+		$branches = $this->parse_tokens( $this->get_tokens( $markup ), $position, null );
+
+		return $branches['children'];
+	}
+
+	/**
+	 * Parses tokens into nodes, until the closing tag of the block they're in.
+	 *
+	 * @param array[]     $tokens   The tokens.
+	 * @param int         $position The position of the token to start at, which this moves past the closing tag.
+	 * @param string|null $block    The block the tokens are in, like 'if', or null if they're not in one.
+	 * @return array The nodes in the block, and the nodes after its {{else}}, keyed by 'children' and 'alternate'.
+	 */
+	public function parse_tokens( $tokens, &$position, $block ) {
+		$branches = [
+			'children'  => [],
+			'alternate' => [],
+		];
+		$branch   = 'children';
+
+		while ( $position < count( $tokens ) ) {
+			$token = $tokens[ $position ];
+			++$position;
+
+			if ( 'open' === $token['type'] ) {
+				$branches[ $branch ][] = array_merge(
+					[
+						'type' => $token['block'],
+						'name' => $token['name'],
+					],
+					$this->parse_tokens( $tokens, $position, $token['block'] )
+				);
+				continue;
+			}
+
+			if ( 'else' === $token['type'] && null !== $block && 'children' === $branch ) {
+				$branch = 'alternate';
+				continue;
+			}
+
+			if ( 'close' === $token['type'] && $block === $token['block'] ) {
+				return $branches;
+			}
+
+			if ( 'field' === $token['type'] ) {
+				$branches[ $branch ][] = [
+					'type'    => 'field',
+					'name'    => $token['name'],
+					'filters' => $token['filters'],
+				];
+				continue;
+			}
+
+			$branches[ $branch ][] = [
+				'type'  => 'text',
+				'value' => 'text' === $token['type'] ? $token['value'] : $token['raw'],
+			];
+		}
+
+		return $branches;
+	}
+
+	/**
+	 * Renders template nodes.
+	 *
+	 * The scope is empty at the top level. In a repeater loop, it has the 'row' and its 'sub_fields',
+	 * and in a post loop, it has the 'post_id'.
+	 *
+	 * @param array[] $nodes The nodes to render.
+	 * @param array   $scope The loop the nodes are in, if any.
+	 * @return string The rendered nodes.
+	 */
+	public function render_nodes( $nodes, $scope = [] ) {
+		$rendered = '';
+
+		foreach ( $nodes as $node ) {
+			if ( 'field' === $node['type'] ) {
+				$filters = $node['filters'];
+				$filter  = isset( $filters[0] ) && in_array( $filters[0]['name'], self::FIELD_FILTERS, true )
+					? array_shift( $filters )
+					: null;
+				$value   = $this->render_field( $node['name'], $filter, $scope );
+
+				if ( $filters ) {
+					// The filters apply to the text, so they can't change the markup or break an entity.
+					$value = html_entity_decode( wp_strip_all_tags( $value ), ENT_QUOTES, 'UTF-8' );
+					foreach ( $filters as $value_filter ) {
+						$value = $this->apply_filter( $value, $value_filter );
+					}
+
+					$value = esc_html( $value );
+				} elseif ( 'icon' === $this->get_control( $node['name'], $scope ) ) {
+					$placeholder                          = 'gcb-icon-' . wp_generate_uuid4();
+					$this->rendered_icons[ $placeholder ] = wp_kses( $value, genesis_custom_blocks()->allowed_svg_tags() );
+					$value                                = $placeholder;
+				}
+
+				$rendered .= $value;
+			} elseif ( 'if' === $node['type'] ) {
+				$rendered .= $this->render_nodes(
+					$this->is_empty_value( $this->get_value( $node['name'], $scope ) ) ? $node['alternate'] : $node['children'],
+					$scope
+				);
+			} elseif ( 'each' === $node['type'] ) {
+				$row_scopes = $this->get_row_scopes( $node['name'] );
+				if ( ! $row_scopes ) {
+					$rendered .= $this->render_nodes( $node['alternate'], $scope );
+				}
+
+				foreach ( $row_scopes as $row_scope ) {
+					$rendered .= $this->render_nodes( $node['children'], $row_scope );
+				}
+			} else {
+				$rendered .= $node['value'];
+			}
+		}
+
+		return $rendered;
+	}
+
+	/**
+	 * Renders a field tag, like {{example}} or {{example-post.title}}.
+	 *
+	 * @param string     $name   The name in the tag.
+	 * @param array|null $filter A filter that needs the field, like url:large, if any.
+	 * @param array      $scope  The loop the tag is in, if any.
+	 * @return string The rendered field.
+	 */
+	public function render_field( $name, $filter = null, $scope = [] ) {
+		if ( isset( $scope['post_id'] ) && in_array( $name, self::POST_PROPERTIES, true ) ) {
+			return genesis_custom_blocks()->block_post->get_control( 'post' )->get_post_property( $scope['post_id'], $name );
+		}
+
+		$size = isset( $filter['args'][0] ) && '' !== $filter['args'][0] ? $filter['args'][0] : 'full';
+		if ( isset( $scope['sub_fields'][ $name ] ) ) {
+			$field = new Field( $scope['sub_fields'][ $name ] );
+			$url   = $filter ? $this->get_url( $field->control, $this->get_value( $name, $scope ), $size ) : null;
+			if ( null !== $url ) {
+				return $url;
+			}
+
+			$value = $field->cast_value( isset( $scope['row'][ $name ] ) ? $scope['row'][ $name ] : false );
+
+			/** This filter is documented in php/Helpers.php */
+			$value = apply_filters( 'genesis_custom_blocks_field_value', $value, $field->control, true );
+
+			return $field->cast_value_to_string( $value );
+		}
+
+		$parts = explode( '.', $name, 2 );
+		if ( 2 === count( $parts ) ) {
+			return $this->render_post_property( $parts[0], $parts[1] );
+		}
+
+		$config = genesis_custom_blocks()->loader->get_data( 'config' );
+		$url    = $filter && $config && isset( $config->fields[ $name ] )
+			? $this->get_url( $config->fields[ $name ]->control, block_value( $name ), $size )
+			: null;
+		if ( null !== $url ) {
+			return $url;
+		}
+
+		ob_start();
+		block_field( $name );
+		return ob_get_clean();
+	}
+
+	/**
+	 * Gets the control of a field tag, like 'icon' for {{example-icon}}.
+	 *
+	 * @param string $name  The name in the tag.
+	 * @param array  $scope The loop the tag is in, if any.
+	 * @return string|null The control, or null if the tag isn't a field.
+	 */
+	public function get_control( $name, $scope = [] ) {
+		if ( isset( $scope['post_id'] ) && in_array( $name, self::POST_PROPERTIES, true ) ) {
+			return null;
+		}
+
+		if ( isset( $scope['sub_fields'][ $name ] ) ) {
+			$field = new Field( $scope['sub_fields'][ $name ] );
+			return $field->control;
+		}
+
+		$config = genesis_custom_blocks()->loader->get_data( 'config' );
+		return $config && isset( $config->fields[ $name ] ) ? $config->fields[ $name ]->control : null;
+	}
+
+	/**
+	 * Gets the value of a field, to decide whether {{#if}} renders.
+	 *
+	 * @param string $name  The name in the tag.
+	 * @param array  $scope The loop the tag is in, if any.
+	 * @return mixed The value of the field, or null if there's no such field.
+	 */
+	public function get_value( $name, $scope = [] ) {
+		if ( isset( $scope['post_id'] ) && in_array( $name, self::POST_PROPERTIES, true ) ) {
+			return genesis_custom_blocks()->block_post->get_control( 'post' )->get_post_property( $scope['post_id'], $name );
+		}
+
+		if ( isset( $scope['sub_fields'][ $name ] ) ) {
+			$field = new Field( $scope['sub_fields'][ $name ] );
+			$value = $field->cast_value( isset( $scope['row'][ $name ] ) ? $scope['row'][ $name ] : false );
+
+			/** This filter is documented in php/Helpers.php */
+			return apply_filters( 'genesis_custom_blocks_field_value', $value, $field->control, false );
+		}
+
+		$parts = explode( '.', $name, 2 );
+		if ( 2 === count( $parts ) ) {
+			return $this->render_post_property( $parts[0], $parts[1] );
+		}
+
+		return block_value( $name );
+	}
+
+	/**
+	 * Gets whether a field value is empty, like an unchecked toggle or a repeater with no rows.
+	 *
+	 * Mirrors isEmptyValue() in JavaScript.
+	 *
+	 * @param mixed $value The field value.
+	 * @return bool Whether the value is empty.
+	 */
+	public function is_empty_value( $value ) {
+		if ( is_array( $value ) ) {
+			return isset( $value['rows'] ) && is_array( $value['rows'] ) ? empty( $value['rows'] ) : empty( $value );
+		}
+
+		return null === $value || false === $value || '' === $value;
+	}
+
+	/**
+	 * Gets the URL of a field, for the url filter, like {{example-image|url:large}}.
+	 *
+	 * @param string $control The control of the field, like 'image'.
+	 * @param mixed  $value   The value of the field.
+	 * @param string $size    The image size, like 'large'.
+	 * @return string|null The URL, or null if the field doesn't have one.
 	 */
-	public function render_markup( $markup ) {
-		$rendered = preg_replace_callback(
-			'#{{(\S+?)}}#',
-			static function ( $matches ) {
-				ob_start();
-				block_field( $matches[1] );
-				return ob_get_clean();
+	public function get_url( $control, $value, $size ) {
+		switch ( $control ) {
+			case 'image':
+				return (string) wp_get_attachment_image_url( intval( $value ), $size );
+			case 'file':
+				return (string) wp_get_attachment_url( intval( $value ) );
+			case 'gallery':
+				return implode(
+					', ',
+					array_filter(
+						array_map(
+							static function ( $image_id ) use ( $size ) {
+								return wp_get_attachment_image_url( intval( $image_id ), $size );
+							},
+							(array) $value
+						)
+					)
+				);
+			case 'link':
+				$link = genesis_custom_blocks()->block_post->get_control( 'link' )->get_link( $value );
+				return $link['url'];
+			case 'post':
+				$control = genesis_custom_blocks()->block_post->get_control( 'post' );
+				return implode(
+					', ',
+					array_filter(
+						array_map(
+							static function ( $post_id ) use ( $control ) {
+								return $control->get_post_property( intval( $post_id ), 'permalink' );
+							},
+							(array) $value
+						)
+					)
+				);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Applies a filter to a value, like upper in {{example-field|upper}}.
+	 *
+	 * Mirrors applyTemplateFilter() in JavaScript.
+	 *
+	 * @param string $value  The value to output.
+	 * @param array  $filter The filter, with its 'name' and 'args'.
+	 * @return string The filtered value, or the value as it was if the filter doesn't exist.
+	 */
+	public function apply_filter( $value, $filter ) {
+		switch ( $filter['name'] ) {
+			case 'upper':
+				return mb_strtoupper( $value );
+			case 'lower':
+				return mb_strtolower( $value );
+			case 'capitalize':
+				return mb_strtoupper( mb_substr( $value, 0, 1 ) ) . mb_substr( $value, 1 );
+			case 'trim':
+				return trim( $value );
+			case 'truncate':
+				$length = isset( $filter['args'][0] ) ? $filter['args'][0] : '';
+				if ( ! preg_match( '/^\d+$/', $length ) || mb_strlen( $value ) <= intval( $length ) ) {
+					return $value;
+				}
+
+				return rtrim( mb_substr( $value, 0, intval( $length ) ) ) . '…';
+			case 'default':
+				// The argument can have a colon, like {{example-time|default:12:00}}.
+				return '' === trim( $value ) ? implode( ':', $filter['args'] ) : $value;
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Renders a property of the posts in a post field, like {{example-post.title}}.
+	 *
+	 * If the field has more than one post, the values are separated by commas.
+	 *
+	 * @param string $name     The name of the post field.
+	 * @param string $property The property, like 'title'.
+	 * @return string The rendered property.
+	 */
+	public function render_post_property( $name, $property ) {
+		$post_ids = $this->get_post_ids( $name );
+		$control  = genesis_custom_blocks()->block_post->get_control( 'post' );
+
+		return implode(
+			', ',
+			array_filter(
+				array_map(
+					static function ( $post_id ) use ( $control, $property ) {
+						return $control->get_post_property( $post_id, $property );
+					},
+					$post_ids
+				)
+			)
+		);
+	}
+
+	/**
+	 * Gets the IDs of the posts in a post field.
+	 *
+	 * @param string $name The name of the post field.
+	 * @return int[] The post IDs, or [] if it's not a post field.
+	 */
+	public function get_post_ids( $name ) {
+		$config = genesis_custom_blocks()->loader->get_data( 'config' );
+		if ( ! $config || ! isset( $config->fields[ $name ] ) || 'post' !== $config->fields[ $name ]->control ) {
+			return [];
+		}
+
+		return (array) block_value( $name );
+	}
+
+	/**
+	 * Gets the scope of each row of a repeater, or each post of a post field, for an {{#each}} loop.
+	 *
+	 * @param string $name The name of the repeater or post field.
+	 * @return array[] The scopes, or [] if it's not a repeater or post field.
+	 */
+	public function get_row_scopes( $name ) {
+		$attributes = genesis_custom_blocks()->loader->get_data( 'attributes' );
+		$config     = genesis_custom_blocks()->loader->get_data( 'config' );
+
+		if ( $config && isset( $config->fields[ $name ] ) && 'post' === $config->fields[ $name ]->control ) {
+			return array_map(
+				static function ( $post_id ) {
+					return [ 'post_id' => $post_id ];
+				},
+				$this->get_post_ids( $name )
+			);
+		}
+
+		if ( ! $config || ! isset( $config->fields[ $name ] ) || 'repeater' !== $config->fields[ $name ]->control ) {
+			return [];
+		}
+
+		$sub_fields = isset( $config->fields[ $name ]->settings['sub_fields'] )
+			? (array) $config->fields[ $name ]->settings['sub_fields']
+			: [];
+		$rows       = isset( $attributes[ $name ]['rows'] ) && is_array( $attributes[ $name ]['rows'] )
+			? $attributes[ $name ]['rows']
+			: [];
+
+		return array_map(
+			static function ( $row ) use ( $sub_fields ) {
+				return [
+					'row'        => (array) $row,
+					'sub_fields' => $sub_fields,
+				];
 			},
-			$markup
+			array_values( $rows )
 		);
+	}
+
+	/**
+	 * Gets the class of the wrapper that scoped CSS applies to.
+	 *
+	 * Mirrors getCssScopeClass() in JavaScript.
+	 *
+	 * @param string $block_name The block name, without the genesis-custom-blocks/ namespace.
+	 * @return string The class of the wrapper.
+	 */
+	public function get_scope_class( $block_name ) {
+		return "genesis-custom-blocks-{$block_name}";
+	}
+
+	/**
+	 * Scopes CSS to the wrapper of the block, so it doesn't apply to the rest of the page.
+	 *
+	 * Mirrors getScopedCss() in JavaScript.
+	 * A selector like .title becomes .genesis-custom-blocks-example .title,
+	 * and :block or & is the wrapper itself, like :block:hover or & > p.
+	 * Rules nested in other rules aren't changed, as their & already refers to the parent.
+	 *
+	 * @param string $css         The CSS to scope.
+	 * @param string $scope_class The class of the wrapper, from get_scope_class().
+	 * @return string The scoped CSS.
+	 */
+	public function scope_css( $css, $scope_class ) {
+		$scope_selector = ".{$scope_class}";
+		$text           = preg_replace( '#/\*[\s\S]*?\*/#', '', (string) $css );
+		$length         = strlen( $text );
+		$open_blocks    = [];
+		$scoped_css     = '';
+		$statement      = '';
 
-		// Escape characters before { should be stripped, like \{\{example\}\}.
-		// Like if they have a tutorial on Mustache and need the template to render {{example}}.
-		$rendered = preg_replace( '#\\\{\\\{(\S+?)\\\}\\\}#', '{{\1}}', $rendered );
+		for ( $index = 0; $index < $length; $index++ ) {
+			$character = $text[ $index ];
 
-		echo wp_kses_post( $rendered );
+			if ( '"' === $character || "'" === $character ) {
+				$string_end = $index + 1;
+				while ( $string_end < $length && $character !== $text[ $string_end ] ) {
+					$string_end += '\\' === $text[ $string_end ] ? 2 : 1;
+				}
+
+				$statement .= substr( $text, $index, $string_end - $index + 1 );
+				$index      = $string_end;
+				continue;
+			}
+
+			if ( ';' === $character || '}' === $character ) {
+				$scoped_css .= $statement . $character;
+				$statement   = '';
+
+				if ( '}' === $character ) {
+					array_pop( $open_blocks );
+				}
+				continue;
+			}
+
+			if ( '{' !== $character ) {
+				$statement .= $character;
+				continue;
+			}
+
+			$parent = end( $open_blocks );
+			if ( $parent && 'scope' !== $parent ) {
+				$open_blocks[] = $parent;
+				$scoped_css   .= $statement;
+			} elseif ( preg_match( '/^@([\w-]+)/', trim( $statement ), $at_rule ) ) {
+				$open_blocks[] = in_array( strtolower( $at_rule[1] ), self::CONDITIONAL_AT_RULES, true ) ? 'scope' : 'keep';
+				$scoped_css   .= $statement;
+			} else {
+				$open_blocks[] = 'rule';
+				$scoped_css   .= $this->scope_selectors( $statement, $scope_selector );
+			}
+
+			$scoped_css .= $character;
+			$statement   = '';
+		}
+
+		return $scoped_css . $statement;
+	}
+
+	/**
+	 * Scopes the selectors of a rule to the wrapper.
+	 *
+	 * @param string $selector_list  The selectors of the rule.
+	 * @param string $scope_selector The selector of the wrapper, like .genesis-custom-blocks-example.
+	 * @return string The scoped selectors.
+	 */
+	public function scope_selectors( $selector_list, $scope_selector ) {
+		preg_match( '/^(\s*)([\s\S]*?)(\s*)$/', $selector_list, $parts );
+
+		// Split on the commas, but not the commas in strings or parentheses, like :is(h2, h3).
+		$selectors = [ '' ];
+		$depth     = 0;
+		$quote     = '';
+		$length    = strlen( $parts[2] );
+		for ( $index = 0; $index < $length; $index++ ) {
+			$character = $parts[2][ $index ];
+
+			if ( $quote ) {
+				$quote = $character === $quote ? '' : $quote;
+			} elseif ( '"' === $character || "'" === $character ) {
+				$quote = $character;
+			} elseif ( '(' === $character || '[' === $character ) {
+				$depth++;
+			} elseif ( ')' === $character || ']' === $character ) {
+				$depth = max( $depth - 1, 0 );
+			} elseif ( ',' === $character && ! $depth ) {
+				$selectors[] = '';
+				continue;
+			}
+
+			$selectors[ count( $selectors ) - 1 ] .= $character;
+		}
+
+		$scoped_selectors = array_map(
+			function ( $selector ) use ( $scope_selector ) {
+				$trimmed_selector = trim( $selector );
+				$root_selector    = preg_replace( '/:block(?![\w-])|&/', $scope_selector, $trimmed_selector );
+
+				return $root_selector === $trimmed_selector
+					? "{$scope_selector} {$trimmed_selector}"
+					: $root_selector;
+			},
+			$selectors
+		);
+
+		return $parts[1] . implode( ', ', $scoped_selectors ) . $parts[3];
 	}
 
 	/**
@@ -49,14 +717,19 @@ class TemplateEditor {
 	 *
 	 * @param string $css        The CSS to render, if any.
 	 * @param string $block_name The block name, without the genesis-custom-blocks/ namespace.
+	 * @param bool   $is_scoped  Whether to scope the CSS to the wrapper of the block.
 	 */
-	public function render_css( $css, $block_name ) {
+	public function render_css( $css, $block_name, $is_scoped = false ) {
 		if ( empty( $css ) || in_array( $block_name, $this->blocks_with_rendered_css, true ) ) {
 			return;
 		}
 
 		$this->blocks_with_rendered_css[] = $block_name;
 
+		if ( $is_scoped ) {
+			$css = $this->scope_css( $css, $this->get_scope_class( $block_name ) );
+		}
+
 		?>
 		<style><?php echo wp_strip_all_tags( $css ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?></style>
 		<?php
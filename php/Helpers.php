@@ -83,7 +83,12 @@ function block_field( $name, $is_echo = true ) {
 		 * If this happens, retrieve the field's value using block_value(),
 		 * and then output the field with a more suitable escaping function.
 		 */
-		echo wp_kses_post( $value );
+		if ( 'icon' === $control ) {
+			// The icon is an <svg> from the plugin's icons, which wp_kses_post() would strip.
+			echo wp_kses( $value, genesis_custom_blocks()->allowed_svg_tags() );
+		} else {
+			echo wp_kses_post( $value );
+		}
 
 		return null;
 	}
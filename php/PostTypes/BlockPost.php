@@ -83,6 +83,19 @@ class BlockPost extends ComponentAbstract {
 			'range',
 			'checkbox',
 			'radio',
+			'repeater',
+			'group',
+			'post',
+			'taxonomy',
+			'user',
+			'gallery',
+			'rich_text',
+			'date',
+			'time',
+			'datetime',
+			'link',
+			'icon',
+			'code',
 		];
 
 		$controls = [];
@@ -25,66 +25,6 @@ $genesis_pro_info_url = 'https://www.studiopress.com/genesis-pro/';
 			<h3><?php esc_html_e( 'Powerful & Dynamic Fields', 'genesis-custom-blocks' ); ?></h3>
 			<p><?php esc_html_e( 'Access additional fields for your custom blocks with Genesis Pro.', 'genesis-custom-blocks' ); ?></p>
 			<div class="pro-fields">
-				<div class="pro-field">
-					<div class="pro-field--icon">
-						<svg fill="currentColor" viewBox="0 0 20 20">
-							<path
-								fill-rule="evenodd"
-								d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-11a1 1 0 10-2 0v2H7a1 1 0 100 2h2v2a1 1 0 102 0v-2h2a1 1 0 100-2h-2V7z"
-								clip-rule="evenodd"
-								></path>
-						</svg>
-					</div>
-					<span><?php esc_html_e( 'Repeater field', 'genesis-custom-blocks' ); ?></span>
-				</div>
-				<div class="pro-field">
-					<div class="pro-field--icon">
-						<svg fill="currentColor" viewBox="0 0 20 20">
-							<path
-								fill-rule="evenodd"
-								d="M4 4a2 2 0 012-2h4.586A2 2 0 0112 2.586L15.414 6A2 2 0 0116 7.414V16a2 2 0 01-2 2H6a2 2 0 01-2-2V4z"
-								clip-rule="evenodd"
-								></path>
-						</svg>
-					</div>
-					<span><?php esc_html_e( 'Post field', 'genesis-custom-blocks' ); ?></span>
-				</div>
-				<div class="pro-field">
-					<div class="pro-field--icon">
-						<svg fill="currentColor" viewBox="0 0 20 20">
-							<path
-								fill-rule="evenodd"
-								d="M9.243 3.03a1 1 0 01.727 1.213L9.53 6h2.94l.56-2.243a1 1 0 111.94.486L14.53 6H17a1 1 0 110 2h-2.97l-1 4H15a1 1 0 110 2h-2.47l-.56 2.242a1 1 0 11-1.94-.485L10.47 14H7.53l-.56 2.242a1 1 0 11-1.94-.485L5.47 14H3a1 1 0 110-2h2.97l1-4H5a1 1 0 110-2h2.47l.56-2.243a1 1 0 011.213-.727zM9.03 8l-1 4h2.938l1-4H9.031z"
-								clip-rule="evenodd"
-								></path>
-						</svg>
-					</div>
-					<span><?php esc_html_e( 'Taxonomy field', 'genesis-custom-blocks' ); ?></span>
-				</div>
-				<div class="pro-field">
-					<div class="pro-field--icon">
-						<svg fill="currentColor" viewBox="0 0 20 20">
-							<path
-								fill-rule="evenodd"
-								d="M10 9a3 3 0 100-6 3 3 0 000 6zm-7 9a7 7 0 1114 0H3z"
-								clip-rule="evenodd"
-								></path>
-						</svg>
-					</div>
-					<span><?php esc_html_e( 'User field', 'genesis-custom-blocks' ); ?></span>
-				</div>
-				<div class="pro-field">
-					<div class="pro-field--icon">
-						<svg fill="currentColor" viewBox="0 0 20 20">
-							<path
-								fill-rule="evenodd"
-								d="M3 5a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zM3 10a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zM3 15a1 1 0 011-1h6a1 1 0 110 2H4a1 1 0 01-1-1z"
-								clip-rule="evenodd"
-								></path>
-						</svg>
-					</div>
-					<span><?php esc_html_e( 'Rich Text field', 'genesis-custom-blocks' ); ?></span>
-				</div>
 				<div class="pro-field">
 					<div class="pro-field--icon">
 						<svg fill="currentColor" viewBox="0 0 20 20">
@@ -0,0 +1,32 @@
+<?php
+/**
+ * Renders the Render PHP block, exported from Genesis Custom Blocks.
+ *
+ * @var array    $attributes The block attributes.
+ * @var string   $content    The inner blocks, if any.
+ * @var WP_Block $block      The block instance.
+ */
+
+$gcb_to_string = static function( $value ) {
+	if ( is_array( $value ) ) {
+		return implode( ', ', $value );
+	}
+
+	if ( is_bool( $value ) ) {
+		return $value ? __( 'Yes' ) : __( 'No' );
+	}
+
+	return (string) $value;
+};
+
+$gcb_is_empty = static function( $value ) {
+	if ( is_array( $value ) ) {
+		return isset( $value['rows'] ) && is_array( $value['rows'] ) ? ! $value['rows'] : ! $value;
+	}
+
+	return null === $value || false === $value || '' === $value;
+};
+?>
+<div <?php echo get_block_wrapper_attributes(); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>>
+<h2><?php echo wp_kses_post( $gcb_to_string( $attributes[ 'text' ] ?? '' ) ); ?></h2><div><?php echo wp_kses_post( wpautop( (string) ( $attributes[ 'textarea' ] ?? '' ) ) ); ?></div><p><?php echo wp_kses_post( $gcb_to_string( (int) ( $attributes[ 'number' ] ?? 0 ) ) ); ?> <?php echo wp_kses_post( $gcb_to_string( (int) ( $attributes[ 'range' ] ?? 0 ) ) ); ?></p><p><?php echo esc_html( $gcb_to_string( ! empty( $attributes[ 'toggle' ] ) ) ); ?> <?php echo esc_html( $gcb_to_string( ! empty( $attributes[ 'checkbox' ] ) ) ); ?></p><p><?php echo wp_kses_post( $gcb_to_string( $attributes[ 'multiselect' ] ?? '' ) ); ?></p><?php if ( ! $gcb_is_empty( $attributes[ 'toggle' ] ?? null ) ) : ?><p>On</p><?php else : ?><p>Off</p><?php endif; ?>
+</div>
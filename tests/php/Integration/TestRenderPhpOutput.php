@@ -0,0 +1,92 @@
+<?php
+/**
+ * TestRenderPhpOutput
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Block;
+use Genesis\CustomBlocks\Blocks\TemplateEditor;
+
+/**
+ * Class TestRenderPhpOutput
+ *
+ * Compares the render.php that the builder exports with how Genesis Custom Blocks renders the same markup.
+ * The render.php fixture is from getRenderPhp() in JavaScript, and its test fails if the fixture is out of date.
+ *
+ * @package Genesis\CustomBlocks
+ */
+class TestRenderPhpOutput extends \WP_UnitTestCase {
+
+	/**
+	 * Tear down after each test.
+	 *
+	 * @inheritdoc
+	 */
+	public function tear_down() {
+		remove_all_filters( 'genesis_custom_blocks_data_attributes' );
+		remove_all_filters( 'genesis_custom_blocks_data_config' );
+		parent::tear_down();
+	}
+
+	/**
+	 * Gets the attributes to render the block with.
+	 *
+	 * @return array[] The test cases.
+	 */
+	public function get_attributes() {
+		return [
+			'all values'     => [
+				[
+					'text'        => 'Tom & Jerry <strong>cartoons</strong>',
+					'textarea'    => "First line\nSecond line",
+					'number'      => 15,
+					'range'       => 7,
+					'toggle'      => true,
+					'checkbox'    => false,
+					'multiselect' => [ 'foo', 'bar' ],
+				],
+			],
+			'missing values' => [ [] ],
+		];
+	}
+
+	/**
+	 * Tests that the exported render.php renders like the Template Editor.
+	 *
+	 * @dataProvider get_attributes
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 *
+	 * @param array $attributes The block attributes.
+	 */
+	public function test_render_php( $attributes ) {
+		$config = json_decode( file_get_contents( __DIR__ . '/Fixtures/render-php/block.json' ), true ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- This is a local fixture.
+		$block  = new Block();
+		$block->from_array( $config );
+
+		add_filter(
+			'genesis_custom_blocks_data_config',
+			static function () use ( $block ) {
+				return $block;
+			}
+		);
+		add_filter(
+			'genesis_custom_blocks_data_attributes',
+			static function () use ( $attributes ) {
+				return $attributes;
+			}
+		);
+
+		ob_start();
+		( new TemplateEditor() )->render_markup( $config['templateMarkup'] );
+		$expected = ob_get_clean();
+
+		ob_start();
+		require __DIR__ . '/Fixtures/render-php/render.php';
+		$rendered = ob_get_clean();
+
+		// The render.php has a wrapper with the block attributes, which Genesis Custom Blocks adds elsewhere.
+		$this->assertMatchesRegularExpression( '#^\s*<div\s*>\n(.*)\n</div>\s*$#s', $rendered );
+		$this->assertEquals( $expected, preg_replace( '#^\s*<div\s*>\n(.*)\n</div>\s*$#s', '$1', $rendered ) );
+	}
+}
@@ -0,0 +1,132 @@
+<?php
+/**
+ * Tests for class Code.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Code;
+
+/**
+ * Tests for class Code.
+ */
+class TestCode extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Code.
+	 *
+	 * @var Code
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Code();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Code::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Code', $this->instance->label );
+		$this->assertEquals( 'code', $this->instance->name );
+		$this->assertEquals( 'string', $this->instance->type );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Code::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'default',
+				'label'   => 'Default Value',
+				'type'    => 'textarea',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'language',
+				'label'   => 'Language',
+				'type'    => 'code_language',
+				'default' => 'html',
+				'help'    => 'The template outputs the code in a <pre><code> with a class for this language, like language-html.',
+				'value'   => null,
+			],
+			[
+				'name'    => 'line_numbers',
+				'label'   => 'Show Line Numbers',
+				'type'    => 'checkbox',
+				'default' => true,
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'theme',
+				'label'   => 'Editor Theme',
+				'type'    => 'code_theme',
+				'default' => 'textmate',
+				'help'    => '',
+				'value'   => null,
+			],
+		];
+
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+
+	/**
+	 * Test get_markup.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Code::get_markup()
+	 */
+	public function test_get_markup() {
+		$this->assertEquals(
+			'<pre class="line-numbers"><code class="language-css">.example &gt; p { color: red; }</code></pre>',
+			$this->instance->get_markup( '.example > p { color: red; }', 'css', true )
+		);
+		$this->assertEquals(
+			'<pre><code class="language-scriptalert1script">example</code></pre>',
+			$this->instance->get_markup( 'example', '"><script>alert(1)</script>', false )
+		);
+		$this->assertEquals( '', $this->instance->get_markup( '', 'php', true ) );
+		$this->assertEquals( '', $this->instance->get_markup( null, 'php', true ) );
+	}
+}
@@ -82,8 +82,39 @@ class TestColor extends \WP_UnitTestCase {
 				'help'    => '',
 				'value'   => null,
 			],
+			[
+				'name'    => 'palette_only',
+				'label'   => 'Only Allow Palette Colors',
+				'type'    => 'checkbox',
+				'default' => false,
+				'help'    => 'Only the colors of the theme palette can be chosen, not custom colors.',
+				'value'   => null,
+			],
+			[
+				'name'    => 'gradients',
+				'label'   => 'Allow Gradients',
+				'type'    => 'checkbox',
+				'default' => false,
+				'help'    => '',
+				'value'   => null,
+			],
 		];
 
 		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
 	}
+
+	/**
+	 * Test validate.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Color::validate()
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Color::get_css_value()
+	 */
+	public function test_validate() {
+		$this->assertEquals( '#ff0000', $this->instance->validate( '#ff0000', true ) );
+		$this->assertEquals( 'rgba(255, 0, 0, 0.5)', $this->instance->validate( 'rgba(255, 0, 0, 0.5)', false ) );
+		$this->assertEquals( 'var(--wp--preset--color--primary)', $this->instance->validate( 'var:preset|color|primary', true ) );
+		$this->assertEquals( 'var(--wp--preset--gradient--cool-to-warm)', $this->instance->validate( 'var:preset|gradient|cool-to-warm', false ) );
+		$this->assertEquals( 'var:preset|font-size|large', $this->instance->validate( 'var:preset|font-size|large', true ) );
+		$this->assertEquals( '', $this->instance->validate( null, true ) );
+	}
 }
@@ -0,0 +1,114 @@
+<?php
+/**
+ * Tests for class Date.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Date;
+
+/**
+ * Tests for class Date.
+ */
+class TestDate extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Date.
+	 *
+	 * @var Date
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Date();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Date::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Date', $this->instance->label );
+		$this->assertEquals( 'date', $this->instance->name );
+		$this->assertEquals( 'string', $this->instance->type );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Date::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'min',
+				'label'   => 'Earliest Date',
+				'type'    => 'date',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'max',
+				'label'   => 'Latest Date',
+				'type'    => 'date',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'storage_format',
+				'label'   => 'Stored Format',
+				'type'    => 'date_storage_format',
+				'default' => 'iso',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'display_format',
+				'label'   => 'Display Format',
+				'type'    => 'text',
+				'default' => 'F j, Y',
+				'help'    => 'How the template outputs the date, as a PHP date format.',
+				'value'   => null,
+			],
+		];
+
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+}
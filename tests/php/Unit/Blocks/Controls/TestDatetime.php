@@ -0,0 +1,114 @@
+<?php
+/**
+ * Tests for class Datetime.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Datetime;
+
+/**
+ * Tests for class Datetime.
+ */
+class TestDatetime extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Datetime.
+	 *
+	 * @var Datetime
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Datetime();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Datetime::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Date and Time', $this->instance->label );
+		$this->assertEquals( 'datetime', $this->instance->name );
+		$this->assertEquals( 'string', $this->instance->type );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Datetime::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'min',
+				'label'   => 'Earliest Date and Time',
+				'type'    => 'date_time',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'max',
+				'label'   => 'Latest Date and Time',
+				'type'    => 'date_time',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'storage_format',
+				'label'   => 'Stored Format',
+				'type'    => 'date_storage_format',
+				'default' => 'iso',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'display_format',
+				'label'   => 'Display Format',
+				'type'    => 'text',
+				'default' => 'F j, Y g:i a',
+				'help'    => 'How the template outputs the date and time, as a PHP date format.',
+				'value'   => null,
+			],
+		];
+
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+}
@@ -0,0 +1,117 @@
+<?php
+/**
+ * Tests for class Gallery.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Gallery;
+
+/**
+ * Tests for class Gallery.
+ */
+class TestGallery extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Gallery.
+	 *
+	 * @var Gallery
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Gallery();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Gallery::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Gallery', $this->instance->label );
+		$this->assertEquals( 'gallery', $this->instance->name );
+		$this->assertEquals( 'array', $this->instance->type );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Gallery::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'min',
+				'label'   => 'Minimum Images',
+				'type'    => 'number_non_negative',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'max',
+				'label'   => 'Maximum Images',
+				'type'    => 'number_non_negative',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+		];
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+
+	/**
+	 * Test validate.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Gallery::validate()
+	 */
+	public function test_validate() {
+		$first_id  = $this->factory()->attachment->create_object( [ 'file' => 'first.jpeg' ], 0, [ 'post_mime_type' => 'image/jpeg' ] );
+		$second_id = $this->factory()->attachment->create_object( [ 'file' => 'second.jpeg' ], 0, [ 'post_mime_type' => 'image/jpeg' ] );
+		wp_update_attachment_metadata( $first_id, [ 'file' => 'first.jpeg' ] );
+		wp_update_attachment_metadata( $second_id, [ 'file' => 'second.jpeg' ] );
+		$value = [ $second_id, (string) $first_id, 0 ];
+
+		$this->assertEquals( [ $second_id, $first_id ], $this->instance->validate( $value, false ) );
+		$this->assertEquals(
+			[ wp_get_attachment_url( $second_id ), wp_get_attachment_url( $first_id ) ],
+			$this->instance->validate( $value, true )
+		);
+		$this->assertEquals( [], $this->instance->validate( false, true ) );
+	}
+}
@@ -0,0 +1,89 @@
+<?php
+/**
+ * Tests for class Group.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Group;
+
+/**
+ * Tests for class Group.
+ */
+class TestGroup extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Group.
+	 *
+	 * @var Group
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Group();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Group::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Group', $this->instance->label );
+		$this->assertEquals( 'group', $this->instance->name );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Group::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'layout',
+				'label'   => 'Layout',
+				'type'    => 'group_layout',
+				'default' => 'panel',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'collapsed',
+				'label'   => 'Collapsed by Default',
+				'type'    => 'checkbox',
+				'default' => false,
+				'help'    => '',
+				'value'   => null,
+			],
+		];
+
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+}
@@ -0,0 +1,128 @@
+<?php
+/**
+ * Tests for class Icon.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Icon;
+
+/**
+ * Tests for class Icon.
+ */
+class TestIcon extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Icon.
+	 *
+	 * @var Icon
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Icon();
+	}
+
+	/**
+	 * Teardown.
+	 *
+	 * @inheritdoc
+	 */
+	public function tear_down() {
+		remove_all_filters( 'genesis_custom_blocks_icons' );
+		parent::tear_down();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Icon::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Icon', $this->instance->label );
+		$this->assertEquals( 'icon', $this->instance->name );
+		$this->assertEquals( 'string', $this->instance->type );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Icon::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+		];
+
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+
+	/**
+	 * Test validate.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Icon::validate()
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Icon::get_svg()
+	 */
+	public function test_validate() {
+		$this->assertEquals( 'alarm', $this->instance->validate( 'alarm', false ) );
+		$this->assertStringStartsWith( '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24">', $this->instance->validate( 'alarm', true ) );
+		$this->assertEquals( '', $this->instance->validate( 'does_not_exist', true ) );
+		$this->assertEquals( '', $this->instance->validate( null, false ) );
+	}
+
+	/**
+	 * Test get_icons.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Icon::get_icons()
+	 */
+	public function test_get_icons() {
+		$icons = $this->instance->get_icons();
+		$this->assertArrayHasKey( 'account_balance', $icons );
+		$this->assertArrayHasKey( 'genesis_custom_blocks', $icons );
+
+		$example_svg = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><path d="M0 0h24v24H0z"></path></svg>';
+		add_filter(
+			'genesis_custom_blocks_icons',
+			static function ( $icons ) use ( $example_svg ) {
+				$icons['example_icon'] = $example_svg;
+				return $icons;
+			}
+		);
+
+		// The filter should add the icon, like the JS filter genesisCustomBlocks.iconComponents.
+		$this->assertEquals( $example_svg, $this->instance->get_svg( 'example_icon' ) );
+	}
+}
@@ -0,0 +1,117 @@
+<?php
+/**
+ * Tests for class Link.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Link;
+
+/**
+ * Tests for class Link.
+ */
+class TestLink extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Link.
+	 *
+	 * @var Link
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Link();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Link::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Link', $this->instance->label );
+		$this->assertEquals( 'link', $this->instance->name );
+		$this->assertEquals( 'object', $this->instance->type );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Link::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+		];
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+
+	/**
+	 * Test validate.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Link::validate()
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Link::get_link()
+	 */
+	public function test_validate() {
+		$link = [
+			'url'           => 'https://example.com/about',
+			'title'         => 'About & Contact',
+			'opensInNewTab' => true,
+			'postId'        => '42',
+		];
+
+		$this->assertEquals(
+			[
+				'url'           => 'https://example.com/about',
+				'title'         => 'About & Contact',
+				'opensInNewTab' => true,
+				'postId'        => 42,
+			],
+			$this->instance->validate( $link, false )
+		);
+		$this->assertEquals(
+			'<a href="https://example.com/about" target="_blank" rel="noreferrer noopener">About &amp; Contact</a>',
+			$this->instance->validate( $link, true )
+		);
+
+		// A URL from before this was a link field is the link URL.
+		$this->assertEquals(
+			'<a href="https://example.com">https://example.com</a>',
+			$this->instance->validate( 'https://example.com', true )
+		);
+		$this->assertEquals( '', $this->instance->validate( false, true ) );
+	}
+}
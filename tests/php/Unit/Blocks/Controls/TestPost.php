@@ -0,0 +1,148 @@
+<?php
+/**
+ * Tests for class Post.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Post;
+
+/**
+ * Tests for class Post.
+ */
+class TestPost extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Post.
+	 *
+	 * @var Post
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Post();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Post::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Post', $this->instance->label );
+		$this->assertEquals( 'post', $this->instance->name );
+		$this->assertEquals( 'array', $this->instance->type );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Post::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'post_types',
+				'label'   => 'Post Types',
+				'type'    => 'post_types',
+				'default' => [ 'post' ],
+				'help'    => 'The post types to search for posts.',
+				'value'   => null,
+			],
+			[
+				'name'    => 'multiple',
+				'label'   => 'Allow Multiple Posts',
+				'type'    => 'checkbox',
+				'default' => false,
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'orderby',
+				'label'   => 'Order Search Results By',
+				'type'    => 'post_order',
+				'default' => 'date',
+				'help'    => '',
+				'value'   => null,
+			],
+		];
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+
+	/**
+	 * Test validate.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Post::validate()
+	 */
+	public function test_validate() {
+		$first_id  = $this->factory()->post->create( [ 'post_title' => 'First Post' ] );
+		$second_id = $this->factory()->post->create( [ 'post_title' => 'Second Post' ] );
+		$value     = [ $second_id, (string) $first_id, 0 ];
+
+		$this->assertEquals( [ $second_id, $first_id ], $this->instance->validate( $value, false ) );
+		$this->assertEquals( [ 'Second Post', 'First Post' ], $this->instance->validate( $value, true ) );
+		$this->assertEquals( [], $this->instance->validate( false, false ) );
+	}
+
+	/**
+	 * Test get_post_property.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Post::get_post_property()
+	 */
+	public function test_get_post_property() {
+		$post_id = $this->factory()->post->create(
+			[
+				'post_title'   => 'Example Post',
+				'post_excerpt' => 'An example excerpt',
+			]
+		);
+
+		$this->assertEquals( 'Example Post', $this->instance->get_post_property( $post_id, 'title' ) );
+		$this->assertEquals( get_permalink( $post_id ), $this->instance->get_post_property( $post_id, 'permalink' ) );
+		$this->assertEquals( 'An example excerpt', $this->instance->get_post_property( $post_id, 'excerpt' ) );
+		$this->assertEquals( '', $this->instance->get_post_property( $post_id, 'unknown' ) );
+
+		$draft_id = $this->factory()->post->create(
+			[
+				'post_title'  => 'Draft Post',
+				'post_status' => 'draft',
+			]
+		);
+		$this->assertEquals( '', $this->instance->get_post_property( $draft_id, 'title' ) );
+		$this->assertEquals( '', $this->instance->get_post_property( 0, 'title' ) );
+	}
+}
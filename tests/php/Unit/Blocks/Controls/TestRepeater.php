@@ -0,0 +1,97 @@
+<?php
+/**
+ * Tests for class Repeater.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Repeater;
+
+/**
+ * Tests for class Repeater.
+ */
+class TestRepeater extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Repeater.
+	 *
+	 * @var Repeater
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Repeater();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Repeater::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Repeater', $this->instance->label );
+		$this->assertEquals( 'repeater', $this->instance->name );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Repeater::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'min',
+				'label'   => 'Minimum Rows',
+				'type'    => 'number_non_negative',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'max',
+				'label'   => 'Maximum Rows',
+				'type'    => 'number_non_negative',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+		];
+
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+}
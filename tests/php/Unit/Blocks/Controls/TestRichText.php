@@ -0,0 +1,122 @@
+<?php
+/**
+ * Tests for class RichText.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\RichText;
+use Genesis\CustomBlocks\Blocks\Controls\ControlSetting;
+
+/**
+ * Tests for class RichText.
+ */
+class TestRichText extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of RichText.
+	 *
+	 * @var RichText
+	 */
+	public $instance;
+
+	/**
+	 * Instance of the setting.
+	 *
+	 * @var ControlSetting
+	 */
+	public $setting;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new RichText();
+		$this->setting  = new ControlSetting();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\RichText::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Rich Text', $this->instance->label );
+		$this->assertEquals( 'rich_text', $this->instance->name );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\RichText::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'default',
+				'label'   => 'Default Value',
+				'type'    => 'textarea',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'placeholder',
+				'label'   => 'Placeholder Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'formats',
+				'label'   => 'Allowed Formats',
+				'type'    => 'rich_text_formats',
+				'default' => [ 'bold', 'italic', 'link' ],
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'multiline',
+				'label'   => 'Allow Line Breaks',
+				'type'    => 'checkbox',
+				'default' => false,
+				'help'    => 'Without line breaks, the text is a single line.',
+				'value'   => null,
+			],
+		];
+
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+}
@@ -0,0 +1,112 @@
+<?php
+/**
+ * Tests for class Taxonomy.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Taxonomy;
+
+/**
+ * Tests for class Taxonomy.
+ */
+class TestTaxonomy extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Taxonomy.
+	 *
+	 * @var Taxonomy
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Taxonomy();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Taxonomy::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Taxonomy', $this->instance->label );
+		$this->assertEquals( 'taxonomy', $this->instance->name );
+		$this->assertEquals( 'array', $this->instance->type );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Taxonomy::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'taxonomy',
+				'label'   => 'Taxonomy',
+				'type'    => 'taxonomy',
+				'default' => 'category',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'multiple',
+				'label'   => 'Allow Multiple Terms',
+				'type'    => 'checkbox',
+				'default' => false,
+				'help'    => '',
+				'value'   => null,
+			],
+		];
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+
+	/**
+	 * Test validate.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Taxonomy::validate()
+	 */
+	public function test_validate() {
+		$first_id  = $this->factory()->category->create( [ 'name' => 'First Category' ] );
+		$second_id = $this->factory()->tag->create( [ 'name' => 'Second Tag' ] );
+		$value     = [ $second_id, (string) $first_id, 0 ];
+
+		$this->assertEquals( [ $second_id, $first_id ], $this->instance->validate( $value, false ) );
+		$this->assertEquals( [ 'Second Tag', 'First Category' ], $this->instance->validate( $value, true ) );
+		$this->assertEquals( [], $this->instance->validate( false, true ) );
+	}
+}
@@ -0,0 +1,106 @@
+<?php
+/**
+ * Tests for class Time.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\Time;
+
+/**
+ * Tests for class Time.
+ */
+class TestTime extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of Time.
+	 *
+	 * @var Time
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new Time();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Time::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'Time', $this->instance->label );
+		$this->assertEquals( 'time', $this->instance->name );
+		$this->assertEquals( 'string', $this->instance->type );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Time::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'min',
+				'label'   => 'Earliest Time',
+				'type'    => 'time',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'max',
+				'label'   => 'Latest Time',
+				'type'    => 'time',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'display_format',
+				'label'   => 'Display Format',
+				'type'    => 'text',
+				'default' => 'g:i a',
+				'help'    => 'How the template outputs the time, as a PHP date format.',
+				'value'   => null,
+			],
+		];
+
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+}
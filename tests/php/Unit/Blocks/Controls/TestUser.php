@@ -0,0 +1,113 @@
+<?php
+/**
+ * Tests for class User.
+ *
+ * @package Genesis\CustomBlocks
+ */
+
+use Genesis\CustomBlocks\Blocks\Controls\User;
+
+/**
+ * Tests for class User.
+ */
+class TestUser extends \WP_UnitTestCase {
+
+	use TestingHelper;
+
+	/**
+	 * Instance of User.
+	 *
+	 * @var User
+	 */
+	public $instance;
+
+	/**
+	 * Setup.
+	 *
+	 * @inheritdoc
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new User();
+	}
+
+	/**
+	 * Test __construct.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\User::__construct()
+	 */
+	public function test_construct() {
+		$this->assertEquals( 'User', $this->instance->label );
+		$this->assertEquals( 'user', $this->instance->name );
+		$this->assertEquals( 'array', $this->instance->type );
+		$this->assertEquals( 'Administrator', $this->instance->roles['administrator'] );
+	}
+
+	/**
+	 * Test register_settings.
+	 *
+	 * The parent constructor calls register_settings(), so there's no need to call it again here.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\User::register_settings()
+	 */
+	public function test_register_settings() {
+		$expected_settings = [
+			[
+				'name'    => 'location',
+				'label'   => 'Field Location',
+				'type'    => 'location',
+				'default' => 'editor',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'width',
+				'label'   => 'Field Width',
+				'type'    => 'width',
+				'default' => '100',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'help',
+				'label'   => 'Help Text',
+				'type'    => 'text',
+				'default' => '',
+				'help'    => '',
+				'value'   => null,
+			],
+			[
+				'name'    => 'role',
+				'label'   => 'Role',
+				'type'    => 'user_role',
+				'default' => '',
+				'help'    => 'Only users with this role can be chosen. Filtering by role needs permission to list users.',
+				'value'   => null,
+			],
+			[
+				'name'    => 'multiple',
+				'label'   => 'Allow Multiple Users',
+				'type'    => 'checkbox',
+				'default' => false,
+				'help'    => '',
+				'value'   => null,
+			],
+		];
+		$this->assert_correct_settings( $expected_settings, $this->instance->settings );
+	}
+
+	/**
+	 * Test validate.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\User::validate()
+	 */
+	public function test_validate() {
+		$first_id  = $this->factory()->user->create( [ 'display_name' => 'First User' ] );
+		$second_id = $this->factory()->user->create( [ 'display_name' => 'Second User' ] );
+		$value     = [ $second_id, (string) $first_id, 0 ];
+
+		$this->assertEquals( [ $second_id, $first_id ], $this->instance->validate( $value, false ) );
+		$this->assertEquals( [ 'Second User', 'First User' ], $this->instance->validate( $value, true ) );
+		$this->assertEquals( [], $this->instance->validate( false, true ) );
+	}
+}
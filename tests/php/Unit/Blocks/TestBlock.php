@@ -144,10 +144,34 @@ class TestBlock extends \WP_UnitTestCase {
 		$this->assertArrayHasKey( 'keywords', $block );
 		$this->assertArrayHasKey( 'fields', $block );
 		$this->assertFalse( $block['displayModal'] );
+		$this->assertFalse( $block['scopeCss'] );
+		$this->assertArrayNotHasKey( 'templateScss', $block );
 
 		// Check that we've got 2 fields.
 		$this->assertCount( 2, $block['fields'] );
 		$this->assertArrayHasKey( 'heading', $block['fields'] );
 		$this->assertArrayHasKey( 'content', $block['fields'] );
 	}
+
+	/**
+	 * Test to_json with SCSS, which is stored next to the compiled CSS.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Block::from_array()
+	 * @covers \Genesis\CustomBlocks\Blocks\Block::to_json()
+	 */
+	public function test_to_json_template_scss() {
+		$this->instance->from_array(
+			[
+				'name'         => 'simple-test-block',
+				'templateCss'  => ".a .b {\n\tcolor: red;\n}",
+				'templateScss' => '.a { .b { color: red; } }',
+			]
+		);
+
+		$decoded = json_decode( $this->instance->to_json(), true );
+		$block   = $decoded['genesis-custom-blocks/simple-test-block'];
+
+		$this->assertEquals( ".a .b {\n\tcolor: red;\n}", $block['templateCss'] );
+		$this->assertEquals( '.a { .b { color: red; } }', $block['templateScss'] );
+	}
 }
@@ -172,4 +172,80 @@ class TestField extends \WP_UnitTestCase {
 			$field->cast_value( "Here is some text \n This is more \n Here is another one" )
 		);
 	}
+
+	/**
+	 * Test cast_value_to_string on date and time fields.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Field::cast_value_to_string()
+	 * @covers \Genesis\CustomBlocks\Blocks\Field::format_date()
+	 */
+	public function test_cast_value_to_string_date() {
+		update_option( 'timezone_string', 'America/New_York' );
+
+		$date_field     = new Field(
+			[
+				'type'     => 'string',
+				'control'  => 'date',
+				'settings' => [ 'display_format' => 'F j, Y' ],
+			]
+		);
+		$datetime_field = new Field(
+			[
+				'type'     => 'string',
+				'control'  => 'datetime',
+				'settings' => [ 'display_format' => 'Y-m-d g:i a' ],
+			]
+		);
+		$time_field     = new Field(
+			[
+				'type'     => 'string',
+				'control'  => 'time',
+				'settings' => [ 'display_format' => 'g:i a' ],
+			]
+		);
+
+		$this->assertEquals( 'May 1, 2024', $date_field->cast_value_to_string( '2024-05-01' ) );
+		$this->assertEquals( '2024-05-01 1:30 pm', $datetime_field->cast_value_to_string( '2024-05-01T13:30:00' ) );
+		$this->assertEquals( '2024-05-01 1:30 pm', $datetime_field->cast_value_to_string( '1714584600' ) );
+		$this->assertEquals( '9:05 am', $time_field->cast_value_to_string( '09:05' ) );
+		$this->assertEquals( '', $date_field->cast_value_to_string( '' ) );
+		$this->assertEquals( '', $date_field->cast_value_to_string( 'Not a date' ) );
+	}
+
+	/**
+	 * Test cast_value_to_string on code fields.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Field::cast_value_to_string()
+	 * @covers \Genesis\CustomBlocks\Blocks\Controls\Code::get_markup()
+	 */
+	public function test_cast_value_to_string_code() {
+		$code_field = new Field(
+			[
+				'type'     => 'string',
+				'control'  => 'code',
+				'settings' => [
+					'language'     => 'php',
+					'line_numbers' => false,
+				],
+			]
+		);
+
+		$this->assertEquals(
+			'<pre><code class="language-php">&lt;?php echo &quot;Hello&quot;; ?&gt;</code></pre>',
+			$code_field->cast_value_to_string( '<?php echo "Hello"; ?>' )
+		);
+		$this->assertEquals( '', $code_field->cast_value_to_string( '' ) );
+
+		// Without settings, it has line numbers, and the language is plain text.
+		$code_field = new Field(
+			[
+				'type'    => 'string',
+				'control' => 'code',
+			]
+		);
+		$this->assertEquals(
+			'<pre class="line-numbers"><code class="language-text">&lt;div&gt;&lt;/div&gt;</code></pre>',
+			$code_field->cast_value_to_string( '<div></div>' )
+		);
+	}
 }
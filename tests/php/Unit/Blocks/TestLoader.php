@@ -298,6 +298,40 @@ class TestLoader extends AbstractTemplate {
 		$this->assertEquals( $expected_attributes, $actual_attributes );
 	}
 
+	/**
+	 * Test get_block_attributes with a group, which doesn't store a value.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::get_block_attributes()
+	 */
+	public function test_get_block_attributes_group() {
+		$block = new Block();
+		$block->from_array(
+			[
+				'fields' => [
+					'details'  => [
+						'control' => 'group',
+					],
+					'subtitle' => [
+						'control' => 'text',
+						'group'   => 'details',
+					],
+				],
+			]
+		);
+
+		$this->assertEquals(
+			[
+				'className' => [
+					'type' => 'string',
+				],
+				'subtitle'  => [
+					'type' => 'string',
+				],
+			],
+			$this->invoke_protected_method( 'get_block_attributes', [ $block ] )
+		);
+	}
+
 	/**
 	 * Test get_attributes_from_field.
 	 *
@@ -327,6 +361,177 @@ class TestLoader extends AbstractTemplate {
 		);
 	}
 
+	/**
+	 * Test get_attributes_from_field with a control that stores IDs in an array.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::get_attributes_from_field()
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::get_items_type()
+	 */
+	public function test_get_attributes_from_field_ids() {
+		$this->assertEquals(
+			[
+				'related' => [
+					'type'  => 'array',
+					'items' => [ 'type' => 'integer' ],
+				],
+			],
+			$this->invoke_protected_method( 'get_attributes_from_field', [ [], 'related', new Field( [ 'control' => 'post' ] ) ] )
+		);
+
+		$this->assertEquals(
+			[
+				'colors' => [
+					'type'  => 'array',
+					'items' => [ 'type' => 'string' ],
+				],
+			],
+			$this->invoke_protected_method( 'get_attributes_from_field', [ [], 'colors', new Field( [ 'control' => 'multiselect' ] ) ] )
+		);
+	}
+
+	/**
+	 * Test rendering a post field on the front-end, where WP_Block removes values that don't match the attribute schema.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::register_block()
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::get_items_type()
+	 */
+	public function test_render_post_field() {
+		$post_id = $this->factory()->post->create( [ 'post_title' => 'Example Post' ] );
+
+		$this->assertStringContainsString(
+			'Example Post',
+			$this->render_wp_block(
+				[ 'related' => [ 'control' => 'post' ] ],
+				'{{#each related}}<p>{{title}}</p>{{/each}}',
+				[ 'related' => [ $post_id ] ]
+			)
+		);
+	}
+
+	/**
+	 * Test rendering taxonomy and user fields on the front-end, which store IDs like the post field.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::register_block()
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::get_items_type()
+	 */
+	public function test_render_taxonomy_and_user_fields() {
+		$term_id = $this->factory()->category->create( [ 'name' => 'Example Category' ] );
+		$user_id = $this->factory()->user->create( [ 'display_name' => 'Example Author' ] );
+
+		$rendered = $this->render_wp_block(
+			[
+				'topics'  => [
+					'control'  => 'taxonomy',
+					'taxonomy' => 'category',
+				],
+				'authors' => [ 'control' => 'user' ],
+			],
+			'<p>{{topics}}</p><p>{{authors}}</p>',
+			[
+				'topics'  => [ $term_id ],
+				'authors' => [ $user_id ],
+			]
+		);
+
+		$this->assertStringContainsString( 'Example Category', $rendered );
+		$this->assertStringContainsString( 'Example Author', $rendered );
+	}
+
+	/**
+	 * Test rendering a gallery field on the front-end, which stores the IDs of the images.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::register_block()
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::get_items_type()
+	 */
+	public function test_render_gallery_field() {
+		$image_id = $this->factory()->attachment->create_object( [ 'file' => 'example.jpeg' ], 0, [ 'post_mime_type' => 'image/jpeg' ] );
+		wp_update_attachment_metadata( $image_id, [ 'file' => 'example.jpeg' ] );
+
+		$this->assertStringContainsString(
+			wp_get_attachment_url( $image_id ),
+			$this->render_wp_block(
+				[ 'photos' => [ 'control' => 'gallery' ] ],
+				'<p>{{photos|url}}</p>',
+				[ 'photos' => [ $image_id ] ]
+			)
+		);
+	}
+
+	/**
+	 * Test rendering a link field on the front-end, with a URL from before it was a link field.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::get_attributes_from_field()
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::register_block()
+	 */
+	public function test_render_link_field_url() {
+		$this->assertEquals(
+			[ 'website' => [ 'type' => [ 'object', 'string' ] ] ],
+			$this->invoke_protected_method( 'get_attributes_from_field', [ [], 'website', new Field( [ 'control' => 'link' ] ) ] )
+		);
+
+		$fields = [ 'website' => [ 'control' => 'link' ] ];
+		$markup = '<p>{{website}}</p>';
+
+		$this->assertStringContainsString(
+			'<a href="https://example.com">https://example.com</a>',
+			$this->render_wp_block( $fields, $markup, [ 'website' => 'https://example.com' ] )
+		);
+		$this->assertStringContainsString(
+			'<a href="https://example.com">Example</a>',
+			$this->render_wp_block(
+				$fields,
+				$markup,
+				[
+					'website' => [
+						'url'   => 'https://example.com',
+						'title' => 'Example',
+					],
+				]
+			)
+		);
+	}
+
+	/**
+	 * Registers a block with Template Editor markup, and renders it with WP_Block, like on the front-end.
+	 *
+	 * @param array[] $fields     The fields, keyed by name.
+	 * @param string  $markup     The Template Editor markup.
+	 * @param array   $attributes The block attributes.
+	 * @return string The rendered block.
+	 */
+	public function render_wp_block( $fields, $markup, $attributes ) {
+		$block_name   = 'genesis-custom-blocks/wp-block-test';
+		$block_config = [
+			'name'           => 'wp-block-test',
+			'fields'         => $fields,
+			'templateMarkup' => $markup,
+		];
+
+		$this->instance->add_block( $block_config );
+		$block = new Block();
+		$block->from_array( $block_config );
+		$this->invoke_protected_method( 'register_block', [ $block_name, $block ] );
+
+		// The template helpers like block_value() get the attributes from the plugin's loader.
+		$plugin_loader                  = genesis_custom_blocks()->loader;
+		genesis_custom_blocks()->loader = $this->instance;
+
+		$rendered = ( new WP_Block(
+			[
+				'blockName'    => $block_name,
+				'attrs'        => $attributes,
+				'innerBlocks'  => [],
+				'innerHTML'    => '',
+				'innerContent' => [],
+			]
+		) )->render();
+
+		genesis_custom_blocks()->loader = $plugin_loader;
+		unregister_block_type( $block_name );
+
+		return $rendered;
+	}
+
 	/**
 	 * Test enqueue_global_styles.
 	 *
@@ -414,6 +619,20 @@ class TestLoader extends AbstractTemplate {
 		$this->assertStringContainsString( $expected_overriden_template_contents, ob_get_clean() );
 	}
 
+	/**
+	 * Test has_template_file.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\Loader::has_template_file()
+	 */
+	public function test_has_template_file() {
+		$this->assertFalse( $this->invoke_protected_method( 'has_template_file', [ $this->mock_block_name ] ) );
+
+		$templates_in_parent_theme = $this->get_template_paths_in_theme();
+		$this->file_put_contents( end( $templates_in_parent_theme ), 'This is content in the template' );
+
+		$this->assertTrue( $this->invoke_protected_method( 'has_template_file', [ $this->mock_block_name ] ) );
+	}
+
 	/**
 	 * Test add_block.
 	 *
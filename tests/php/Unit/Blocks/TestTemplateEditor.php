@@ -5,6 +5,7 @@
  * @package Genesis\CustomBlocks
  */
 
+use Genesis\CustomBlocks\Blocks\Block;
 use Genesis\CustomBlocks\Blocks\TemplateEditor;
 
 /**
@@ -29,6 +30,462 @@ class TestTemplateEditor extends WP_UnitTestCase {
 		$this->instance = new TemplateEditor();
 	}
 
+	/**
+	 * Tear down after each test.
+	 *
+	 * @inheritdoc
+	 */
+	public function tear_down() {
+		remove_all_filters( 'genesis_custom_blocks_data_attributes' );
+		remove_all_filters( 'genesis_custom_blocks_data_config' );
+		parent::tear_down();
+	}
+
+	/**
+	 * Sets the block config and attributes that block_field() uses.
+	 *
+	 * @param array $attributes The block attributes.
+	 */
+	public function set_block_data( $attributes ) {
+		$block = new Block();
+		$block->from_array(
+			[
+				'name'   => 'example-block',
+				'fields' => [
+					'heading' => [
+						'name'    => 'heading',
+						'control' => 'text',
+						'type'    => 'string',
+					],
+					'slides'  => [
+						'name'       => 'slides',
+						'control'    => 'repeater',
+						'type'       => 'object',
+						'sub_fields' => [
+							'title'    => [
+								'name'    => 'title',
+								'control' => 'text',
+								'type'    => 'string',
+								'parent'  => 'slides',
+							],
+							'featured' => [
+								'name'    => 'featured',
+								'control' => 'toggle',
+								'type'    => 'boolean',
+								'parent'  => 'slides',
+							],
+						],
+					],
+					'related' => [
+						'name'    => 'related',
+						'control' => 'post',
+						'type'    => 'array',
+					],
+				],
+			]
+		);
+
+		add_filter(
+			'genesis_custom_blocks_data_config',
+			static function () use ( $block ) {
+				return $block;
+			}
+		);
+		add_filter(
+			'genesis_custom_blocks_data_attributes',
+			static function () use ( $attributes ) {
+				return $attributes;
+			}
+		);
+	}
+
+	/**
+	 * Test render_markup with fields.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 */
+	public function test_render_markup() {
+		$this->set_block_data( [ 'heading' => 'Here is a heading' ] );
+
+		ob_start();
+		$this->instance->render_markup( '<h2>{{heading}}</h2><p>\{\{heading\}\}</p>' );
+
+		$this->assertEquals( '<h2>Here is a heading</h2><p>{{heading}}</p>', ob_get_clean() );
+	}
+
+	/**
+	 * Test render_markup with a wrapper for scoped CSS.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::get_scope_class()
+	 */
+	public function test_render_markup_scope_class() {
+		$this->set_block_data( [ 'heading' => 'Here is a heading' ] );
+
+		ob_start();
+		$this->instance->render_markup( '<h2>{{heading}}</h2>', $this->instance->get_scope_class( 'example-block' ) );
+
+		$this->assertEquals( '<div class="genesis-custom-blocks-example-block"><h2>Here is a heading</h2></div>', ob_get_clean() );
+	}
+
+	/**
+	 * Test render_markup with a repeater loop.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::get_row_scopes()
+	 */
+	public function test_render_markup_repeater() {
+		$this->set_block_data(
+			[
+				'heading' => 'Slides',
+				'slides'  => [
+					'rows' => [
+						[
+							'title'    => 'First slide',
+							'featured' => true,
+						],
+						[ 'title' => 'Second slide' ],
+					],
+				],
+			]
+		);
+
+		ob_start();
+		$this->instance->render_markup( '<ul>{{#each slides}}<li>{{title}} {{featured}} {{heading}}</li>{{/each}}</ul>' );
+
+		$this->assertEquals(
+			'<ul><li>First slide Yes Slides</li><li>Second slide No Slides</li></ul>',
+			ob_get_clean()
+		);
+	}
+
+	/**
+	 * Test render_markup with a loop of a field that isn't a repeater.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::get_row_scopes()
+	 */
+	public function test_render_markup_each_not_repeater() {
+		$this->set_block_data( [ 'heading' => 'Here is a heading' ] );
+
+		ob_start();
+		$this->instance->render_markup( '{{#each heading}}<p>{{heading}}</p>{{/each}}' );
+		$this->assertEquals( '', ob_get_clean() );
+
+		ob_start();
+		$this->instance->render_markup( '{{#each does-not-exist}}<p>{{heading}}</p>{{/each}}' );
+		$this->assertEquals( '', ob_get_clean() );
+	}
+
+	/**
+	 * Test render_markup with the tokens and loop of a post field.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_field()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_post_property()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::get_row_scopes()
+	 */
+	public function test_render_markup_post() {
+		$first_id  = $this->factory()->post->create(
+			[
+				'post_title'   => 'First Post',
+				'post_excerpt' => 'The first excerpt',
+			]
+		);
+		$second_id = $this->factory()->post->create(
+			[
+				'post_title'   => 'Second Post',
+				'post_excerpt' => 'The second excerpt',
+			]
+		);
+		$this->set_block_data(
+			[
+				'heading' => 'Related',
+				'related' => [ $first_id, $second_id ],
+			]
+		);
+
+		ob_start();
+		$this->instance->render_markup( '<p>{{related}}</p><p>{{related.title}}</p>' );
+		$this->assertEquals( '<p>First Post, Second Post</p><p>First Post, Second Post</p>', ob_get_clean() );
+
+		ob_start();
+		$this->instance->render_markup( '<ul>{{#each related}}<li><a href="{{permalink}}">{{title}}</a> {{excerpt}} {{heading}}</li>{{/each}}</ul>' );
+		$this->assertEquals(
+			sprintf(
+				'<ul><li><a href="%1$s">First Post</a> The first excerpt Related</li><li><a href="%2$s">Second Post</a> The second excerpt Related</li></ul>',
+				get_permalink( $first_id ),
+				get_permalink( $second_id )
+			),
+			ob_get_clean()
+		);
+	}
+
+	/**
+	 * Test render_markup with {{#if}} blocks.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_nodes()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::get_value()
+	 */
+	public function test_render_markup_if() {
+		$this->set_block_data(
+			[
+				'heading' => 'Slides',
+				'slides'  => [
+					'rows' => [
+						[
+							'title'    => 'First slide',
+							'featured' => true,
+						],
+						[ 'title' => 'Second slide' ],
+					],
+				],
+			]
+		);
+
+		ob_start();
+		$this->instance->render_markup( '{{#if heading}}<h2>{{heading}}</h2>{{/if}}{{#if related}}Related{{else}}None{{/if}}' );
+		$this->assertEquals( '<h2>Slides</h2>None', ob_get_clean() );
+
+		ob_start();
+		$this->instance->render_markup( '{{#each slides}}<p>{{title}}{{#if featured}} (featured){{/if}}</p>{{/each}}' );
+		$this->assertEquals( '<p>First slide (featured)</p><p>Second slide</p>', ob_get_clean() );
+	}
+
+	/**
+	 * Test render_markup with the {{else}} of a loop without rows.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_nodes()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::get_row_scopes()
+	 */
+	public function test_render_markup_each_else() {
+		$this->set_block_data( [ 'heading' => 'Slides' ] );
+
+		ob_start();
+		$this->instance->render_markup( '<ul>{{#each slides}}<li>{{title}}</li>{{else}}<li>No {{heading|lower}}</li>{{/each}}</ul>' );
+
+		$this->assertEquals( '<ul><li>No slides</li></ul>', ob_get_clean() );
+	}
+
+	/**
+	 * Test render_markup with filters.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_nodes()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_field()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::get_url()
+	 */
+	public function test_render_markup_filters() {
+		$post_id = $this->factory()->post->create( [ 'post_title' => 'Example Post' ] );
+		$this->set_block_data(
+			[
+				'heading' => 'Here is a heading',
+				'related' => [ $post_id ],
+			]
+		);
+
+		ob_start();
+		$this->instance->render_markup( '<h2>{{heading|truncate:7|upper}}</h2><a href="{{related|url}}">{{related.title|lower}}</a>{{not-a-field|default:None}}' );
+
+		$this->assertEquals(
+			sprintf( '<h2>HERE IS…</h2><a href="%1$s">example post</a>None', get_permalink( $post_id ) ),
+			ob_get_clean()
+		);
+	}
+
+	/**
+	 * Test render_markup with filters of values that have entities and markup.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_nodes()
+	 */
+	public function test_render_markup_filters_escaping() {
+		$this->set_block_data(
+			[
+				'heading' => 'Tom & Jerry <em>cartoons</em>',
+				'slides'  => [ 'rows' => [ [ 'title' => 'Q&A <script>alert( 1 )</script>' ] ] ],
+			]
+		);
+
+		ob_start();
+		$this->instance->render_markup( '<h2>{{heading|upper}}</h2><p>{{heading|truncate:5}}</p>{{#each slides}}<p>{{title|lower}}</p>{{/each}}<p>{{heading}}</p>' );
+
+		$this->assertEquals(
+			'<h2>TOM &amp; JERRY CARTOONS</h2><p>Tom &amp;…</p><p>q&amp;a</p><p>Tom &amp; Jerry <em>cartoons</em></p>',
+			ob_get_clean()
+		);
+	}
+
+	/**
+	 * Test render_markup with an icon field.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_markup()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_nodes()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::get_control()
+	 */
+	public function test_render_markup_icon() {
+		$block = new Block();
+		$block->from_array(
+			[
+				'name'   => 'example-block',
+				'fields' => [
+					'example-icon' => [
+						'name'    => 'example-icon',
+						'control' => 'icon',
+						'type'    => 'string',
+					],
+				],
+			]
+		);
+
+		add_filter(
+			'genesis_custom_blocks_data_config',
+			static function () use ( $block ) {
+				return $block;
+			}
+		);
+		add_filter(
+			'genesis_custom_blocks_data_attributes',
+			static function () {
+				return [ 'example-icon' => 'alarm' ];
+			}
+		);
+
+		ob_start();
+		$this->instance->render_markup( '<span>{{example-icon}}</span><svg><path d="M0 0h24v24H0z"/></svg>' );
+		$rendered = ob_get_clean();
+
+		// The icon should keep its <svg>, but the <svg> in the markup should be stripped.
+		$this->assertStringStartsWith( '<span><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24">', $rendered );
+		$this->assertStringEndsWith( '</svg></span>', $rendered );
+		$this->assertEquals( 1, substr_count( $rendered, '<svg' ) );
+		$this->assertStringNotContainsString( 'gcb-icon-', $rendered );
+	}
+
+	/**
+	 * Test parse_markup.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::parse_markup()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::parse_tokens()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::get_tokens()
+	 */
+	public function test_parse_markup() {
+		$this->assertEquals(
+			[
+				[
+					'type'      => 'each',
+					'name'      => 'slides',
+					'children'  => [
+						[
+							'type'      => 'if',
+							'name'      => 'title',
+							'children'  => [
+								[
+									'type'    => 'field',
+									'name'    => 'title',
+									'filters' => [
+										[
+											'name' => 'truncate',
+											'args' => [ '20' ],
+										],
+									],
+								],
+							],
+							'alternate' => [
+								[
+									'type'  => 'text',
+									'value' => '{{title}}',
+								],
+							],
+						],
+						[
+							'type'  => 'text',
+							'value' => '{{/if}}',
+						],
+					],
+					'alternate' => [],
+				],
+			],
+			$this->instance->parse_markup( '{{#each slides}}{{#if title}}{{title|truncate:20}}{{else}}\{\{title\}\}{{/if}}{{/if}}' )
+		);
+	}
+
+	/**
+	 * Gets the filters to test, with the value, filter name, arguments, and expected value.
+	 *
+	 * @return array[] The test cases.
+	 */
+	public function get_filters() {
+		return [
+			[ 'Example', 'upper', [], 'EXAMPLE' ],
+			[ 'Example', 'lower', [], 'example' ],
+			[ 'élan vital', 'capitalize', [], 'Élan vital' ],
+			[ '  Example  ', 'trim', [], 'Example' ],
+			[ 'Here is an example', 'truncate', [ '7' ], 'Here is…' ],
+			[ 'Ünïcödé', 'truncate', [ '3' ], 'Ünï…' ],
+			[ 'Example', 'truncate', [ 'abc' ], 'Example' ],
+			[ '', 'default', [ 'None' ], 'None' ],
+			[ ' ', 'default', [ '12', '00' ], '12:00' ],
+			[ 'Example', 'default', [ 'None' ], 'Example' ],
+			[ 'Example', 'not-a-filter', [], 'Example' ],
+		];
+	}
+
+	/**
+	 * Test apply_filter.
+	 *
+	 * @dataProvider get_filters
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::apply_filter()
+	 *
+	 * @param string   $value    The value to filter.
+	 * @param string   $name     The name of the filter.
+	 * @param string[] $args     The arguments of the filter.
+	 * @param string   $expected The expected value.
+	 */
+	public function test_apply_filter( $value, $name, $args, $expected ) {
+		$this->assertEquals(
+			$expected,
+			$this->instance->apply_filter(
+				$value,
+				[
+					'name' => $name,
+					'args' => $args,
+				]
+			)
+		);
+	}
+
+	/**
+	 * Test is_empty_value.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::is_empty_value()
+	 */
+	public function test_is_empty_value() {
+		$this->assertTrue( $this->instance->is_empty_value( '' ) );
+		$this->assertTrue( $this->instance->is_empty_value( false ) );
+		$this->assertTrue( $this->instance->is_empty_value( null ) );
+		$this->assertTrue( $this->instance->is_empty_value( [] ) );
+		$this->assertTrue( $this->instance->is_empty_value( [ 'rows' => [] ] ) );
+		$this->assertFalse( $this->instance->is_empty_value( 0 ) );
+		$this->assertFalse( $this->instance->is_empty_value( 'Example' ) );
+		$this->assertFalse( $this->instance->is_empty_value( [ 'rows' => [ [ 'title' => 'Example' ] ] ] ) );
+	}
+
+	/**
+	 * Test render_post_property when the field isn't a post field.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_post_property()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::get_post_ids()
+	 */
+	public function test_render_post_property_not_post() {
+		$this->set_block_data( [ 'heading' => 'Here is a heading' ] );
+
+		$this->assertEquals( '', $this->instance->render_post_property( 'heading', 'title' ) );
+		$this->assertEquals( '', $this->instance->render_post_property( 'does-not-exist', 'title' ) );
+	}
+
 	/**
 	 * Test render_css when there is no CSS to render.
 	 *
@@ -83,4 +540,51 @@ class TestTemplateEditor extends WP_UnitTestCase {
 
 		$this->assertStringContainsString( "<style>{$second_css}</style>", ob_get_clean() );
 	}
+
+	/**
+	 * Test render_css with scoped CSS.
+	 *
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::render_css()
+	 */
+	public function test_render_css_scoped() {
+		ob_start();
+		$this->instance->render_css( '.baz { display: block; }', 'example-block', true );
+
+		$this->assertStringContainsString( '<style>.genesis-custom-blocks-example-block .baz { display: block; }</style>', ob_get_clean() );
+	}
+
+	/**
+	 * Gets the CSS to scope, with the expected scoped CSS.
+	 *
+	 * @return array[] The test cases.
+	 */
+	public function get_css_to_scope() {
+		return [
+			[ '', '' ],
+			[ '.title { color: red; }', '.gcb .title { color: red; }' ],
+			[ 'h2, h3 { margin: 0 }', '.gcb h2, .gcb h3 { margin: 0 }' ],
+			[ ':is(h2, h3) > a { color: red; }', '.gcb :is(h2, h3) > a { color: red; }' ],
+			[ ':block { padding: 1rem; }', '.gcb { padding: 1rem; }' ],
+			[ ':block:hover, & > p { color: red; }', '.gcb:hover, .gcb > p { color: red; }' ],
+			[ '.a::before { content: "}{"; }', '.gcb .a::before { content: "}{"; }' ],
+			[ "/* .a { } */\n.b { color: red; }", "\n.gcb .b { color: red; }" ],
+			[ '@media (min-width: 600px) { .a { color: red; } }', '@media (min-width: 600px) { .gcb .a { color: red; } }' ],
+			[ '@keyframes fade { from { opacity: 0; } }', '@keyframes fade { from { opacity: 0; } }' ],
+			[ '.a { color: red; & .b { color: blue; } }', '.gcb .a { color: red; & .b { color: blue; } }' ],
+		];
+	}
+
+	/**
+	 * Test scope_css.
+	 *
+	 * @dataProvider get_css_to_scope
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::scope_css()
+	 * @covers \Genesis\CustomBlocks\Blocks\TemplateEditor::scope_selectors()
+	 *
+	 * @param string $css      The CSS to scope.
+	 * @param string $expected The expected scoped CSS.
+	 */
+	public function test_scope_css( $css, $expected ) {
+		$this->assertEquals( $expected, $this->instance->scope_css( $css, 'gcb' ) );
+	}
 }
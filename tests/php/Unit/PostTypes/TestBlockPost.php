@@ -115,6 +115,19 @@ class TestBlockPost extends \WP_UnitTestCase {
 				'range',
 				'checkbox',
 				'radio',
+				'repeater',
+				'group',
+				'post',
+				'taxonomy',
+				'user',
+				'gallery',
+				'rich_text',
+				'date',
+				'time',
+				'datetime',
+				'link',
+				'icon',
+				'code',
 			],
 			array_keys( $this->instance->get_controls() )
 		);
@@ -158,4 +158,49 @@ class TestHelpers extends \WP_UnitTestCase {
 		$this->assertEquals( null, $return_value );
 		$this->assertEquals( $additional_field_value, $echoed_value );
 	}
+
+	/**
+	 * Test block_field with an icon field.
+	 *
+	 * @covers ::block_field()
+	 */
+	public function test_block_field_icon() {
+		add_filter(
+			'genesis_custom_blocks_data_attributes',
+			static function () {
+				return [
+					'example-icon' => 'alarm',
+					'example-text' => '<svg><path d="M0 0h24v24H0z"/></svg>Example text',
+				];
+			}
+		);
+		add_filter(
+			'genesis_custom_blocks_data_config',
+			static function () {
+				$block = new Block();
+				$block->from_array(
+					[
+						'fields' => [
+							'example-icon' => [ 'control' => 'icon' ],
+							'example-text' => [ 'control' => 'text' ],
+						],
+					]
+				);
+
+				return $block;
+			}
+		);
+
+		ob_start();
+		block_field( 'example-icon' );
+		$icon = ob_get_clean();
+
+		// The icon should keep its <svg>, but other fields should only have the tags of post content.
+		$this->assertStringStartsWith( '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24">', $icon );
+		$this->assertStringContainsString( '<path', $icon );
+
+		ob_start();
+		block_field( 'example-text' );
+		$this->assertEquals( 'Example text', ob_get_clean() );
+	}
 }